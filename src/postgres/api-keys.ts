@@ -0,0 +1,243 @@
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import { createHash, timingSafeEqual } from "crypto";
+import { readFile } from "fs/promises";
+import { z } from "zod";
+import { PolicySchema } from "./policy.js";
+import { STATEMENT_TYPES } from "./sql-statements.js";
+import { ServerConfig } from "./tools/registry.js";
+
+// -----------------------------------------------------------------------------
+// API keys for REST mode, loaded from a JSON file at startup. Each key has a
+// name, which identifies the caller in the audit log, and a role deciding the
+// tools, resources, statement types and access policy it may use. Keys are
+// limited in requests per minute and in concurrent requests.
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 60;
+export const DEFAULT_MAX_CONCURRENT = 4;
+
+const RoleSchema = z
+  .object({
+    // Tool names, or "*" for every tool
+    tools: z.union([z.literal("*"), z.array(z.string().min(1))]).default("*"),
+    resources: z.boolean().default(true),
+    // Whether the query history shows the queries of every caller rather
+    // than only the key's own
+    queryHistory: z.enum(["own", "all"]).default("own"),
+    // Replace the server's --allowed_statements and --policy for the role
+    allowedStatements: z.array(z.enum(STATEMENT_TYPES)).optional(),
+    policy: PolicySchema.optional(),
+  })
+  .strict();
+
+const LIMITS = {
+  requestsPerMinute: z.number().int().positive().optional(),
+  maxConcurrent: z.number().int().positive().optional(),
+};
+
+const ApiKeySchema = z
+  .object({
+    name: z.string().min(1),
+    // The key itself, or the hex SHA-256 digest of it
+    key: z.string().min(16).optional(),
+    sha256: z
+      .string()
+      .regex(/^[0-9a-f]{64}$/i)
+      .optional(),
+    role: z.string().min(1),
+    ...LIMITS,
+  })
+  .strict()
+  .refine((apiKey) => (apiKey.key === undefined) !== (apiKey.sha256 === undefined), {
+    message: "give either key or sha256",
+  });
+
+const ApiKeysFileSchema = z
+  .object({
+    roles: z.record(RoleSchema),
+    keys: z.array(ApiKeySchema).min(1),
+    // Defaults for keys without limits of their own
+    ...LIMITS,
+    // Origins browsers may call the server from, "*" for any
+    allowedOrigins: z.array(z.string().min(1)).default([]),
+  })
+  .strict()
+  .superRefine((file, context) => {
+    const names = new Set<string>();
+    file.keys.forEach((apiKey, index) => {
+      if (!file.roles[apiKey.role]) {
+        context.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["keys", index, "role"],
+          message: `unknown role "${apiKey.role}"`,
+        });
+      }
+      if (names.has(apiKey.name)) {
+        context.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["keys", index, "name"],
+          message: `duplicate key name "${apiKey.name}"`,
+        });
+      }
+      names.add(apiKey.name);
+    });
+  });
+
+export type Role = z.infer<typeof RoleSchema>;
+
+export interface ApiKey {
+  name: string;
+  role: string;
+  requestsPerMinute: number;
+  maxConcurrent: number;
+  // SHA-256 digest of the key
+  digest: Buffer;
+}
+
+export interface ApiKeys {
+  roles: Record<string, Role>;
+  keys: ApiKey[];
+  allowedOrigins: string[];
+}
+
+function sha256Of(value: string): Buffer {
+  return createHash("sha256").update(value).digest();
+}
+
+export async function loadApiKeys(filePath: string): Promise<ApiKeys> {
+  let content: unknown;
+  try {
+    content = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read API key file ${filePath}: ${(error as Error).message}`);
+  }
+  const parsed = ApiKeysFileSchema.safeParse(content);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(
+      (issue) => `${issue.path.length ? `${issue.path.join(".")}: ` : ""}${issue.message}`
+    );
+    throw new Error(`Invalid API key file ${filePath}: ${issues.join("; ")}`);
+  }
+
+  const file = parsed.data;
+  return {
+    roles: file.roles,
+    allowedOrigins: file.allowedOrigins,
+    keys: file.keys.map((apiKey) => ({
+      name: apiKey.name,
+      role: apiKey.role,
+      requestsPerMinute:
+        apiKey.requestsPerMinute ?? file.requestsPerMinute ?? DEFAULT_REQUESTS_PER_MINUTE,
+      maxConcurrent: apiKey.maxConcurrent ?? file.maxConcurrent ?? DEFAULT_MAX_CONCURRENT,
+      digest: apiKey.key ? sha256Of(apiKey.key) : Buffer.from(apiKey.sha256!, "hex"),
+    })),
+  };
+}
+
+// Finds the key sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export function authenticate(
+  apiKeys: ApiKeys,
+  headers: { authorization?: string; "x-api-key"?: string | string[] }
+): ApiKey | null {
+  const bearer = headers.authorization?.match(/^Bearer\s+(\S+)\s*$/i)?.[1];
+  const header = headers["x-api-key"];
+  const presented = bearer ?? (typeof header === "string" ? header.trim() : undefined);
+  if (!presented) {
+    return null;
+  }
+  const digest = sha256Of(presented);
+  return apiKeys.keys.find((apiKey) => timingSafeEqual(apiKey.digest, digest)) ?? null;
+}
+
+export function isOriginAllowed(apiKeys: ApiKeys, origin: string): boolean {
+  return apiKeys.allowedOrigins.includes("*") || apiKeys.allowedOrigins.includes(origin);
+}
+
+// -----------------------------------------------------------------------------
+// Request limits per key: a token bucket refilled with requestsPerMinute
+// tokens a minute, and a count of the requests in progress
+// -----------------------------------------------------------------------------
+interface KeyUsage {
+  tokens: number;
+  refilledAt: number;
+  active: number;
+}
+
+const usage = new Map<string, KeyUsage>();
+
+// Takes a request slot for the key. Returns a function releasing it, or the
+// seconds to wait before retrying when a limit is reached.
+export function acquireRequestSlot(apiKey: ApiKey): { release: () => void } | { retryAfter: number } {
+  const now = Date.now();
+  const state = usage.get(apiKey.name) ?? {
+    tokens: apiKey.requestsPerMinute,
+    refilledAt: now,
+    active: 0,
+  };
+  usage.set(apiKey.name, state);
+
+  const perMillisecond = apiKey.requestsPerMinute / 60000;
+  state.tokens = Math.min(
+    apiKey.requestsPerMinute,
+    state.tokens + (now - state.refilledAt) * perMillisecond
+  );
+  state.refilledAt = now;
+
+  if (state.tokens < 1) {
+    return { retryAfter: Math.ceil((1 - state.tokens) / perMillisecond / 1000) };
+  }
+  if (state.active >= apiKey.maxConcurrent) {
+    return { retryAfter: 1 };
+  }
+  state.tokens -= 1;
+  state.active += 1;
+  let released = false;
+  return {
+    release: () => {
+      if (!released) {
+        released = true;
+        state.active -= 1;
+      }
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Roles of authenticated requests. The HTTP transports hand the key of every
+// request to the server as its authInfo, so clients cannot choose their own
+// name or role.
+// -----------------------------------------------------------------------------
+export function authInfoOf(apiKey: ApiKey): AuthInfo {
+  return { token: "", clientId: apiKey.name, scopes: [], extra: { role: apiKey.role } };
+}
+
+export function roleOf(
+  apiKeys: ApiKeys | null,
+  authInfo: AuthInfo | undefined
+): { name: string; role: Role } | null {
+  if (!apiKeys) {
+    return null;
+  }
+  const name = typeof authInfo?.extra?.role === "string" ? authInfo.extra.role : "";
+  const role = apiKeys.roles[name];
+  if (!role) {
+    throw new Error("Access denied: the request carries no valid API key");
+  }
+  return { name, role };
+}
+
+export function isToolAllowed(role: Role, tool: string): boolean {
+  return role.tools === "*" || role.tools.includes(tool);
+}
+
+// Server configuration with the role's statement types and policy
+export function configForRole(config: ServerConfig, role: Role | undefined): ServerConfig {
+  if (!role) {
+    return config;
+  }
+  return {
+    ...config,
+    allowedStatements: role.allowedStatements ?? config.allowedStatements,
+    policy: role.policy ?? config.policy,
+  };
+}
@@ -0,0 +1,251 @@
+import AdmZip from "adm-zip";
+import { createWriteStream } from "fs";
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { z } from "zod";
+import { FILE_FORMATS, FileFormat, ParseOptions, detectFileFormat } from "./file-formats.js";
+import { ForeignKeyDefinition } from "./foreign-keys.js";
+import { ImportTable, getTableNameFromFileName, tablesFromFile, tablesFromPath } from "./importer.js";
+
+// Name of the optional manifest stored at the root of an archive
+export const MANIFEST_FILE_NAME = "manifest.json";
+
+// Default of --max_archive_bytes, the most bytes the files loaded from an
+// archive may hold once decompressed
+export const DEFAULT_MAX_ARCHIVE_BYTES = 1024 * 1024 * 1024;
+
+// Largest manifest, and largest JSON or Excel file, which are decompressed
+// into memory. Delimited text and NDJSON files are decompressed to disk and
+// streamed.
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_IN_MEMORY_ENTRY_BYTES = 64 * 1024 * 1024;
+
+const STREAMED_FORMATS: FileFormat[] = ["csv", "tsv", "ndjson"];
+
+const ManifestSchema = z.object({
+  // Per-file settings keyed by the file's path inside the archive
+  tables: z
+    .record(
+      z.object({
+        tableName: z.string().optional(),
+        format: z.enum(FILE_FORMATS).optional(),
+        delimiter: z.string().optional(),
+        quote: z.string().optional(),
+        encoding: z.string().optional(),
+        headerRow: z.number().int().min(0).optional(),
+        columnTypes: z.record(z.string()).optional(),
+        matchColumns: z.array(z.string()).optional(),
+      })
+    )
+    .optional(),
+  // Foreign keys to add between the loaded tables, both of which must be
+  // loaded from the archive
+  foreignKeys: z
+    .array(
+      z.object({
+        table: z.string(),
+        columns: z.array(z.string()).min(1),
+        references: z.object({
+          table: z.string(),
+          columns: z.array(z.string()).min(1),
+        }),
+        name: z.string().optional(),
+      })
+    )
+    .optional(),
+});
+
+export type ArchiveManifest = z.infer<typeof ManifestSchema>;
+
+export function parseManifest(value: unknown): ArchiveManifest {
+  const result = ManifestSchema.safeParse(typeof value === "string" ? JSON.parse(value) : value);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => `${issue.path.join(".")}: ${issue.message}`);
+    throw new Error(`Invalid archive manifest: ${issues.join("; ")}`);
+  }
+  return result.data;
+}
+
+export interface ArchiveContents {
+  tables: ImportTable[];
+  foreignKeys: ForeignKeyDefinition[];
+  // Files that were not loaded because their format is not supported
+  skippedFiles: string[];
+}
+
+function isIgnoredEntry(entryName: string): boolean {
+  return entryName.startsWith("__MACOSX/") || path.posix.basename(entryName).startsWith(".");
+}
+
+// -----------------------------------------------------------------------------
+// Functions to decompress entries no larger than their headers declare. The
+// declared sizes are checked against the limits before anything is
+// decompressed, and decompression stops when an entry grows past its declared
+// size, so an archive cannot expand beyond the limits.
+// -----------------------------------------------------------------------------
+function assertReadable(entry: AdmZip.IZipEntry, maxBytes: number) {
+  if (entry.header.flags & 1) {
+    throw new Error(`File "${entry.entryName}" in the archive is encrypted`);
+  }
+  if (entry.header.size > maxBytes) {
+    throw new Error(
+      `File "${entry.entryName}" in the archive holds ${entry.header.size} bytes, more than the limit of ${maxBytes}`
+    );
+  }
+}
+
+function entryData(entry: AdmZip.IZipEntry, maxBytes: number): Buffer {
+  assertReadable(entry, maxBytes);
+  // adm-zip bounds decompression by the declared size, except for a size of 0
+  return entry.header.size ? entry.getData() : Buffer.alloc(0);
+}
+
+async function extractEntry(entry: AdmZip.IZipEntry, filePath: string): Promise<void> {
+  const { method, size } = entry.header;
+  if (method !== 0 && method !== 8) {
+    throw new Error(`File "${entry.entryName}" in the archive uses an unsupported compression method`);
+  }
+  let written = 0;
+  const bounded = new Transform({
+    transform(chunk: Buffer, _encoding, callback) {
+      written += chunk.length;
+      callback(written > size ? new Error(`File "${entry.entryName}" in the archive is larger than declared`) : null, chunk);
+    },
+  });
+  const compressed = Readable.from([entry.getCompressedData()]);
+  if (method === 8) {
+    await pipeline(compressed, zlib.createInflateRaw(), bounded, createWriteStream(filePath));
+  } else {
+    await pipeline(compressed, bounded, createWriteStream(filePath));
+  }
+}
+
+interface LoadedEntry {
+  entry: AdmZip.IZipEntry;
+  format: FileFormat;
+  settings?: NonNullable<ArchiveManifest["tables"]>[string];
+}
+
+export interface ArchiveOptions {
+  parseOptions?: ParseOptions;
+  // Manifest given with the request, which replaces the archive's own
+  manifest?: unknown;
+  // Most bytes of the loaded files once decompressed
+  maxBytes: number;
+}
+
+// -----------------------------------------------------------------------------
+// Function to read the tables of a ZIP archive and use them before the
+// decompressed files are removed. Without a manifest every file of a
+// supported format is loaded into a table named after it; when the manifest
+// lists tables, only the listed files are loaded.
+// -----------------------------------------------------------------------------
+export async function withArchiveTables<T>(
+  fileBuffer: Buffer,
+  { parseOptions = {}, manifest: manifestValue, maxBytes }: ArchiveOptions,
+  use: (archive: ArchiveContents) => Promise<T>
+): Promise<T> {
+  let zip: AdmZip;
+  try {
+    zip = new AdmZip(fileBuffer);
+  } catch (error) {
+    throw new Error(`Could not read ZIP archive: ${error}`);
+  }
+
+  const entries = zip
+    .getEntries()
+    .filter((entry) => !entry.isDirectory && !isIgnoredEntry(entry.entryName));
+
+  const manifestEntry = entries.find((entry) => entry.entryName === MANIFEST_FILE_NAME);
+  const manifest = parseManifest(
+    manifestValue ?? (manifestEntry ? entryData(manifestEntry, MAX_MANIFEST_BYTES).toString("utf-8") : {})
+  );
+
+  const loaded: LoadedEntry[] = [];
+  const skippedFiles: string[] = [];
+  const listed = manifest.tables ?? {};
+
+  for (const missing of Object.keys(listed)) {
+    if (!entries.some((entry) => entry.entryName === missing)) {
+      throw new Error(`File "${missing}" listed in the manifest is not in the archive`);
+    }
+  }
+
+  for (const entry of entries) {
+    if (entry === manifestEntry) {
+      continue;
+    }
+
+    const settings = listed[entry.entryName];
+    if (manifest.tables && !settings) {
+      skippedFiles.push(entry.entryName);
+      continue;
+    }
+
+    let format = settings?.format ?? parseOptions.format;
+    if (!format) {
+      try {
+        format = detectFileFormat(path.posix.basename(entry.entryName));
+      } catch {
+        skippedFiles.push(entry.entryName);
+        continue;
+      }
+    }
+    assertReadable(entry, STREAMED_FORMATS.includes(format) ? maxBytes : MAX_IN_MEMORY_ENTRY_BYTES);
+    loaded.push({ entry, format, settings });
+  }
+
+  const totalBytes = loaded.reduce((total, { entry }) => total + entry.header.size, 0);
+  if (totalBytes > maxBytes) {
+    throw new Error(`The files of the archive hold ${totalBytes} bytes, more than the limit of ${maxBytes}`);
+  }
+
+  const directory = await mkdtemp(path.join(os.tmpdir(), "mcp-postgres-archive-"));
+  try {
+    const tables: ImportTable[] = [];
+    for (const [index, { entry, format, settings }] of loaded.entries()) {
+      const fileName = path.posix.basename(entry.entryName);
+      const tableName = settings?.tableName ?? getTableNameFromFileName(fileName);
+      const options = { ...parseOptions, ...settings, format };
+      let fileTables: ImportTable[];
+      if (STREAMED_FORMATS.includes(format)) {
+        const filePath = path.join(directory, String(index));
+        await extractEntry(entry, filePath);
+        fileTables = await tablesFromPath(filePath, fileName, tableName, options);
+      } else {
+        fileTables = tablesFromFile(entryData(entry, MAX_IN_MEMORY_ENTRY_BYTES), fileName, tableName, options);
+      }
+      for (const table of fileTables) {
+        table.columnTypes = settings?.columnTypes;
+        table.matchColumns = settings?.matchColumns;
+        if (tables.some((other) => other.tableName === table.tableName)) {
+          throw new Error(`Several files in the archive map to the table name "${table.tableName}"`);
+        }
+        tables.push(table);
+      }
+    }
+
+    // Keys may only join tables of the archive, whose import rights are checked
+    // and whose batch records the constraint for revert_import
+    const foreignKeys = manifest.foreignKeys ?? [];
+    for (const foreignKey of foreignKeys) {
+      const missing = [foreignKey.table, foreignKey.references.table].filter(
+        (name) => !tables.some((table) => table.tableName === name)
+      );
+      if (missing.length) {
+        throw new Error(
+          `Foreign key on "${foreignKey.table}" names table(s) not loaded from the archive: ` +
+            missing.map((name) => `"${name}"`).join(", ")
+        );
+      }
+    }
+
+    return await use({ tables, foreignKeys, skippedFiles });
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
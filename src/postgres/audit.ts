@@ -0,0 +1,252 @@
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import { appendFile } from "fs/promises";
+import pg from "pg";
+import { TableName, parseTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import { BOOKKEEPING_SCHEMA } from "./import-batches.js";
+import { normalizeSql } from "./sql-statements.js";
+
+// -----------------------------------------------------------------------------
+// Audit trail of tool calls and resource reads. Every call produces one
+// record, appended to a JSONL file and/or inserted into an audit table. The
+// latest records with SQL are also kept in memory for the query_history
+// resource when there is no audit table to read them from.
+// -----------------------------------------------------------------------------
+
+// Records returned by the query_history resource
+export const QUERY_HISTORY_SIZE = 100;
+
+// Longer string arguments, such as base64 file data, are logged by length
+const MAX_LOGGED_ARGUMENT_LENGTH = 1000;
+
+export interface AuditRecord {
+  timestamp: string;
+  // API key or caller named in the request's _meta.auth, null otherwise
+  caller: string | null;
+  // Name of the database connection used
+  database: string | null;
+  tool: string | null;
+  resource: string | null;
+  // SQL text with comments removed and whitespace collapsed
+  sql: string | null;
+  // Arguments of the call except the SQL
+  parameters: Record<string, unknown> | null;
+  durationMs: number;
+  rowCount: number | null;
+  error: string | null;
+}
+
+// What a tool or resource reports about its work for the audit record
+export interface AuditDetails {
+  // SQL the call ran when it differs from its sql argument
+  sql?: string;
+  rowCount?: number;
+}
+
+export interface AuditConfig {
+  // JSONL file records are appended to, empty when disabled
+  file: string;
+  // Audit table as schema and name, null when disabled
+  table: TableName | null;
+}
+
+// Whose records a reader of the query history sees: those made with the API
+// key it authenticated with, or by unauthenticated callers when it has none.
+// Names sent in _meta.auth are not trusted here. Roles with queryHistory
+// "all" see every record.
+export interface HistoryReader {
+  caller: string | null;
+  all: boolean;
+}
+
+export interface AuditTarget {
+  caller: string | null;
+  database: string | null;
+  tool?: string;
+  resource?: string;
+  args?: Record<string, unknown>;
+}
+
+const history: AuditRecord[] = [];
+const auditTables = new Map<string, Promise<void>>();
+
+// Parses --audit_table, a table name optionally qualified by its schema. The
+// table is created in the server's bookkeeping schema when not qualified.
+export function parseAuditTable(value: string): TableName {
+  return parseTableName(value, BOOKKEEPING_SCHEMA);
+}
+
+// Name of the API key the request was made with, or else the caller named in
+// the request's _meta.auth, e.g. {"_meta": {"auth": {"user": "reporting"}}}
+export function callerIdentity(
+  params: { _meta?: Record<string, unknown> } | undefined,
+  authInfo?: AuthInfo
+): string | null {
+  if (authInfo) {
+    return authInfo.clientId;
+  }
+  const auth = params?._meta?.auth;
+  if (!auth || typeof auth !== "object") {
+    return null;
+  }
+  const user = (auth as Record<string, unknown>).user;
+  return typeof user === "string" && user !== "" ? user : null;
+}
+
+function auditTableName({ schema, name }: TableName): string {
+  return `${quoteIdentifier(schema)}.${quoteIdentifier(name)}`;
+}
+
+function ensureAuditTable(pool: pg.Pool, table: TableName): Promise<void> {
+  const qualified = auditTableName(table);
+  let created = auditTables.get(qualified);
+  if (!created) {
+    created = (async () => {
+      await pool.query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(table.schema)}`);
+      await pool.query(
+        `CREATE TABLE IF NOT EXISTS ${qualified} (
+           id bigserial PRIMARY KEY,
+           logged_at timestamptz NOT NULL,
+           caller text,
+           database text,
+           tool text,
+           resource text,
+           sql text,
+           parameters jsonb,
+           duration_ms integer NOT NULL,
+           row_count bigint,
+           error text
+         )`
+      );
+      // Audit tables created before records named their database
+      await pool.query(`ALTER TABLE ${qualified} ADD COLUMN IF NOT EXISTS database text`);
+    })();
+    created.catch(() => auditTables.delete(qualified));
+    auditTables.set(qualified, created);
+  }
+  return created;
+}
+
+function loggedParameters(args: Record<string, unknown>): Record<string, unknown> {
+  const { sql, ...parameters } = args;
+  return Object.fromEntries(
+    Object.entries(parameters).map(([key, value]) => [
+      key,
+      typeof value === "string" && value.length > MAX_LOGGED_ARGUMENT_LENGTH
+        ? `[${value.length} characters]`
+        : value,
+    ])
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Function to write a record to the configured destinations. Failures are
+// reported on stderr and never fail the call being audited.
+// -----------------------------------------------------------------------------
+async function writeAuditRecord(
+  pool: pg.Pool,
+  config: AuditConfig,
+  record: AuditRecord
+): Promise<void> {
+  if (record.sql !== null) {
+    history.push(record);
+    history.splice(0, history.length - QUERY_HISTORY_SIZE);
+  }
+  if (config.file) {
+    await appendFile(config.file, `${JSON.stringify(record)}\n`).catch((error) =>
+      console.error(`Could not write audit log ${config.file}:`, error)
+    );
+  }
+  if (config.table) {
+    try {
+      await ensureAuditTable(pool, config.table);
+      await pool.query(
+        `INSERT INTO ${auditTableName(config.table)}
+           (logged_at, caller, database, tool, resource, sql, parameters, duration_ms, row_count, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          record.timestamp,
+          record.caller,
+          record.database,
+          record.tool,
+          record.resource,
+          record.sql,
+          record.parameters && JSON.stringify(record.parameters),
+          record.durationMs,
+          record.rowCount,
+          record.error,
+        ]
+      );
+    } catch (error) {
+      console.error("Could not write audit record:", error);
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function to run a tool call or resource read and record it. The callback
+// fills in the details it knows; `failure` extracts the error of a result that
+// reports one instead of throwing.
+// -----------------------------------------------------------------------------
+export async function audited<T>(
+  pool: pg.Pool,
+  config: AuditConfig,
+  target: AuditTarget,
+  run: (details: AuditDetails) => Promise<T>,
+  failure: (result: T) => string | null = () => null
+): Promise<T> {
+  const started = Date.now();
+  const details: AuditDetails = {};
+  const record = (error: string | null) => {
+    const sql = details.sql ?? (typeof target.args?.sql === "string" ? target.args.sql : undefined);
+    return writeAuditRecord(pool, config, {
+      timestamp: new Date(started).toISOString(),
+      caller: target.caller,
+      database: target.database,
+      tool: target.tool ?? null,
+      resource: target.resource ?? null,
+      sql: sql === undefined ? null : normalizeSql(sql),
+      parameters: target.args ? loggedParameters(target.args) : null,
+      durationMs: Date.now() - started,
+      rowCount: details.rowCount ?? null,
+      error,
+    });
+  };
+
+  try {
+    const result = await run(details);
+    await record(failure(result));
+    return result;
+  } catch (error) {
+    await record(error instanceof Error ? error.message : String(error));
+    throw error;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function to read the latest records with SQL on a database that the reader
+// may see, newest first
+// -----------------------------------------------------------------------------
+export async function readQueryHistory(
+  pool: pg.Pool,
+  config: AuditConfig,
+  { caller, all }: HistoryReader,
+  database: string
+): Promise<AuditRecord[]> {
+  if (!config.table) {
+    return history
+      .filter((record) => record.database === database && (all || record.caller === caller))
+      .reverse();
+  }
+
+  await ensureAuditTable(pool, config.table);
+  const result = await pool.query<AuditRecord>(
+    `SELECT to_char(logged_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS timestamp, caller, database, tool, resource, sql, parameters,
+            duration_ms AS "durationMs", row_count::float8 AS "rowCount", error
+     FROM ${auditTableName(config.table)}
+     WHERE sql IS NOT NULL AND database = $2 AND ($4 OR caller IS NOT DISTINCT FROM $1)
+     ORDER BY id DESC LIMIT $3`,
+    [caller, database, QUERY_HISTORY_SIZE, all]
+  );
+  return result.rows;
+}
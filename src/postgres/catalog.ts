@@ -0,0 +1,389 @@
+import pg from "pg";
+import { quoteIdentifier } from "./column-types.js";
+import { BOOKKEEPING_SCHEMA } from "./import-batches.js";
+
+// -----------------------------------------------------------------------------
+// Catalog lookups shared by the tools and resources describing tables. Only
+// schemas on the configured allow-list are visible; without a list every
+// schema except the system schemas and the server's bookkeeping schema is.
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_SCHEMA = "public";
+
+const HIDDEN_SCHEMAS = ["pg_catalog", "information_schema", BOOKKEEPING_SCHEMA];
+
+export type RelationKind =
+  | "table"
+  | "partitioned table"
+  | "view"
+  | "materialized view"
+  | "foreign table";
+
+export const RELATION_KINDS: Record<string, RelationKind> = {
+  r: "table",
+  p: "partitioned table",
+  v: "view",
+  m: "materialized view",
+  f: "foreign table",
+};
+
+export interface TableName {
+  schema: string;
+  name: string;
+}
+
+export interface RelationInfo extends TableName {
+  kind: RelationKind;
+  // Partitioned table at the top of a partition's tree, or the relation itself
+  root: TableName;
+}
+
+export interface FunctionInfo {
+  schema: string;
+  name: string;
+}
+
+export interface ColumnInfo {
+  column_name: string;
+  data_type: string;
+  is_nullable: string;
+}
+
+export interface ForeignKeyInfo {
+  column_name: string;
+  foreign_table_schema: string;
+  foreign_table_name: string;
+  foreign_column_name: string;
+}
+
+export interface RelationshipInfo {
+  from_schema: string;
+  from_table: string;
+  from_column: string;
+  to_schema: string;
+  to_table: string;
+  to_column: string;
+}
+
+export interface ForeignKeyConstraint {
+  name: string;
+  // Referencing and referenced table
+  from: TableName;
+  to: TableName;
+  columns: { from: string; to: string }[];
+  // Whether the key is a copy of a partitioned table's key on a partition
+  inherited: boolean;
+}
+
+export interface IndexInfo {
+  index_name: string;
+  column_name: string;
+  is_unique: boolean;
+}
+
+export function isSchemaAllowed(allowedSchemas: string[] | null, schema: string): boolean {
+  if (allowedSchemas) {
+    return allowedSchemas.includes(schema);
+  }
+  return !HIDDEN_SCHEMAS.includes(schema) && !/^pg_(toast|temp)/.test(schema);
+}
+
+// Checks a schema argument, defaulting to public or else the first allowed schema
+export function resolveSchema(allowedSchemas: string[] | null, schema?: string): string {
+  const resolved =
+    schema ??
+    (!allowedSchemas || allowedSchemas.includes(DEFAULT_SCHEMA) ? DEFAULT_SCHEMA : allowedSchemas[0]);
+  if (!resolved || !isSchemaAllowed(allowedSchemas, resolved)) {
+    throw new Error(`Schema "${schema ?? DEFAULT_SCHEMA}" is not available`);
+  }
+  return resolved;
+}
+
+export function qualifiedTableName(schema: string, tableName: string): string {
+  return `${quoteIdentifier(schema)}.${quoteIdentifier(tableName)}`;
+}
+
+// Parses a table name optionally qualified by its schema, e.g. sales.orders
+export function parseTableName(value: string, defaultSchema: string): TableName {
+  const parts = value.split(".");
+  if (parts.length > 2 || parts.some((part) => part.trim() === "")) {
+    throw new Error(`"${value}" is not a table name or schema.table`);
+  }
+  const [schema, name] = parts.length === 2 ? parts : [defaultSchema, parts[0]];
+  return { schema: schema.trim(), name: name.trim() };
+}
+
+// Tables, views, materialized views and foreign tables in the allowed schemas
+export async function listRelations(
+  pool: pg.Pool,
+  allowedSchemas: string[] | null
+): Promise<RelationInfo[]> {
+  const result = await pool.query<{
+    schema: string;
+    name: string;
+    relkind: string;
+    root_schema: string;
+    root_name: string;
+  }>(
+    `SELECT n.nspname AS schema, c.relname AS name, c.relkind,
+            rn.nspname AS root_schema, rc.relname AS root_name
+     FROM pg_class c
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     JOIN pg_class rc ON rc.oid = COALESCE(pg_partition_root(c.oid), c.oid)
+     JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+     WHERE c.relkind = ANY($1)
+     ORDER BY n.nspname, c.relname`,
+    [Object.keys(RELATION_KINDS)]
+  );
+  return result.rows
+    .filter((row) => isSchemaAllowed(allowedSchemas, row.schema))
+    .map(({ schema, name, relkind, root_schema, root_name }) => ({
+      schema,
+      name,
+      kind: RELATION_KINDS[relkind],
+      root: { schema: root_schema, name: root_name },
+    }));
+}
+
+// Partitioned table at the top of a partition's tree, or the table itself,
+// also when it does not exist yet
+export async function getPartitionRoot(
+  pool: pg.Pool | pg.PoolClient,
+  schema: string,
+  tableName: string
+): Promise<TableName> {
+  const result = await pool.query<TableName>(
+    `SELECT n.nspname AS schema, c.relname AS name
+     FROM pg_class c
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE c.oid = COALESCE(pg_partition_root(to_regclass($1)), to_regclass($1))`,
+    [qualifiedTableName(schema, tableName)]
+  );
+  return result.rows[0] ?? { schema, name: tableName };
+}
+
+// Names of the functions and procedures in the allowed schemas, leaving out
+// those installed by extensions. Overloads share one entry.
+export async function listFunctions(
+  pool: pg.Pool,
+  allowedSchemas: string[] | null
+): Promise<FunctionInfo[]> {
+  const result = await pool.query<FunctionInfo>(
+    `SELECT DISTINCT n.nspname AS schema, p.proname AS name
+     FROM pg_proc p
+     JOIN pg_namespace n ON n.oid = p.pronamespace
+     WHERE p.prokind IN ('f', 'p')
+       AND NOT EXISTS (
+         SELECT 1 FROM pg_depend d
+         WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+       )
+     ORDER BY 1, 2`
+  );
+  return result.rows.filter((row) => isSchemaAllowed(allowedSchemas, row.schema));
+}
+
+export async function assertTableExists(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string
+): Promise<void> {
+  const result = await pool.query<{ oid: string | null }>("SELECT to_regclass($1) AS oid", [
+    qualifiedTableName(schema, tableName),
+  ]);
+  if (result.rows[0].oid === null) {
+    throw new Error(`Table "${schema}.${tableName}" does not exist`);
+  }
+}
+
+export async function getTableColumns(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string
+): Promise<ColumnInfo[]> {
+  const result = await pool.query<ColumnInfo>(
+    `SELECT column_name, data_type, is_nullable FROM information_schema.columns
+     WHERE table_schema = $1 AND table_name = $2 ORDER BY ordinal_position`,
+    [schema, tableName]
+  );
+  return result.rows;
+}
+
+export async function getPrimaryKeys(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string
+): Promise<string[]> {
+  const result = await pool.query<{ attname: string }>(
+    `SELECT a.attname
+     FROM pg_index i
+     CROSS JOIN LATERAL unnest(i.indkey) WITH ORDINALITY AS k(attnum, position)
+     JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+     WHERE i.indrelid = $1::regclass AND i.indisprimary
+     ORDER BY k.position`,
+    [qualifiedTableName(schema, tableName)]
+  );
+  return result.rows.map((row) => row.attname);
+}
+
+// Foreign keys between allowed schemas, with their column pairs in key order
+export async function getForeignKeyConstraints(
+  pool: pg.Pool,
+  allowedSchemas: string[] | null
+): Promise<ForeignKeyConstraint[]> {
+  const result = await pool.query<ForeignKeyConstraint>(
+    `SELECT c.conname AS name,
+            json_build_object('schema', child_schema.nspname, 'name', child.relname) AS "from",
+            json_build_object('schema', parent_schema.nspname, 'name', parent.relname) AS "to",
+            (
+              SELECT json_agg(json_build_object('from', child_column.attname, 'to', parent_column.attname)
+                              ORDER BY k.position)
+              FROM unnest(c.conkey, c.confkey) WITH ORDINALITY AS k(child_attnum, parent_attnum, position)
+              JOIN pg_attribute child_column
+                ON child_column.attrelid = c.conrelid AND child_column.attnum = k.child_attnum
+              JOIN pg_attribute parent_column
+                ON parent_column.attrelid = c.confrelid AND parent_column.attnum = k.parent_attnum
+            ) AS columns,
+            c.conparentid <> 0 AS inherited
+     FROM pg_constraint c
+     JOIN pg_class child ON child.oid = c.conrelid
+     JOIN pg_class parent ON parent.oid = c.confrelid
+     JOIN pg_namespace child_schema ON child_schema.oid = child.relnamespace
+     JOIN pg_namespace parent_schema ON parent_schema.oid = parent.relnamespace
+     WHERE c.contype = 'f'
+     ORDER BY child_schema.nspname, child.relname, c.conname`
+  );
+  return result.rows.filter(
+    (row) => isSchemaAllowed(allowedSchemas, row.from.schema) && isSchemaAllowed(allowedSchemas, row.to.schema)
+  );
+}
+
+// Every foreign key column pair between allowed schemas, composite keys column by column
+export async function getRelationships(
+  pool: pg.Pool,
+  allowedSchemas: string[] | null
+): Promise<RelationshipInfo[]> {
+  return (await getForeignKeyConstraints(pool, allowedSchemas)).flatMap(({ from, to, columns }) =>
+    columns.map((column) => ({
+      from_schema: from.schema,
+      from_table: from.name,
+      from_column: column.from,
+      to_schema: to.schema,
+      to_table: to.name,
+      to_column: column.to,
+    }))
+  );
+}
+
+export async function getForeignKeys(
+  pool: pg.Pool,
+  allowedSchemas: string[] | null,
+  schema: string,
+  tableName: string
+): Promise<ForeignKeyInfo[]> {
+  const relationships = await getRelationships(pool, allowedSchemas);
+  return relationships
+    .filter(
+      (relationship) => relationship.from_schema === schema && relationship.from_table === tableName
+    )
+    .map((relationship) => ({
+      column_name: relationship.from_column,
+      foreign_table_schema: relationship.to_schema,
+      foreign_table_name: relationship.to_table,
+      foreign_column_name: relationship.to_column,
+    }));
+}
+
+export async function getIndexes(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string
+): Promise<IndexInfo[]> {
+  const result = await pool.query<IndexInfo>(
+    `SELECT i.relname AS index_name, a.attname AS column_name, ix.indisunique AS is_unique
+     FROM pg_index ix
+     JOIN pg_class i ON i.oid = ix.indexrelid
+     JOIN pg_attribute a ON a.attrelid = ix.indrelid AND a.attnum = ANY(ix.indkey)
+     WHERE ix.indrelid = $1::regclass
+     ORDER BY i.relname, array_position(ix.indkey::int2[], a.attnum)`,
+    [qualifiedTableName(schema, tableName)]
+  );
+  return result.rows;
+}
+
+export async function getTableSize(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string
+): Promise<string> {
+  const result = await pool.query<{ size: string }>(
+    "SELECT pg_size_pretty(pg_total_relation_size($1::regclass)) AS size",
+    [qualifiedTableName(schema, tableName)]
+  );
+  return result.rows[0].size;
+}
+
+export interface RelationStatistics extends TableName {
+  kind: RelationKind;
+  // Rows estimated from the planner's statistics, summed over the partitions
+  // of a partitioned table. Null before the table is analyzed.
+  rowEstimate: number | null;
+  // Size with indexes and TOAST data, null for views and foreign tables
+  size: string | null;
+}
+
+// -----------------------------------------------------------------------------
+// Function to read row estimates and sizes of every relation, or of one, in a
+// single catalog query instead of counting rows
+// -----------------------------------------------------------------------------
+export async function getRelationStatistics(
+  pool: pg.Pool | pg.PoolClient,
+  relation: TableName | null = null
+): Promise<RelationStatistics[]> {
+  const result = await pool.query<Omit<RelationStatistics, "kind"> & { relkind: string }>(
+    `SELECT n.nspname AS schema, c.relname AS name, c.relkind,
+            round(CASE
+              WHEN c.relkind = 'p' THEN (
+                SELECT sum(p.reltuples) FILTER (WHERE p.reltuples >= 0)
+                FROM pg_partition_tree(c.oid) t JOIN pg_class p ON p.oid = t.relid
+                WHERE t.isleaf
+              )
+              WHEN c.reltuples >= 0 THEN c.reltuples
+            END)::float8 AS "rowEstimate",
+            pg_size_pretty(CASE
+              WHEN c.relkind = 'p' THEN (
+                SELECT sum(pg_total_relation_size(t.relid)) FROM pg_partition_tree(c.oid) t
+              )
+              WHEN c.relkind IN ('r', 'm') THEN pg_total_relation_size(c.oid)
+            END) AS size
+     FROM pg_class c
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE c.relkind = ANY($1) AND ($2::text IS NULL OR c.oid = to_regclass($2))`,
+    [Object.keys(RELATION_KINDS), relation && qualifiedTableName(relation.schema, relation.name)]
+  );
+  return result.rows.map(({ relkind, ...row }) => ({ ...row, kind: RELATION_KINDS[relkind] }));
+}
+
+export async function countRows(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string
+): Promise<number> {
+  const result = await pool.query<{ count: string }>(
+    `SELECT COUNT(*) AS count FROM ${qualifiedTableName(schema, tableName)}`
+  );
+  return Number(result.rows[0].count);
+}
+
+// Database size, and the size without TOAST storage as data_size
+export async function getDatabaseStats(pool: pg.Pool) {
+  const result = await pool.query<{ database_name: string; size: string; data_size: string }>(
+    `SELECT current_database() AS database_name,
+            pg_size_pretty(pg_database_size(current_database())) AS size,
+            pg_size_pretty(pg_database_size(current_database()) - COALESCE((
+              SELECT sum(pg_relation_size(c.oid)) FROM pg_class c
+              JOIN pg_namespace n ON n.oid = c.relnamespace
+              WHERE n.nspname = 'pg_toast'
+            ), 0)) AS data_size`
+  );
+  return result.rows[0];
+}
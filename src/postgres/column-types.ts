@@ -0,0 +1,320 @@
+// -----------------------------------------------------------------------------
+// Column type inference and value coercion for uploaded tabular data
+// -----------------------------------------------------------------------------
+
+export const COLUMN_TYPES = [
+  "BOOLEAN",
+  "INTEGER",
+  "BIGINT",
+  "NUMERIC",
+  "DATE",
+  "TIMESTAMPTZ",
+  "JSONB",
+  "TEXT",
+] as const;
+
+export type ColumnType = (typeof COLUMN_TYPES)[number];
+
+export interface ColumnDefinition {
+  name: string;
+  type: ColumnType;
+  primaryKey: boolean;
+  // Set when the type came from a caller supplied override rather than inference
+  overridden?: boolean;
+}
+
+export type CoercedValue = string | number | boolean | null;
+
+// Number of records sampled when inferring column types
+export const DEFAULT_SAMPLE_SIZE = 1000;
+
+const INTEGER_PATTERN = /^[-+]?(0|[1-9]\d*)$/;
+const NUMERIC_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Date, time with optional seconds and fraction, and optional UTC offset
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[-+](\d{2})(?::?(\d{2}))?)?$/i;
+const TRUE_VALUES = ["true", "t", "yes", "y"];
+const FALSE_VALUES = ["false", "f", "no", "n"];
+
+// Types holding every value of a type, narrowest first; TEXT holds any value
+const WIDER_TYPES: Partial<Record<ColumnType, ColumnType[]>> = {
+  INTEGER: ["BIGINT", "NUMERIC"],
+  BIGINT: ["NUMERIC"],
+  DATE: ["TIMESTAMPTZ"],
+};
+
+const INT32_MIN = -2147483648n;
+const INT32_MAX = 2147483647n;
+const INT64_MIN = -9223372036854775808n;
+const INT64_MAX = 9223372036854775807n;
+
+export function quoteIdentifier(name: string): string {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function isValidDate(year: string, month: string, day: string): boolean {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return (
+    date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === Number(month) - 1 &&
+    date.getUTCDate() === Number(day)
+  );
+}
+
+// PostgreSQL accepts UTC offsets up to 15:59
+function isValidTimestamp(match: RegExpExecArray): boolean {
+  const [, year, month, day, hour, minute, second, , , offsetHour, offsetMinute] = match;
+  return (
+    isValidDate(year, month, day) &&
+    Number(hour) < 24 &&
+    Number(minute) < 60 &&
+    Number(second ?? 0) < 60 &&
+    Number(offsetHour ?? 0) < 16 &&
+    Number(offsetMinute ?? 0) < 60
+  );
+}
+
+function isJson(value: string): boolean {
+  if (!value.startsWith("{") && !value.startsWith("[")) {
+    return false;
+  }
+  try {
+    JSON.parse(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns every column type able to store the given (non-empty) value.
+function candidateTypes(value: string): Set<ColumnType> {
+  const candidates = new Set<ColumnType>(["TEXT"]);
+  const lower = value.toLowerCase();
+
+  if (TRUE_VALUES.includes(lower) || FALSE_VALUES.includes(lower)) {
+    candidates.add("BOOLEAN");
+  }
+
+  // Values with leading zeros (zip codes, account numbers) stay textual
+  if (INTEGER_PATTERN.test(value)) {
+    const asBigInt = BigInt(value);
+    if (asBigInt >= INT32_MIN && asBigInt <= INT32_MAX) {
+      candidates.add("INTEGER");
+    }
+    if (asBigInt >= INT64_MIN && asBigInt <= INT64_MAX) {
+      candidates.add("BIGINT");
+    }
+    candidates.add("NUMERIC");
+  } else if (NUMERIC_PATTERN.test(value) && !/^[-+]?0\d/.test(value)) {
+    candidates.add("NUMERIC");
+  }
+
+  const dateMatch = DATE_PATTERN.exec(value);
+  if (dateMatch && isValidDate(dateMatch[1], dateMatch[2], dateMatch[3])) {
+    candidates.add("DATE");
+    candidates.add("TIMESTAMPTZ");
+  }
+
+  const timestampMatch = TIMESTAMP_PATTERN.exec(value);
+  if (timestampMatch && isValidTimestamp(timestampMatch)) {
+    candidates.add("TIMESTAMPTZ");
+  }
+
+  if (isJson(value)) {
+    candidates.add("JSONB");
+  }
+
+  return candidates;
+}
+
+function isEmpty(value: unknown): boolean {
+  return value === undefined || value === null || value === "";
+}
+
+export function parseColumnType(value: string): ColumnType {
+  const normalized = value.trim().toUpperCase();
+  const type = COLUMN_TYPES.find((candidate) => candidate === normalized);
+  if (!type) {
+    throw new Error(
+      `Unsupported column type "${value}". Expected one of: ${COLUMN_TYPES.join(", ")}`
+    );
+  }
+  return type;
+}
+
+// -----------------------------------------------------------------------------
+// Infer a column type for every column by sampling the parsed records. Each
+// column gets the narrowest type that can hold all of its sampled values.
+// -----------------------------------------------------------------------------
+export function inferColumns(
+  columns: string[],
+  records: Record<string, string>[],
+  overrides: Record<string, string> = {},
+  sampleSize: number = DEFAULT_SAMPLE_SIZE
+): ColumnDefinition[] {
+  for (const name of Object.keys(overrides)) {
+    if (!columns.includes(name)) {
+      throw new Error(`Column type override for unknown column "${name}"`);
+    }
+  }
+
+  const sample = records.slice(0, sampleSize);
+
+  return columns.map((name) => {
+    const primaryKey = name.toLowerCase() === "id";
+
+    if (overrides[name] !== undefined) {
+      return { name, type: parseColumnType(overrides[name]), primaryKey, overridden: true };
+    }
+
+    // Narrow the candidate list with every sampled value; TEXT always remains
+    let possible: ColumnType[] = [...COLUMN_TYPES];
+    let sawValue = false;
+    for (const record of sample) {
+      const value = record[name];
+      if (isEmpty(value)) {
+        continue;
+      }
+      sawValue = true;
+      const candidates = candidateTypes(value);
+      possible = possible.filter((type) => candidates.has(type));
+      if (possible.length === 1) {
+        break;
+      }
+    }
+
+    return { name, type: sawValue ? possible[0] : "TEXT", primaryKey };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Function to widen inferred column types until they hold every record, for
+// records beyond the inference sample. Each column keeps its type or gets the
+// narrowest wider type holding the values that did not fit, or TEXT.
+// Overridden columns keep their type.
+// -----------------------------------------------------------------------------
+export async function widenColumns(
+  columns: ColumnDefinition[],
+  records: Iterable<Record<string, string>> | AsyncIterable<Record<string, string>>
+): Promise<ColumnDefinition[]> {
+  const widened = columns.map((column) => ({ ...column }));
+  const open = widened.filter((column) => !column.overridden && column.type !== "TEXT");
+  for await (const record of records) {
+    for (const column of open) {
+      const value = record[column.name];
+      if (isEmpty(value) || column.type === "TEXT") {
+        continue;
+      }
+      const candidates = candidateTypes(value);
+      if (!candidates.has(column.type)) {
+        column.type =
+          [...(WIDER_TYPES[column.type] ?? []), "TEXT" as const].find((type) => candidates.has(type)) ?? "TEXT";
+      }
+    }
+  }
+  return widened;
+}
+
+// -----------------------------------------------------------------------------
+// Map an information_schema data_type onto the closest supported column type,
+// so that values for existing tables are coerced the way the table expects.
+// -----------------------------------------------------------------------------
+export function columnTypeFromPg(dataType: string): ColumnType {
+  switch (dataType.toLowerCase()) {
+    case "boolean":
+      return "BOOLEAN";
+    case "smallint":
+    case "integer":
+      return "INTEGER";
+    case "bigint":
+      return "BIGINT";
+    case "numeric":
+    case "real":
+    case "double precision":
+      return "NUMERIC";
+    case "date":
+      return "DATE";
+    case "timestamp with time zone":
+    case "timestamp without time zone":
+      return "TIMESTAMPTZ";
+    case "json":
+    case "jsonb":
+      return "JSONB";
+    default:
+      return "TEXT";
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Convert a raw CSV value into the representation bound as a query parameter
+// for the given column type. Throws when the value cannot be stored.
+// -----------------------------------------------------------------------------
+export function coerceValue(value: string | undefined, type: ColumnType): CoercedValue {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (type === "TEXT") {
+    return value;
+  }
+  if (value === "") {
+    return null;
+  }
+
+  if (!candidateTypes(value).has(type)) {
+    throw new Error(`Value "${value}" is not a valid ${type}`);
+  }
+
+  switch (type) {
+    case "BOOLEAN":
+      return TRUE_VALUES.includes(value.toLowerCase());
+    case "INTEGER":
+      return Number(value);
+    default:
+      // BIGINT and NUMERIC stay strings to avoid losing precision
+      return value;
+  }
+}
+
+// Raised for a value its column's type cannot hold
+export class ColumnValueError extends Error {
+  constructor(
+    message: string,
+    public readonly column: string
+  ) {
+    super(message);
+    this.name = "ColumnValueError";
+  }
+}
+
+export function coerceRecord(
+  record: Record<string, string>,
+  columns: ColumnDefinition[],
+  rowNumber: number
+): Record<string, CoercedValue> {
+  const coerced: Record<string, CoercedValue> = {};
+  for (const column of columns) {
+    try {
+      coerced[column.name] = coerceValue(record[column.name], column.type);
+    } catch (error) {
+      throw new ColumnValueError(
+        `Row ${rowNumber}, column "${column.name}": ${error instanceof Error ? error.message : error}`,
+        column.name
+      );
+    }
+  }
+  return coerced;
+}
+
+export function buildCreateTableSql(tableName: string, columns: ColumnDefinition[]): string {
+  const definitions = columns.map(
+    (column) => `${quoteIdentifier(column.name)} ${column.type}`
+  );
+  const primaryKey = columns.filter((column) => column.primaryKey);
+  if (primaryKey.length) {
+    definitions.push(
+      `PRIMARY KEY (${primaryKey.map((column) => quoteIdentifier(column.name)).join(", ")})`
+    );
+  }
+  return `CREATE TABLE ${quoteIdentifier(tableName)} (${definitions.join(", ")});`;
+}
@@ -0,0 +1,190 @@
+import { readFile } from "fs/promises";
+import pg from "pg";
+import { z } from "zod";
+import { ServerConfig } from "./tools/registry.js";
+
+// -----------------------------------------------------------------------------
+// Named database connections. The server connects to the database URL given
+// on the command line, or to every connection of a JSON file given with
+// --databases. Each connection has its own pool and may be read-only. Tools
+// take the connection name as their database argument, and resource URIs
+// carry it as their host: postgres://<name>/<schema>/<table>/schema. A
+// database URL on the command line keeps the URIs based on its host.
+// -----------------------------------------------------------------------------
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+const PoolSettingsSchema = z
+  .object({
+    max: z.number().int().positive().optional(),
+    min: z.number().int().min(0).optional(),
+    idleTimeoutMillis: z.number().int().min(0).optional(),
+    connectionTimeoutMillis: z.number().int().min(0).optional(),
+    // Sets statement_timeout for the connection's sessions
+    statementTimeoutMillis: z.number().int().min(0).optional(),
+    applicationName: z.string().optional(),
+  })
+  .strict();
+
+const DatabaseSchema = z
+  .object({
+    url: z.string().min(1),
+    description: z.string().optional(),
+    // Read-only connections refuse writing tools and statements, run every
+    // statement in a READ ONLY transaction and their sessions default to
+    // read-only transactions. Functions called by a select can still write
+    // through dblink or similar, so the connection's role should have no
+    // write grants.
+    readOnly: z.boolean().default(false),
+    pool: PoolSettingsSchema.default({}),
+  })
+  .strict();
+
+const DatabasesFileSchema = z
+  .object({
+    databases: z
+      .record(DatabaseSchema)
+      .refine((databases) => Object.keys(databases).length > 0, "no databases given")
+      .refine(
+        (databases) => Object.keys(databases).every((name) => NAME_PATTERN.test(name)),
+        "names may only contain letters, digits, - and _"
+      ),
+    // Connection used when a tool is given no database, the first by default
+    default: z.string().optional(),
+  })
+  .strict()
+  .refine((file) => file.default === undefined || file.default in file.databases, {
+    message: "default names no database",
+    path: ["default"],
+  });
+
+export interface DatabaseConnection {
+  name: string;
+  description: string;
+  readOnly: boolean;
+  pool: pg.Pool;
+  // Base of the connection's resource URIs
+  resourceBaseUrl: URL;
+  // Server and database, without credentials, for list_databases
+  host: string;
+  database: string;
+}
+
+export interface Databases {
+  connections: DatabaseConnection[];
+  default: DatabaseConnection;
+}
+
+function connect(
+  name: string,
+  url: string,
+  settings: z.infer<typeof DatabaseSchema>,
+  resourceBaseUrl: URL
+): DatabaseConnection {
+  const { pool: poolSettings, readOnly } = settings;
+  const parsed = new URL(url);
+  return {
+    name,
+    description: settings.description ?? "",
+    readOnly,
+    pool: new pg.Pool({
+      connectionString: url,
+      max: poolSettings.max,
+      min: poolSettings.min,
+      idleTimeoutMillis: poolSettings.idleTimeoutMillis,
+      connectionTimeoutMillis: poolSettings.connectionTimeoutMillis,
+      statement_timeout: poolSettings.statementTimeoutMillis,
+      application_name: poolSettings.applicationName,
+      options: readOnly ? "-c default_transaction_read_only=on" : undefined,
+    }),
+    resourceBaseUrl,
+    host: parsed.host,
+    database: decodeURIComponent(parsed.pathname.slice(1)),
+  };
+}
+
+// Connection to the database URL given on the command line, named after its
+// database
+export function singleDatabase(url: string): Databases {
+  const resourceBaseUrl = new URL(url);
+  resourceBaseUrl.protocol = "postgres:";
+  resourceBaseUrl.password = "";
+  const name = decodeURIComponent(new URL(url).pathname.slice(1)) || "default";
+  const connection = connect(name, url, DatabaseSchema.parse({ url }), resourceBaseUrl);
+  return { connections: [connection], default: connection };
+}
+
+export async function loadDatabases(filePath: string): Promise<Databases> {
+  let content: unknown;
+  try {
+    content = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read database file ${filePath}: ${(error as Error).message}`);
+  }
+  const parsed = DatabasesFileSchema.safeParse(content);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(
+      (issue) => `${issue.path.length ? `${issue.path.join(".")}: ` : ""}${issue.message}`
+    );
+    throw new Error(`Invalid database file ${filePath}: ${issues.join("; ")}`);
+  }
+
+  const connections = Object.entries(parsed.data.databases).map(([name, settings]) => {
+    try {
+      return connect(name, settings.url, settings, new URL(`postgres://${name}/`));
+    } catch (error) {
+      throw new Error(`Invalid database file ${filePath}: ${name}: ${(error as Error).message}`);
+    }
+  });
+  const defaultName = parsed.data.default ?? connections[0].name;
+  return {
+    connections,
+    default: connections.find(({ name }) => name === defaultName)!,
+  };
+}
+
+// Finds the connection for a tool's database argument
+export function selectDatabase(databases: Databases, name: string | undefined): DatabaseConnection {
+  if (name === undefined) {
+    return databases.default;
+  }
+  const connection = databases.connections.find((candidate) => candidate.name === name);
+  if (!connection) {
+    const names = databases.connections.map((candidate) => candidate.name).join(", ");
+    throw new Error(`Unknown database "${name}", expected one of ${names}`);
+  }
+  return connection;
+}
+
+// Finds the connection a resource URI belongs to, by its host and user
+export function databaseOfUri(databases: Databases, uri: string): DatabaseConnection | undefined {
+  let url: URL;
+  try {
+    url = new URL(uri);
+  } catch {
+    return undefined;
+  }
+  return databases.connections.find(
+    ({ resourceBaseUrl }) =>
+      url.protocol === resourceBaseUrl.protocol &&
+      url.host === resourceBaseUrl.host &&
+      url.username === resourceBaseUrl.username
+  );
+}
+
+// Server configuration for a connection: read-only connections may only run
+// select statements, in READ ONLY transactions
+export function configForDatabase(config: ServerConfig, connection: DatabaseConnection): ServerConfig {
+  if (!connection.readOnly) {
+    return config;
+  }
+  return {
+    ...config,
+    readOnly: true,
+    allowedStatements: config.allowedStatements.filter((type) => type === "select"),
+  };
+}
+
+export async function closeDatabases(databases: Databases): Promise<void> {
+  await Promise.all(databases.connections.map(({ pool }) => pool.end()));
+}
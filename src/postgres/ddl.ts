@@ -0,0 +1,89 @@
+import { qualifiedTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import { ColumnMetadata, RelationMetadata } from "./metadata.js";
+
+// -----------------------------------------------------------------------------
+// Reconstruction of the DDL of a relation from its catalog metadata. Tables
+// get their enum types, columns, constraints, indexes and comments; views and
+// materialized views get their query.
+// -----------------------------------------------------------------------------
+
+function quoteLiteral(value: string): string {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+function columnDefinition(column: ColumnMetadata): string {
+  const parts = [quoteIdentifier(column.name), column.dataType];
+  if (column.identity) {
+    parts.push(`GENERATED ${column.identity} AS IDENTITY`);
+  } else if (column.generated) {
+    parts.push(`GENERATED ALWAYS AS (${column.generated}) STORED`);
+  } else if (column.default !== null) {
+    parts.push(`DEFAULT ${column.default}`);
+  }
+  if (!column.nullable) {
+    parts.push("NOT NULL");
+  }
+  return parts.join(" ");
+}
+
+function commentStatements(metadata: RelationMetadata, target: string, objectType: string): string[] {
+  const statements = [];
+  if (metadata.comment !== null) {
+    statements.push(`COMMENT ON ${objectType} ${target} IS ${quoteLiteral(metadata.comment)};`);
+  }
+  for (const column of metadata.columns) {
+    if (column.comment !== null) {
+      statements.push(
+        `COMMENT ON COLUMN ${target}.${quoteIdentifier(column.name)} IS ${quoteLiteral(column.comment)};`
+      );
+    }
+  }
+  return statements;
+}
+
+export function buildRelationDdl(metadata: RelationMetadata): string {
+  const target = qualifiedTableName(metadata.schema, metadata.name);
+
+  if (metadata.kind === "view" || metadata.kind === "materialized view") {
+    const objectType = metadata.kind === "view" ? "VIEW" : "MATERIALIZED VIEW";
+    return [
+      `CREATE ${objectType} ${target} AS\n${metadata.viewDefinition?.trimEnd().replace(/;$/, "")};`,
+      ...metadata.indexes.map((index) => `${index.definition};`),
+      ...commentStatements(metadata, target, objectType),
+    ].join("\n\n");
+  }
+
+  const enumTypes = metadata.enumTypes.map(
+    (type) => `CREATE TYPE ${type.name} AS ENUM (${type.labels.map(quoteLiteral).join(", ")});`
+  );
+
+  const constraints = [
+    ...(metadata.primaryKey ? [metadata.primaryKey] : []),
+    ...metadata.uniqueConstraints,
+    ...metadata.checkConstraints,
+    ...metadata.exclusionConstraints,
+    ...metadata.foreignKeys,
+  ].map((constraint) => `CONSTRAINT ${quoteIdentifier(constraint.name)} ${constraint.definition}`);
+  const body = [...metadata.columns.map(columnDefinition), ...constraints]
+    .map((line) => `  ${line}`)
+    .join(",\n");
+  const partitionBy = metadata.partitionKey ? ` PARTITION BY ${metadata.partitionKey}` : "";
+  const createTable = `CREATE TABLE ${target} (\n${body}\n)${partitionBy};`;
+
+  // Indexes created for constraints come with the constraints
+  const indexes = metadata.indexes
+    .filter((index) => index.constraint === null)
+    .map((index) => `${index.definition};`);
+  const attachPartition = metadata.partitionOf
+    ? [`ALTER TABLE ${metadata.partitionOf.parent} ATTACH PARTITION ${target} ${metadata.partitionOf.bound};`]
+    : [];
+
+  return [
+    ...enumTypes,
+    createTable,
+    ...attachPartition,
+    ...indexes,
+    ...commentStatements(metadata, target, "TABLE"),
+  ].join("\n\n");
+}
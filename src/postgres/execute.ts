@@ -0,0 +1,240 @@
+import pg from "pg";
+import { quoteIdentifier } from "./column-types.js";
+import { Policy, applyColumnRules } from "./policy.js";
+import { NO_LIMITS, QueryLimits, cancelOnAbort, setTransactionLimits } from "./query-limits.js";
+import {
+  StatementCheck,
+  assertTableAccess,
+  checkStatementAccess,
+  isCheckableStatement,
+  maskResultRows,
+} from "./query-policy.js";
+import {
+  Statement,
+  StatementClass,
+  StatementType,
+  Token,
+  classifyStatement,
+} from "./sql-statements.js";
+import { singleStatement } from "./transactions.js";
+
+// -----------------------------------------------------------------------------
+// Running classified statements for the execute tool. All statements of a
+// call run in one transaction; a dry run rolls it back and reports what the
+// data-changing statements did to a sample of rows. Under an access policy
+// each statement is checked just before it runs, so that it sees the tables
+// earlier statements created.
+// -----------------------------------------------------------------------------
+
+// Rows shown before and after a data-changing statement in a dry run
+export const DRY_RUN_SAMPLE_ROWS = 5;
+
+export interface ClassifiedStatement extends StatementClass {
+  statement: Statement;
+}
+
+export interface StatementResult extends StatementClass {
+  statement: string;
+  rowCount: number | null;
+  // Rows returned by the statement
+  rows?: unknown[];
+  // Sampled rows before and after a dry-run INSERT, UPDATE or DELETE. Before
+  // images of updated rows need a primary key and are null without one.
+  before?: unknown[] | null;
+  after?: unknown[];
+}
+
+// -----------------------------------------------------------------------------
+// Function to classify every statement and refuse the call when one of them
+// is not allowed. Statements the access policy cannot check need its allowDdl.
+// -----------------------------------------------------------------------------
+export function checkStatements(
+  statements: Statement[],
+  allowed: StatementType[],
+  policy: Policy | null = null
+): ClassifiedStatement[] {
+  if (!statements.length) {
+    throw new Error("No SQL statement given");
+  }
+  return statements.map((statement, index) => {
+    const classified = { ...classifyStatement(statement), statement };
+    const position =
+      statements.length > 1 ? `Statement ${index + 1} (${classified.command})` : classified.command;
+    if (classified.type === "transaction") {
+      throw new Error(
+        `${position}: transaction control is not allowed, every call runs in its own transaction`
+      );
+    }
+    if (!allowed.includes(classified.type)) {
+      const reason = classified.reason ? `, it ${classified.reason}` : "";
+      throw new Error(
+        `${position} is a ${classified.type} statement${reason}. ` +
+          `Allowed statement types: ${allowed.join(", ") || "none"}`
+      );
+    }
+    if (policy && !policy.allowDdl && !isCheckableStatement(statement) && statement.tokens[0].value !== "SHOW") {
+      throw new Error(
+        `Access denied: ${position} cannot be checked against the access policy, which does not allow DDL`
+      );
+    }
+    return classified;
+  });
+}
+
+function hasTopLevelReturning(tokens: Token[]): boolean {
+  return tokens.some((token) => token.depth === 0 && token.value === "RETURNING");
+}
+
+// Source text of the table name following the leading keywords of an
+// INSERT INTO, UPDATE or DELETE FROM statement
+function targetTableName({ text, tokens }: Statement): string | null {
+  const command = tokens[0].value;
+  let index = command === "UPDATE" ? 1 : 2;
+  if (command !== "UPDATE" && tokens[1]?.value !== (command === "INSERT" ? "INTO" : "FROM")) {
+    return null;
+  }
+  if (tokens[index]?.value === "ONLY") {
+    index++;
+  }
+  const start = tokens[index];
+  let end = index;
+  while (tokens[end + 1]?.value === "." && tokens[end + 2]) {
+    end += 2;
+  }
+  if (!start || (start.kind !== "word" && start.kind !== "identifier")) {
+    return null;
+  }
+  const offset = tokens[0].start;
+  return text.slice(start.start - offset, tokens[end].end - offset);
+}
+
+// -----------------------------------------------------------------------------
+// Function to run an INSERT, UPDATE or DELETE in a dry run while capturing
+// sample rows. The statement gets RETURNING * to collect the new rows; the
+// previous values of updated rows are read by primary key after rolling back
+// to a savepoint, and the statement is then run again so that later
+// statements see its changes.
+// -----------------------------------------------------------------------------
+async function runSampled(
+  client: pg.PoolClient,
+  { statement, ...classified }: ClassifiedStatement,
+  tableName: string,
+  policy: Policy | null
+): Promise<StatementResult> {
+  const changedSql = `WITH changed AS (${statement.text} RETURNING *) SELECT * FROM changed`;
+  const table = await client.query<{
+    name: string | null;
+    schema: string | null;
+    relname: string | null;
+    primary_key: string[];
+  }>(
+    `SELECT r.oid::text AS name, n.nspname AS schema, c.relname,
+            ARRAY(
+              SELECT a.attname::text FROM pg_index i
+              JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+              WHERE i.indrelid = r.oid AND i.indisprimary
+            ) AS primary_key
+     FROM (SELECT to_regclass($1) AS oid) r
+     LEFT JOIN pg_class c ON c.oid = r.oid
+     LEFT JOIN pg_namespace n ON n.oid = c.relnamespace`,
+    [tableName]
+  );
+  const { name, schema, relname, primary_key: primaryKey } = table.rows[0];
+  // Column rules of the target table for the sampled rows
+  const rules =
+    schema && relname ? await assertTableAccess(client, policy, "write", schema, relname) : new Map();
+
+  await client.query("SAVEPOINT execute_dry_run");
+  const changed = await client.query(singleStatement(changedSql));
+  // Masked or hidden key columns would find no previous rows, so only the
+  // returned copy of the sample is masked
+  const sampleRows = changed.rows.slice(0, DRY_RUN_SAMPLE_ROWS);
+  const sample = applyColumnRules(sampleRows, rules);
+  const result: StatementResult = {
+    ...classified,
+    statement: statement.text,
+    rowCount: changed.rowCount,
+  };
+
+  if (classified.command === "INSERT") {
+    return { ...result, before: [], after: sample };
+  }
+  if (classified.command === "DELETE") {
+    return { ...result, before: sample, after: [] };
+  }
+
+  let before: unknown[] | null = null;
+  if (name && primaryKey.length && sampleRows.length) {
+    await client.query("ROLLBACK TO SAVEPOINT execute_dry_run");
+    const keyColumns = primaryKey.map(quoteIdentifier).join(", ");
+    const previous = await client.query(
+      `SELECT t.* FROM ${name} t
+       JOIN jsonb_populate_recordset(NULL::${name}, $1) k USING (${keyColumns})`,
+      [JSON.stringify(sampleRows)]
+    );
+    before = applyColumnRules(previous.rows, rules);
+    await client.query(singleStatement(changedSql));
+  }
+  return { ...result, before, after: sample };
+}
+
+// -----------------------------------------------------------------------------
+// Function to run the statements in one transaction, committed unless this
+// is a dry run. A failing statement rolls back the whole call. On read-only
+// connections the transaction is declared READ ONLY rather than trusting the
+// session default, which a statement could have changed with set_config.
+// -----------------------------------------------------------------------------
+export async function executeStatements(
+  pool: pg.Pool,
+  statements: ClassifiedStatement[],
+  dryRun: boolean,
+  policy: Policy | null = null,
+  limits: QueryLimits = NO_LIMITS,
+  readOnly = false
+): Promise<StatementResult[]> {
+  const client = await pool.connect();
+  const release = cancelOnAbort(pool, client, limits.signal);
+  try {
+    await client.query(readOnly ? "BEGIN TRANSACTION READ ONLY" : "BEGIN");
+    await setTransactionLimits(client, limits);
+    const results: StatementResult[] = [];
+    for (const [index, classified] of statements.entries()) {
+      const { statement, ...statementClass } = classified;
+      try {
+        limits.signal?.throwIfAborted();
+        const check: StatementCheck | null =
+          policy && isCheckableStatement(statement)
+            ? await checkStatementAccess(client, policy, statement)
+            : null;
+        const tableName =
+          dryRun && ["INSERT", "UPDATE", "DELETE"].includes(statementClass.command)
+            ? targetTableName(statement)
+            : null;
+        if (tableName && !hasTopLevelReturning(statement.tokens)) {
+          results.push(await runSampled(client, classified, tableName, policy));
+          continue;
+        }
+
+        const result = await client.query(singleStatement(statement.text));
+        results.push({
+          ...statementClass,
+          statement: statement.text,
+          rowCount: result.rowCount,
+          ...(result.fields?.length
+            ? { rows: policy && check ? await maskResultRows(client, policy, result, check) : result.rows }
+            : {}),
+        });
+      } catch (error) {
+        const position = statements.length > 1 ? `Statement ${index + 1} failed: ` : "";
+        throw new Error(`${position}${error instanceof Error ? error.message : error}`);
+      }
+    }
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    return results;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    await release();
+  }
+}
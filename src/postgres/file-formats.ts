@@ -0,0 +1,386 @@
+import fs from "fs";
+import { readFile } from "fs/promises";
+import readline from "readline";
+import { Readable } from "stream";
+import { parse as parseCsvStream } from "csv-parse";
+import { parse } from "csv-parse/sync";
+import * as XLSX from "xlsx";
+import { DEFAULT_SAMPLE_SIZE } from "./column-types.js";
+
+// -----------------------------------------------------------------------------
+// Readers turning uploaded files into tables of string records. Every format
+// produces the same shape so that all of them share table creation and merging.
+// -----------------------------------------------------------------------------
+
+export const FILE_FORMATS = ["csv", "tsv", "json", "ndjson", "xlsx"] as const;
+
+export type FileFormat = (typeof FILE_FORMATS)[number];
+
+export interface ParseOptions {
+  format?: FileFormat;
+  // Field delimiter for csv and tsv files
+  delimiter?: string;
+  // Quote character for csv and tsv files
+  quote?: string;
+  // Text encoding of csv, tsv, json and ndjson files, e.g. "latin1"
+  encoding?: string;
+  // 1-based row holding the column names, 0 when the file has no header row
+  headerRow?: number;
+}
+
+export interface ParsedTable {
+  // Sheet name for workbooks, undefined for single table formats
+  sheetName?: string;
+  columns: string[];
+  // Every record, or only the leading records when the file is streamed
+  records: Record<string, string>[];
+  // Reads every record from the file again, set when the file is streamed
+  stream?: () => AsyncIterable<Record<string, string>>;
+}
+
+const FORMAT_EXTENSIONS: Record<string, FileFormat> = {
+  csv: "csv",
+  txt: "csv",
+  tsv: "tsv",
+  tab: "tsv",
+  json: "json",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  xlsx: "xlsx",
+  xlsm: "xlsx",
+  xls: "xlsx",
+};
+
+export function detectFileFormat(fileName: string): FileFormat {
+  const extension = fileName.split(".").pop()?.toLowerCase() ?? "";
+  const format = FORMAT_EXTENSIONS[extension];
+  if (!format) {
+    throw new Error(
+      `Cannot determine the format of "${fileName}", pass one of ${FILE_FORMATS.join(", ")} as format`
+    );
+  }
+  return format;
+}
+
+function createDecoder(encoding = "utf-8"): TextDecoder {
+  try {
+    return new TextDecoder(encoding);
+  } catch {
+    throw new Error(`Unsupported text encoding "${encoding}"`);
+  }
+}
+
+function decodeText(fileBuffer: Buffer, encoding?: string): string {
+  return createDecoder(encoding).decode(fileBuffer);
+}
+
+async function* decodeFile(filePath: string, encoding?: string): AsyncGenerator<string> {
+  const decoder = createDecoder(encoding);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    yield decoder.decode(chunk, { stream: true });
+  }
+  yield decoder.decode();
+}
+
+function generatedColumnNames(count: number): string[] {
+  return Array.from({ length: count }, (_, index) => `column_${index + 1}`);
+}
+
+function headerRowOf(options: ParseOptions): number {
+  const headerRow = options.headerRow ?? 1;
+  if (!Number.isInteger(headerRow) || headerRow < 0) {
+    throw new Error(`Invalid header row ${headerRow}, expected a row number or 0 for no header`);
+  }
+  return headerRow;
+}
+
+// -----------------------------------------------------------------------------
+// Delimited text (csv and tsv)
+// -----------------------------------------------------------------------------
+function delimitedOptions(format: FileFormat, options: ParseOptions) {
+  return {
+    delimiter: options.delimiter ?? (format === "tsv" ? "\t" : ","),
+    quote: options.quote ?? '"',
+    bom: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true,
+    from_line: Math.max(headerRowOf(options), 1),
+  };
+}
+
+function parseDelimited(fileBuffer: Buffer, format: FileFormat, options: ParseOptions): ParsedTable {
+  const headerRow = headerRowOf(options);
+  const rows: string[][] = parse(
+    decodeText(fileBuffer, options.encoding),
+    delimitedOptions(format, options)
+  );
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = headerRow ? rows.shift() ?? [] : generatedColumnNames(width);
+  return { columns, records: rows.map((row) => toRecord(columns, row)) };
+}
+
+async function* readDelimitedRows(
+  filePath: string,
+  format: FileFormat,
+  options: ParseOptions
+): AsyncGenerator<string[]> {
+  const parser = parseCsvStream(delimitedOptions(format, options));
+  const input = Readable.from(decodeFile(filePath, options.encoding));
+  input.on("error", (error) => parser.destroy(error));
+  input.pipe(parser);
+  try {
+    for await (const row of parser) {
+      yield row;
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+// Columns and types come from the leading rows; the rest is read while loading
+async function streamDelimited(
+  filePath: string,
+  format: FileFormat,
+  options: ParseOptions
+): Promise<ParsedTable> {
+  const headerRow = headerRowOf(options);
+  let header: string[] | undefined;
+  const rows: string[][] = [];
+  for await (const row of readDelimitedRows(filePath, format, options)) {
+    if (headerRow && !header) {
+      header = row;
+      continue;
+    }
+    rows.push(row);
+    if (rows.length >= DEFAULT_SAMPLE_SIZE) {
+      break;
+    }
+  }
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = headerRow ? header ?? [] : generatedColumnNames(width);
+  return {
+    columns,
+    records: rows.map((row) => toRecord(columns, row)),
+    stream: async function* () {
+      let skipHeader = headerRow > 0;
+      for await (const row of readDelimitedRows(filePath, format, options)) {
+        if (skipHeader) {
+          skipHeader = false;
+          continue;
+        }
+        yield toRecord(columns, row);
+      }
+    },
+  };
+}
+
+function toRecord(columns: string[], values: unknown[]): Record<string, string> {
+  const record: Record<string, string> = {};
+  columns.forEach((column, index) => {
+    const value = toText(values[index]);
+    if (value !== undefined) {
+      record[column] = value;
+    }
+  });
+  return record;
+}
+
+// -----------------------------------------------------------------------------
+// JSON documents: an array of objects (json) or one object per line (ndjson).
+// Nested objects and arrays are kept as JSON text, null becomes a NULL value.
+// -----------------------------------------------------------------------------
+function toText(value: unknown): string | undefined {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return formatDate(value);
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function objectToRecord(object: unknown, index: number): Record<string, string> {
+  if (object === null || typeof object !== "object" || Array.isArray(object)) {
+    throw new Error(`Record ${index + 1} is not a JSON object`);
+  }
+  const record: Record<string, string> = {};
+  for (const [key, value] of Object.entries(object)) {
+    const text = toText(value);
+    if (text !== undefined) {
+      record[key] = text;
+    }
+  }
+  return record;
+}
+
+function objectsToTable(objects: unknown[]): ParsedTable {
+  const columns: string[] = [];
+  const records = objects.map((object, index) => {
+    for (const key of Object.keys(object ?? {})) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+    return objectToRecord(object, index);
+  });
+  return { columns, records };
+}
+
+function parseJson(fileBuffer: Buffer, options: ParseOptions): ParsedTable {
+  const document = JSON.parse(decodeText(fileBuffer, options.encoding));
+  return objectsToTable(Array.isArray(document) ? document : [document]);
+}
+
+function parseNdjson(fileBuffer: Buffer, options: ParseOptions): ParsedTable {
+  const objects = decodeText(fileBuffer, options.encoding)
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), index }))
+    .filter(({ line }) => line !== "")
+    .map(({ line, index }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1} is not valid JSON: ${error}`);
+      }
+    });
+  return objectsToTable(objects);
+}
+
+async function* readNdjsonObjects(filePath: string, options: ParseOptions): AsyncGenerator<unknown> {
+  const lines = readline.createInterface({
+    input: Readable.from(decodeFile(filePath, options.encoding)),
+    crlfDelay: Infinity,
+  });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === "") {
+      continue;
+    }
+    let object: unknown;
+    try {
+      object = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber} is not valid JSON: ${error}`);
+    }
+    yield object;
+  }
+}
+
+// Columns come from the leading records, later records may not add new fields
+async function streamNdjson(filePath: string, options: ParseOptions): Promise<ParsedTable> {
+  const objects: unknown[] = [];
+  for await (const object of readNdjsonObjects(filePath, options)) {
+    objects.push(object);
+    if (objects.length >= DEFAULT_SAMPLE_SIZE) {
+      break;
+    }
+  }
+
+  const { columns, records } = objectsToTable(objects);
+  return {
+    columns,
+    records,
+    stream: async function* () {
+      let index = 0;
+      for await (const object of readNdjsonObjects(filePath, options)) {
+        const record = objectToRecord(object, index++);
+        const unknown = Object.keys(record).find((key) => !columns.includes(key));
+        if (unknown) {
+          throw new Error(
+            `Record ${index} has the field "${unknown}", which is not in the first ${DEFAULT_SAMPLE_SIZE} records`
+          );
+        }
+        yield record;
+      }
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Excel workbooks, one table per non-empty sheet. Dates are written as ISO
+// strings using the wall-clock value shown in the workbook.
+// -----------------------------------------------------------------------------
+function pad(value: number, length = 2): string {
+  return String(value).padStart(length, "0");
+}
+
+function formatDate(date: Date): string {
+  const day = `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (!date.getHours() && !date.getMinutes() && !date.getSeconds() && !date.getMilliseconds()) {
+    return day;
+  }
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function parseWorkbook(fileBuffer: Buffer, options: ParseOptions): ParsedTable[] {
+  const headerRow = headerRowOf(options);
+  const workbook = XLSX.read(fileBuffer, { type: "buffer", cellDates: true });
+
+  return workbook.SheetNames.flatMap((sheetName) => {
+    const rows = XLSX.utils.sheet_to_json<unknown[]>(workbook.Sheets[sheetName], {
+      header: 1,
+      raw: true,
+      blankrows: false,
+      range: Math.max(headerRow - 1, 0),
+    });
+    if (!rows.length) {
+      return [];
+    }
+
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const columns = headerRow
+      ? (rows.shift() ?? []).map((name, index) => toText(name)?.trim() || `column_${index + 1}`)
+      : generatedColumnNames(width);
+    return [{ sheetName, columns, records: rows.map((row) => toRecord(columns, row)) }];
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Function to parse an uploaded file into one or more tables of records
+// -----------------------------------------------------------------------------
+export function parseFile(fileBuffer: Buffer, fileName: string, options: ParseOptions = {}): ParsedTable[] {
+  const format = options.format ?? detectFileFormat(fileName);
+
+  switch (format) {
+    case "csv":
+    case "tsv":
+      return [parseDelimited(fileBuffer, format, options)];
+    case "json":
+      return [parseJson(fileBuffer, options)];
+    case "ndjson":
+      return [parseNdjson(fileBuffer, options)];
+    case "xlsx":
+      return parseWorkbook(fileBuffer, options);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function to parse a file on disk. Delimited text and NDJSON files are
+// streamed, so only the leading records are held in memory; JSON documents and
+// workbooks cannot be read incrementally and are loaded whole.
+// -----------------------------------------------------------------------------
+export async function parseFileAt(
+  filePath: string,
+  fileName: string,
+  options: ParseOptions = {}
+): Promise<ParsedTable[]> {
+  const format = options.format ?? detectFileFormat(fileName);
+
+  switch (format) {
+    case "csv":
+    case "tsv":
+      return [await streamDelimited(filePath, format, options)];
+    case "ndjson":
+      return [await streamNdjson(filePath, options)];
+    case "json":
+    case "xlsx":
+      return parseFile(await readFile(filePath), fileName, options);
+  }
+}
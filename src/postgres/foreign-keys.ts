@@ -0,0 +1,105 @@
+import pg from "pg";
+import { quoteIdentifier } from "./column-types.js";
+
+export interface ForeignKeyDefinition {
+  table: string;
+  columns: string[];
+  references: {
+    table: string;
+    columns: string[];
+  };
+  // Constraint name, defaults to <table>_<columns>_fkey
+  name?: string;
+}
+
+function constraintName(foreignKey: ForeignKeyDefinition): string {
+  return foreignKey.name ?? `${foreignKey.table}_${foreignKey.columns.join("_")}_fkey`;
+}
+
+// -----------------------------------------------------------------------------
+// Function to order tables so that referenced tables are loaded before the
+// tables referencing them. Both the foreign keys already defined between the
+// tables and the declared ones are taken into account; self references are
+// ignored. Tables without dependencies keep their original order.
+// -----------------------------------------------------------------------------
+export async function orderByForeignKeys(
+  client: pg.PoolClient,
+  tableNames: string[],
+  declared: ForeignKeyDefinition[] = []
+): Promise<string[]> {
+  const existing = await client.query<{ table_name: string; referenced_table: string }>(
+    `SELECT child.relname AS table_name, parent.relname AS referenced_table
+     FROM pg_constraint c
+     JOIN pg_class child ON child.oid = c.conrelid
+     JOIN pg_class parent ON parent.oid = c.confrelid
+     JOIN pg_namespace n ON n.oid = child.relnamespace AND n.oid = parent.relnamespace
+     WHERE c.contype = 'f'
+       AND n.nspname = current_schema()
+       AND child.relname = ANY($1)
+       AND parent.relname = ANY($1)`,
+    [tableNames]
+  );
+
+  const dependencies = new Map(tableNames.map((name) => [name, new Set<string>()]));
+  const edges = [
+    ...existing.rows.map((row) => [row.table_name, row.referenced_table]),
+    ...declared.map((foreignKey) => [foreignKey.table, foreignKey.references.table]),
+  ];
+  for (const [table, referenced] of edges) {
+    if (table !== referenced && dependencies.has(table) && dependencies.has(referenced)) {
+      dependencies.get(table)!.add(referenced);
+    }
+  }
+
+  const ordered: string[] = [];
+  while (ordered.length < tableNames.length) {
+    const next = tableNames.find(
+      (name) =>
+        !ordered.includes(name) &&
+        [...dependencies.get(name)!].every((referenced) => ordered.includes(referenced))
+    );
+    if (!next) {
+      const remaining = tableNames.filter((name) => !ordered.includes(name));
+      throw new Error(`Circular foreign keys between tables: ${remaining.join(", ")}`);
+    }
+    ordered.push(next);
+  }
+  return ordered;
+}
+
+// -----------------------------------------------------------------------------
+// Function to add declared foreign keys that do not exist yet. Adding the
+// constraint validates every loaded row, so a violation fails the import.
+// -----------------------------------------------------------------------------
+export async function addForeignKeys(
+  client: pg.PoolClient,
+  foreignKeys: ForeignKeyDefinition[]
+): Promise<string[]> {
+  const added: string[] = [];
+  for (const foreignKey of foreignKeys) {
+    if (foreignKey.columns.length !== foreignKey.references.columns.length) {
+      throw new Error(
+        `Foreign key on "${foreignKey.table}" lists ${foreignKey.columns.length} column(s) but references ${foreignKey.references.columns.length}`
+      );
+    }
+
+    const name = constraintName(foreignKey);
+    const exists = await client.query(
+      `SELECT 1 FROM pg_constraint WHERE conrelid = $1::regclass AND conname = $2`,
+      [quoteIdentifier(foreignKey.table), name]
+    );
+    if (exists.rows.length) {
+      continue;
+    }
+
+    const columns = foreignKey.columns.map(quoteIdentifier).join(", ");
+    const referencedColumns = foreignKey.references.columns.map(quoteIdentifier).join(", ");
+    await client.query(
+      `ALTER TABLE ${quoteIdentifier(foreignKey.table)}
+       ADD CONSTRAINT ${quoteIdentifier(name)} FOREIGN KEY (${columns})
+       REFERENCES ${quoteIdentifier(foreignKey.references.table)} (${referencedColumns})`
+    );
+    added.push(name);
+  }
+  return added;
+}
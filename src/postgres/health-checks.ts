@@ -0,0 +1,655 @@
+import pg from "pg";
+import { isSchemaAllowed, qualifiedTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import { Policy, canAccess } from "./policy.js";
+
+// -----------------------------------------------------------------------------
+// Health and performance checks of a database, built on the statistics views
+// pg_stat_statements, pg_stat_user_tables, pg_stat_user_indexes, pg_locks and
+// pg_stat_activity. Each check reports findings with a severity and a
+// suggested remediation. Findings about tables only cover tables in the
+// allowed schemas that the access policy grants read access to, and under an
+// access policy query texts are left out, as they may show values the policy
+// hides.
+// -----------------------------------------------------------------------------
+
+export const HEALTH_CHECKS = [
+  "slow_queries",
+  "unused_indexes",
+  "duplicate_indexes",
+  "bloat",
+  "maintenance",
+  "blocking_locks",
+] as const;
+export type HealthCheck = (typeof HEALTH_CHECKS)[number];
+
+export const SEVERITIES = ["critical", "warning", "info"] as const;
+export type Severity = (typeof SEVERITIES)[number];
+
+export const QUERY_ORDERS = ["total_time", "mean_time", "calls"] as const;
+export type QueryOrder = (typeof QUERY_ORDERS)[number];
+
+export interface Finding {
+  check: HealthCheck;
+  severity: Severity;
+  // What the finding is about, e.g. table sales.orders or pid 4711
+  object: string;
+  message: string;
+  remediation: string;
+  details: Record<string, unknown>;
+}
+
+export interface HealthScope {
+  schemas: string[] | null;
+  policy: Policy | null;
+}
+
+// Queries taking longer on average are slow, and critical at 10 times this
+const SLOW_QUERY_MS = 1000;
+// Queries taking this share of the time of all statements are reported
+const DOMINANT_TIME_SHARE = 0.2;
+const MAX_QUERY_FINDINGS = 10;
+// Tables with fewer rows or dead rows are left out of maintenance findings
+const MIN_TABLE_ROWS = 1000;
+// Share of dead rows from which a table counts as bloated, and critical
+const BLOAT_SHARE = 0.2;
+const CRITICAL_BLOAT_SHARE = 0.5;
+// Share of rows changed since the last analyze making statistics stale
+const STALE_STATISTICS_SHARE = 0.2;
+// Transaction ID age of a table's oldest unfrozen row. PostgreSQL stops
+// accepting writes shortly before 2^31.
+const FREEZE_AGE_WARNING = 500_000_000;
+const FREEZE_AGE_CRITICAL = 1_000_000_000;
+// Unused indexes of this size or more are worth a warning
+const LARGE_INDEX_BYTES = 10 * 1024 * 1024;
+// Sessions blocked this long make a blocking lock chain critical
+const CRITICAL_WAIT_SECONDS = 60;
+// Characters of query texts shown in lock chains
+const MAX_QUERY_TEXT = 500;
+
+const MISSING_STATEMENT_STATS =
+  "Add pg_stat_statements to shared_preload_libraries, restart PostgreSQL and run CREATE EXTENSION pg_stat_statements in this database";
+
+function round(value: number, digits = 2): number {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function calls(count: number): string {
+  return `${count} call${count === 1 ? "" : "s"}`;
+}
+
+function percent(share: number): string {
+  return `${round(share * 100, 1)}%`;
+}
+
+interface RootedRow {
+  schema: string;
+  table: string;
+  root_schema: string;
+  root_table: string;
+}
+
+// Rows about tables the scope covers. Partitions follow their partitioned
+// table, as elsewhere under the access policy.
+function inScope<Row extends RootedRow>(rows: Row[], { schemas, policy }: HealthScope): Row[] {
+  return rows.filter(
+    (row) => isSchemaAllowed(schemas, row.schema) && canAccess(policy, "read", row.root_schema, row.root_table)
+  );
+}
+
+// Joins to the partitioned table of a relation named by oid
+function rootJoin(oid: string): string {
+  return `JOIN pg_class rc ON rc.oid = COALESCE(pg_partition_root(${oid}), ${oid})
+     JOIN pg_namespace rn ON rn.oid = rc.relnamespace`;
+}
+
+// -----------------------------------------------------------------------------
+// Statement statistics of pg_stat_statements
+// -----------------------------------------------------------------------------
+
+export interface QueryStats {
+  queryId: string;
+  // Null under an access policy
+  query: string | null;
+  calls: number;
+  totalTimeMs: number;
+  meanTimeMs: number;
+  maxTimeMs: number;
+  rows: number;
+  // Share of the time of all statements of the database
+  timeShare: number;
+  // Share of shared buffer reads found in the cache, null without reads
+  cacheHitRatio: number | null;
+}
+
+// The pg_stat_statements view qualified by the extension's schema, and the
+// prefix of its time columns, which PostgreSQL 13 renamed from total_time to
+// total_exec_time. Null when the extension is not installed.
+async function statementStatsView(client: pg.PoolClient): Promise<{ view: string; time: string } | null> {
+  const result = await client.query<{ schema: string; exec_columns: boolean }>(
+    `SELECT n.nspname AS schema,
+            EXISTS (
+              SELECT 1 FROM pg_attribute a
+              WHERE a.attrelid = to_regclass(quote_ident(n.nspname) || '.pg_stat_statements')
+                AND a.attname = 'total_exec_time'
+            ) AS exec_columns
+     FROM pg_extension e
+     JOIN pg_namespace n ON n.oid = e.extnamespace
+     WHERE e.extname = 'pg_stat_statements'`
+  );
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+  return { view: `${quoteIdentifier(row.schema)}.pg_stat_statements`, time: row.exec_columns ? "exec_time" : "time" };
+}
+
+// Statements of the current database by the given order, null when
+// pg_stat_statements is not installed or its library not preloaded
+async function readQueryStats(
+  client: pg.PoolClient,
+  order: QueryOrder,
+  limit: number,
+  scope: HealthScope
+): Promise<QueryStats[] | null> {
+  const stats = await statementStatsView(client);
+  if (!stats) {
+    return null;
+  }
+  const { view, time } = stats;
+  const orderColumn = { total_time: `total_${time}`, mean_time: `mean_${time}`, calls: "calls" }[order];
+  // Reading the view fails when the library is not preloaded, which would
+  // abort the caller's transaction
+  await client.query("SAVEPOINT query_stats");
+  let result: pg.QueryResult<Omit<QueryStats, "timeShare"> & { all_time: number }>;
+  try {
+    result = await client.query(
+      `WITH statements AS (
+         SELECT * FROM ${view}
+         WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+       )
+       SELECT queryid::text AS "queryId", query, calls::float8 AS calls,
+              total_${time}::float8 AS "totalTimeMs", mean_${time}::float8 AS "meanTimeMs",
+              max_${time}::float8 AS "maxTimeMs", rows::float8 AS rows,
+              CASE WHEN shared_blks_hit + shared_blks_read > 0
+                THEN shared_blks_hit::float8 / (shared_blks_hit + shared_blks_read)
+              END AS "cacheHitRatio",
+              sum(total_${time}) OVER ()::float8 AS all_time
+       FROM statements
+       ORDER BY ${orderColumn} DESC
+       LIMIT $1`,
+      [limit]
+    );
+  } catch (error) {
+    await client.query("ROLLBACK TO SAVEPOINT query_stats");
+    // object_not_in_prerequisite_state: the library is not loaded
+    if ((error as { code?: string }).code === "55000") {
+      return null;
+    }
+    throw error;
+  }
+  return result.rows.map(({ all_time: allTime, ...row }) => ({
+    ...row,
+    query: scope.policy ? null : row.query,
+    totalTimeMs: round(row.totalTimeMs),
+    meanTimeMs: round(row.meanTimeMs),
+    maxTimeMs: round(row.maxTimeMs),
+    timeShare: allTime > 0 ? round(row.totalTimeMs / allTime, 4) : 0,
+    cacheHitRatio: row.cacheHitRatio === null ? null : round(row.cacheHitRatio, 4),
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// Function to list the statements of the current database that took the most
+// time or ran most often. Throws an error with the steps to enable
+// pg_stat_statements when it is not available.
+// -----------------------------------------------------------------------------
+export async function topQueries(
+  client: pg.PoolClient,
+  order: QueryOrder,
+  limit: number,
+  scope: HealthScope
+): Promise<QueryStats[]> {
+  const queries = await readQueryStats(client, order, limit, scope);
+  if (!queries) {
+    throw new Error(`pg_stat_statements is not available. ${MISSING_STATEMENT_STATS}`);
+  }
+  return queries;
+}
+
+async function checkSlowQueries(client: pg.PoolClient, scope: HealthScope): Promise<Finding[]> {
+  const byMean = await readQueryStats(client, "mean_time", MAX_QUERY_FINDINGS, scope);
+  const byTotal = await readQueryStats(client, "total_time", MAX_QUERY_FINDINGS, scope);
+  if (!byMean || !byTotal) {
+    return [
+      {
+        check: "slow_queries",
+        severity: "info",
+        object: "pg_stat_statements",
+        message: "Query statistics are not available, so slow queries cannot be found",
+        remediation: MISSING_STATEMENT_STATS,
+        details: {},
+      },
+    ];
+  }
+  const findings: Finding[] = [];
+  const analyzeHint = "Look at its plan with analyze_query, which also suggests indexes";
+  for (const stats of byMean.filter(({ meanTimeMs }) => meanTimeMs >= SLOW_QUERY_MS)) {
+    findings.push({
+      check: "slow_queries",
+      severity: stats.meanTimeMs >= SLOW_QUERY_MS * 10 ? "critical" : "warning",
+      object: `query ${stats.queryId}`,
+      message: `Query takes ${stats.meanTimeMs} ms on average over ${calls(stats.calls)}`,
+      remediation: analyzeHint,
+      details: { ...stats },
+    });
+  }
+  const reported = new Set(findings.map(({ object }) => object));
+  for (const stats of byTotal.filter(({ timeShare }) => timeShare >= DOMINANT_TIME_SHARE)) {
+    if (reported.has(`query ${stats.queryId}`)) {
+      continue;
+    }
+    findings.push({
+      check: "slow_queries",
+      severity: "info",
+      object: `query ${stats.queryId}`,
+      message: `Query takes ${percent(stats.timeShare)} of the time of all statements, over ${calls(stats.calls)}`,
+      remediation: `${analyzeHint}; speeding it up helps the whole database most`,
+      details: { ...stats },
+    });
+  }
+  return findings;
+}
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+
+async function checkUnusedIndexes(client: pg.PoolClient, scope: HealthScope): Promise<Finding[]> {
+  const result = await client.query<
+    RootedRow & { index: string; bytes: number; size: string; definition: string; stats_reset: string | null }
+  >(
+    `SELECT s.schemaname AS schema, s.relname AS table, s.indexrelname AS index,
+            rn.nspname AS root_schema, rc.relname AS root_table,
+            pg_relation_size(s.indexrelid)::float8 AS bytes,
+            pg_size_pretty(pg_relation_size(s.indexrelid)) AS size,
+            pg_get_indexdef(s.indexrelid) AS definition,
+            (SELECT stats_reset::text FROM pg_stat_database WHERE datname = current_database()) AS stats_reset
+     FROM pg_stat_user_indexes s
+     JOIN pg_index i ON i.indexrelid = s.indexrelid
+     ${rootJoin("s.relid")}
+     WHERE s.idx_scan = 0 AND NOT i.indisunique AND NOT i.indisprimary
+       AND NOT EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = s.indexrelid)
+     ORDER BY pg_relation_size(s.indexrelid) DESC`
+  );
+  return inScope(result.rows, scope).map((row): Finding => ({
+    check: "unused_indexes",
+    severity: row.bytes >= LARGE_INDEX_BYTES ? "warning" : "info",
+    object: `index ${row.schema}.${row.index}`,
+    message: `Index on ${row.schema}.${row.table} has not been used ${
+      row.stats_reset ? `since the statistics were reset at ${row.stats_reset}` : "since the statistics were reset"
+    }, but takes ${row.size} and slows down every write`,
+    remediation: `Make sure no rare job or standby server needs it, then DROP INDEX CONCURRENTLY ${qualifiedTableName(row.schema, row.index)}`,
+    details: { table: `${row.schema}.${row.table}`, size: row.size, definition: row.definition },
+  }));
+}
+
+async function checkDuplicateIndexes(client: pg.PoolClient, scope: HealthScope): Promise<Finding[]> {
+  // An index is redundant when another index of the same kind, expressions
+  // and predicate starts with the same key columns and operator classes. Of
+  // two identical indexes the newer one is reported, unless only the older
+  // one can be dropped because the other backs a constraint.
+  const result = await client.query<
+    RootedRow & { index: string; covering_index: string; identical: boolean; size: string; definition: string; covering_definition: string }
+  >(
+    `WITH indexes AS (
+       SELECT i.indexrelid, i.indrelid, i.indisunique, c.relam,
+              (string_to_array(i.indkey::text, ' '))[1:i.indnkeyatts] AS keys,
+              (string_to_array(i.indclass::text, ' '))[1:i.indnkeyatts] AS classes,
+              pg_get_expr(i.indexprs, i.indrelid) AS expressions,
+              pg_get_expr(i.indpred, i.indrelid) AS predicate,
+              EXISTS (SELECT 1 FROM pg_constraint k WHERE k.conindid = i.indexrelid) AS constrained
+       FROM pg_index i
+       JOIN pg_class c ON c.oid = i.indexrelid
+       WHERE i.indisvalid
+     )
+     SELECT n.nspname AS schema, t.relname AS table, rn.nspname AS root_schema, rc.relname AS root_table,
+            ci.relname AS index, cd.relname AS covering_index, r.keys = d.keys AS identical,
+            pg_size_pretty(pg_relation_size(r.indexrelid)) AS size,
+            pg_get_indexdef(r.indexrelid) AS definition, pg_get_indexdef(d.indexrelid) AS covering_definition
+     FROM indexes r
+     JOIN indexes d ON d.indrelid = r.indrelid AND d.indexrelid <> r.indexrelid AND d.relam = r.relam
+       AND d.keys[1:cardinality(r.keys)] = r.keys AND d.classes[1:cardinality(r.classes)] = r.classes
+       AND d.expressions IS NOT DISTINCT FROM r.expressions AND d.predicate IS NOT DISTINCT FROM r.predicate
+     JOIN pg_class ci ON ci.oid = r.indexrelid
+     JOIN pg_class cd ON cd.oid = d.indexrelid
+     JOIN pg_class t ON t.oid = r.indrelid
+     JOIN pg_namespace n ON n.oid = t.relnamespace
+     ${rootJoin("t.oid")}
+     WHERE n.nspname NOT IN ('pg_catalog', 'information_schema') AND NOT r.constrained
+       AND CASE WHEN r.keys = d.keys
+             THEN (r.indisunique <= d.indisunique) AND (d.constrained OR r.indexrelid > d.indexrelid OR r.indisunique < d.indisunique)
+             ELSE NOT r.indisunique
+           END
+     ORDER BY n.nspname, t.relname, ci.relname, r.keys = d.keys DESC`
+  );
+  const findings = new Map<string, Finding>();
+  for (const row of inScope(result.rows, scope)) {
+    const object = `index ${row.schema}.${row.index}`;
+    // An index covered by several others is reported once, as a duplicate
+    // when it has one
+    if (findings.has(object)) {
+      continue;
+    }
+    findings.set(object, {
+      check: "duplicate_indexes",
+      severity: row.identical ? "warning" : "info",
+      object,
+      message: row.identical
+        ? `Index duplicates ${row.schema}.${row.covering_index} on ${row.schema}.${row.table}`
+        : `Index is covered by ${row.schema}.${row.covering_index} on ${row.schema}.${row.table}, whose leading columns are the same`,
+      remediation: `DROP INDEX CONCURRENTLY ${qualifiedTableName(row.schema, row.index)} to save ${row.size} and speed up writes`,
+      details: {
+        table: `${row.schema}.${row.table}`,
+        size: row.size,
+        definition: row.definition,
+        coveredBy: row.covering_definition,
+      },
+    });
+  }
+  return [...findings.values()];
+}
+
+// -----------------------------------------------------------------------------
+// Tables
+// -----------------------------------------------------------------------------
+
+interface TableStats extends RootedRow {
+  live: number;
+  dead: number;
+  modified: number;
+  size: string;
+  bytes: number;
+  last_vacuum: string | null;
+  last_analyze: string | null;
+  freeze_age: number;
+}
+
+async function tableStats(client: pg.PoolClient, scope: HealthScope): Promise<TableStats[]> {
+  const result = await client.query<TableStats>(
+    `SELECT s.schemaname AS schema, s.relname AS table, rn.nspname AS root_schema, rc.relname AS root_table,
+            s.n_live_tup::float8 AS live, s.n_dead_tup::float8 AS dead, s.n_mod_since_analyze::float8 AS modified,
+            pg_size_pretty(pg_table_size(s.relid)) AS size, pg_table_size(s.relid)::float8 AS bytes,
+            GREATEST(s.last_vacuum, s.last_autovacuum)::text AS last_vacuum,
+            GREATEST(s.last_analyze, s.last_autoanalyze)::text AS last_analyze,
+            -- Partitioned tables have no rows to freeze
+            CASE WHEN c.relfrozenxid::text <> '0' THEN age(c.relfrozenxid)::float8 ELSE 0 END AS freeze_age
+     FROM pg_stat_user_tables s
+     JOIN pg_class c ON c.oid = s.relid
+     ${rootJoin("s.relid")}
+     ORDER BY s.schemaname, s.relname`
+  );
+  return inScope(result.rows, scope);
+}
+
+function checkBloat(tables: TableStats[]): Finding[] {
+  const findings: Finding[] = [];
+  for (const table of tables) {
+    const share = table.dead / Math.max(table.live + table.dead, 1);
+    if (table.dead < MIN_TABLE_ROWS || share < BLOAT_SHARE) {
+      continue;
+    }
+    const name = qualifiedTableName(table.schema, table.table);
+    const critical = share >= CRITICAL_BLOAT_SHARE;
+    findings.push({
+      check: "bloat",
+      severity: critical ? "critical" : "warning",
+      object: `table ${table.schema}.${table.table}`,
+      message: `${percent(share)} of the table's rows are dead (${table.dead} of ${table.live + table.dead}), about ${percent(share)} of its ${table.size} is wasted`,
+      remediation: critical
+        ? `VACUUM (ANALYZE) ${name} makes the space reusable; returning it to the operating system needs VACUUM FULL ${name}, which locks the table, or pg_repack. Lower the table's autovacuum_vacuum_scale_factor so autovacuum runs sooner`
+        : `VACUUM (ANALYZE) ${name}, and lower the table's autovacuum_vacuum_scale_factor if autovacuum falls behind`,
+      details: {
+        liveRows: table.live,
+        deadRows: table.dead,
+        size: table.size,
+        estimatedWastedBytes: Math.round(table.bytes * share),
+        lastVacuum: table.last_vacuum,
+      },
+    });
+  }
+  return findings;
+}
+
+function checkMaintenance(tables: TableStats[]): Finding[] {
+  const findings: Finding[] = [];
+  for (const table of tables) {
+    const name = qualifiedTableName(table.schema, table.table);
+    const object = `table ${table.schema}.${table.table}`;
+    const details = {
+      liveRows: table.live,
+      rowsChangedSinceAnalyze: table.modified,
+      lastVacuum: table.last_vacuum,
+      lastAnalyze: table.last_analyze,
+      freezeAge: table.freeze_age,
+    };
+    if (table.freeze_age >= FREEZE_AGE_WARNING) {
+      findings.push({
+        check: "maintenance",
+        severity: table.freeze_age >= FREEZE_AGE_CRITICAL ? "critical" : "warning",
+        object,
+        message: `The table's oldest unfrozen transaction ID is ${table.freeze_age} transactions old; PostgreSQL stops accepting writes at about 2 billion to prevent wraparound`,
+        remediation: `VACUUM (FREEZE) ${name}, and check that autovacuum is not blocked by long transactions`,
+        details,
+      });
+    }
+    const rows = Math.max(table.live, table.modified);
+    if (rows < MIN_TABLE_ROWS) {
+      continue;
+    }
+    if (!table.last_analyze) {
+      findings.push({
+        check: "maintenance",
+        severity: "warning",
+        object,
+        message: "The table has never been analyzed, so the planner guesses its row counts and value distribution",
+        remediation: `ANALYZE ${name}`,
+        details,
+      });
+    } else if (table.modified >= table.live * STALE_STATISTICS_SHARE) {
+      findings.push({
+        check: "maintenance",
+        severity: "warning",
+        object,
+        message: `${table.modified} rows changed since the table was last analyzed at ${table.last_analyze}, so its statistics are stale`,
+        remediation: `ANALYZE ${name}, and lower the table's autovacuum_analyze_scale_factor if its data keeps changing this fast`,
+        details,
+      });
+    }
+    if (!table.last_vacuum && table.dead > 0) {
+      findings.push({
+        check: "maintenance",
+        severity: "info",
+        object,
+        message: `The table has never been vacuumed and has ${table.dead} dead rows`,
+        remediation: `VACUUM (ANALYZE) ${name}, and check that autovacuum is enabled`,
+        details: { ...details, deadRows: table.dead },
+      });
+    }
+  }
+  return findings;
+}
+
+// -----------------------------------------------------------------------------
+// Blocking locks
+// -----------------------------------------------------------------------------
+
+interface Session {
+  pid: number;
+  database: string | null;
+  user: string | null;
+  application: string | null;
+  state: string | null;
+  query: string | null;
+  blocked_by: number[];
+  transaction_seconds: number | null;
+  waiting_seconds: number | null;
+  // The lock the session waits for, e.g. AccessExclusiveLock on relation sales.orders
+  waiting_for: string | null;
+}
+
+export interface LockChain {
+  pid: number;
+  user: string | null;
+  application: string | null;
+  state: string | null;
+  query: string | null;
+  transactionSeconds: number | null;
+  waitingSeconds: number | null;
+  waitingFor: string | null;
+  // Sessions waiting for this one's locks
+  blocks: LockChain[];
+}
+
+async function sessions(client: pg.PoolClient): Promise<Session[]> {
+  const result = await client.query<Session>(
+    `SELECT a.pid, a.datname AS database, a.usename AS user, a.application_name AS application, a.state,
+            a.query, pg_blocking_pids(a.pid) AS blocked_by,
+            round(extract(epoch FROM now() - a.xact_start)::numeric, 1)::float8 AS transaction_seconds,
+            CASE WHEN a.wait_event_type = 'Lock'
+              THEN round(extract(epoch FROM now() - a.state_change)::numeric, 1)::float8
+            END AS waiting_seconds,
+            (SELECT l.mode || ' on ' || l.locktype ||
+                    COALESCE(' ' || l.relation::regclass::text, ' ' || l.transactionid::text, '')
+             FROM pg_locks l WHERE l.pid = a.pid AND NOT l.granted LIMIT 1) AS waiting_for
+     FROM pg_stat_activity a
+     WHERE a.backend_type = 'client backend' AND a.pid <> pg_backend_pid()`
+  );
+  return result.rows;
+}
+
+// -----------------------------------------------------------------------------
+// Function to find the chains of sessions blocking each other that include a
+// session of the current database. Each chain starts at a session holding
+// locks without waiting for any itself.
+// -----------------------------------------------------------------------------
+export async function blockingLockChains(client: pg.PoolClient, scope: HealthScope): Promise<LockChain[]> {
+  const all = await sessions(client);
+  const byPid = new Map(all.map((session) => [session.pid, session]));
+  const database = (await client.query<{ name: string }>("SELECT current_database() AS name")).rows[0].name;
+
+  const chain = (session: Session, seen: Set<number>): LockChain => {
+    seen.add(session.pid);
+    return {
+      pid: session.pid,
+      user: session.user,
+      application: session.application,
+      state: session.state,
+      query: scope.policy ? null : (session.query?.slice(0, MAX_QUERY_TEXT) ?? null),
+      transactionSeconds: session.transaction_seconds,
+      waitingSeconds: session.waiting_seconds,
+      waitingFor: session.waiting_for,
+      blocks: all
+        .filter((blocked) => blocked.blocked_by.includes(session.pid) && !seen.has(blocked.pid))
+        .map((blocked) => chain(blocked, seen)),
+    };
+  };
+  const blocked = all.filter((session) => session.blocked_by.length && session.database === database);
+  // Sessions blocking others without waiting themselves; blockers that are
+  // not client backends start a chain of their own
+  const roots = new Set<number>();
+  for (const session of blocked) {
+    const pending = [...session.blocked_by];
+    const visited = new Set<number>();
+    while (pending.length) {
+      const pid = pending.pop()!;
+      if (visited.has(pid)) {
+        continue;
+      }
+      visited.add(pid);
+      const blocker = byPid.get(pid);
+      if (!blocker || !blocker.blocked_by.length) {
+        roots.add(pid);
+      } else {
+        pending.push(...blocker.blocked_by);
+      }
+    }
+  }
+  const seen = new Set<number>();
+  return [...roots].map((pid) => {
+    const session = byPid.get(pid);
+    return session
+      ? chain(session, seen)
+      : {
+          pid,
+          user: null,
+          application: null,
+          state: null,
+          query: null,
+          transactionSeconds: null,
+          waitingSeconds: null,
+          waitingFor: null,
+          blocks: blocked
+            .filter((waiting) => waiting.blocked_by.includes(pid) && !seen.has(waiting.pid))
+            .map((waiting) => chain(waiting, seen)),
+        };
+  });
+}
+
+function chainSessions(chain: LockChain): LockChain[] {
+  return [chain, ...chain.blocks.flatMap(chainSessions)];
+}
+
+async function checkBlockingLocks(client: pg.PoolClient, scope: HealthScope): Promise<Finding[]> {
+  return (await blockingLockChains(client, scope)).map((chain): Finding => {
+    const waiting = chainSessions(chain).slice(1);
+    const longestWait = Math.max(...waiting.map((session) => session.waitingSeconds ?? 0));
+    const idle = chain.state?.startsWith("idle in transaction");
+    return {
+      check: "blocking_locks",
+      severity: longestWait >= CRITICAL_WAIT_SECONDS ? "critical" : "warning",
+      object: `pid ${chain.pid}`,
+      message: `Session ${chain.pid}${chain.state ? ` (${chain.state})` : ""} blocks ${waiting.length} session${
+        waiting.length === 1 ? "" : "s"
+      }, the longest waiting ${longestWait} s`,
+      remediation: idle
+        ? `The session holds its locks while idle in a transaction. End it with SELECT pg_terminate_backend(${chain.pid}) and set idle_in_transaction_session_timeout`
+        : `Wait for the session to finish, or cancel its statement with SELECT pg_cancel_backend(${chain.pid}); keep transactions taking strong locks short`,
+      details: { chain },
+    };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Function to run health checks, returning their findings by severity
+// -----------------------------------------------------------------------------
+export async function runHealthChecks(
+  client: pg.PoolClient,
+  checks: HealthCheck[],
+  scope: HealthScope
+): Promise<Finding[]> {
+  const findings: Finding[] = [];
+  if (checks.includes("slow_queries")) {
+    findings.push(...(await checkSlowQueries(client, scope)));
+  }
+  if (checks.includes("unused_indexes")) {
+    findings.push(...(await checkUnusedIndexes(client, scope)));
+  }
+  if (checks.includes("duplicate_indexes")) {
+    findings.push(...(await checkDuplicateIndexes(client, scope)));
+  }
+  if (checks.includes("bloat") || checks.includes("maintenance")) {
+    const tables = await tableStats(client, scope);
+    if (checks.includes("bloat")) {
+      findings.push(...checkBloat(tables));
+    }
+    if (checks.includes("maintenance")) {
+      findings.push(...checkMaintenance(tables));
+    }
+  }
+  if (checks.includes("blocking_locks")) {
+    findings.push(...(await checkBlockingLocks(client, scope)));
+  }
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
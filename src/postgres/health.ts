@@ -0,0 +1,77 @@
+import http from "http";
+import pg from "pg";
+import { Databases } from "./databases.js";
+import { sendJson } from "./http-server.js";
+
+// -----------------------------------------------------------------------------
+// Health and readiness endpoints of the HTTP modes, for load balancers and
+// orchestrators. Both run a query through the pool of every database, and
+// fail when one does not answer; readiness also fails while the server is
+// shutting down. They need no API key.
+// -----------------------------------------------------------------------------
+
+export const HEALTH_PATH = "/healthz";
+export const READINESS_PATH = "/readyz";
+
+// Time the database has to answer a health check
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+async function checkDatabase(pool: pg.Pool): Promise<string | null> {
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`no answer within ${HEALTH_CHECK_TIMEOUT_MS} ms`)),
+      HEALTH_CHECK_TIMEOUT_MS
+    );
+  });
+  try {
+    await Promise.race([pool.query("SELECT 1"), timeout]);
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Answers requests for the health and readiness paths. Returns false for
+// other paths.
+export async function handleHealthRequest(
+  databases: Databases,
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  accepting: () => boolean
+): Promise<boolean> {
+  const path = new URL(req.url ?? "/", "http://localhost").pathname;
+  if (path !== HEALTH_PATH && path !== READINESS_PATH) {
+    return false;
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    sendJson(res, 405, { status: "error", error: "Method not allowed" }, { Allow: "GET, HEAD" });
+    return true;
+  }
+
+  const headers = { "Cache-Control": "no-store" };
+  if (path === READINESS_PATH && !accepting()) {
+    sendJson(res, 503, { status: "unavailable", error: "the server is shutting down" }, headers);
+    return true;
+  }
+  const errors = await Promise.all(databases.connections.map(({ pool }) => checkDatabase(pool)));
+  const status: Record<string, string> = {};
+  databases.connections.forEach(({ name }, index) => {
+    const error = errors[index];
+    // The reason is logged rather than sent, as these endpoints are public
+    if (error) {
+      console.error(`Health check of database ${name} failed: ${error}`);
+    }
+    status[name] = error ? "unreachable" : "ok";
+  });
+  const healthy = errors.every((error) => error === null);
+  sendJson(
+    res,
+    healthy ? 200 : 503,
+    { status: healthy ? "ok" : "unavailable", databases: status },
+    headers
+  );
+  return true;
+}
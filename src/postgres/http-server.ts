@@ -0,0 +1,151 @@
+import http from "http";
+import { ApiKey, ApiKeys, acquireRequestSlot, authenticate, isOriginAllowed } from "./api-keys.js";
+
+// -----------------------------------------------------------------------------
+// HTTP plumbing shared by the REST and Streamable HTTP modes: the server, JSON
+// responses, request bodies, and the checks every request passes before it
+// reaches a transport.
+// -----------------------------------------------------------------------------
+
+// Largest request body accepted
+export const MAXIMUM_MESSAGE_SIZE = 4 * 1024 * 1024;
+
+export type HttpHandler = (req: http.IncomingMessage, res: http.ServerResponse) => Promise<void>;
+
+export function sendJson(
+  res: http.ServerResponse,
+  status: number,
+  body: unknown,
+  headers: Record<string, string> = {}
+): void {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+export function sendError(
+  res: http.ServerResponse,
+  status: number,
+  message: string,
+  headers: Record<string, string> = {}
+): void {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code: -32000, message }, id: null }, headers);
+}
+
+// Reads the request body, null when it is larger than MAXIMUM_MESSAGE_SIZE
+export async function readBody(req: http.IncomingMessage): Promise<string | null> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAXIMUM_MESSAGE_SIZE) {
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Reads a JSON request body. Sends the error response and returns undefined
+// when the content type, size or syntax is wrong.
+export async function readJsonBody(
+  req: http.IncomingMessage,
+  res: http.ServerResponse
+): Promise<unknown> {
+  if (!req.headers["content-type"]?.includes("application/json")) {
+    sendError(res, 415, "Unsupported Media Type: Content-Type must be application/json");
+    return undefined;
+  }
+  const body = await readBody(req);
+  if (body === null) {
+    sendError(res, 413, "Request body too large");
+    return undefined;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    sendJson(res, 400, {
+      jsonrpc: "2.0",
+      error: { code: -32700, message: "Parse error", data: String(error) },
+      id: null,
+    });
+    return undefined;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Checks that apply before the body is read: origin, method, API key and
+// limits. Answers CORS preflight requests. Returns the key and a function
+// releasing its request slot, or null when a response was sent.
+// -----------------------------------------------------------------------------
+export function admitRequest(
+  apiKeys: ApiKeys | null,
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  cors: { methods: string[]; headers: string[]; exposedHeaders?: string[] }
+): { apiKey: ApiKey | null; release: () => void } | null {
+  const origin = req.headers.origin;
+  if (origin && apiKeys) {
+    if (!isOriginAllowed(apiKeys, origin)) {
+      sendError(res, 403, `Origin ${origin} is not allowed`);
+      return null;
+    }
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+    if (cors.exposedHeaders) {
+      res.setHeader("Access-Control-Expose-Headers", cors.exposedHeaders.join(", "));
+    }
+  }
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Methods": cors.methods.join(", "),
+      "Access-Control-Allow-Headers": ["Authorization", "X-API-Key", ...cors.headers].join(", "),
+      "Access-Control-Max-Age": "600",
+    });
+    res.end();
+    return null;
+  }
+  if (!cors.methods.includes(req.method ?? "")) {
+    sendError(res, 405, "Method not allowed", { Allow: cors.methods.join(", ") });
+    return null;
+  }
+
+  if (!apiKeys) {
+    return { apiKey: null, release: () => {} };
+  }
+  const apiKey = authenticate(apiKeys, req.headers);
+  if (!apiKey) {
+    sendError(res, 401, "Missing or invalid API key", { "WWW-Authenticate": "Bearer" });
+    return null;
+  }
+  const slot = acquireRequestSlot(apiKey);
+  if ("retryAfter" in slot) {
+    sendError(res, 429, `Too many requests for API key "${apiKey.name}"`, {
+      "Retry-After": String(slot.retryAfter),
+    });
+    return null;
+  }
+  return { apiKey, release: slot.release };
+}
+
+// Starts an HTTP server answering every request with the handler
+export async function listenHttp(
+  options: { port: number; host: string },
+  handler: HttpHandler
+): Promise<http.Server> {
+  const server = http.createServer((req, res) => {
+    handler(req, res).catch((error) => {
+      console.error("Error handling HTTP request:", error);
+      if (!res.headersSent) {
+        sendError(res, 500, "Internal server error");
+      } else {
+        res.end();
+      }
+    });
+  });
+  await new Promise<void>((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port, options.host || undefined, () => resolve());
+  });
+  server.on("error", (error) => console.error("HTTP server error:", error));
+  return server;
+}
@@ -0,0 +1,264 @@
+import { randomUUID } from "crypto";
+import http from "http";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import {
+  EventId,
+  EventStore,
+  StreamId,
+  StreamableHTTPServerTransport,
+} from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { JSONRPCMessage, isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { ApiKey, ApiKeys, authInfoOf } from "./api-keys.js";
+import { admitRequest, readJsonBody, sendError, sendJson } from "./http-server.js";
+
+// -----------------------------------------------------------------------------
+// Streamable HTTP transport of the MCP specification, with the older HTTP+SSE
+// transport for clients that predate it. Every session gets its own server
+// instance, made by the createServer callback, and belongs to the API key
+// that opened it. Messages sent on Streamable HTTP streams are kept so that
+// clients can resume a broken stream with Last-Event-ID.
+// -----------------------------------------------------------------------------
+
+// Messages kept per session for resuming streams
+const STORED_EVENTS_PER_SESSION = 1000;
+
+// Sessions without requests for this long are closed
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+export interface HttpSessionsOptions {
+  // Path of the Streamable HTTP endpoint
+  endpoint: string;
+  // Paths of the HTTP+SSE transport: the event stream and the message endpoint
+  sseEndpoint: string;
+  messagesEndpoint: string;
+  // Keys accepted, null to accept unauthenticated requests
+  apiKeys: ApiKeys | null;
+  createServer: () => Server;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+  server: Server;
+  // Name of the key that opened the session, null without API keys
+  owner: string | null;
+  lastUsed: number;
+}
+
+// -----------------------------------------------------------------------------
+// Event store of one session, keeping its latest messages. Event ids are
+// sequence numbers, so events of a stream replay in the order they were sent.
+// -----------------------------------------------------------------------------
+class SessionEventStore implements EventStore {
+  private events = new Map<EventId, { streamId: StreamId; message: JSONRPCMessage }>();
+  private nextId = 0;
+
+  async storeEvent(streamId: StreamId, message: JSONRPCMessage): Promise<EventId> {
+    const eventId = String(++this.nextId);
+    this.events.set(eventId, { streamId, message });
+    if (this.events.size > STORED_EVENTS_PER_SESSION) {
+      this.events.delete(this.events.keys().next().value!);
+    }
+    return eventId;
+  }
+
+  async replayEventsAfter(
+    lastEventId: EventId,
+    { send }: { send: (eventId: EventId, message: JSONRPCMessage) => Promise<void> }
+  ): Promise<StreamId> {
+    const last = this.events.get(lastEventId);
+    if (!last) {
+      throw new Error(`Event ${lastEventId} is no longer available`);
+    }
+    for (const [eventId, event] of this.events) {
+      if (Number(eventId) > Number(lastEventId) && event.streamId === last.streamId) {
+        await send(eventId, event.message);
+      }
+    }
+    return last.streamId;
+  }
+}
+
+export class HttpSessions {
+  private sessions = new Map<string, Session>();
+  private closing = false;
+  private sweeper: NodeJS.Timeout;
+
+  constructor(private options: HttpSessionsOptions) {
+    this.sweeper = setInterval(() => this.closeIdleSessions(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  get size(): number {
+    return this.sessions.size;
+  }
+
+  // Whether the path belongs to one of the transports
+  handles(path: string): boolean {
+    const { endpoint, sseEndpoint, messagesEndpoint } = this.options;
+    return path === endpoint || path === sseEndpoint || path === messagesEndpoint;
+  }
+
+  async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url ?? "/", "http://localhost");
+    const { endpoint, sseEndpoint, apiKeys } = this.options;
+    const streamable = url.pathname === endpoint;
+    const admitted = admitRequest(apiKeys, req, res, {
+      methods: streamable ? ["GET", "POST", "DELETE"] : url.pathname === sseEndpoint ? ["GET"] : ["POST"],
+      headers: ["Content-Type", "Mcp-Session-Id", "Mcp-Protocol-Version", "Last-Event-ID"],
+      exposedHeaders: ["Mcp-Session-Id"],
+    });
+    if (!admitted) {
+      return;
+    }
+    // Event streams stay open, so they only count towards the request rate
+    if (req.method === "GET") {
+      admitted.release();
+    } else {
+      res.on("close", admitted.release);
+    }
+
+    if (streamable) {
+      await this.handleStreamableRequest(req, res, admitted.apiKey);
+    } else if (url.pathname === sseEndpoint) {
+      await this.openSseSession(res, admitted.apiKey);
+    } else {
+      await this.handleSseMessage(req, res, url.searchParams.get("sessionId"), admitted.apiKey);
+    }
+  }
+
+  // Closes every session and stops accepting new ones
+  async close(): Promise<void> {
+    this.closing = true;
+    clearInterval(this.sweeper);
+    await Promise.all([...this.sessions.values()].map((session) => session.transport.close()));
+    this.sessions.clear();
+  }
+
+  private async handleStreamableRequest(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    apiKey: ApiKey | null
+  ): Promise<void> {
+    const body = req.method === "POST" ? await readJsonBody(req, res) : undefined;
+    if (req.method === "POST" && body === undefined) {
+      return;
+    }
+    const request = Object.assign(req, apiKey ? { auth: authInfoOf(apiKey) } : {});
+
+    const sessionId = req.headers["mcp-session-id"];
+    if (typeof sessionId === "string") {
+      const session = this.session(res, sessionId, apiKey);
+      if (session?.transport instanceof StreamableHTTPServerTransport) {
+        await session.transport.handleRequest(request, res, body);
+      } else if (session) {
+        sendError(res, 400, "Bad Request: the session uses the HTTP+SSE transport");
+      }
+      return;
+    }
+
+    const messages = Array.isArray(body) ? body : [body];
+    if (req.method !== "POST" || !messages.some(isInitializeRequest)) {
+      sendError(res, 400, "Bad Request: no valid session ID provided");
+      return;
+    }
+    if (this.closing) {
+      sendError(res, 503, "The server is shutting down");
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: new SessionEventStore(),
+      onsessioninitialized: (id) => this.register(id, transport, server, apiKey),
+    });
+    const server = this.options.createServer();
+    this.forgetOnClose(server, () => transport.sessionId);
+    await server.connect(transport);
+    await transport.handleRequest(request, res, body);
+  }
+
+  private async openSseSession(res: http.ServerResponse, apiKey: ApiKey | null): Promise<void> {
+    if (this.closing) {
+      sendError(res, 503, "The server is shutting down");
+      return;
+    }
+    const transport = new SSEServerTransport(this.options.messagesEndpoint, res);
+    const server = this.options.createServer();
+    this.register(transport.sessionId, transport, server, apiKey);
+    this.forgetOnClose(server, () => transport.sessionId);
+    await server.connect(transport);
+  }
+
+  private async handleSseMessage(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    sessionId: string | null,
+    apiKey: ApiKey | null
+  ): Promise<void> {
+    if (!sessionId) {
+      sendError(res, 400, "Bad Request: missing sessionId parameter");
+      return;
+    }
+    const session = this.session(res, sessionId, apiKey);
+    if (!session) {
+      return;
+    }
+    if (!(session.transport instanceof SSEServerTransport)) {
+      sendError(res, 400, "Bad Request: the session uses the Streamable HTTP transport");
+      return;
+    }
+    const body = await readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+    const request = Object.assign(req, apiKey ? { auth: authInfoOf(apiKey) } : {});
+    await session.transport.handlePostMessage(request, res, body);
+  }
+
+  // Finds a session of the key. Sends the error response and returns null when
+  // there is none.
+  private session(res: http.ServerResponse, sessionId: string, apiKey: ApiKey | null): Session | null {
+    const session = this.sessions.get(sessionId);
+    // Sessions of other keys are reported as missing, not to reveal them
+    if (!session || session.owner !== (apiKey?.name ?? null)) {
+      sendJson(res, 404, {
+        jsonrpc: "2.0",
+        error: { code: -32001, message: "Session not found" },
+        id: null,
+      });
+      return null;
+    }
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  private register(
+    sessionId: string,
+    transport: Session["transport"],
+    server: Server,
+    apiKey: ApiKey | null
+  ): void {
+    this.sessions.set(sessionId, { transport, server, owner: apiKey?.name ?? null, lastUsed: Date.now() });
+  }
+
+  // Forgets the session when its transport closes
+  private forgetOnClose(server: Server, sessionId: () => string | undefined): void {
+    server.onclose = () => {
+      const id = sessionId();
+      if (id) {
+        this.sessions.delete(id);
+      }
+    };
+  }
+
+  private closeIdleSessions(): void {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastUsed > SESSION_IDLE_TIMEOUT_MS) {
+        this.sessions.delete(id);
+        session.transport.close().catch((error) => console.error(`Error closing session ${id}:`, error));
+      }
+    }
+  }
+}
@@ -0,0 +1,439 @@
+import pg from "pg";
+import { randomUUID } from "crypto";
+import { quoteIdentifier } from "./column-types.js";
+import { ConflictMode, TableSummary } from "./merge.js";
+import { NO_LIMITS, QueryLimits, cancelOnAbort, setTransactionLimits } from "./query-limits.js";
+import { useSchema } from "./transactions.js";
+
+// -----------------------------------------------------------------------------
+// Every import is recorded as a batch in a schema managed by the server. Each
+// batch keeps the rows it inserted, the before-images of the rows it updated
+// and the rows it deleted, which is enough to restore the tables afterwards.
+// -----------------------------------------------------------------------------
+
+export const BOOKKEEPING_SCHEMA = "mcp_imports";
+
+const BATCHES_TABLE = `${quoteIdentifier(BOOKKEEPING_SCHEMA)}.batches`;
+const BATCH_ROWS_TABLE = `${quoteIdentifier(BOOKKEEPING_SCHEMA)}.batch_rows`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export type BatchRowAction = "inserted" | "updated" | "deleted";
+
+// What a batch did to one table, in the order the tables were loaded
+export interface BatchTable {
+  tableName: string;
+  // True when the import created the table
+  createdTable: boolean;
+  matchColumns: string[] | null;
+  foreignKeysAdded: string[];
+  created: number;
+  updated: number;
+  skipped: number;
+  rejected: number;
+  deleted: number;
+}
+
+export interface ImportBatch {
+  batchId: string;
+  fileName: string;
+  // Schema the tables were loaded into, null for batches recorded without one
+  schema: string | null;
+  conflictMode: ConflictMode;
+  importedAt: Date;
+  revertedAt: Date | null;
+  tables: BatchTable[];
+}
+
+export interface RevertedTable {
+  tableName: string;
+  droppedTable: boolean;
+  // Inserted rows that were removed again
+  removed: number;
+  // Updated rows whose previous values were restored
+  restored: number;
+  // Deleted rows that were inserted again
+  reinserted: number;
+  // Recorded rows that could not be found because they changed after the import
+  unmatched: number;
+}
+
+async function ensureBookkeeping(client: pg.PoolClient): Promise<void> {
+  await client.query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(BOOKKEEPING_SCHEMA)}`);
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS ${BATCHES_TABLE} (
+       batch_id uuid PRIMARY KEY,
+       file_name text NOT NULL,
+       conflict_mode text NOT NULL,
+       imported_at timestamptz NOT NULL DEFAULT clock_timestamp(),
+       reverted_at timestamptz,
+       tables jsonb NOT NULL DEFAULT '[]'
+     )`
+  );
+  await client.query(`ALTER TABLE ${BATCHES_TABLE} ADD COLUMN IF NOT EXISTS schema_name text`);
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS ${BATCH_ROWS_TABLE} (
+       batch_id uuid NOT NULL REFERENCES ${BATCHES_TABLE} ON DELETE CASCADE,
+       table_name text NOT NULL,
+       action text NOT NULL CHECK (action IN ('inserted', 'updated', 'deleted')),
+       row_image jsonb NOT NULL
+     )`
+  );
+  await client.query(
+    `CREATE INDEX IF NOT EXISTS batch_rows_batch_id_idx
+     ON ${BATCH_ROWS_TABLE} (batch_id, table_name, action)`
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Function to start a batch inside the import's transaction, so that a failed
+// import leaves no batch behind
+// -----------------------------------------------------------------------------
+export async function beginBatch(
+  client: pg.PoolClient,
+  fileName: string,
+  conflictMode: ConflictMode,
+  schema: string
+): Promise<string> {
+  await ensureBookkeeping(client);
+  const batchId = randomUUID();
+  await client.query(
+    `INSERT INTO ${BATCHES_TABLE} (batch_id, file_name, schema_name, conflict_mode)
+     VALUES ($1, $2, $3, $4)`,
+    [batchId, fileName, schema, conflictMode]
+  );
+  return batchId;
+}
+
+export async function finishBatch(
+  client: pg.PoolClient,
+  batchId: string,
+  tables: BatchTable[]
+): Promise<void> {
+  await client.query(`UPDATE ${BATCHES_TABLE} SET tables = $2 WHERE batch_id = $1`, [
+    batchId,
+    JSON.stringify(tables),
+  ]);
+}
+
+export function toBatchTable(
+  tableName: string,
+  createdTable: boolean,
+  summary: TableSummary
+): BatchTable {
+  return {
+    tableName,
+    createdTable,
+    matchColumns: summary.matchColumns,
+    foreignKeysAdded: summary.foreignKeysAdded ?? [],
+    created: summary.created,
+    updated: summary.updated,
+    skipped: summary.skipped,
+    rejected: summary.rejected,
+    deleted: summary.deleted ?? 0,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Function to record the rows returned by a query or by a data-modifying
+// statement with RETURNING *. The statement runs as part of the recording, so
+// inserts and deletes are captured without reading the rows twice.
+// -----------------------------------------------------------------------------
+export async function recordRows(
+  client: pg.PoolClient,
+  batchId: string,
+  tableName: string,
+  action: BatchRowAction,
+  rowsSql: string
+): Promise<number> {
+  const result = await client.query(
+    `WITH changed AS (${rowsSql})
+     INSERT INTO ${BATCH_ROWS_TABLE} (batch_id, table_name, action, row_image)
+     SELECT $1, $2, $3, to_jsonb(changed) FROM changed`,
+    [batchId, tableName, action]
+  );
+  return result.rowCount ?? 0;
+}
+
+// -----------------------------------------------------------------------------
+// Function to list the most recent batches, newest first
+// -----------------------------------------------------------------------------
+interface BatchRow {
+  batch_id: string;
+  file_name: string;
+  schema_name: string | null;
+  conflict_mode: ConflictMode;
+  imported_at: Date;
+  reverted_at: Date | null;
+  tables: BatchTable[];
+}
+
+const BATCH_COLUMNS = "batch_id, file_name, schema_name, conflict_mode, imported_at, reverted_at, tables";
+
+function toImportBatch(row: BatchRow): ImportBatch {
+  return {
+    batchId: row.batch_id,
+    fileName: row.file_name,
+    schema: row.schema_name,
+    conflictMode: row.conflict_mode,
+    importedAt: row.imported_at,
+    revertedAt: row.reverted_at,
+    tables: row.tables,
+  };
+}
+
+async function batchesTableExists(pool: pg.Pool): Promise<boolean> {
+  const exists = await pool.query<{ oid: string | null }>("SELECT to_regclass($1) AS oid", [
+    BATCHES_TABLE,
+  ]);
+  return exists.rows[0].oid !== null;
+}
+
+export async function listImports(pool: pg.Pool, limit = 20): Promise<ImportBatch[]> {
+  if (!(await batchesTableExists(pool))) {
+    return [];
+  }
+  const result = await pool.query<BatchRow>(
+    `SELECT ${BATCH_COLUMNS} FROM ${BATCHES_TABLE} ORDER BY imported_at DESC LIMIT $1`,
+    [limit]
+  );
+  return result.rows.map(toImportBatch);
+}
+
+export async function getImportBatch(pool: pg.Pool, batchId: string): Promise<ImportBatch | null> {
+  if (!UUID_PATTERN.test(batchId) || !(await batchesTableExists(pool))) {
+    return null;
+  }
+  const result = await pool.query<BatchRow>(
+    `SELECT ${BATCH_COLUMNS} FROM ${BATCHES_TABLE} WHERE batch_id = $1`,
+    [batchId]
+  );
+  return result.rows.length ? toImportBatch(result.rows[0]) : null;
+}
+
+async function tableColumns(client: pg.PoolClient, tableName: string): Promise<string[]> {
+  const result = await client.query<{ column_name: string }>(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1 AND is_generated = 'NEVER'
+     ORDER BY ordinal_position`,
+    [tableName]
+  );
+  return result.rows.map((row) => row.column_name);
+}
+
+// Condition finding a recorded row b again as the row t of the table: equal
+// match columns or primary key, and for tables without either equal values
+// in every column, json ones compared as jsonb as json has no equality
+async function sameRow(
+  client: pg.PoolClient,
+  tableName: string,
+  matchColumns: string[] | null
+): Promise<string> {
+  const result = await client.query<{ name: string; primary_key: boolean; json: boolean }>(
+    `SELECT a.attname AS name,
+       COALESCE(a.attnum = ANY (i.indkey), false) AS primary_key,
+       a.atttypid = 'json'::regtype AS json
+     FROM pg_attribute a
+     LEFT JOIN pg_index i ON i.indrelid = a.attrelid AND i.indisprimary
+     WHERE a.attrelid = to_regclass($1) AND a.attnum > 0 AND NOT a.attisdropped
+     ORDER BY a.attnum`,
+    [quoteIdentifier(tableName)]
+  );
+  const primaryKey = result.rows.filter((column) => column.primary_key).map((column) => column.name);
+  const keyNames = matchColumns ?? (primaryKey.length ? primaryKey : null);
+  if (keyNames) {
+    return keyNames
+      .map(quoteIdentifier)
+      .map((name) => `t.${name} = b.${name}`)
+      .join(" AND ");
+  }
+  return result.rows
+    .map(({ name, json }) => {
+      const cast = json ? "::jsonb" : "";
+      return `t.${quoteIdentifier(name)}${cast} IS NOT DISTINCT FROM b.${quoteIdentifier(name)}${cast}`;
+    })
+    .join(" AND ");
+}
+
+async function countRows(
+  client: pg.PoolClient,
+  batchId: string,
+  tableName: string,
+  action: BatchRowAction
+): Promise<number> {
+  const result = await client.query<{ count: string }>(
+    `SELECT COUNT(*) AS count FROM ${BATCH_ROWS_TABLE}
+     WHERE batch_id = $1 AND table_name = $2 AND action = $3`,
+    [batchId, tableName, action]
+  );
+  return Number(result.rows[0].count);
+}
+
+// -----------------------------------------------------------------------------
+// Function to undo a batch: tables it created are dropped, inserted rows are
+// removed, updated rows get their previous values back and deleted rows are
+// inserted again. Later batches touching the same tables must be reverted
+// first, otherwise their changes would be mixed with the restored rows.
+// -----------------------------------------------------------------------------
+export async function revertImport(
+  pool: pg.Pool,
+  batchId: string,
+  limits: QueryLimits = NO_LIMITS
+): Promise<RevertedTable[]> {
+  if (!UUID_PATTERN.test(batchId)) {
+    throw new Error(`Import batch "${batchId}" does not exist`);
+  }
+
+  const client = await pool.connect();
+  const release = cancelOnAbort(pool, client, limits.signal);
+  try {
+    await client.query("BEGIN");
+    await setTransactionLimits(client, limits);
+    await ensureBookkeeping(client);
+
+    const batchResult = await client.query<{
+      schema_name: string | null;
+      reverted_at: Date | null;
+      tables: BatchTable[];
+    }>(
+      `SELECT schema_name, reverted_at, tables FROM ${BATCHES_TABLE}
+       WHERE batch_id = $1 FOR UPDATE`,
+      [batchId]
+    );
+    const batch = batchResult.rows[0];
+    if (!batch) {
+      throw new Error(`Import batch "${batchId}" does not exist`);
+    }
+    if (batch.reverted_at) {
+      throw new Error(`Import batch "${batchId}" was already reverted`);
+    }
+    if (batch.schema_name) {
+      await useSchema(client, batch.schema_name);
+    }
+
+    const tableNames = batch.tables.map((table) => table.tableName);
+    const later = await client.query<{ batch_id: string }>(
+      `SELECT batch_id FROM ${BATCHES_TABLE} b
+       WHERE reverted_at IS NULL AND batch_id <> $1
+         AND imported_at >= (SELECT imported_at FROM ${BATCHES_TABLE} WHERE batch_id = $1)
+         AND (schema_name IS NULL OR $3::text IS NULL OR schema_name = $3)
+         AND EXISTS (
+           SELECT 1 FROM jsonb_array_elements(b.tables) t WHERE t->>'tableName' = ANY($2)
+         )
+       ORDER BY imported_at DESC`,
+      [batchId, tableNames, batch.schema_name]
+    );
+    if (later.rows.length) {
+      throw new Error(
+        `Revert the later imports into the same tables first: ${later.rows.map((row) => row.batch_id).join(", ")}`
+      );
+    }
+
+    const reverted = new Map<string, RevertedTable>();
+    const recordedRows = (alias: string, action: BatchRowAction) =>
+      `${BATCH_ROWS_TABLE} ${alias} WHERE ${alias}.batch_id = $1 AND ${alias}.table_name = $2 AND ${alias}.action = '${action}'`;
+
+    // Undo inserts and updates in referencing tables before the tables they reference
+    for (const table of [...batch.tables].reverse()) {
+      const target = quoteIdentifier(table.tableName);
+      const result: RevertedTable = {
+        tableName: table.tableName,
+        droppedTable: false,
+        removed: 0,
+        restored: 0,
+        reinserted: 0,
+        unmatched: 0,
+      };
+      reverted.set(table.tableName, result);
+
+      if (table.createdTable) {
+        await client.query(`DROP TABLE IF EXISTS ${target}`);
+        result.droppedTable = true;
+        continue;
+      }
+
+      for (const constraint of table.foreignKeysAdded) {
+        await client.query(
+          `ALTER TABLE ${target} DROP CONSTRAINT IF EXISTS ${quoteIdentifier(constraint)}`
+        );
+      }
+
+      // Remove one current row per inserted row, found by its key, leaving
+      // identical older rows of key-less tables alone
+      const inserted = await countRows(client, batchId, table.tableName, "inserted");
+      if (inserted) {
+        const removed = await client.query(
+          `DELETE FROM ${target} WHERE ctid IN (
+             SELECT m.ctid FROM (
+               SELECT r.row_image, COUNT(*) AS n FROM ${recordedRows("r", "inserted")}
+               GROUP BY r.row_image
+             ) image
+             CROSS JOIN LATERAL jsonb_populate_record(NULL::${target}, image.row_image) b
+             CROSS JOIN LATERAL (
+               SELECT t.ctid FROM ${target} t
+               WHERE ${await sameRow(client, table.tableName, table.matchColumns)}
+               LIMIT image.n
+             ) m
+           )`,
+          [batchId, table.tableName]
+        );
+        result.removed = removed.rowCount ?? 0;
+        result.unmatched += inserted - result.removed;
+      }
+
+      const updated = await countRows(client, batchId, table.tableName, "updated");
+      if (updated && table.matchColumns) {
+        const keyNames = table.matchColumns.map(quoteIdentifier);
+        const setClause = (await tableColumns(client, table.tableName))
+          .map(quoteIdentifier)
+          .filter((name) => !keyNames.includes(name))
+          .map((name) => `${name} = b.${name}`)
+          .join(", ");
+        const restored = await client.query(
+          `UPDATE ${target} t SET ${setClause}
+           FROM (
+             SELECT (jsonb_populate_record(NULL::${target}, r.row_image)).*
+             FROM ${recordedRows("r", "updated")}
+           ) b
+           WHERE ${keyNames.map((name) => `t.${name} = b.${name}`).join(" AND ")}`,
+          [batchId, table.tableName]
+        );
+        result.restored = restored.rowCount ?? 0;
+        result.unmatched += updated - result.restored;
+      }
+    }
+
+    // Put deleted rows back into referenced tables before the tables referencing them
+    for (const table of batch.tables) {
+      const deleted = await countRows(client, batchId, table.tableName, "deleted");
+      if (!deleted) {
+        continue;
+      }
+      const target = quoteIdentifier(table.tableName);
+      const columnList = (await tableColumns(client, table.tableName))
+        .map(quoteIdentifier)
+        .join(", ");
+      const reinserted = await client.query(
+        `INSERT INTO ${target} (${columnList}) OVERRIDING SYSTEM VALUE
+         SELECT ${columnList} FROM (
+           SELECT (jsonb_populate_record(NULL::${target}, r.row_image)).*
+           FROM ${recordedRows("r", "deleted")}
+         ) b`,
+        [batchId, table.tableName]
+      );
+      reverted.get(table.tableName)!.reinserted = reinserted.rowCount ?? 0;
+    }
+
+    await client.query(
+      `UPDATE ${BATCHES_TABLE} SET reverted_at = clock_timestamp() WHERE batch_id = $1`,
+      [batchId]
+    );
+    await client.query("COMMIT");
+    return batch.tables.map((table) => reverted.get(table.tableName)!);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    await release();
+  }
+}
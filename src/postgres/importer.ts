@@ -0,0 +1,381 @@
+import pg from "pg";
+import { DEFAULT_SCHEMA } from "./catalog.js";
+import {
+  ColumnDefinition,
+  CoercedValue,
+  ColumnValueError,
+  buildCreateTableSql,
+  coerceRecord,
+  columnTypeFromPg,
+  inferColumns,
+  quoteIdentifier,
+  widenColumns,
+} from "./column-types.js";
+import { ParseOptions, ParsedTable, parseFile, parseFileAt } from "./file-formats.js";
+import { ForeignKeyDefinition, addForeignKeys, orderByForeignKeys } from "./foreign-keys.js";
+import { beginBatch, finishBatch, recordRows, toBatchTable } from "./import-batches.js";
+import {
+  ConflictMode,
+  TableSummary,
+  emptyTableSummary,
+  mergeStagedRecords,
+  resolveMatchColumns,
+  stageRecords,
+} from "./merge.js";
+import { NO_PROGRESS, ProgressReporter, reportRecords } from "./progress.js";
+import { NO_LIMITS, QueryLimits, cancelOnAbort, setTransactionLimits } from "./query-limits.js";
+import { useSchema } from "./transactions.js";
+
+export interface ImportTable {
+  tableName: string;
+  columns: string[];
+  // Every record, or only the leading records when `stream` is set
+  records: Record<string, string>[];
+  // Reads every record from the source file for tables loaded as a stream
+  stream?: () => AsyncIterable<Record<string, string>>;
+  // Column type overrides used when the table is created
+  columnTypes?: Record<string, string>;
+  // Columns used to match incoming rows with existing ones
+  matchColumns?: string[];
+}
+
+// -----------------------------------------------------------------------------
+// Helper functions to derive valid table names from file and sheet names
+// -----------------------------------------------------------------------------
+export function toTableName(name: string): string {
+  // Replace spaces and special characters with underscores
+  return name.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+}
+
+export function getTableNameFromFileName(fileName: string): string {
+  // Extract base name without extension
+  return toTableName(fileName.split('.')[0]);
+}
+
+// -----------------------------------------------------------------------------
+// Functions to parse an uploaded file into the tables it should be loaded into.
+// A workbook with several sheets loads each sheet into a table named after it,
+// prefixed with the requested table name when one is given.
+// -----------------------------------------------------------------------------
+function toImportTables(
+  parsed: ParsedTable[],
+  fileName: string,
+  tableName: string | undefined
+): ImportTable[] {
+  const baseName = tableName || getTableNameFromFileName(fileName);
+
+  const tables = parsed.map((table) => ({
+    tableName:
+      parsed.length > 1 && table.sheetName
+        ? tableName
+          ? `${tableName}_${toTableName(table.sheetName)}`
+          : toTableName(table.sheetName)
+        : baseName,
+    columns: table.columns,
+    records: table.records,
+    stream: table.stream,
+  }));
+
+  const names = tables.map((table) => table.tableName);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Several sheets of "${fileName}" map to the table name "${duplicate}"`);
+  }
+  return tables;
+}
+
+export function tablesFromFile(
+  fileBuffer: Buffer,
+  fileName: string,
+  tableName: string | undefined,
+  parseOptions: ParseOptions = {}
+): ImportTable[] {
+  return toImportTables(parseFile(fileBuffer, fileName, parseOptions), fileName, tableName);
+}
+
+// Reads the file from disk, streaming formats that allow it
+export async function tablesFromPath(
+  filePath: string,
+  fileName: string,
+  tableName: string | undefined,
+  parseOptions: ParseOptions = {}
+): Promise<ImportTable[]> {
+  return toImportTables(await parseFileAt(filePath, fileName, parseOptions), fileName, tableName);
+}
+
+// -----------------------------------------------------------------------------
+// Function to preview an import without connecting to the database
+// -----------------------------------------------------------------------------
+const PREVIEW_ROW_COUNT = 5;
+
+export interface UploadPreview {
+  rowCount: number;
+  columns: ColumnDefinition[];
+  createTableSql: string;
+  sampleRows: Record<string, CoercedValue>[];
+}
+
+async function countRecords(records: AsyncIterable<Record<string, string>>): Promise<number> {
+  let count = 0;
+  for await (const _ of records) {
+    count++;
+  }
+  return count;
+}
+
+export async function previewImport(
+  tables: ImportTable[]
+): Promise<{ [tableName: string]: UploadPreview }> {
+  const previews: { [tableName: string]: UploadPreview } = {};
+  for (const table of tables) {
+    const columns = inferNewTableColumns(table);
+    previews[table.tableName] = {
+      rowCount: table.stream ? await countRecords(table.stream()) : table.records.length,
+      columns,
+      createTableSql: buildCreateTableSql(table.tableName, columns),
+      sampleRows: table.records
+        .slice(0, PREVIEW_ROW_COUNT)
+        .map((record, index) => coerceRecord(record, columns, index + 1)),
+    };
+  }
+  return previews;
+}
+
+// -----------------------------------------------------------------------------
+// Function to infer the columns of a table created for the records. Explicit
+// match columns become the primary key instead of a plain "id" column.
+// -----------------------------------------------------------------------------
+function inferNewTableColumns(table: ImportTable): ColumnDefinition[] {
+  let columns: ColumnDefinition[];
+  try {
+    columns = inferColumns(table.columns, table.records, table.columnTypes);
+  } catch (error) {
+    throw new Error(`Table "${table.tableName}": ${error instanceof Error ? error.message : error}`);
+  }
+  const matchColumns = table.matchColumns;
+  if (!matchColumns?.length) {
+    return columns;
+  }
+  return columns.map((column) => ({ ...column, primaryKey: matchColumns.includes(column.name) }));
+}
+
+// -----------------------------------------------------------------------------
+// Function to create the target table if needed and describe its columns
+// -----------------------------------------------------------------------------
+async function prepareTargetTable(
+  client: pg.PoolClient,
+  table: ImportTable
+): Promise<{ columns: ColumnDefinition[]; created: boolean }> {
+  const { tableName } = table;
+  const existsResult = await client.query<{ oid: string | null }>(
+    "SELECT to_regclass($1) AS oid",
+    [quoteIdentifier(tableName)]
+  );
+
+  if (existsResult.rows[0].oid === null) {
+    // Create the table with column types inferred from the records
+    const columns = inferNewTableColumns(table);
+    await client.query(buildCreateTableSql(tableName, columns));
+    return { columns, created: true };
+  }
+
+  // Coerce values to the types of the existing table's columns
+  const columnsResult = await client.query<{ column_name: string; data_type: string }>(
+    `SELECT column_name, data_type FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1`,
+    [tableName]
+  );
+  const existingTypes = new Map(
+    columnsResult.rows.map((row) => [row.column_name, columnTypeFromPg(row.data_type)])
+  );
+  const columns = table.columns.map((name) => {
+    const type = existingTypes.get(name);
+    if (!type) {
+      throw new Error(`Column "${name}" does not exist in table "${tableName}"`);
+    }
+    return { name, type, primaryKey: name.toLowerCase() === "id" };
+  });
+  return { columns, created: false };
+}
+
+export interface ImportResult {
+  // Batch id to pass to revert_import
+  batchId: string;
+  schema: string;
+  tables: { [tableName: string]: TableSummary };
+}
+
+// -----------------------------------------------------------------------------
+// Function to load parsed tables into the database. All tables are loaded in
+// one transaction, so either every table is changed or none is. Referenced
+// tables are loaded first and the given foreign keys are added at the end.
+// The import is recorded as a batch that revert_import can undo.
+// -----------------------------------------------------------------------------
+export interface ImportTablesOptions {
+  conflictMode?: ConflictMode;
+  foreignKeys?: ForeignKeyDefinition[];
+  // Schema the tables are loaded into, defaults to public
+  schema?: string;
+  limits?: QueryLimits;
+  // Reports the records loaded so far
+  progress?: ProgressReporter;
+}
+
+export async function importTables(
+  pool: pg.Pool,
+  fileName: string,
+  tables: ImportTable[],
+  {
+    conflictMode = "upsert",
+    foreignKeys = [],
+    schema = DEFAULT_SCHEMA,
+    limits = NO_LIMITS,
+    progress = NO_PROGRESS,
+  }: ImportTablesOptions = {}
+): Promise<ImportResult> {
+  const summary: { [tableName: string]: TableSummary } = {};
+  const createdTables = new Set<string>();
+  // Streamed tables are only counted while they are loaded
+  const totalRecords = tables.some((table) => table.stream)
+    ? undefined
+    : tables.reduce((sum, table) => sum + table.records.length, 0);
+  let loadedRecords = 0;
+
+  const client = await pool.connect();
+  const release = cancelOnAbort(pool, client, limits.signal);
+  try {
+    await client.query("BEGIN");
+    await setTransactionLimits(client, limits);
+    await useSchema(client, schema);
+    const batchId = await beginBatch(client, fileName, conflictMode, schema);
+
+    const order = await orderByForeignKeys(
+      client,
+      tables.map((table) => table.tableName),
+      foreignKeys
+    );
+    const ordered = order.map((name) => tables.find((table) => table.tableName === name)!);
+
+    const deletedRows = new Map<string, number>();
+    if (conflictMode === "replace_table") {
+      // Empty referencing tables before the tables they reference
+      for (const table of [...ordered].reverse()) {
+        const exists = await client.query<{ oid: string | null }>(
+          "SELECT to_regclass($1) AS oid",
+          [quoteIdentifier(table.tableName)]
+        );
+        const deleted = exists.rows[0].oid
+          ? await recordRows(
+              client,
+              batchId,
+              table.tableName,
+              "deleted",
+              `DELETE FROM ${quoteIdentifier(table.tableName)} RETURNING *`
+            )
+          : 0;
+        deletedRows.set(table.tableName, deleted);
+      }
+    }
+
+    for (const table of ordered) {
+      limits.signal?.throwIfAborted();
+      const deleted = deletedRows.get(table.tableName);
+      if (!table.records.length) {
+        summary[table.tableName] = { ...emptyTableSummary(conflictMode), deleted };
+        continue;
+      }
+
+      const prepared = await prepareTargetTable(client, table);
+      const { created } = prepared;
+      let { columns } = prepared;
+      if (created) {
+        createdTables.add(table.tableName);
+      }
+      const matchColumns = await resolveMatchColumns(
+        client,
+        table.tableName,
+        columns,
+        table.matchColumns
+      );
+      let tableRecords = 0;
+      const stage = () =>
+        stageRecords(
+          client,
+          table.tableName,
+          columns,
+          reportRecords(table.stream ? table.stream() : table.records, (count) => {
+            tableRecords = count;
+            progress(loadedRecords + count, totalRecords, `Loading ${table.tableName}`);
+          })
+        );
+      let stagingTable: string;
+      if (created) {
+        await client.query("SAVEPOINT import_staging");
+      }
+      try {
+        stagingTable = await stage();
+      } catch (error) {
+        if (!created || !(error instanceof ColumnValueError)) {
+          throw error;
+        }
+        // A record after the sample the types were inferred from does not fit
+        // them: widen the types over every record and load the table again
+        await client.query("ROLLBACK TO SAVEPOINT import_staging");
+        const widened = await widenColumns(columns, table.stream ? table.stream() : table.records);
+        const changed = widened.filter((column, index) => column.type !== columns[index].type);
+        if (!changed.length) {
+          throw error;
+        }
+        await client.query(
+          `ALTER TABLE ${quoteIdentifier(table.tableName)} ${changed
+            .map(({ name, type }) => {
+              const column = quoteIdentifier(name);
+              return `ALTER COLUMN ${column} TYPE ${type} USING ${column}::text::${type}`;
+            })
+            .join(", ")}`
+        );
+        columns = widened;
+        stagingTable = await stage();
+      }
+      loadedRecords += tableRecords;
+      progress(loadedRecords, totalRecords, `Loaded ${table.tableName}`, true);
+      summary[table.tableName] = {
+        ...(await mergeStagedRecords(
+          client,
+          table.tableName,
+          stagingTable,
+          columns,
+          conflictMode,
+          matchColumns,
+          batchId
+        )),
+        deleted,
+      };
+    }
+
+    for (const foreignKey of foreignKeys) {
+      const added = await addForeignKeys(client, [foreignKey]);
+      // Both tables of a key are among the loaded ones
+      const tableSummary = summary[foreignKey.table];
+      if (added.length) {
+        tableSummary.foreignKeysAdded = [...(tableSummary.foreignKeysAdded ?? []), ...added];
+      }
+    }
+
+    await finishBatch(
+      client,
+      batchId,
+      ordered.map((table) =>
+        toBatchTable(table.tableName, createdTables.has(table.tableName), summary[table.tableName])
+      )
+    );
+
+    await client.query("COMMIT");
+    return { batchId, schema, tables: summary };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    await release();
+  }
+}
@@ -8,444 +8,416 @@ import {
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import pg from "pg";
-import fs from "fs/promises";
-import { z } from "zod";
-import { parse } from "csv-parse/sync";
+import { ApiKeys, configForRole, isToolAllowed, loadApiKeys, roleOf } from "./api-keys.js";
+import { DEFAULT_MAX_ARCHIVE_BYTES } from "./archive.js";
+import { AuditConfig, audited, callerIdentity, parseAuditTable } from "./audit.js";
+import {
+  DatabaseConnection,
+  Databases,
+  closeDatabases,
+  configForDatabase,
+  databaseOfUri,
+  loadDatabases,
+  selectDatabase,
+  singleDatabase,
+} from "./databases.js";
+import { handleHealthRequest } from "./health.js";
+import { HttpHandler, listenHttp, sendError } from "./http-server.js";
+import { HttpSessions } from "./http-transport.js";
+import { Policy, loadPolicy } from "./policy.js";
+import { progressReporter } from "./progress.js";
+import { ToolTimeouts, limitsForTool, parseToolTimeouts } from "./query-limits.js";
+import { listResources, readResource } from "./resources.js";
+import {
+  NO_SAVED_QUERIES,
+  SavedQueryConfig,
+  loadSavedQueryFile,
+  parseSavedQueryTable,
+} from "./saved-queries.js";
+import { RestTransport } from "./rest-transport.js";
+import { closeCursors } from "./result-pages.js";
+import { DEFAULT_SCHEMA_CACHE_SECONDS } from "./schema-cache.js";
+import { DEFAULT_ALLOWED_STATEMENTS, parseStatementTypes } from "./sql-statements.js";
+import { TOOLS } from "./tools/index.js";
+import {
+  DATABASE_ARGUMENT,
+  ServerConfig,
+  callTool,
+  describeTools,
+  textResult,
+} from "./tools/registry.js";
+import { DEFAULT_UPLOAD_LIMITS } from "./uploads.js";
 
-// Define a Zod schema for the CSV upload request.
-const UploadCsvRequestSchema = z.object({
-  method: z.literal("UploadCsvRequest"),
-  params: z.object({
-    fileName: z.string(),
-    fileData: z.string(), // base64 encoded string of the CSV file's data
-  }),
-});
+const args = process.argv.slice(2);
 
-const server = new Server(
-  {
-    name: "example-servers/postgres",
-    version: "0.1.0",
-  },
-  {
-    capabilities: {
-      resources: {},
-      tools: {},
+// -----------------------------------------------------------------------------
+// Function to make a server with the tool and resource handlers. The HTTP mode
+// makes one per session; the handlers get the request's API key as authInfo.
+// -----------------------------------------------------------------------------
+function createServer(): Server {
+  const server = new Server(
+    {
+      name: "example-servers/postgres",
+      version: "0.1.0",
     },
-  },
-);
+    {
+      capabilities: {
+        resources: {},
+        tools: {},
+      },
+    },
+  );
 
-const args = process.argv.slice(2);
-if (args.length === 0) {
-  console.error("Please provide a database URL as a command-line argument");
-  process.exit(1);
-}
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    const role = roleOf(apiKeys, extra.authInfo)?.role;
+    if (role && !role.resources) {
+      return { resources: [] };
+    }
+    const roleConfig = configForRole(config, role);
+    const resources = await Promise.all(
+      databases.connections.map((connection) =>
+        listResources(connection, configForDatabase(roleConfig, connection), databases.default.pool)
+      )
+    );
+    return { resources: resources.flat() };
+  });
 
-const databaseUrl = args[0];
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    const caller = callerIdentity(request.params, extra.authInfo);
+    const connection = databaseOfUri(databases, uri);
+    const target = { caller, database: connection?.name ?? null, resource: uri };
+    const contents = await audited(databases.default.pool, config.audit, target, (audit) => {
+      const authorized = roleOf(apiKeys, extra.authInfo);
+      if (authorized && !authorized.role.resources) {
+        throw new Error(`Access denied: role "${authorized.name}" may not read resources`);
+      }
+      if (!connection) {
+        throw new Error(`No database for resource URI ${uri}`);
+      }
+      const resourceConfig = configForDatabase(configForRole(config, authorized?.role), connection);
+      return readResource(connection, uri, resourceConfig, {
+        history: { caller: extra.authInfo?.clientId ?? null, all: authorized?.role.queryHistory === "all" },
+        audit,
+        defaultPool: databases.default.pool,
+      });
+    });
+    return { contents };
+  });
 
-const resourceBaseUrl = new URL(databaseUrl);
-resourceBaseUrl.protocol = "postgres:";
-resourceBaseUrl.password = "";
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+    const role = roleOf(apiKeys, extra.authInfo)?.role;
+    const tools = TOOLS.filter((tool) => !role || isToolAllowed(role, tool.name));
+    return { tools: describeTools(tools, databases) };
+  });
 
-const pool = new pg.Pool({
-  connectionString: databaseUrl,
-});
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: { [DATABASE_ARGUMENT]: database, ...args } = {} } = request.params;
+    const databaseName = database === undefined ? undefined : String(database);
+    return await audited(
+      databases.default.pool,
+      config.audit,
+      {
+        caller: callerIdentity(request.params, extra.authInfo),
+        database: databaseName ?? databases.default.name,
+        tool: name,
+        args,
+      },
+      async (audit) => {
+        const authorized = roleOf(apiKeys, extra.authInfo);
+        if (authorized && !isToolAllowed(authorized.role, name)) {
+          return textResult(`Access denied: role "${authorized.name}" may not use the ${name} tool`, true);
+        }
+        let connection: DatabaseConnection;
+        try {
+          connection = selectDatabase(databases, databaseName);
+        } catch (error) {
+          return textResult((error as Error).message, true);
+        }
+        const toolConfig = configForDatabase(configForRole(config, authorized?.role), connection);
+        return callTool(TOOLS, name, args, {
+          pool: connection.pool,
+          databases,
+          config: toolConfig,
+          audit,
+          limits: limitsForTool(config.timeouts, name, extra.signal),
+          progress: progressReporter(request.params._meta?.progressToken, extra.sendNotification),
+          owner: extra.authInfo?.clientId ?? extra.sessionId ?? null,
+        });
+      },
+      (result) => (result.isError ? result.content.map((item) => item.text ?? "").join("\n") : null)
+    );
+  });
+
+  return server;
+}
 
-const SCHEMA_PATH = "schema";
+import { getParamValue } from "@chatmcp/sdk/utils/index.js";
 
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  const client = await pool.connect();
+const mode = getParamValue("mode") || "stdio";
+const port = getParamValue("port") || 9593;
+const endpoint = getParamValue("endpoint") || (mode === "http" ? "/mcp" : "/rest");
+const host = getParamValue("host");
+
+// API keys and roles for the REST and HTTP modes, e.g.
+// --api_keys=/etc/mcp/api-keys.json. These modes refuse to start without them
+// unless --allow_unauthenticated=true. Messages on stdio carry no key, so the
+// keys would deny every request there.
+let apiKeys: ApiKeys | null = null;
+if (getParamValue("api_keys") && mode === "stdio") {
+  console.error(
+    "--api_keys applies to the REST and HTTP modes; start the server with --mode=rest or --mode=http, or without --api_keys"
+  );
+  process.exit(1);
+} else if (getParamValue("api_keys")) {
   try {
-    const result = await client.query<{ table_name: string }>(
-      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'"
-    );
-    return {
-      resources: result.rows.map((row) => ({
-        uri: new URL(`${row.table_name}/${SCHEMA_PATH}`, resourceBaseUrl).href,
-        mimeType: "application/json",
-        name: `"${row.table_name}" database schema`,
-      })),
-    };
-  } finally {
-    client.release();
+    apiKeys = await loadApiKeys(getParamValue("api_keys"));
+  } catch (error) {
+    console.error((error as Error).message);
+    process.exit(1);
   }
-});
-
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-  const resourceUrl = new URL(request.params.uri);
+} else if (mode !== "stdio" && getParamValue("allow_unauthenticated") !== "true") {
+  console.error(
+    `${mode} mode needs API keys, start the server with --api_keys=<file> or --allow_unauthenticated=true`
+  );
+  process.exit(1);
+}
 
-  const pathComponents = resourceUrl.pathname.split("/");
-  const schema = pathComponents.pop();
-  const tableName = pathComponents.pop();
+// Comma separated schema allow-list, e.g. --schemas=sales,staging
+const schemas = (getParamValue("schemas") || "")
+  .split(",")
+  .map((schema) => schema.trim())
+  .filter((schema) => schema !== "");
 
-  if (schema !== SCHEMA_PATH) {
-    throw new Error("Invalid resource URI");
+// Statement types for the execute tool, e.g. --allowed_statements=select,dml,ddl
+let allowedStatements = DEFAULT_ALLOWED_STATEMENTS;
+if (getParamValue("allowed_statements")) {
+  try {
+    allowedStatements = parseStatementTypes(getParamValue("allowed_statements"));
+  } catch (error) {
+    console.error(`Invalid --allowed_statements: ${(error as Error).message}`);
+    process.exit(1);
   }
+}
 
-  const client = await pool.connect();
+// Access policy file, e.g. --policy=/etc/mcp/policy.json
+let policy: Policy | null = null;
+if (getParamValue("policy")) {
   try {
-    const result = await client.query<{ column_name: string; data_type: string }>(
-      "SELECT column_name, data_type FROM information_schema.columns WHERE table_name = $1",
-      [tableName]
-    );
-
-    return {
-      contents: [
-        {
-          uri: request.params.uri,
-          mimeType: "application/json",
-          text: JSON.stringify(result.rows, null, 2),
-        },
-      ],
-    };
-  } finally {
-    client.release();
+    policy = await loadPolicy(getParamValue("policy"));
+  } catch (error) {
+    console.error((error as Error).message);
+    process.exit(1);
   }
-});
-
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "query",
-        description: "Run a read-only SQL query",
-        inputSchema: {
-          type: "object",
-          properties: {
-            sql: { type: "string" },
-          },
-          required: ["sql"],
-        },
-      },
-      {
-        name: "uploadCsv",
-        description: "Upload and process a CSV file into database tables",
-        inputSchema: {
-          type: "object",
-          properties: {
-            fileName: { type: "string" },
-            fileData: { type: "string", description: "Base64 encoded CSV file data" },
-            tableName: { type: "string", description: "Name for the database table to be created (optional)" },
-          },
-          required: ["fileName", "fileData"],
-        },
-      },
-    ],
-  };
-});
+}
 
-server.setRequestHandler(CallToolRequestSchema, async (request: { params: { name: string; arguments?: any } }) => {
-  try {
-    console.log(`Handling tool request: ${request.params.name}`);
-    
-    // Log arguments in a safe way to prevent JSON parsing errors
-    if (request.params.arguments) {
-      console.log(`Arguments type:`, typeof request.params.arguments);
-      try {
-        // If arguments is a string, try to parse it as JSON
-        if (typeof request.params.arguments === 'string') {
-          request.params.arguments = JSON.parse(request.params.arguments);
-          console.log('Parsed string arguments to object');
-        }
-      } catch (e) {
-        console.log(`Could not parse arguments as JSON: ${e}`);
-      }
-    }
-  if (request.params.name === "query") {
-    let sql;
+// statement_timeout and lock_timeout in milliseconds for every tool and/or per
+// tool, e.g. --statement_timeout=30000,execute:300000 --lock_timeout=5000
+const timeouts: { statement: ToolTimeouts; lock: ToolTimeouts } = { statement: {}, lock: {} };
+for (const [kind, option] of [
+  ["statement", "statement_timeout"],
+  ["lock", "lock_timeout"],
+] as const) {
+  if (getParamValue(option)) {
     try {
-      // Handle the case where arguments might be a string
-      if (typeof request.params.arguments === 'string') {
-        try {
-          const parsedArgs = JSON.parse(request.params.arguments);
-          sql = parsedArgs.sql;
-        } catch (e) {
-          // If it's not parseable JSON but starts with SELECT, it might be a direct SQL query
-          if (request.params.arguments.trim().toUpperCase().startsWith('SELECT')) {
-            sql = request.params.arguments;
-          } else {
-            throw new Error(`Invalid SQL query format: ${e}`);
-          }
-        }
-      } else {
-        sql = request.params.arguments?.sql;
-      }
-      
-      if (!sql) {
-        throw new Error("No SQL query provided");
-      }
-      
-      console.log(`Executing SQL query: ${sql}`);
-      const client = await pool.connect();
-      try {
-        await client.query("BEGIN TRANSACTION READ ONLY");
-        const result = await client.query<any>(sql);
-        return {
-          content: [{ type: "text", text: JSON.stringify(result.rows, null, 2) }],
-          isError: false,
-        };
-      } catch (error) {
-        console.error(`SQL query error: ${error}`);
-        return {
-          content: [{ type: "text", text: `Error executing SQL query: ${error}` }],
-          isError: true,
-        };
-      } finally {
-        client
-          .query("ROLLBACK")
-          .catch((error) =>
-            console.warn("Could not roll back transaction:", error)
-          );
-        client.release();
-      }
+      timeouts[kind] = parseToolTimeouts(
+        getParamValue(option),
+        TOOLS.map((tool) => tool.name)
+      );
     } catch (error) {
-      console.error(`Query preparation error: ${error}`);
-      return {
-        content: [{ type: "text", text: `Error preparing SQL query: ${error}` }],
-        isError: true,
-      };
+      console.error(`Invalid --${option}: ${(error as Error).message}`);
+      process.exit(1);
     }
-  } else if (request.params.name === "uploadCsv") {
-    try {
-      let fileName, fileData, tableName;
-      
-      // Handle the case where arguments might be a string
-      if (typeof request.params.arguments === 'string') {
-        try {
-          const parsedArgs = JSON.parse(request.params.arguments);
-          fileName = parsedArgs.fileName;
-          fileData = parsedArgs.fileData;
-          tableName = parsedArgs.tableName;
-        } catch (e) {
-          throw new Error(`Could not parse CSV upload arguments: ${e}`);
-        }
-      } else {
-        ({ fileName, fileData, tableName } = request.params.arguments);
-      }
-      
-      if (!fileName || !fileData) {
-        throw new Error("Missing required parameters: fileName and fileData");
-      }
-      
-      console.log(`Processing CSV file: ${fileName}`);
-      const fileBuffer = Buffer.from(fileData, "base64");
-      console.log(`File data decoded, length: ${fileBuffer.length} bytes`);
-      
-      const derivedTableName = tableName || getTableNameFromFileName(fileName);
-      console.log(`Using table name: ${derivedTableName}`);
-      
-      const result = await processCsvUpload(fileBuffer, derivedTableName);
-      console.log(`CSV processing complete: ${JSON.stringify(result)}`);
-      
-      return {
-        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
-        isError: false,
-      };
-    } catch (error) {
-      console.error(`Error processing CSV:`, error);
-      return {
-        content: [{ type: "text", text: `Error processing CSV: ${error}` }],
-        isError: true,
-      };
-    }
-  } else {
-    console.warn(`Unknown tool: ${request.params.name}`);
-    return {
-      content: [{ type: "text", text: `Unknown tool: ${request.params.name}` }],
-      isError: true,
-    };
   }
-} catch (error) {
-    console.error(`Error handling tool request: ${error}`);
-    return {
-      content: [{ type: "text", text: `Error handling tool request: ${error}` }],
-      isError: true,
-    };
-  }
-});
+}
 
-// -----------------------------------------------------------------------------
-// Helper function to extract a valid table name from file name
-// -----------------------------------------------------------------------------
-function getTableNameFromFileName(fileName: string): string {
-  // Extract base name without extension
-  const baseName = fileName.split('.')[0];
-  // Replace spaces and special characters with underscores
-  return baseName.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+// Audit records go to a JSONL file and/or a table, e.g.
+// --audit_log=/var/log/mcp-postgres.jsonl --audit_table=mcp_audit.calls
+const audit: AuditConfig = { file: getParamValue("audit_log"), table: null };
+if (getParamValue("audit_table")) {
+  try {
+    audit.table = parseAuditTable(getParamValue("audit_table"));
+  } catch (error) {
+    console.error(`Invalid --audit_table: ${(error as Error).message}`);
+    process.exit(1);
+  }
 }
 
-// -----------------------------------------------------------------------------
-// Function to process CSV file uploads
-// -----------------------------------------------------------------------------
-interface TableSummary {
-  created: number;
-  updated: number;
-  skipped: number;
+// Databases: the URL given as the first argument, or the named connections of
+// a file, e.g. --databases=/etc/mcp/databases.json
+let databases: Databases;
+if (getParamValue("databases")) {
+  try {
+    databases = await loadDatabases(getParamValue("databases"));
+  } catch (error) {
+    console.error((error as Error).message);
+    process.exit(1);
+  }
+} else if (args.length === 0 || args[0].startsWith("--")) {
+  console.error("Please provide a database URL as a command-line argument, or --databases=<file>");
+  process.exit(1);
+} else {
+  databases = singleDatabase(args[0]);
+}
+if (audit.table && databases.default.readOnly) {
+  console.error("--audit_table is written to the default database, which must not be read-only");
+  process.exit(1);
 }
 
-async function processCsvUpload(
-  fileBuffer: Buffer,
-  tableName: string
-): Promise<{ [tableName: string]: TableSummary }> {
-  const csvString = fileBuffer.toString('utf-8');
-  const client = await pool.connect();
-  const summary: { [tableName: string]: TableSummary } = {};
-  
+// Saved queries from a JSON file and/or a table of the default database, e.g.
+// --saved_queries=/etc/mcp/queries.json --saved_queries_table=reporting.saved_queries
+const savedQueries: SavedQueryConfig = { ...NO_SAVED_QUERIES };
+if (getParamValue("saved_queries")) {
   try {
-    // Parse the CSV content
-    const records = parse(csvString, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true
-    });
-    
-    if (!records.length) {
-      return { [tableName]: { created: 0, updated: 0, skipped: 0 } };
-    }
-    
-    summary[tableName] = { created: 0, updated: 0, skipped: 0 };
-    
-    await client.query("BEGIN");
-    
-    // Check if table exists - using a more compatible approach
-    let tableExists = false;
-    try {
-      // Try to query the table
-      const testQuery = `SELECT 1 FROM "${tableName}" LIMIT 1`;
-      await client.query(testQuery);
-      tableExists = true;
-    } catch (err) {
-      // Table doesn't exist if we get an error
-      tableExists = false;
-    }
-    
-    // We've already determined tableExists using the try-catch approach above
-    
-    if (!tableExists) {
-      // Create table using the headers from the first row
-      const columns = Object.keys(records[0]);
-      const columnDefinitions = columns
-        .map((col) => {
-          if (col.toLowerCase() === "id") {
-            return `"${col}" TEXT PRIMARY KEY`;
-          }
-          return `"${col}" TEXT`;
-        })
-        .join(", ");
-      
-      const createTableSQL = `CREATE TABLE "${tableName}" (${columnDefinitions});`;
-      await client.query(createTableSQL);
-    }
-    
-    // Process each row in the CSV
-    for (const row of records) {
-      let existsInDb = false;
-      
-      // If the row has an 'id', use it as the unique identifier
-      if (row.hasOwnProperty("id") && row.id !== null && row.id !== '') {
-        const selectQuery = `SELECT * FROM "${tableName}" WHERE "id" = $1`;
-        const selectResult = await client.query<any>(selectQuery, [row.id]);
-        if (selectResult.rows.length > 0) {
-          existsInDb = true;
-        }
-      } else {
-        // Without an 'id', compare all column values for a match
-        const cols = Object.keys(row);
-        const whereClause = cols
-          .map((col, index) => `"${col}" = ${index + 1}`)
-          .join(" AND ");
-        
-        const selectQuery = `SELECT * FROM "${tableName}" WHERE ${whereClause}`;
-        const values = Object.values(row);
-        const selectResult = await client.query<any>(selectQuery, values);
-        
-        if (selectResult.rows.length > 0) {
-          existsInDb = true;
-        }
-      }
-      
-      if (existsInDb) {
-        // Update the existing record if 'id' is available; otherwise, skip updating
-        if (row.hasOwnProperty("id") && row.id !== null && row.id !== '') {
-          const columnsToUpdate = Object.keys(row).filter((col) => col !== "id");
-          
-          if (columnsToUpdate.length > 0) {
-            const setClause = columnsToUpdate
-              .map((col, index) => `"${col}" = ${index + 2}`)
-              .join(", ");
-            
-            const updateValues = [row.id, ...columnsToUpdate.map((col) => row[col])];
-            const updateQuery = `UPDATE "${tableName}" SET ${setClause} WHERE "id" = $1`;
-            
-            await client.query(updateQuery, updateValues);
-            summary[tableName].updated += 1;
-          }
-        } else {
-          summary[tableName].skipped += 1;
-        }
-      } else {
-        // Insert the new record
-        const cols = Object.keys(row);
-        const colNames = cols.map((col) => `"${col}"`).join(", ");
-        const placeholders = cols.map((_, index) => `${index + 1}`).join(", ");
-        
-        const insertQuery = `INSERT INTO "${tableName}" (${colNames}) VALUES (${placeholders})`;
-        await client.query(insertQuery, Object.values(row));
-        
-        summary[tableName].created += 1;
-      }
-    }
-    
-    await client.query("COMMIT");
+    savedQueries.queries = await loadSavedQueryFile(getParamValue("saved_queries"));
   } catch (error) {
-    await client.query("ROLLBACK");
-    throw error;
-  } finally {
-    client.release();
+    console.error((error as Error).message);
+    process.exit(1);
+  }
+}
+if (getParamValue("saved_queries_table")) {
+  try {
+    savedQueries.table = parseSavedQueryTable(getParamValue("saved_queries_table"));
+  } catch (error) {
+    console.error(`Invalid --saved_queries_table: ${(error as Error).message}`);
+    process.exit(1);
   }
-  
-  return summary;
+}
+const unknownDatabase = savedQueries.queries.find(
+  ({ database }) => database !== undefined && !databases.connections.some(({ name }) => name === database)
+);
+if (unknownDatabase) {
+  console.error(`Saved query "${unknownDatabase.name}" names unknown database "${unknownDatabase.database}"`);
+  process.exit(1);
+}
+if (savedQueries.table && databases.default.readOnly) {
+  console.error("--saved_queries_table is created in the default database, which must not be read-only");
+  process.exit(1);
 }
 
-// This handler is no longer needed since we're using the CallToolRequestSchema handler
-// for the uploadCsv tool
-// server.setRequestHandler(UploadCsvRequestSchema, async (request) => {
-//   const { fileName, fileData } = request.params;
-//   const fileBuffer = Buffer.from(fileData, "base64");
-//   const result = await processCsvUpload(fileBuffer, getTableNameFromFileName(fileName));
-//   return { status: "success", details: result };
-// });
+// Seconds cached metadata is used before the catalogs are checked for DDL by
+// other clients, e.g. --schema_cache_seconds=60, 0 to check on every read
+let schemaCacheSeconds = DEFAULT_SCHEMA_CACHE_SECONDS;
+if (getParamValue("schema_cache_seconds")) {
+  schemaCacheSeconds = Number(getParamValue("schema_cache_seconds"));
+  if (!Number.isFinite(schemaCacheSeconds) || schemaCacheSeconds < 0) {
+    console.error(`Invalid --schema_cache_seconds: ${getParamValue("schema_cache_seconds")}`);
+    process.exit(1);
+  }
+}
 
-import { RestServerTransport } from "@chatmcp/sdk/server/rest.js";
-import { getParamValue, getAuthValue } from "@chatmcp/sdk/utils/index.js";
- 
-const perplexityApiKey = getParamValue("perplexity_api_key") || "";
- 
-const mode = getParamValue("mode") || "stdio";
-const port = getParamValue("port") || 9593;
-const endpoint = getParamValue("endpoint") || "/rest";
+// Chunked uploads: their lifetime without new chunks, their size and the
+// uploads in progress per caller, e.g. --max_upload_bytes=1073741824
+const uploads = { ...DEFAULT_UPLOAD_LIMITS };
+for (const [option, limit] of [
+  ["upload_ttl", "ttlSeconds"],
+  ["max_upload_bytes", "maxBytes"],
+  ["max_uploads", "maxSessions"],
+] as const) {
+  if (getParamValue(option)) {
+    uploads[limit] = Number(getParamValue(option));
+    if (!Number.isInteger(uploads[limit]) || uploads[limit] <= 0) {
+      console.error(`Invalid --${option}: ${getParamValue(option)}`);
+      process.exit(1);
+    }
+  }
+}
+
+// Most bytes import_archive decompresses, e.g. --max_archive_bytes=104857600
+let maxArchiveBytes = DEFAULT_MAX_ARCHIVE_BYTES;
+if (getParamValue("max_archive_bytes")) {
+  maxArchiveBytes = Number(getParamValue("max_archive_bytes"));
+  if (!Number.isInteger(maxArchiveBytes) || maxArchiveBytes <= 0) {
+    console.error(`Invalid --max_archive_bytes: ${getParamValue("max_archive_bytes")}`);
+    process.exit(1);
+  }
+}
+
+const config: ServerConfig = {
+  schemas: schemas.length ? schemas : null,
+  policy,
+  allowedStatements,
+  importDir: getParamValue("import_dir"),
+  exportDir: getParamValue("export_dir"),
+  uploads,
+  maxArchiveBytes,
+  audit,
+  readOnly: false,
+  timeouts,
+  savedQueries,
+  schemaCacheSeconds,
+};
+
+// Names of the databases served, for the startup message
+function databaseSummary(): string {
+  const names = databases.connections.map(({ name, readOnly }) => `"${name}"${readOnly ? " (read-only)" : ""}`);
+  return `${names.length === 1 ? "database" : "databases"} ${names.join(", ")}`;
+}
+
+// -----------------------------------------------------------------------------
+// Function to serve HTTP requests: health checks first, then the transport.
+// SIGTERM and SIGINT stop new sessions, fail readiness, close the transport
+// and the HTTP server, close open query cursors and end the pools.
+// -----------------------------------------------------------------------------
+async function serveHttp(handler: HttpHandler, closeTransport: () => Promise<void>) {
+  let accepting = true;
+  const httpServer = await listenHttp({ port: Number(port), host }, async (req, res) => {
+    if (!(await handleHealthRequest(databases, req, res, () => accepting))) {
+      await handler(req, res);
+    }
+  });
+  console.error(
+    `PostgreSQL MCP server running in ${mode} mode on http://${host || "localhost"}:${port}${endpoint} with ${databaseSummary()}`
+  );
+
+  const shutdown = async () => {
+    if (!accepting) {
+      return;
+    }
+    accepting = false;
+    console.error("Shutting down");
+    await closeTransport();
+    httpServer.closeIdleConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+    await closeCursors();
+    await closeDatabases(databases);
+    process.exit(0);
+  };
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+}
 
 async function runServer() {
   try {
-    // after: MCP Server run with rest transport and stdio transport
     if (mode === "rest") {
-      const transport = new RestServerTransport({
-        port,
+      const transport = new RestTransport({ endpoint, apiKeys });
+      await createServer().connect(transport);
+      await serveHttp((req, res) => transport.handleRequest(req, res), () => transport.close());
+      return;
+    }
+
+    // Streamable HTTP on --endpoint, and HTTP+SSE on /sse and /messages
+    if (mode === "http") {
+      const sessions = new HttpSessions({
         endpoint,
+        sseEndpoint: "/sse",
+        messagesEndpoint: "/messages",
+        apiKeys,
+        createServer,
       });
-      await server.connect(transport);
- 
-      await transport.startServer();
- 
+      await serveHttp(async (req, res) => {
+        if (sessions.handles(new URL(req.url ?? "/", "http://localhost").pathname)) {
+          await sessions.handleRequest(req, res);
+        } else {
+          sendError(res, 404, "Not found");
+        }
+      }, () => sessions.close());
       return;
     }
- 
-    // before: MCP Server only run with stdio transport
+
     const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error(
-      "Perplexity MCP Server running on stdio with Ask, Research, and Reason tools"
-    );
+    await createServer().connect(transport);
+    console.error(`PostgreSQL MCP server running on stdio with ${databaseSummary()}`);
   } catch (error) {
     console.error("Fatal error running server:", error);
     process.exit(1);
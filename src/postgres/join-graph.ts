@@ -0,0 +1,288 @@
+import { ForeignKeyConstraint, TableName, qualifiedTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+
+// -----------------------------------------------------------------------------
+// Join graph: the tables of a database connected by their foreign keys, which
+// can be followed in both directions. Paths between two tables and trees
+// connecting several tables are found in it and turned into FROM ... JOIN ...
+// ON clauses. Composite keys join on all their columns, a self-referencing
+// key joins a second occurrence of its table, and keys copied from a
+// partitioned table to its partitions are left out in favour of the
+// partitioned table's own key.
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_MAX_HOPS = 4;
+export const MAX_HOPS = 8;
+
+// A foreign key followed from one table to the next, forward from the
+// referencing table to the referenced one
+interface JoinStep {
+  key: ForeignKeyConstraint;
+  forward: boolean;
+}
+
+export interface JoinGraph {
+  // Steps leaving each table, by tableKey
+  steps: Map<string, JoinStep[]>;
+}
+
+// Tables joined in order, a table appearing twice for self joins, and the
+// foreign key joining each table after the first to an earlier one
+export interface JoinPlan {
+  tables: TableName[];
+  joins: (JoinStep & { from: number; to: number })[];
+}
+
+// Short aliases that are reserved words and cannot follow AS unquoted
+const RESERVED_ALIASES = new Set([
+  "all", "and", "any", "as", "asc", "both", "case", "cast", "desc", "do", "else", "end", "for",
+  "from", "in", "into", "not", "null", "on", "only", "or", "some", "then", "to", "true", "user",
+  "when", "with",
+]);
+
+function tableKey({ schema, name }: TableName): string {
+  return JSON.stringify([schema, name]);
+}
+
+export function tableLabel({ schema, name }: TableName): string {
+  return `${schema}.${name}`;
+}
+
+function stepSource({ key, forward }: JoinStep): TableName {
+  return forward ? key.from : key.to;
+}
+
+function stepTarget({ key, forward }: JoinStep): TableName {
+  return forward ? key.to : key.from;
+}
+
+// -----------------------------------------------------------------------------
+// Function to build the graph of the given foreign keys
+// -----------------------------------------------------------------------------
+export function buildJoinGraph(foreignKeys: ForeignKeyConstraint[]): JoinGraph {
+  const steps = new Map<string, JoinStep[]>();
+  const add = (table: TableName, step: JoinStep) => {
+    const key = tableKey(table);
+    steps.set(key, [...(steps.get(key) ?? []), step]);
+  };
+  for (const key of foreignKeys.filter(({ inherited }) => !inherited)) {
+    add(key.from, { key, forward: true });
+    add(key.to, { key, forward: false });
+  }
+  return { steps };
+}
+
+// Fewest foreign keys from every table to the given one, for tables at most
+// maxHops away
+function distancesTo(graph: JoinGraph, to: TableName, maxHops: number): Map<string, number> {
+  const distances = new Map([[tableKey(to), 0]]);
+  let frontier = [tableKey(to)];
+  for (let hops = 1; hops <= maxHops && frontier.length; hops++) {
+    const next: string[] = [];
+    for (const key of frontier) {
+      // Steps are followed in both directions, so the tables reaching a
+      // table are the ones it reaches
+      for (const step of graph.steps.get(key) ?? []) {
+        const target = tableKey(stepTarget(step));
+        if (!distances.has(target)) {
+          distances.set(target, hops);
+          next.push(target);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+// Paths of exactly `hops` steps from one table to another, through distinct
+// tables other than the two and using every foreign key at most once. A path
+// from a table to itself returns to a second occurrence of the table. Only
+// tables from which the target can still be reached in the hops left are
+// visited.
+function pathsOfLength(
+  graph: JoinGraph,
+  from: TableName,
+  to: TableName,
+  hops: number,
+  limit: number,
+  distances: Map<string, number>
+): JoinStep[][] {
+  const found: JoinStep[][] = [];
+  const seen = new Set([tableKey(from), tableKey(to)]);
+  const visit = (table: TableName, path: JoinStep[]) => {
+    for (const step of graph.steps.get(tableKey(table)) ?? []) {
+      if (found.length >= limit) {
+        return;
+      }
+      if (path.some(({ key }) => key === step.key)) {
+        continue;
+      }
+      const next = tableKey(stepTarget(step));
+      if (path.length === hops - 1) {
+        if (next === tableKey(to)) {
+          found.push([...path, step]);
+        }
+      } else if (!seen.has(next) && (distances.get(next) ?? Infinity) <= hops - path.length - 1) {
+        seen.add(next);
+        visit(stepTarget(step), [...path, step]);
+        seen.delete(next);
+      }
+    }
+  };
+  visit(from, []);
+  return found;
+}
+
+function planOfPath(from: TableName, path: JoinStep[]): JoinPlan {
+  return {
+    tables: [from, ...path.map(stepTarget)],
+    joins: path.map((step, index) => ({ ...step, from: index, to: index + 1 })),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Function to find the paths of at most maxHops foreign keys between two
+// tables, fewest hops first: only the shortest ones, or all of them up to
+// the limit
+// -----------------------------------------------------------------------------
+export function findJoinPaths(
+  graph: JoinGraph,
+  from: TableName,
+  to: TableName,
+  { maxHops, limit, all }: { maxHops: number; limit: number; all: boolean }
+): JoinPlan[] {
+  const distances = distancesTo(graph, to, maxHops);
+  const found: JoinStep[][] = [];
+  // A table joining itself is reached again through its neighbours
+  const reachable =
+    tableKey(from) === tableKey(to)
+      ? (graph.steps.get(tableKey(from)) ?? []).length > 0
+      : distances.has(tableKey(from));
+  if (!reachable) {
+    return [];
+  }
+  for (let hops = 1; hops <= maxHops && found.length < limit; hops++) {
+    found.push(...pathsOfLength(graph, from, to, hops, limit - found.length, distances));
+    if (!all && found.length) {
+      break;
+    }
+  }
+  return found.map((path) => planOfPath(from, path));
+}
+
+// -----------------------------------------------------------------------------
+// Function to connect several tables with few joins. Starting from the first
+// table, the nearest table not joined yet is added with the shortest path
+// from any table joined so far, so the plan is a tree of the tables and the
+// tables on the paths between them. Throws an error when a table is more than
+// maxHops foreign keys away from the others.
+// -----------------------------------------------------------------------------
+export function connectTables(graph: JoinGraph, tables: TableName[], maxHops: number): JoinPlan {
+  const plan: JoinPlan = { tables: [tables[0]], joins: [] };
+  // Position of every table of the plan
+  const joined = new Map([[tableKey(tables[0]), 0]]);
+  let remaining = tables.slice(1);
+  while (remaining.length) {
+    // Breadth-first search from every joined table at once
+    const reachedBy = new Map<string, JoinStep>();
+    let frontier = [...joined.keys()];
+    let reached: TableName | undefined;
+    for (let hops = 1; hops <= maxHops && !reached && frontier.length; hops++) {
+      const next: string[] = [];
+      for (const key of frontier) {
+        for (const step of graph.steps.get(key) ?? []) {
+          const target = tableKey(stepTarget(step));
+          if (joined.has(target) || reachedBy.has(target)) {
+            continue;
+          }
+          reachedBy.set(target, step);
+          next.push(target);
+        }
+      }
+      reached = remaining.find((table) => next.includes(tableKey(table)));
+      frontier = next;
+    }
+    if (!reached) {
+      throw new Error(
+        `No join path of at most ${maxHops} foreign keys connects ${remaining.map(tableLabel).join(", ")} ` +
+          `to ${tables.filter((table) => !remaining.includes(table)).map(tableLabel).join(", ")}`
+      );
+    }
+
+    const path: JoinStep[] = [];
+    for (let key = tableKey(reached); !joined.has(key); ) {
+      const step = reachedBy.get(key)!;
+      path.unshift(step);
+      key = tableKey(stepSource(step));
+    }
+    let from = joined.get(tableKey(stepSource(path[0])))!;
+    for (const step of path) {
+      const target = stepTarget(step);
+      const to = plan.tables.push(target) - 1;
+      joined.set(tableKey(target), to);
+      plan.joins.push({ ...step, from, to });
+      from = to;
+    }
+    remaining = remaining.filter((table) => !joined.has(tableKey(table)));
+  }
+  return plan;
+}
+
+// Aliases from the initials of the table names, e.g. oi for order_items,
+// numbered when taken
+function tableAliases(tables: TableName[]): string[] {
+  const used = new Set<string>();
+  return tables.map(({ name }) => {
+    let base = name
+      .split(/[^A-Za-z0-9]+/)
+      .filter((word) => word !== "")
+      .map((word) => word[0].toLowerCase())
+      .join("");
+    if (!/^[a-z]/.test(base)) {
+      base = `t${base}`;
+    }
+    let alias = base;
+    for (let number = 2; used.has(alias) || RESERVED_ALIASES.has(alias); number++) {
+      alias = `${base}${number}`;
+    }
+    used.add(alias);
+    return alias;
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Function to describe a plan: its foreign keys and the FROM clause joining
+// its tables
+// -----------------------------------------------------------------------------
+export function describeJoinPlan(plan: JoinPlan) {
+  const aliases = tableAliases(plan.tables);
+  const source = (index: number) =>
+    `${qualifiedTableName(plan.tables[index].schema, plan.tables[index].name)} AS ${aliases[index]}`;
+  const sql = [
+    `FROM ${source(0)}`,
+    ...plan.joins.map(({ key, forward, from, to }) => {
+      const conditions = key.columns.map((column) => {
+        const [fromColumn, toColumn] = forward ? [column.from, column.to] : [column.to, column.from];
+        return `${aliases[to]}.${quoteIdentifier(toColumn)} = ${aliases[from]}.${quoteIdentifier(fromColumn)}`;
+      });
+      return `JOIN ${source(to)} ON ${conditions.join(" AND ")}`;
+    }),
+  ].join("\n");
+  return {
+    hops: plan.joins.length,
+    tables: plan.tables.map((table, index) => `${tableLabel(table)} AS ${aliases[index]}`),
+    joins: plan.joins.map(({ key, forward, from, to }) => ({
+      foreignKey: key.name,
+      from: aliases[from],
+      to: aliases[to],
+      // Alias of the table holding the foreign key
+      referencing: aliases[forward ? from : to],
+      // Referencing and referenced column of each pair
+      columns: key.columns.map(
+        (column) => `${tableLabel(key.from)}.${column.from} -> ${tableLabel(key.to)}.${column.to}`
+      ),
+    })),
+    sql,
+  };
+}
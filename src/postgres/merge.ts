@@ -0,0 +1,337 @@
+import pg from "pg";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { randomUUID } from "crypto";
+import { from as copyFrom } from "pg-copy-streams";
+import {
+  ColumnDefinition,
+  CoercedValue,
+  coerceRecord,
+  quoteIdentifier,
+} from "./column-types.js";
+import { recordRows } from "./import-batches.js";
+
+// Bookkeeping columns added to every staging table
+const ROW_NUMBER_COLUMN = "__mcp_row";
+const OUTCOME_COLUMN = "__mcp_outcome";
+const REASON_COLUMN = "__mcp_reason";
+
+// Maximum number of per-row outcomes included in an import summary
+const MAX_REPORTED_ROWS = 1000;
+
+export const CONFLICT_MODES = [
+  "insert_only",
+  "upsert",
+  "replace_table",
+  "append",
+  "error_on_conflict",
+] as const;
+
+export type ConflictMode = (typeof CONFLICT_MODES)[number];
+
+export type RowOutcomeKind = "created" | "updated" | "skipped" | "rejected";
+
+export interface RowOutcome {
+  row: number;
+  outcome: RowOutcomeKind;
+  reason?: string;
+}
+
+export interface TableSummary {
+  created: number;
+  updated: number;
+  skipped: number;
+  rejected: number;
+  // Rows removed from the table before loading, only set for replace_table
+  deleted?: number;
+  // Foreign key constraints added to the table by the import
+  foreignKeysAdded?: string[];
+  conflictMode: ConflictMode;
+  // Columns used to match rows against the table, null when whole rows are compared
+  matchColumns: string[] | null;
+  rows: RowOutcome[];
+  rowsTruncated: boolean;
+}
+
+export function emptyTableSummary(conflictMode: ConflictMode): TableSummary {
+  return {
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    rejected: 0,
+    conflictMode,
+    matchColumns: null,
+    rows: [],
+    rowsTruncated: false,
+  };
+}
+
+export class ImportConflictError extends Error {
+  constructor(
+    public readonly tableName: string,
+    public readonly rejected: RowOutcome[]
+  ) {
+    const rows = rejected.slice(0, 20).map((outcome) => outcome.row).join(", ");
+    const more = rejected.length > 20 ? ", ..." : "";
+    super(
+      `Import into "${tableName}" rejected ${rejected.length} row(s) (rows ${rows}${more}): ${rejected[0].reason}`
+    );
+    this.name = "ImportConflictError";
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers to serialize coerced values in the COPY csv format. Unquoted empty
+// fields are read as NULL, so every non-null value is quoted.
+// -----------------------------------------------------------------------------
+function toCopyField(value: CoercedValue): string {
+  if (value === null) {
+    return "";
+  }
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+async function* toCopyLines(
+  records: Iterable<Record<string, string>> | AsyncIterable<Record<string, string>>,
+  columns: ColumnDefinition[]
+): AsyncGenerator<string> {
+  let rowNumber = 0;
+  for await (const record of records) {
+    rowNumber++;
+    const row = coerceRecord(record, columns, rowNumber);
+    const fields = columns.map((column) => toCopyField(row[column.name]));
+    yield `${rowNumber},${fields.join(",")}\n`;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function to stream the records into a temporary staging table shaped like
+// the target table. The staging table is dropped when the transaction ends.
+// Records may come from a stream, so files larger than memory can be loaded.
+// -----------------------------------------------------------------------------
+export async function stageRecords(
+  client: pg.PoolClient,
+  tableName: string,
+  columns: ColumnDefinition[],
+  records: Iterable<Record<string, string>> | AsyncIterable<Record<string, string>>
+): Promise<string> {
+  const stagingTable = `mcp_staging_${randomUUID().replace(/-/g, "")}`;
+  const staging = quoteIdentifier(stagingTable);
+  const columnList = columns.map((column) => quoteIdentifier(column.name)).join(", ");
+
+  await client.query(
+    `CREATE TEMP TABLE ${staging} ON COMMIT DROP AS
+     SELECT ${columnList} FROM ${quoteIdentifier(tableName)} WITH NO DATA`
+  );
+  await client.query(
+    `ALTER TABLE ${staging}
+     ADD COLUMN ${quoteIdentifier(ROW_NUMBER_COLUMN)} integer,
+     ADD COLUMN ${quoteIdentifier(OUTCOME_COLUMN)} text,
+     ADD COLUMN ${quoteIdentifier(REASON_COLUMN)} text`
+  );
+
+  const copyStream = client.query(
+    copyFrom(
+      `COPY ${staging} (${quoteIdentifier(ROW_NUMBER_COLUMN)}, ${columnList})
+       FROM STDIN WITH (FORMAT csv)`
+    )
+  );
+  await pipeline(Readable.from(toCopyLines(records, columns)), copyStream);
+
+  return stagingTable;
+}
+
+// -----------------------------------------------------------------------------
+// Function to pick the columns used to match incoming rows with existing ones.
+// Explicit columns win, then the table's primary key, then the first unique
+// index fully covered by the incoming columns, then a plain "id" column. A
+// null result means whole rows are compared.
+// -----------------------------------------------------------------------------
+export async function resolveMatchColumns(
+  client: pg.PoolClient,
+  tableName: string,
+  columns: ColumnDefinition[],
+  matchColumns?: string[]
+): Promise<string[] | null> {
+  const available = columns.map((column) => column.name);
+
+  if (matchColumns?.length) {
+    const missing = matchColumns.filter((name) => !available.includes(name));
+    if (missing.length) {
+      throw new Error(
+        `Match column(s) ${missing.map((name) => `"${name}"`).join(", ")} not found in the uploaded data`
+      );
+    }
+    return matchColumns;
+  }
+
+  const keysResult = await client.query<{ columns: string[] }>(
+    `SELECT array_agg(a.attname::text ORDER BY k.ord) AS columns
+     FROM pg_index i
+     CROSS JOIN LATERAL unnest(i.indkey) WITH ORDINALITY AS k(attnum, ord)
+     JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+     WHERE i.indrelid = $1::regclass
+       AND (i.indisprimary OR i.indisunique)
+       AND i.indpred IS NULL
+       AND i.indexprs IS NULL
+     GROUP BY i.indexrelid, i.indisprimary
+     ORDER BY i.indisprimary DESC, count(*), i.indexrelid`,
+    [quoteIdentifier(tableName)]
+  );
+  const key = keysResult.rows.find((row) =>
+    row.columns.every((name) => available.includes(name))
+  );
+  if (key) {
+    return key.columns;
+  }
+
+  return available.includes("id") ? ["id"] : null;
+}
+
+// -----------------------------------------------------------------------------
+// Function to merge the staged records into the target table with set-based
+// statements. Every staged row is first classified, then the target table is
+// changed with one UPDATE ... FROM and one INSERT ... SELECT. For replace_table
+// the caller empties the table beforehand, so rows are inserted as in append.
+// -----------------------------------------------------------------------------
+export async function mergeStagedRecords(
+  client: pg.PoolClient,
+  tableName: string,
+  stagingTable: string,
+  columns: ColumnDefinition[],
+  conflictMode: ConflictMode,
+  matchColumns: string[] | null,
+  batchId: string
+): Promise<TableSummary> {
+  const target = quoteIdentifier(tableName);
+  const staging = quoteIdentifier(stagingTable);
+  const rowNumber = quoteIdentifier(ROW_NUMBER_COLUMN);
+  const outcome = quoteIdentifier(OUTCOME_COLUMN);
+  const reason = quoteIdentifier(REASON_COLUMN);
+  const columnNames = columns.map((column) => quoteIdentifier(column.name));
+  const columnList = columnNames.join(", ");
+  const summary = emptyTableSummary(conflictMode);
+
+  const classify = (kind: RowOutcomeKind, why: string | null, condition: string) =>
+    client.query(
+      `UPDATE ${staging} s SET ${outcome} = $1, ${reason} = $2
+       WHERE s.${outcome} IS NULL AND ${condition}`,
+      [kind, why]
+    );
+
+  if (conflictMode !== "replace_table" && conflictMode !== "append") {
+    summary.matchColumns = matchColumns;
+
+    // Match on the key columns, or on whole rows when there is no key. Whole
+    // rows are compared as jsonb, which takes nulls as equal, compares json
+    // values by content and can be hashed, so neither comparison needs a
+    // nested loop over the staged or existing rows.
+    const keyNames = (matchColumns ?? []).map(quoteIdentifier);
+    const same = (left: string, right: string) =>
+      keyNames.map((name) => `${left}.${name} = ${right}.${name}`).join(" AND ");
+    const rowValue = (alias: string) =>
+      `to_jsonb(ROW(${columnNames.map((name) => `${alias}.${name}`).join(", ")}))`;
+
+    if (matchColumns) {
+      await classify(
+        "rejected",
+        `missing value for match column(s) ${matchColumns.join(", ")}`,
+        keyNames.map((name) => `s.${name} IS NULL`).join(" OR ")
+      );
+    }
+    // The last occurrence of a key within the file wins, while the first of
+    // identical rows is kept
+    await client.query(
+      `UPDATE ${staging} s SET ${outcome} = 'skipped', ${reason} = $1::text || d.kept
+       FROM (
+         SELECT r.${rowNumber} AS row,
+           ${matchColumns ? "max" : "min"}(r.${rowNumber}) OVER (
+             PARTITION BY ${matchColumns ? keyNames.map((name) => `r.${name}`).join(", ") : rowValue("r")}
+           ) AS kept
+         FROM ${staging} r WHERE r.${outcome} IS NULL
+       ) d
+       WHERE s.${rowNumber} = d.row AND d.row <> d.kept`,
+      [matchColumns ? "duplicate key, superseded by row " : "identical to row "]
+    );
+
+    const matchesExisting = matchColumns
+      ? `EXISTS (SELECT 1 FROM ${target} t WHERE ${same("t", "s")})`
+      : `${rowValue("s")} IN (SELECT ${rowValue("t")} FROM ${target} t)`;
+    const columnsToUpdate = matchColumns
+      ? columnNames.filter((name) => !keyNames.includes(name))
+      : [];
+
+    if (conflictMode === "error_on_conflict") {
+      await classify("rejected", "conflicts with an existing row", matchesExisting);
+    } else if (conflictMode === "insert_only") {
+      await classify("skipped", "row already exists", matchesExisting);
+    } else if (!matchColumns) {
+      await classify("skipped", "identical row already exists", matchesExisting);
+    } else if (!columnsToUpdate.length) {
+      await classify("skipped", "no columns to update besides the match columns", matchesExisting);
+    } else {
+      await classify("updated", null, matchesExisting);
+    }
+
+    if (conflictMode === "error_on_conflict") {
+      const rejected = await client.query<{ row: number; reason: string }>(
+        `SELECT ${rowNumber} AS row, ${reason} AS reason FROM ${staging}
+         WHERE ${outcome} IN ('rejected', 'skipped') ORDER BY ${rowNumber}`
+      );
+      if (rejected.rows.length) {
+        throw new ImportConflictError(
+          tableName,
+          rejected.rows.map((row) => ({ row: row.row, outcome: "rejected", reason: row.reason }))
+        );
+      }
+    }
+
+    if (columnsToUpdate.length) {
+      // Keep the previous values so that the batch can be reverted
+      await recordRows(
+        client,
+        batchId,
+        tableName,
+        "updated",
+        `SELECT t.* FROM ${target} t WHERE EXISTS (
+           SELECT 1 FROM ${staging} s WHERE s.${outcome} = 'updated' AND ${same("t", "s")}
+         )`
+      );
+      const setClause = columnsToUpdate.map((name) => `${name} = s.${name}`).join(", ");
+      await client.query(
+        `UPDATE ${target} t SET ${setClause} FROM ${staging} s
+         WHERE s.${outcome} = 'updated' AND ${same("t", "s")}`
+      );
+    }
+  }
+
+  await classify("created", null, "TRUE");
+  await recordRows(
+    client,
+    batchId,
+    tableName,
+    "inserted",
+    `INSERT INTO ${target} (${columnList})
+     SELECT ${columnList} FROM ${staging} s
+     WHERE s.${outcome} = 'created' ORDER BY s.${rowNumber}
+     RETURNING *`
+  );
+
+  const counts = await client.query<{ outcome: RowOutcomeKind; count: string }>(
+    `SELECT ${outcome} AS outcome, COUNT(*) AS count FROM ${staging} GROUP BY ${outcome}`
+  );
+  for (const row of counts.rows) {
+    summary[row.outcome] = Number(row.count);
+  }
+
+  const rows = await client.query<{ row: number; outcome: RowOutcomeKind; reason: string | null }>(
+    `SELECT ${rowNumber} AS row, ${outcome} AS outcome, ${reason} AS reason
+     FROM ${staging} ORDER BY ${rowNumber} LIMIT ${MAX_REPORTED_ROWS + 1}`
+  );
+  summary.rowsTruncated = rows.rows.length > MAX_REPORTED_ROWS;
+  summary.rows = rows.rows
+    .slice(0, MAX_REPORTED_ROWS)
+    .map(({ row, outcome, reason }) => (reason ? { row, outcome, reason } : { row, outcome }));
+
+  return summary;
+}
@@ -0,0 +1,268 @@
+import pg from "pg";
+import { RELATION_KINDS, RelationKind, qualifiedTableName } from "./catalog.js";
+
+// -----------------------------------------------------------------------------
+// Detailed metadata of a relation as recorded in the system catalogs: column
+// defaults, identity and generated columns, constraints, index definitions,
+// comments and enum labels. The ddl resource rebuilds statements from it.
+// -----------------------------------------------------------------------------
+
+export interface ColumnMetadata {
+  name: string;
+  // Type as written in DDL, e.g. character varying(20) or numeric(10,2)
+  dataType: string;
+  nullable: boolean;
+  default: string | null;
+  // ALWAYS or BY DEFAULT for identity columns
+  identity: "ALWAYS" | "BY DEFAULT" | null;
+  // Expression of a generated column
+  generated: string | null;
+  // Labels of an enum type, in sort order
+  enumLabels: string[] | null;
+  comment: string | null;
+}
+
+export interface ConstraintMetadata {
+  name: string;
+  columns: string[];
+  definition: string;
+}
+
+export interface IndexMetadata {
+  name: string;
+  unique: boolean;
+  primary: boolean;
+  // Constraint the index was created for, if any
+  constraint: string | null;
+  // Columns used by the index's keys, expressions and predicate
+  columns: string[];
+  definition: string;
+}
+
+export interface EnumTypeMetadata {
+  // Qualified type name as written in DDL
+  name: string;
+  labels: string[];
+}
+
+export interface RelationMetadata {
+  schema: string;
+  name: string;
+  kind: RelationKind;
+  comment: string | null;
+  // Row count estimated by the planner, null before the table is analyzed
+  rowEstimate: number | null;
+  // Query of a view or materialized view
+  viewDefinition: string | null;
+  // PARTITION BY clause of a partitioned table
+  partitionKey: string | null;
+  // Parent and FOR VALUES clause of a partition
+  partitionOf: { parent: string; bound: string } | null;
+  columns: ColumnMetadata[];
+  primaryKey: ConstraintMetadata | null;
+  uniqueConstraints: ConstraintMetadata[];
+  checkConstraints: ConstraintMetadata[];
+  foreignKeys: ConstraintMetadata[];
+  exclusionConstraints: ConstraintMetadata[];
+  indexes: IndexMetadata[];
+  enumTypes: EnumTypeMetadata[];
+}
+
+export interface FunctionMetadata {
+  schema: string;
+  name: string;
+  kind: "function" | "procedure";
+  arguments: string;
+  returns: string | null;
+  language: string;
+  comment: string | null;
+  definition: string;
+}
+
+const CONSTRAINT_TYPES = {
+  p: "primaryKey",
+  u: "uniqueConstraints",
+  c: "checkConstraints",
+  f: "foreignKeys",
+  x: "exclusionConstraints",
+} as const;
+
+export async function getRelationMetadata(
+  pool: pg.Pool,
+  schema: string,
+  name: string
+): Promise<RelationMetadata> {
+  const relation = qualifiedTableName(schema, name);
+
+  const relationResult = await pool.query<{
+    relkind: string;
+    comment: string | null;
+    reltuples: number;
+    view_definition: string | null;
+    partition_key: string | null;
+    parent: string | null;
+    bound: string | null;
+  }>(
+    `SELECT c.relkind, obj_description(c.oid, 'pg_class') AS comment, c.reltuples,
+            CASE WHEN c.relkind IN ('v', 'm') THEN pg_get_viewdef(c.oid, true) END AS view_definition,
+            CASE WHEN c.relkind = 'p' THEN pg_get_partkeydef(c.oid) END AS partition_key,
+            (SELECT i.inhparent::regclass::text FROM pg_inherits i
+             WHERE c.relispartition AND i.inhrelid = c.oid) AS parent,
+            CASE WHEN c.relispartition THEN pg_get_expr(c.relpartbound, c.oid) END AS bound
+     FROM pg_class c WHERE c.oid = $1::regclass`,
+    [relation]
+  );
+  const info = relationResult.rows[0];
+
+  const columnsResult = await pool.query<ColumnMetadata>(
+    `SELECT a.attname AS name,
+            format_type(a.atttypid, a.atttypmod) AS "dataType",
+            NOT a.attnotnull AS nullable,
+            CASE WHEN a.attgenerated = '' THEN pg_get_expr(d.adbin, d.adrelid) END AS default,
+            CASE a.attidentity WHEN 'a' THEN 'ALWAYS' WHEN 'd' THEN 'BY DEFAULT' END AS identity,
+            CASE WHEN a.attgenerated <> '' THEN pg_get_expr(d.adbin, d.adrelid) END AS generated,
+            CASE WHEN t.typtype = 'e' THEN (
+              SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder)
+              FROM pg_enum e WHERE e.enumtypid = t.oid
+            ) END AS "enumLabels",
+            col_description(a.attrelid, a.attnum) AS comment
+     FROM pg_attribute a
+     JOIN pg_type t ON t.oid = a.atttypid
+     LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+     WHERE a.attrelid = $1::regclass AND a.attnum > 0 AND NOT a.attisdropped
+     ORDER BY a.attnum`,
+    [relation]
+  );
+
+  const constraintsResult = await pool.query<ConstraintMetadata & { type: keyof typeof CONSTRAINT_TYPES }>(
+    `SELECT c.conname AS name, c.contype AS type, pg_get_constraintdef(c.oid, true) AS definition,
+            ARRAY(
+              SELECT a.attname::text FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, position)
+              JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+              ORDER BY k.position
+            ) AS columns
+     FROM pg_constraint c
+     WHERE c.conrelid = $1::regclass AND c.contype = ANY($2)
+     ORDER BY c.conname`,
+    [relation, Object.keys(CONSTRAINT_TYPES)]
+  );
+
+  const indexesResult = await pool.query<IndexMetadata>(
+    `SELECT i.relname AS name, ix.indisunique AS unique, ix.indisprimary AS primary,
+            con.conname AS constraint, pg_get_indexdef(ix.indexrelid) AS definition,
+            ARRAY(
+              SELECT DISTINCT a.attname::text FROM pg_attribute a
+              WHERE a.attrelid = ix.indrelid AND a.attnum > 0 AND (
+                a.attnum = ANY(ix.indkey) OR EXISTS (
+                  SELECT FROM pg_depend d
+                  WHERE d.classid = 'pg_class'::regclass AND d.objid = ix.indexrelid
+                    AND d.refobjid = ix.indrelid AND d.refobjsubid = a.attnum
+                )
+              )
+            ) AS columns
+     FROM pg_index ix
+     JOIN pg_class i ON i.oid = ix.indexrelid
+     LEFT JOIN pg_constraint con ON con.conindid = ix.indexrelid AND con.conrelid = ix.indrelid
+     WHERE ix.indrelid = $1::regclass
+     ORDER BY i.relname`,
+    [relation]
+  );
+
+  const enumTypesResult = await pool.query<EnumTypeMetadata>(
+    `SELECT DISTINCT format_type(t.oid, NULL) AS name,
+            ARRAY(
+              SELECT e.enumlabel::text FROM pg_enum e WHERE e.enumtypid = t.oid ORDER BY e.enumsortorder
+            ) AS labels
+     FROM pg_attribute a
+     JOIN pg_type t ON t.oid = a.atttypid OR t.typarray = a.atttypid
+     WHERE a.attrelid = $1::regclass AND a.attnum > 0 AND NOT a.attisdropped AND t.typtype = 'e'
+     ORDER BY 1`,
+    [relation]
+  );
+
+  const constraints: Pick<RelationMetadata, (typeof CONSTRAINT_TYPES)[keyof typeof CONSTRAINT_TYPES]> = {
+    primaryKey: null,
+    uniqueConstraints: [],
+    checkConstraints: [],
+    foreignKeys: [],
+    exclusionConstraints: [],
+  };
+  for (const { type, ...constraint } of constraintsResult.rows) {
+    const key = CONSTRAINT_TYPES[type];
+    if (key === "primaryKey") {
+      constraints.primaryKey = constraint;
+    } else {
+      constraints[key].push(constraint);
+    }
+  }
+
+  return {
+    schema,
+    name,
+    kind: RELATION_KINDS[info.relkind],
+    comment: info.comment,
+    rowEstimate: info.reltuples < 0 ? null : Math.round(info.reltuples),
+    viewDefinition: info.view_definition,
+    partitionKey: info.partition_key,
+    partitionOf: info.parent && info.bound ? { parent: info.parent, bound: info.bound } : null,
+    columns: columnsResult.rows,
+    ...constraints,
+    indexes: indexesResult.rows,
+    enumTypes: enumTypesResult.rows,
+  };
+}
+
+// Metadata without the given columns and the constraints and indexes using
+// them, for columns the access policy hides
+export function withoutColumns(metadata: RelationMetadata, hidden: string[]): RelationMetadata {
+  if (!hidden.length) {
+    return metadata;
+  }
+  const visible = ({ columns }: { columns: string[] }) =>
+    !columns.some((column) => hidden.includes(column));
+  const primaryKey = metadata.primaryKey && visible(metadata.primaryKey) ? metadata.primaryKey : null;
+  const uniqueConstraints = metadata.uniqueConstraints.filter(visible);
+  const exclusionConstraints = metadata.exclusionConstraints.filter(visible);
+  const constraintNames = [primaryKey, ...uniqueConstraints, ...exclusionConstraints].map(
+    (constraint) => constraint?.name
+  );
+  return {
+    ...metadata,
+    columns: metadata.columns.filter((column) => !hidden.includes(column.name)),
+    primaryKey,
+    uniqueConstraints,
+    checkConstraints: metadata.checkConstraints.filter(visible),
+    foreignKeys: metadata.foreignKeys.filter(visible),
+    exclusionConstraints,
+    indexes: metadata.indexes.filter(
+      (index) => visible(index) && (!index.constraint || constraintNames.includes(index.constraint))
+    ),
+  };
+}
+
+// Every overload of a function or procedure, with its CREATE statement
+export async function getFunctionMetadata(
+  pool: pg.Pool,
+  schema: string,
+  name: string
+): Promise<FunctionMetadata[]> {
+  const result = await pool.query<FunctionMetadata>(
+    `SELECT n.nspname AS schema, p.proname AS name,
+            CASE p.prokind WHEN 'p' THEN 'procedure' ELSE 'function' END AS kind,
+            pg_get_function_identity_arguments(p.oid) AS arguments,
+            pg_get_function_result(p.oid) AS returns,
+            l.lanname AS language,
+            obj_description(p.oid, 'pg_proc') AS comment,
+            pg_get_functiondef(p.oid) AS definition
+     FROM pg_proc p
+     JOIN pg_namespace n ON n.oid = p.pronamespace
+     JOIN pg_language l ON l.oid = p.prolang
+     WHERE n.nspname = $1 AND p.proname = $2 AND p.prokind IN ('f', 'p')
+     ORDER BY pg_get_function_identity_arguments(p.oid)`,
+    [schema, name]
+  );
+  if (!result.rows.length) {
+    throw new Error(`Function "${schema}.${name}" does not exist`);
+  }
+  return result.rows;
+}
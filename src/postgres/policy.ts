@@ -0,0 +1,155 @@
+import { readFile } from "fs/promises";
+import { z } from "zod";
+
+// -----------------------------------------------------------------------------
+// Access policy loaded from a JSON file at startup. It grants read, write and
+// import rights per schema and table, and hides or masks columns. Rules for a
+// table override those of its schema, which override the policy's defaults;
+// column rules are merged from all three levels. Without a policy file every
+// right is granted.
+// -----------------------------------------------------------------------------
+
+export const ACCESS_RIGHTS = ["read", "write", "import"] as const;
+export type AccessRight = (typeof ACCESS_RIGHTS)[number];
+
+export const COLUMN_RULES = ["hide", "mask"] as const;
+export type ColumnRule = (typeof COLUMN_RULES)[number];
+
+// Replaces the values of masked columns
+export const MASKED_VALUE = "***";
+
+const AccessSchema = z.array(z.enum(ACCESS_RIGHTS));
+const ColumnsSchema = z.record(z.enum(COLUMN_RULES));
+
+const TableRuleSchema = z
+  .object({
+    access: AccessSchema.optional(),
+    columns: ColumnsSchema.optional(),
+  })
+  .strict();
+
+const SchemaRuleSchema = TableRuleSchema.extend({
+  tables: z.record(TableRuleSchema).optional(),
+}).strict();
+
+export const PolicySchema = z
+  .object({
+    // Rights on tables in schemas the policy does not list
+    defaultAccess: AccessSchema.default([]),
+    // Column rules applying to every table
+    columns: ColumnsSchema.optional(),
+    schemas: z.record(SchemaRuleSchema).default({}),
+    // DDL, dangerous and other statements whose tables cannot be determined
+    // are refused unless this is set
+    allowDdl: z.boolean().default(false),
+    // Functions statements may call besides the built-in ones, as
+    // schema.name; see query-policy.ts
+    functions: z.array(z.string().min(1)).default([]),
+  })
+  .strict();
+
+export type Policy = z.infer<typeof PolicySchema>;
+
+export async function loadPolicy(filePath: string): Promise<Policy> {
+  let content: unknown;
+  try {
+    content = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read policy file ${filePath}: ${(error as Error).message}`);
+  }
+  const parsed = PolicySchema.safeParse(content);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(
+      (issue) => `${issue.path.length ? `${issue.path.join(".")}: ` : ""}${issue.message}`
+    );
+    throw new Error(`Invalid policy file ${filePath}: ${issues.join("; ")}`);
+  }
+  return parsed.data;
+}
+
+export function schemaAccess(policy: Policy | null, schema: string): readonly AccessRight[] {
+  if (!policy) {
+    return ACCESS_RIGHTS;
+  }
+  return policy.schemas[schema]?.access ?? policy.defaultAccess;
+}
+
+export function tableAccess(
+  policy: Policy | null,
+  schema: string,
+  tableName: string
+): readonly AccessRight[] {
+  if (!policy) {
+    return ACCESS_RIGHTS;
+  }
+  return policy.schemas[schema]?.tables?.[tableName]?.access ?? schemaAccess(policy, schema);
+}
+
+export function canAccess(
+  policy: Policy | null,
+  right: AccessRight,
+  schema: string,
+  tableName: string
+): boolean {
+  return tableAccess(policy, schema, tableName).includes(right);
+}
+
+export function assertAccess(
+  policy: Policy | null,
+  right: AccessRight,
+  schema: string,
+  tableName: string
+): void {
+  if (!canAccess(policy, right, schema, tableName)) {
+    throw new Error(`Access denied: the policy grants no ${right} access to "${schema}.${tableName}"`);
+  }
+}
+
+export function assertSchemaAccess(policy: Policy | null, right: AccessRight, schema: string): void {
+  if (!schemaAccess(policy, schema).includes(right)) {
+    throw new Error(`Access denied: the policy grants no ${right} access to schema "${schema}"`);
+  }
+}
+
+// Hidden and masked columns of a table, by column name
+export function columnRules(
+  policy: Policy | null,
+  schema: string,
+  tableName: string
+): Map<string, ColumnRule> {
+  if (!policy) {
+    return new Map();
+  }
+  const schemaRule = policy.schemas[schema];
+  return new Map(
+    Object.entries({
+      ...policy.columns,
+      ...schemaRule?.columns,
+      ...schemaRule?.tables?.[tableName]?.columns,
+    })
+  );
+}
+
+export function hiddenColumns(rules: Map<string, ColumnRule>): string[] {
+  return [...rules].filter(([, rule]) => rule === "hide").map(([column]) => column);
+}
+
+// Removes hidden columns from rows and masks the values of masked ones
+export function applyColumnRules(
+  rows: Record<string, unknown>[],
+  rules: Map<string, ColumnRule>
+): Record<string, unknown>[] {
+  if (!rules.size) {
+    return rows;
+  }
+  return rows.map((row) => {
+    const visible: Record<string, unknown> = {};
+    for (const [column, value] of Object.entries(row)) {
+      const rule = rules.get(column);
+      if (rule !== "hide") {
+        visible[column] = rule === "mask" && value !== null ? MASKED_VALUE : value;
+      }
+    }
+    return visible;
+  });
+}
@@ -0,0 +1,57 @@
+import { ProgressNotification, ProgressToken } from "@modelcontextprotocol/sdk/types.js";
+
+// -----------------------------------------------------------------------------
+// Progress of long tool calls, sent as notifications/progress when the client
+// asked for them with a progress token in the request's _meta.
+// -----------------------------------------------------------------------------
+
+// Least time between two notifications, except for the last one
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Reports the work done so far: a count that grows with every report, the
+// total when it is known, and a description of the current step. `final`
+// sends the report even when the previous one was sent less than
+// PROGRESS_INTERVAL_MS ago.
+export type ProgressReporter = (
+  progress: number,
+  total?: number,
+  message?: string,
+  final?: boolean
+) => void;
+
+export const NO_PROGRESS: ProgressReporter = () => {};
+
+export function progressReporter(
+  token: ProgressToken | undefined,
+  sendNotification: (notification: ProgressNotification) => Promise<void>
+): ProgressReporter {
+  if (token === undefined) {
+    return NO_PROGRESS;
+  }
+  let sentAt = 0;
+  let last = -Infinity;
+  return (progress, total, message, final = false) => {
+    const now = Date.now();
+    if (progress <= last || (!final && now - sentAt < PROGRESS_INTERVAL_MS)) {
+      return;
+    }
+    sentAt = now;
+    last = progress;
+    sendNotification({
+      method: "notifications/progress",
+      params: { progressToken: token, progress, total, message },
+    }).catch((error) => console.error("Could not send progress notification:", error));
+  };
+}
+
+// Passes records through, reporting every one counted
+export async function* reportRecords<T>(
+  records: Iterable<T> | AsyncIterable<T>,
+  onRecord: (count: number) => void
+): AsyncIterable<T> {
+  let count = 0;
+  for await (const record of records) {
+    onRecord(++count);
+    yield record;
+  }
+}
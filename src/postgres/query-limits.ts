@@ -0,0 +1,104 @@
+import pg from "pg";
+
+// -----------------------------------------------------------------------------
+// Limits on the statements of a tool call: statement_timeout and lock_timeout
+// for its transactions, configured per tool, and cancellation. When the client
+// cancels the call, the statement running on its connection is cancelled with
+// pg_cancel_backend.
+// -----------------------------------------------------------------------------
+
+export interface QueryLimits {
+  // statement_timeout and lock_timeout in milliseconds, 0 for none
+  statementTimeout: number;
+  lockTimeout: number;
+  // Aborted when the client cancels the call
+  signal?: AbortSignal;
+}
+
+export const NO_LIMITS: QueryLimits = { statementTimeout: 0, lockTimeout: 0 };
+
+// Timeouts in milliseconds by tool name, "*" for tools not listed
+export type ToolTimeouts = Record<string, number>;
+
+// Parses --statement_timeout or --lock_timeout: a timeout for every tool, a
+// list of tool:timeout pairs, or both, e.g. "30000,execute:300000"
+export function parseToolTimeouts(value: string, toolNames: string[]): ToolTimeouts {
+  const timeouts: ToolTimeouts = {};
+  for (const entry of value.split(",").map((part) => part.trim()).filter((part) => part !== "")) {
+    const [tool, milliseconds] = entry.includes(":") ? entry.split(":", 2) : ["*", entry];
+    if (tool !== "*" && !toolNames.includes(tool.trim())) {
+      throw new Error(`Unknown tool "${tool.trim()}"`);
+    }
+    if (!/^\d+$/.test(milliseconds.trim())) {
+      throw new Error(`"${entry}" is not a timeout in milliseconds`);
+    }
+    timeouts[tool.trim()] = Number(milliseconds);
+  }
+  return timeouts;
+}
+
+export function limitsForTool(
+  timeouts: { statement: ToolTimeouts; lock: ToolTimeouts },
+  tool: string,
+  signal?: AbortSignal
+): QueryLimits {
+  return {
+    statementTimeout: timeouts.statement[tool] ?? timeouts.statement["*"] ?? 0,
+    lockTimeout: timeouts.lock[tool] ?? timeouts.lock["*"] ?? 0,
+    signal,
+  };
+}
+
+// Function to set the timeouts for the rest of the current transaction. A
+// timeout of 0 keeps the connection's own setting. Fails when the call was
+// cancelled before it got here.
+export async function setTransactionLimits(client: pg.PoolClient, limits: QueryLimits): Promise<void> {
+  limits.signal?.throwIfAborted();
+  const settings = Object.entries({
+    statement_timeout: limits.statementTimeout,
+    lock_timeout: limits.lockTimeout,
+  }).filter(([, milliseconds]) => milliseconds > 0);
+  for (const [setting, milliseconds] of settings) {
+    await client.query("SELECT set_config($1, $2, true)", [setting, String(milliseconds)]);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function to cancel the statement running on a client when the signal aborts.
+// Returns the function to stop watching the signal, which waits for a
+// cancellation in progress so that it cannot hit a later statement.
+// -----------------------------------------------------------------------------
+export function watchForCancel(
+  pool: pg.Pool,
+  client: pg.PoolClient,
+  signal: AbortSignal | undefined
+): () => Promise<void> {
+  let cancelling: Promise<unknown> = Promise.resolve();
+  // processID is set by pg but missing from its type definitions
+  const pid = (client as pg.PoolClient & { processID?: number }).processID;
+  const cancel = () => {
+    cancelling = pool
+      .query("SELECT pg_cancel_backend($1)", [pid])
+      .catch((error) => console.error(`Could not cancel backend ${pid}:`, error));
+  };
+  signal?.addEventListener("abort", cancel, { once: true });
+
+  return async () => {
+    signal?.removeEventListener("abort", cancel);
+    await cancelling;
+  };
+}
+
+// Same for a pooled client used by one call. Returns the function releasing
+// the client.
+export function cancelOnAbort(
+  pool: pg.Pool,
+  client: pg.PoolClient,
+  signal: AbortSignal | undefined
+): () => Promise<void> {
+  const stopWatching = watchForCancel(pool, client, signal);
+  return async () => {
+    await stopWatching();
+    client.release();
+  };
+}
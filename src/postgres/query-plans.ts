@@ -0,0 +1,567 @@
+import pg from "pg";
+import { qualifiedTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import { PlanNode, plainReferences, planNodes } from "./query-policy.js";
+import { singleStatement } from "./transactions.js";
+
+// -----------------------------------------------------------------------------
+// Explaining statements for analyze_query. The JSON plan is summarized into
+// the nodes that cost the most, row estimates that were far off, sequential
+// scans of large tables and sorts spilling to disk, and the filter and join
+// predicates of those scans are turned into candidate indexes.
+// -----------------------------------------------------------------------------
+
+// Tables with fewer rows are read quickly enough without an index
+export const LARGE_TABLE_ROWS = 10000;
+
+// An index pays off when a scan keeps at most this share of the table's rows
+const SELECTIVE_SHARE = 0.1;
+
+// Row estimates off by this factor are reported, unless both the estimate and
+// the actual row count are below MIN_MISSED_ROWS
+const ESTIMATE_MISS_FACTOR = 10;
+const MIN_MISSED_ROWS = 100;
+
+const MAX_EXPENSIVE_NODES = 5;
+const MAX_FINDINGS = 10;
+
+// Plan properties holding the predicates of joins
+const JOIN_CONDITIONS = ["Hash Cond", "Merge Cond", "Join Filter"];
+
+// Comparison operators an index on the compared column can serve
+const EQUALITY_OPERATORS = [" = "];
+const RANGE_OPERATORS = [" <= ", " >= ", " < ", " > "];
+
+export interface ExplainedStatement {
+  Plan: PlanNode;
+  "Planning Time"?: number;
+  "Execution Time"?: number;
+}
+
+export interface ExpensiveNode {
+  node: string;
+  // Cost and time of the node itself, without its inputs
+  cost: number;
+  costShare: number;
+  timeMs?: number;
+  timeShare?: number;
+}
+
+export interface EstimateMiss {
+  node: string;
+  // Rows per loop
+  estimatedRows: number;
+  actualRows: number;
+  loops: number;
+  factor: number;
+}
+
+export interface SequentialScan {
+  node: string;
+  tableRows: number;
+  // Rows the scan keeps, per loop; actual rows when analyzed
+  keptRows: number;
+  loops?: number;
+  filter?: string;
+}
+
+export interface DiskSort {
+  node: string;
+  sortKey: string[];
+  // Sort method and disk space used when analyzed, otherwise the estimated
+  // size of the sorted rows against work_mem
+  method?: string;
+  diskKb?: number;
+  estimatedKb?: number;
+  workMemKb?: number;
+}
+
+export interface IndexSuggestion {
+  table: string;
+  columns: string[];
+  reasons: string[];
+  sql: string;
+}
+
+export interface PlanSummary {
+  analyzed: boolean;
+  totalCost: number;
+  planningTimeMs?: number;
+  executionTimeMs?: number;
+  expensiveNodes: ExpensiveNode[];
+  // Only known when analyzed
+  estimateMisses: EstimateMiss[];
+  largeSequentialScans: SequentialScan[];
+  diskSorts: DiskSort[];
+  indexSuggestions: IndexSuggestion[];
+}
+
+interface RelationStats {
+  schema: string;
+  name: string;
+  // pg_class.reltuples, null before the table is analyzed
+  rows: number | null;
+  columns: string[];
+  // Columns of each index in order, null for expressions
+  indexes: (string | null)[][];
+}
+
+// -----------------------------------------------------------------------------
+// Function to explain one statement. With analyze the statement runs, so the
+// caller must roll its transaction back.
+// -----------------------------------------------------------------------------
+export async function explainStatement(
+  client: pg.PoolClient,
+  sql: string,
+  params: unknown[],
+  analyze: boolean
+): Promise<ExplainedStatement> {
+  const options = analyze ? "FORMAT JSON, VERBOSE, ANALYZE" : "FORMAT JSON, VERBOSE";
+  const result = await client.query<{ "QUERY PLAN": ExplainedStatement[] }>({
+    ...singleStatement(`EXPLAIN (${options}) ${sql}`),
+    values: params,
+  });
+  return result.rows[0]["QUERY PLAN"][0];
+}
+
+function round(value: number, digits = 2): number {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function numberOf(node: PlanNode, property: string): number {
+  const value = node[property];
+  return typeof value === "number" ? value : 0;
+}
+
+// A node as EXPLAIN's text format names it, e.g. Index Scan using
+// orders_pkey on public.orders o
+function nodeLabel(node: PlanNode): string {
+  let label = node["Node Type"] === "ModifyTable" ? String(node.Operation) : node["Node Type"];
+  if (node["Parallel Aware"]) {
+    label = `Parallel ${label}`;
+  }
+  if (node["Index Name"]) {
+    label += ` using ${node["Index Name"]}`;
+  }
+  const relation = node["Relation Name"];
+  if (relation) {
+    label += ` on ${node.Schema}.${relation}`;
+    if (node.Alias && node.Alias !== relation) {
+      label += ` ${node.Alias}`;
+    }
+  }
+  return label;
+}
+
+function wasAnalyzed(node: PlanNode): boolean {
+  return node["Actual Loops"] !== undefined;
+}
+
+// Processes running each node. Nodes below a Gather run in its workers and
+// the leader at the same time, which their loops count separately.
+function processCounts(node: PlanNode, processes = 1, counts = new Map<PlanNode, number>()): Map<PlanNode, number> {
+  counts.set(node, processes);
+  const inputProcesses = node["Node Type"].startsWith("Gather")
+    ? numberOf(node, "Workers Launched") + 1
+    : processes;
+  for (const input of node.Plans ?? []) {
+    processCounts(input, inputProcesses, counts);
+  }
+  return counts;
+}
+
+function expensiveNodes(top: PlanNode, analyzed: boolean): ExpensiveNode[] {
+  const processes = processCounts(top);
+  // Time spent in a node and its inputs over all loops, in milliseconds
+  const totalTime = (node: PlanNode) =>
+    (numberOf(node, "Actual Total Time") * numberOf(node, "Actual Loops")) / processes.get(node)!;
+  const topCost = numberOf(top, "Total Cost");
+  const topTime = totalTime(top);
+  const ownShare = (own: number, total: number) => (total > 0 ? round((own / total) * 100, 1) : 0);
+  return planNodes(top)
+    .map((node) => {
+      const inputs = node.Plans ?? [];
+      const cost = Math.max(
+        numberOf(node, "Total Cost") - inputs.reduce((sum, input) => sum + numberOf(input, "Total Cost"), 0),
+        0
+      );
+      const expensive: ExpensiveNode = { node: nodeLabel(node), cost: round(cost), costShare: ownShare(cost, topCost) };
+      if (analyzed) {
+        const time = Math.max(totalTime(node) - inputs.reduce((sum, input) => sum + totalTime(input), 0), 0);
+        expensive.timeMs = round(time, 3);
+        expensive.timeShare = ownShare(time, topTime);
+      }
+      return expensive;
+    })
+    .filter((node) => (analyzed ? node.timeMs! > 0 : node.cost > 0))
+    .sort((a, b) => (analyzed ? b.timeMs! - a.timeMs! : b.cost - a.cost))
+    .slice(0, MAX_EXPENSIVE_NODES);
+}
+
+function estimateMisses(top: PlanNode): EstimateMiss[] {
+  return planNodes(top)
+    .filter((node) => numberOf(node, "Actual Loops") > 0)
+    .map((node) => {
+      const estimatedRows = numberOf(node, "Plan Rows");
+      const actualRows = numberOf(node, "Actual Rows");
+      const factor = Math.max(estimatedRows, actualRows) / Math.max(Math.min(estimatedRows, actualRows), 1);
+      return {
+        node: nodeLabel(node),
+        estimatedRows,
+        actualRows,
+        loops: numberOf(node, "Actual Loops"),
+        factor: round(factor, 1),
+      };
+    })
+    .filter(
+      (miss) =>
+        miss.factor >= ESTIMATE_MISS_FACTOR && Math.max(miss.estimatedRows, miss.actualRows) >= MIN_MISSED_ROWS
+    )
+    .sort((a, b) => b.factor - a.factor)
+    .slice(0, MAX_FINDINGS);
+}
+
+async function relationStats(client: pg.PoolClient, nodes: PlanNode[]): Promise<Map<string, RelationStats>> {
+  const relations = nodes
+    .filter((node) => node["Relation Name"] && node.Schema)
+    .map((node) => ({ schema: node.Schema, name: node["Relation Name"] }));
+  const stats = new Map<string, RelationStats>();
+  if (!relations.length) {
+    return stats;
+  }
+  const result = await client.query<RelationStats>(
+    `SELECT DISTINCT ON (r.schema, r.name) r.schema, r.name,
+            CASE WHEN c.reltuples >= 0 THEN c.reltuples::float8 END AS rows,
+            ARRAY(
+              SELECT a.attname::text FROM pg_attribute a
+              WHERE a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+              ORDER BY a.attnum
+            ) AS columns,
+            COALESCE((
+              SELECT json_agg(ARRAY(
+                SELECT a.attname::text
+                FROM unnest(i.indkey::int2[]) WITH ORDINALITY AS k(attnum, position)
+                LEFT JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+                ORDER BY k.position
+              ))
+              FROM pg_index i
+              WHERE i.indrelid = c.oid AND i.indisvalid
+            ), '[]') AS indexes
+     FROM jsonb_to_recordset($1) AS r(schema text, name text)
+     JOIN pg_namespace n ON n.nspname = r.schema
+     JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = r.name`,
+    [JSON.stringify(relations)]
+  );
+  for (const row of result.rows) {
+    stats.set(`${row.schema}.${row.name}`, row);
+  }
+  return stats;
+}
+
+function statsOf(stats: Map<string, RelationStats>, node: PlanNode): RelationStats | undefined {
+  return stats.get(`${node.Schema}.${node["Relation Name"]}`);
+}
+
+function isSequentialScan(node: PlanNode): boolean {
+  return node["Node Type"] === "Seq Scan" && node["Relation Name"] !== undefined;
+}
+
+// Rows of the table a sequential scan reads. The rows the scan read and
+// removed stand in for tables that were never analyzed.
+function scannedRows(node: PlanNode, stats: RelationStats | undefined): number | null {
+  if (stats?.rows !== null && stats?.rows !== undefined) {
+    return stats.rows;
+  }
+  return wasAnalyzed(node) ? numberOf(node, "Actual Rows") + numberOf(node, "Rows Removed by Filter") : null;
+}
+
+function keptRows(node: PlanNode): number {
+  return wasAnalyzed(node) ? numberOf(node, "Actual Rows") : numberOf(node, "Plan Rows");
+}
+
+function largeSequentialScans(top: PlanNode, stats: Map<string, RelationStats>): SequentialScan[] {
+  const scans: SequentialScan[] = [];
+  for (const node of planNodes(top).filter(isSequentialScan)) {
+    const tableRows = scannedRows(node, statsOf(stats, node));
+    if (tableRows === null || tableRows < LARGE_TABLE_ROWS) {
+      continue;
+    }
+    scans.push({
+      node: nodeLabel(node),
+      tableRows,
+      keptRows: keptRows(node),
+      ...(wasAnalyzed(node) ? { loops: numberOf(node, "Actual Loops") } : {}),
+      ...(typeof node.Filter === "string" ? { filter: node.Filter } : {}),
+    });
+  }
+  return scans.sort((a, b) => b.tableRows - a.tableRows).slice(0, MAX_FINDINGS);
+}
+
+async function diskSorts(client: pg.PoolClient, top: PlanNode, analyzed: boolean): Promise<DiskSort[]> {
+  const sorts = planNodes(top).filter((node) => node["Node Type"] === "Sort");
+  if (!sorts.length) {
+    return [];
+  }
+  const sortKey = (node: PlanNode) => (Array.isArray(node["Sort Key"]) ? (node["Sort Key"] as string[]) : []);
+  if (analyzed) {
+    return sorts
+      .flatMap((node) => {
+        // Parallel workers sort on their own
+        const processes = [node, ...((node.Workers as PlanNode[] | undefined) ?? [])];
+        const spilled = processes.filter((process) => process["Sort Space Type"] === "Disk");
+        if (!spilled.length) {
+          return [];
+        }
+        return [
+          {
+            node: nodeLabel(node),
+            sortKey: sortKey(node),
+            method: String(spilled[0]["Sort Method"]),
+            diskKb: Math.max(...spilled.map((process) => numberOf(process, "Sort Space Used"))),
+          },
+        ];
+      })
+      .slice(0, MAX_FINDINGS);
+  }
+  const setting = await client.query<{ work_mem: number }>(
+    "SELECT setting::int AS work_mem FROM pg_settings WHERE name = 'work_mem'"
+  );
+  const workMemKb = setting.rows[0].work_mem;
+  return sorts
+    .map((node) => ({
+      node: nodeLabel(node),
+      sortKey: sortKey(node),
+      estimatedKb: Math.ceil((numberOf(node, "Plan Rows") * numberOf(node, "Plan Width")) / 1024),
+      workMemKb,
+    }))
+    .filter((sort) => sort.estimatedKb > workMemKb)
+    .slice(0, MAX_FINDINGS);
+}
+
+// Splits an expression at a separator outside parentheses, brackets and quotes
+function splitTopLevel(text: string, separator: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let quote = "";
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = "";
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (depth === 0 && text.startsWith(separator, index)) {
+      parts.push(text.slice(start, index));
+      start = index + separator.length;
+      index = start - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim());
+}
+
+// Whether the parenthesis opening an expression closes at its end
+function isParenthesized(text: string): boolean {
+  if (!text.startsWith("(")) {
+    return false;
+  }
+  let depth = 0;
+  let quote = "";
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = "";
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return index === text.length - 1;
+    }
+  }
+  return false;
+}
+
+// Removes parentheses around a whole expression
+function unwrap(text: string): string {
+  let unwrapped = text.trim();
+  while (isParenthesized(unwrapped)) {
+    unwrapped = unwrapped.slice(1, -1).trim();
+  }
+  return unwrapped;
+}
+
+// An operand without casts and parentheses, e.g. c.email of (c.email)::text
+function bareOperand(text: string): string {
+  let operand = unwrap(text);
+  let cast: RegExpMatchArray | null;
+  while ((cast = operand.match(/^(.+)::[A-Za-z_][\w ."[\]]*$/))) {
+    operand = unwrap(cast[1]);
+  }
+  return operand;
+}
+
+interface PredicateColumns {
+  equality: string[];
+  range: string[];
+}
+
+// Columns of a relation compared with = or a range operator in the
+// conjuncts of an expression. Conjuncts combining conditions with OR are
+// left out, as one index cannot serve them.
+function predicateColumns(expression: string, alias: string, columns: string[], unqualified: boolean): PredicateColumns {
+  const found: PredicateColumns = { equality: [], range: [] };
+  const columnOf = (operand: string) => {
+    const bare = bareOperand(operand);
+    return columns.find((column) => plainReferences(alias, column, unqualified).includes(bare));
+  };
+  for (const conjunct of splitTopLevel(unwrap(expression), " AND ").map(unwrap)) {
+    if (splitTopLevel(conjunct, " OR ").length > 1) {
+      continue;
+    }
+    for (const operator of [...EQUALITY_OPERATORS, ...RANGE_OPERATORS]) {
+      const operands = splitTopLevel(conjunct, operator);
+      if (operands.length !== 2) {
+        continue;
+      }
+      const column = columnOf(operands[0]) ?? columnOf(operands[1]);
+      const kind = EQUALITY_OPERATORS.includes(operator) ? found.equality : found.range;
+      if (column && !kind.includes(column)) {
+        kind.push(column);
+      }
+      break;
+    }
+  }
+  return found;
+}
+
+// Whether an index already starts with the equality columns, in any order,
+// followed by the range column
+function hasIndexFor(stats: RelationStats, equality: string[], range: string | undefined): boolean {
+  return stats.indexes.some((indexColumns) => {
+    const leading = indexColumns.slice(0, equality.length);
+    return (
+      leading.length === equality.length &&
+      equality.every((column) => leading.includes(column)) &&
+      (range === undefined || indexColumns[equality.length] === range)
+    );
+  });
+}
+
+function indexSuggestions(top: PlanNode, stats: Map<string, RelationStats>): IndexSuggestion[] {
+  const suggestions = new Map<string, IndexSuggestion>();
+  const aliases = new Set(planNodes(top).filter((node) => node.Alias).map((node) => node.Alias));
+  const unqualified = aliases.size === 1;
+
+  const visit = (node: PlanNode, ancestors: PlanNode[]) => {
+    const path = [...ancestors, node];
+    (node.Plans ?? []).forEach((input) => visit(input, path));
+    const relation = statsOf(stats, node);
+    const tableRows = scannedRows(node, relation);
+    if (!isSequentialScan(node) || !relation || tableRows === null || tableRows < LARGE_TABLE_ROWS) {
+      return;
+    }
+    const alias = node.Alias ?? relation.name;
+    const equality: string[] = [];
+    let range: string | undefined;
+    const reasons: string[] = [];
+
+    if (typeof node.Filter === "string") {
+      const kept = keptRows(node);
+      const read = wasAnalyzed(node) ? kept + numberOf(node, "Rows Removed by Filter") : tableRows;
+      const columns = predicateColumns(node.Filter, alias, relation.columns, unqualified);
+      if (read > 0 && kept / read <= SELECTIVE_SHARE && (columns.equality.length || columns.range.length)) {
+        equality.push(...columns.equality);
+        range = columns.range.find((column) => !equality.includes(column));
+        reasons.push(`${nodeLabel(node)} keeps ${kept} of ${read} rows with Filter: ${node.Filter}`);
+      }
+    }
+
+    // Without a selective filter, joins finding few rows in the table could
+    // look them up by index instead
+    const filtered = reasons.length > 0;
+    const rowsOf = (plan: PlanNode) => numberOf(plan, wasAnalyzed(plan) ? "Actual Rows" : "Plan Rows");
+    ancestors.forEach((join, position) => {
+      const side = path[position + 1];
+      const other = (join.Plans ?? []).find(
+        (input) => input !== side && ["Outer", "Inner"].includes(String(input["Parent Relationship"]))
+      );
+      if (filtered || !other || Math.max(rowsOf(other), rowsOf(join)) > tableRows * SELECTIVE_SHARE) {
+        return;
+      }
+      for (const property of JOIN_CONDITIONS) {
+        const condition = join[property];
+        if (typeof condition !== "string") {
+          continue;
+        }
+        const columns = predicateColumns(condition, alias, relation.columns, unqualified).equality.filter(
+          (column) => !equality.includes(column)
+        );
+        if (columns.length) {
+          equality.push(...columns);
+          reasons.push(
+            `${nodeLabel(join)} matches ${rowsOf(other)} rows against ${tableRows} with ${property}: ${condition}`
+          );
+        }
+      }
+    });
+
+    if (!equality.length && !range) {
+      return;
+    }
+    const columns = range ? [...equality, range] : equality;
+    if (hasIndexFor(relation, equality, range)) {
+      return;
+    }
+    const table = `${relation.schema}.${relation.name}`;
+    const key = `${table}(${columns.join(",")})`;
+    const existing = suggestions.get(key);
+    if (existing) {
+      existing.reasons.push(...reasons.filter((reason) => !existing.reasons.includes(reason)));
+      return;
+    }
+    suggestions.set(key, {
+      table,
+      columns,
+      reasons,
+      sql: `CREATE INDEX ON ${qualifiedTableName(relation.schema, relation.name)} (${columns
+        .map(quoteIdentifier)
+        .join(", ")})`,
+    });
+  };
+  visit(top, []);
+  return [...suggestions.values()].slice(0, MAX_FINDINGS);
+}
+
+// -----------------------------------------------------------------------------
+// Function to summarize an explained statement. Reads table statistics and
+// indexes of the scanned tables with the given client.
+// -----------------------------------------------------------------------------
+export async function summarizePlan(
+  client: pg.PoolClient,
+  explained: ExplainedStatement,
+  analyzed: boolean
+): Promise<PlanSummary> {
+  const top = explained.Plan;
+  const stats = await relationStats(client, planNodes(top).filter(isSequentialScan));
+  return {
+    analyzed,
+    totalCost: numberOf(top, "Total Cost"),
+    ...(explained["Planning Time"] !== undefined ? { planningTimeMs: explained["Planning Time"] } : {}),
+    ...(explained["Execution Time"] !== undefined ? { executionTimeMs: explained["Execution Time"] } : {}),
+    expensiveNodes: expensiveNodes(top, analyzed),
+    estimateMisses: analyzed ? estimateMisses(top) : [],
+    largeSequentialScans: largeSequentialScans(top, stats),
+    diskSorts: await diskSorts(client, top, analyzed),
+    indexSuggestions: indexSuggestions(top, stats),
+  };
+}
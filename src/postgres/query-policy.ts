@@ -0,0 +1,499 @@
+import pg from "pg";
+import { getPartitionRoot, getTableColumns } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import {
+  AccessRight,
+  ColumnRule,
+  Policy,
+  applyColumnRules,
+  assertAccess,
+  columnRules,
+  hiddenColumns,
+} from "./policy.js";
+import { Statement, Token, splitStatements } from "./sql-statements.js";
+import { singleStatement } from "./transactions.js";
+
+// -----------------------------------------------------------------------------
+// Checking SQL statements against the access policy. A statement is planned
+// with EXPLAIN (VERBOSE) to find the tables it reads and changes, with views
+// expanded and partitions mapped to their partitioned table, and the columns
+// its expressions use:
+//   - every table read needs read access, every table changed write access
+//   - hidden columns may not be used anywhere in the statement
+//   - masked columns may be filtered on, but only reach the result as is, so
+//     their values can be masked; computing with them is refused
+//   - functions read tables the plan does not show, so only built-in
+//     functions and those the policy lists may be called, and built-in ones
+//     reading tables, files or large objects named by their arguments or
+//     running SQL text are refused. Calls are looked for in the statement
+//     before it is planned, as planning runs immutable functions, and in the
+//     plan, which shows the functions of views.
+// -----------------------------------------------------------------------------
+
+// Statements that can be planned and checked
+const CHECKABLE_COMMANDS = ["SELECT", "WITH", "VALUES", "TABLE", "INSERT", "UPDATE", "DELETE", "MERGE"];
+
+// Statements that touch no tables
+const UNRESTRICTED_COMMANDS = ["SHOW"];
+
+// Built-in functions refused unless the policy lists them, e.g. table_to_xml,
+// query_to_xml, ts_stat, pg_read_file, lo_get and set_config
+const DENIED_FUNCTIONS = [
+  /_to_xml/,
+  /^cursor_to_/,
+  /^ts_stat$/,
+  /^pg_read_/,
+  /^pg_ls_/,
+  /^pg_stat_file$/,
+  /^lo_/,
+  /^loread$/,
+  /^set_config$/,
+  /^dblink/,
+];
+
+// Objects with lower OIDs are created by initdb, i.e. built in
+const FIRST_NORMAL_OBJECT_ID = 16384;
+
+// A possibly qualified name followed by an opening parenthesis, as plans
+// print function calls
+const FUNCTION_CALL = /(?:("(?:[^"]|"")+"|[A-Za-z_][\w$]*)\.)?("(?:[^"]|"")+"|[A-Za-z_][\w$]*)\s*\(/g;
+
+// Plan nodes combining rows from several inputs into the same columns
+const SET_OPERATION_NODES = ["Append", "MergeAppend", "SetOp", "Recursive Union"];
+
+// Plan properties naming things rather than holding expressions
+const NAME_PROPERTIES = [
+  "Node Type",
+  "Relation Name",
+  "Schema",
+  "Alias",
+  "Parent Relationship",
+  "Subplan Name",
+  "CTE Name",
+  "Index Name",
+];
+
+export interface PlanNode {
+  "Node Type": string;
+  "Relation Name"?: string;
+  Schema?: string;
+  Alias?: string;
+  Output?: string[];
+  Plans?: PlanNode[];
+  [property: string]: unknown;
+}
+
+interface PlannedRelation {
+  alias: string;
+  schema: string;
+  name: string;
+  // Partitioned table of a partition, or the relation itself
+  rootSchema: string;
+  rootName: string;
+  modified: boolean;
+}
+
+export interface StatementCheck {
+  // Rules for the statement's result columns, by position, for columns that
+  // are plain references to a masked column
+  outputRules: (ColumnRule | undefined)[];
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function nameForms(name: string): string[] {
+  return [...new Set([name, quoteIdentifier(name)])];
+}
+
+// Matches alias.column as EXPLAIN VERBOSE prints it, quoted or not. Plans of
+// statements using a single relation print columns without the alias.
+function columnReference(alias: string, column: string, unqualified: boolean): RegExp {
+  const forms = (name: string) => nameForms(name).map(escapeRegExp).join("|");
+  const qualifier = `(?:${forms(alias)})\\.${unqualified ? "|" : ""}`;
+  return new RegExp(`(?<![\\w."])(?:${qualifier})(?:${forms(column)})(?![\\w"(])`);
+}
+
+// Ways a plan prints a plain reference to a column
+export function plainReferences(alias: string, column: string, unqualified: boolean): string[] {
+  const qualified = nameForms(alias).flatMap((aliasForm) =>
+    nameForms(column).map((columnForm) => `${aliasForm}.${columnForm}`)
+  );
+  return unqualified ? [...qualified, ...nameForms(column)] : qualified;
+}
+
+export function planNodes(node: PlanNode): PlanNode[] {
+  return [node, ...(node.Plans ?? []).flatMap(planNodes)];
+}
+
+// Nodes whose output is the rows of a node, passing through those without
+// an output of their own such as Append
+function producingNodes(node: PlanNode): PlanNode[] {
+  return node.Output ? [node] : (node.Plans ?? []).flatMap(producingNodes);
+}
+
+// Expressions of a node. The output of a table scan feeding a node with an
+// output of its own can be the table's every column, of which the parent
+// only uses those appearing in its expressions.
+function expressions(node: PlanNode, parentHasOutput: boolean): string[] {
+  const skipOutput = parentHasOutput && node["Relation Name"] !== undefined && node["Node Type"] !== "ModifyTable";
+  return Object.entries(node)
+    .filter(([property]) => property !== "Plans" && !NAME_PROPERTIES.includes(property))
+    .filter(([property]) => !(skipOutput && property === "Output"))
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter((value): value is string => typeof value === "string");
+}
+
+interface FunctionName {
+  schema: string | null;
+  name: string;
+}
+
+function unquoteName(name: string): string {
+  return name.startsWith('"') ? name.slice(1, -1).replace(/""/g, '"') : name.toLowerCase();
+}
+
+// Names followed by an opening parenthesis in a statement's tokens. Keywords
+// such as COALESCE or EXISTS match no function and are ignored later.
+function statementFunctions({ tokens }: Statement): FunctionName[] {
+  const isName = (token: Token | undefined) => token?.kind === "word" || token?.kind === "identifier";
+  const nameOf = (token: Token) => (token.kind === "word" ? token.value.toLowerCase() : token.value);
+  return tokens.flatMap((token, index) => {
+    if (!isName(token) || tokens[index + 1]?.value !== "(") {
+      return [];
+    }
+    const qualified = tokens[index - 1]?.value === "." && isName(tokens[index - 2]);
+    return [{ schema: qualified ? nameOf(tokens[index - 2]) : null, name: nameOf(token) }];
+  });
+}
+
+// Function calls in plan expressions, without the contents of string literals
+function planFunctions(expressions: string[]): FunctionName[] {
+  return expressions.flatMap((expression) =>
+    [...expression.replace(/'(?:[^']|'')*'/g, "''").matchAll(FUNCTION_CALL)].map((match) => ({
+      schema: match[1] === undefined ? null : unquoteName(match[1]),
+      name: unquoteName(match[2]),
+    }))
+  );
+}
+
+// Refuses calls of functions that are not built in and not listed by the
+// policy, and of the built-in ones in DENIED_FUNCTIONS. Unqualified names
+// are checked against every function of that name on the search path.
+async function assertFunctionsAllowed(client: pg.PoolClient, policy: Policy, calls: FunctionName[]) {
+  if (!calls.length) {
+    return;
+  }
+  const functions = await client.query<{ schema: string; name: string; builtin: boolean }>(
+    `SELECT DISTINCT n.nspname AS schema, p.proname AS name, p.oid < $2 AS builtin
+     FROM jsonb_to_recordset($1) AS f(schema text, name text)
+     JOIN pg_proc p ON p.proname = f.name
+     JOIN pg_namespace n ON n.oid = p.pronamespace
+     WHERE CASE WHEN f.schema IS NULL THEN n.nspname = ANY (current_schemas(true)) ELSE n.nspname = f.schema END
+     ORDER BY 1, 2`,
+    [JSON.stringify(calls), FIRST_NORMAL_OBJECT_ID]
+  );
+  for (const { schema, name, builtin } of functions.rows) {
+    const listed = policy.functions.includes(`${schema}.${name}`);
+    if (!listed && (!builtin || DENIED_FUNCTIONS.some((pattern) => pattern.test(name)))) {
+      throw new Error(`Access denied: function ${schema}.${name} is not allowed by the access policy`);
+    }
+  }
+}
+
+export function isCheckableStatement(statement: Statement): boolean {
+  return CHECKABLE_COMMANDS.includes(statement.tokens[0]?.value);
+}
+
+async function plannedRelations(client: pg.PoolClient, nodes: PlanNode[]): Promise<PlannedRelation[]> {
+  const scans = nodes
+    .filter((node) => node["Relation Name"] && node.Schema)
+    .map((node) => ({
+      alias: node.Alias ?? node["Relation Name"]!,
+      schema: node.Schema!,
+      name: node["Relation Name"]!,
+      modified: node["Node Type"] === "ModifyTable",
+    }));
+  if (!scans.length) {
+    return [];
+  }
+  const roots = await client.query<{ schema: string; name: string; root_schema: string; root_name: string }>(
+    `SELECT DISTINCT r.schema, r.name, rn.nspname AS root_schema, rc.relname AS root_name
+     FROM jsonb_to_recordset($1) AS r(schema text, name text)
+     JOIN pg_namespace n ON n.nspname = r.schema
+     JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = r.name
+     JOIN pg_class rc ON rc.oid = COALESCE(pg_partition_root(c.oid), c.oid)
+     JOIN pg_namespace rn ON rn.oid = rc.relnamespace`,
+    [JSON.stringify(scans)]
+  );
+  return scans.map((scan) => {
+    const root = roots.rows.find((row) => row.schema === scan.schema && row.name === scan.name);
+    return {
+      ...scan,
+      rootSchema: root?.root_schema ?? scan.schema,
+      rootName: root?.root_name ?? scan.name,
+    };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Function to check one statement against the policy before it runs. Throws
+// an error explaining the denial; otherwise returns what is needed to mask
+// the statement's result. params are the values the statement's $1..$n are
+// bound to.
+// -----------------------------------------------------------------------------
+export async function checkStatementAccess(
+  client: pg.PoolClient,
+  policy: Policy,
+  statement: Statement,
+  params: unknown[] = []
+): Promise<StatementCheck> {
+  const command = statement.tokens[0]?.value;
+  if (UNRESTRICTED_COMMANDS.includes(command)) {
+    return { outputRules: [] };
+  }
+  if (!isCheckableStatement(statement)) {
+    throw new Error(`Access denied: ${command} statements cannot be checked against the access policy`);
+  }
+
+  await assertFunctionsAllowed(client, policy, statementFunctions(statement));
+  const explained = await client.query<{ "QUERY PLAN": { Plan: PlanNode }[] }>({
+    ...singleStatement(`EXPLAIN (VERBOSE, FORMAT JSON) ${statement.text}`),
+    values: params,
+  });
+  const top = explained.rows[0]["QUERY PLAN"][0].Plan;
+  const nodes = planNodes(top);
+  await assertFunctionsAllowed(client, policy, planFunctions(nodes.flatMap((node) => expressions(node, false))));
+  const relations = await plannedRelations(client, nodes);
+
+  const modified = relations.filter((relation) => relation.modified);
+  for (const relation of modified) {
+    assertAccess(policy, "write", relation.rootSchema, relation.rootName);
+  }
+  for (const relation of relations) {
+    const isTarget = modified.some(
+      (target) => target.rootSchema === relation.rootSchema && target.rootName === relation.rootName
+    );
+    if (!isTarget) {
+      assertAccess(policy, "read", relation.rootSchema, relation.rootName);
+    }
+  }
+
+  // Plain references to masked columns, which may appear in outputs
+  const maskedReferences: string[] = [];
+  const belowOutputNodes = new Set(
+    nodes.filter((node) => node.Output).flatMap((node) => node.Plans ?? [])
+  );
+  // Nodes producing the rows an INSERT, UPDATE or MERGE writes
+  const writtenRows = nodes
+    .filter((node) => node["Node Type"] === "ModifyTable")
+    .flatMap((node) => (node.Plans ?? []).flatMap(producingNodes));
+  const unqualified = new Set(relations.map((relation) => relation.alias)).size === 1;
+  for (const relation of relations) {
+    const rules = columnRules(policy, relation.rootSchema, relation.rootName);
+    const wholeRow = columnReference(relation.alias, "*", false);
+    for (const [column, rule] of rules) {
+      const qualified = `"${relation.rootSchema}.${relation.rootName}.${column}"`;
+      const reference = columnReference(relation.alias, column, unqualified);
+      for (const node of nodes) {
+        const used = expressions(node, belowOutputNodes.has(node)).some(
+          (expression) => reference.test(expression) || wholeRow.test(expression)
+        );
+        if (used && rule === "hide") {
+          throw new Error(`Access denied: column ${qualified} is hidden by the access policy`);
+        }
+        const computed = (node.Output ?? []).some(
+          (output) =>
+            wholeRow.test(output) || (reference.test(output) && !isPlainReference(output, reference))
+        );
+        if (computed) {
+          throw new Error(
+            `Access denied: column ${qualified} is masked by the access policy and can only be selected as is`
+          );
+        }
+      }
+      const written = writtenRows.some((node) => (node.Output ?? []).some((output) => reference.test(output)));
+      if (rule === "mask" && written) {
+        throw new Error(
+          `Access denied: column ${qualified} is masked by the access policy and cannot be written to tables`
+        );
+      }
+      if (rule === "mask") {
+        maskedReferences.push(...plainReferences(relation.alias, column, unqualified));
+      }
+    }
+  }
+
+  // Rows of different tables combined into one column could carry masked
+  // values into a column that is not masked
+  for (const node of nodes.filter((candidate) => SET_OPERATION_NODES.includes(candidate["Node Type"]))) {
+    const inputs = node.Plans ?? [];
+    const scans = inputs.map((input) =>
+      relations.find((relation) => input["Relation Name"] && relation.alias === input.Alias)
+    );
+    const partitionsOfOneTable =
+      scans.every(
+        (scan) =>
+          scan &&
+          (scan.schema !== scan.rootSchema || scan.name !== scan.rootName) &&
+          scan.rootSchema === scans[0]!.rootSchema &&
+          scan.rootName === scans[0]!.rootName
+      ) && new Set(scans.map((scan) => `${scan!.schema}.${scan!.name}`)).size === scans.length;
+    const carriesMasked = planNodes(node).some((inner) =>
+      (inner.Output ?? []).some((output) => maskedReferences.includes(output))
+    );
+    if (carriesMasked && !partitionsOfOneTable) {
+      throw new Error(
+        "Access denied: masked columns cannot be combined with the rows of other queries, e.g. with UNION"
+      );
+    }
+  }
+
+  return {
+    outputRules: (top.Output ?? []).map((output) =>
+      maskedReferences.includes(output) ? "mask" : undefined
+    ),
+  };
+}
+
+function isPlainReference(output: string, reference: RegExp): boolean {
+  const match = output.match(reference);
+  return match?.index === 0 && match[0].length === output.length;
+}
+
+// -----------------------------------------------------------------------------
+// Function to check every statement of a SQL text
+// -----------------------------------------------------------------------------
+export async function checkSqlAccess(
+  client: pg.PoolClient,
+  policy: Policy,
+  sql: string,
+  params: unknown[] = []
+): Promise<StatementCheck> {
+  const statements = splitStatements(sql);
+  if (statements.length !== 1) {
+    throw new Error("Access denied: only a single statement can be checked against the access policy");
+  }
+  return checkStatementAccess(client, policy, statements[0], params);
+}
+
+// -----------------------------------------------------------------------------
+// Function to mask the rows of a checked statement's result. Besides the plain
+// references found in the plan, columns whose origin PostgreSQL reports are
+// looked up, which covers columns selected through CTEs, subqueries and views
+// with rules of their own.
+// -----------------------------------------------------------------------------
+export async function maskResultRows(
+  client: pg.PoolClient,
+  policy: Policy,
+  result: pg.QueryResult,
+  check: StatementCheck
+): Promise<Record<string, unknown>[]> {
+  return applyColumnRules(result.rows, await resultColumnRules(client, policy, result.fields ?? [], check));
+}
+
+// Rules for the result columns of a checked statement, by column name
+export async function resultColumnRules(
+  client: pg.PoolClient,
+  policy: Policy,
+  fields: pg.FieldDef[],
+  check: StatementCheck
+): Promise<Map<string, ColumnRule>> {
+  const origins = [...new Set(fields.map((field) => field.tableID).filter((id) => id))];
+  const rules = new Map<string, ColumnRule>();
+  fields.forEach((field, index) => {
+    const rule = check.outputRules[index];
+    if (rule) {
+      rules.set(field.name, rule);
+    }
+  });
+
+  if (origins.length) {
+    const columns = await client.query<{ oid: number; attnum: number; schema: string; name: string; column: string }>(
+      `SELECT c.oid, a.attnum, rn.nspname AS schema, rc.relname AS name, a.attname AS column
+       FROM pg_class c
+       JOIN pg_class rc ON rc.oid = COALESCE(pg_partition_root(c.oid), c.oid)
+       JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+       JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0
+       WHERE c.oid = ANY($1)`,
+      [origins]
+    );
+    for (const field of fields) {
+      const origin = columns.rows.find(
+        (row) => row.oid === field.tableID && row.attnum === field.columnID
+      );
+      const rule = origin && columnRules(policy, origin.schema, origin.name).get(origin.column);
+      if (rule && rules.get(field.name) !== "hide") {
+        rules.set(field.name, rule);
+      }
+    }
+  }
+  return rules;
+}
+
+// -----------------------------------------------------------------------------
+// Function to check a SELECT generated by a tool or resource for a named
+// relation the way queries are checked, and return the column rules of its
+// result. The check expands views, so a view over tables the policy denies is
+// refused and its columns taken from masked base columns are masked. The
+// rules of the relation itself, as returned by assertTableAccess, still apply.
+// -----------------------------------------------------------------------------
+export async function checkedReadRules(
+  client: pg.PoolClient,
+  policy: Policy | null,
+  sql: string,
+  rules: Map<string, ColumnRule>
+): Promise<Map<string, ColumnRule>> {
+  if (!policy) {
+    return rules;
+  }
+  const check = await checkSqlAccess(client, policy, sql);
+  const described = await client.query(singleStatement(`SELECT * FROM (${sql}) AS checked LIMIT 0`));
+  const combined = new Map(rules);
+  for (const [column, rule] of await resultColumnRules(client, policy, described.fields ?? [], check)) {
+    if (combined.get(column) !== "hide") {
+      combined.set(column, rule);
+    }
+  }
+  return combined;
+}
+
+// -----------------------------------------------------------------------------
+// Function to check a right on a table named by a tool or resource. Partitions
+// follow the rules of their partitioned table, as in checked statements.
+// Returns the column rules of the table.
+// -----------------------------------------------------------------------------
+export async function assertTableAccess(
+  pool: pg.Pool | pg.PoolClient,
+  policy: Policy | null,
+  right: AccessRight,
+  schema: string,
+  tableName: string
+): Promise<Map<string, ColumnRule>> {
+  if (!policy) {
+    return new Map();
+  }
+  const root = await getPartitionRoot(pool, schema, tableName);
+  assertAccess(policy, right, root.schema, root.name);
+  return columnRules(policy, root.schema, root.name);
+}
+
+// Select list of a table's columns without the hidden ones
+export async function visibleColumnList(
+  pool: pg.Pool,
+  schema: string,
+  tableName: string,
+  rules: Map<string, ColumnRule>
+): Promise<string> {
+  const hidden = hiddenColumns(rules);
+  if (!hidden.length) {
+    return "*";
+  }
+  const columns = await getTableColumns(pool, schema, tableName);
+  return columns
+    .map((column) => column.column_name)
+    .filter((column) => !hidden.includes(column))
+    .map(quoteIdentifier)
+    .join(", ");
+}
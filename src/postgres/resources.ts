@@ -0,0 +1,275 @@
+import pg from "pg";
+import { AuditDetails, HistoryReader, readQueryHistory } from "./audit.js";
+import {
+  countRows,
+  getDatabaseStats,
+  getRelationStatistics,
+  listFunctions,
+  listRelations,
+  qualifiedTableName,
+  resolveSchema,
+} from "./catalog.js";
+import { DatabaseConnection } from "./databases.js";
+import { buildRelationDdl } from "./ddl.js";
+import { getFunctionMetadata, getRelationMetadata, withoutColumns } from "./metadata.js";
+import { Policy, applyColumnRules, assertSchemaAccess, canAccess, hiddenColumns, schemaAccess } from "./policy.js";
+import { assertTableAccess, checkedReadRules, visibleColumnList } from "./query-policy.js";
+import { listSavedQueries } from "./saved-queries.js";
+import { cachedMetadata } from "./schema-cache.js";
+import { ServerConfig } from "./tools/registry.js";
+import { singleStatement, withReadOnlyTransaction } from "./transactions.js";
+
+// -----------------------------------------------------------------------------
+// Resources: the metadata, DDL and first rows of every table, view and
+// materialized view, the definitions of functions, and statistics about the
+// database. URIs look like postgres://host/<schema>/<table>/schema,
+// postgres://host/<schema>/<table>/ddl, postgres://host/<schema>/<table>/data,
+// postgres://host/<schema>/<function>/function, postgres://host/stats,
+// postgres://host/query_history, postgres://host/saved_queries and
+// postgres://host/saved_queries/<name>, where host is the connection name or
+// the host of the database URL. The older postgres://host/<table>/schema form
+// reads from the default schema.
+// Row counts in the stats and schema resources are the planner's estimates;
+// adding ?exact=true to the URI counts the rows instead. Relation lists and
+// metadata are cached until DDL changes them, see schema-cache.ts.
+// Tables and functions the access policy grants no read access to are left
+// out, and hidden columns are removed from every resource.
+// -----------------------------------------------------------------------------
+
+const SCHEMA_PATH = "schema";
+const DDL_PATH = "ddl";
+const DATA_PATH = "data";
+const FUNCTION_PATH = "function";
+const STATS_PATH = "stats";
+const QUERY_HISTORY_PATH = "query_history";
+const SAVED_QUERIES_PATH = "saved_queries";
+
+// Maximum number of rows returned by a data resource
+const DATA_ROW_LIMIT = 1000;
+
+function tableUrl(resourceBaseUrl: URL, schema: string, tableName: string, path: string): string {
+  const components = [schema, tableName, path].map(encodeURIComponent);
+  return new URL(components.join("/"), resourceBaseUrl).href;
+}
+
+function cachedRelations(pool: pg.Pool, { schemas, schemaCacheSeconds }: ServerConfig) {
+  return cachedMetadata(pool, `relations:${JSON.stringify(schemas)}`, schemaCacheSeconds, () =>
+    listRelations(pool, schemas)
+  );
+}
+
+async function readableRelations(pool: pg.Pool, config: ServerConfig) {
+  const relations = await cachedRelations(pool, config);
+  return relations.filter(({ root }) => canAccess(config.policy, "read", root.schema, root.name));
+}
+
+function savedQueryUrl(resourceBaseUrl: URL, name: string): string {
+  return new URL(`${SAVED_QUERIES_PATH}/${encodeURIComponent(name)}`, resourceBaseUrl).href;
+}
+
+// defaultPool is the pool of the default database, which holds the audit and
+// saved query tables
+export async function listResources(
+  { pool, name: database, resourceBaseUrl }: DatabaseConnection,
+  config: ServerConfig,
+  defaultPool: pg.Pool
+) {
+  const relations = await readableRelations(pool, config);
+  const savedQueries = await listSavedQueries(config.savedQueries, defaultPool, database);
+  const functions = (
+    await cachedMetadata(pool, `functions:${JSON.stringify(config.schemas)}`, config.schemaCacheSeconds, () =>
+      listFunctions(pool, config.schemas)
+    )
+  ).filter(({ schema }) =>
+    schemaAccess(config.policy, schema).includes("read")
+  );
+  return [
+    ...relations.flatMap(({ schema, name, kind }) => [
+      {
+        uri: tableUrl(resourceBaseUrl, schema, name, SCHEMA_PATH),
+        mimeType: "application/json",
+        name: `"${schema}.${name}" database schema`,
+        description: `Columns, constraints, indexes and comments of the ${kind}`,
+      },
+      {
+        uri: tableUrl(resourceBaseUrl, schema, name, DDL_PATH),
+        mimeType: "text/plain",
+        name: `"${schema}.${name}" DDL`,
+        description: `Reconstructed CREATE statement of the ${kind}`,
+      },
+      {
+        uri: tableUrl(resourceBaseUrl, schema, name, DATA_PATH),
+        mimeType: "application/json",
+        name: `"${schema}.${name}" table data`,
+        description: `First ${DATA_ROW_LIMIT} rows of the ${kind}`,
+      },
+    ]),
+    ...functions.map(({ schema, name }) => ({
+      uri: tableUrl(resourceBaseUrl, schema, name, FUNCTION_PATH),
+      mimeType: "application/json",
+      name: `"${schema}.${name}" function`,
+      description: "Signature and definition of each overload",
+    })),
+    {
+      uri: new URL(STATS_PATH, resourceBaseUrl).href,
+      mimeType: "application/json",
+      name: "Database statistics",
+    },
+    {
+      uri: new URL(QUERY_HISTORY_PATH, resourceBaseUrl).href,
+      mimeType: "application/json",
+      name: "Query history",
+      description: "Recent tool calls and resource reads that ran SQL, newest first",
+    },
+    {
+      uri: new URL(SAVED_QUERIES_PATH, resourceBaseUrl).href,
+      mimeType: "application/json",
+      name: "Saved queries",
+      description: "Saved queries run with the run_saved_query tool",
+    },
+    ...savedQueries.map(({ name, description }) => ({
+      uri: savedQueryUrl(resourceBaseUrl, name),
+      mimeType: "application/json",
+      name: `"${name}" saved query`,
+      description: description || undefined,
+    })),
+  ];
+}
+
+// Statistics with row estimates, and exact row counts when asked for
+async function readStats(pool: pg.Pool, config: ServerConfig, exact: boolean) {
+  const statistics = new Map(
+    (await getRelationStatistics(pool)).map((relation) => [JSON.stringify([relation.schema, relation.name]), relation])
+  );
+  const tables = [];
+  for (const { schema, name, kind } of await readableRelations(pool, config)) {
+    const { rowEstimate = null, size = null } = statistics.get(JSON.stringify([schema, name])) ?? {};
+    tables.push({
+      schema,
+      name,
+      kind,
+      size,
+      rowEstimate,
+      ...(exact ? { rowCount: await countRows(pool, schema, name) } : {}),
+    });
+  }
+  return { ...(await getDatabaseStats(pool)), tables };
+}
+
+// Same check as assertTableExists, against the cached relation list
+async function assertRelationExists(pool: pg.Pool, config: ServerConfig, schema: string, tableName: string) {
+  const relations = await cachedRelations(pool, config);
+  if (!relations.some((relation) => relation.schema === schema && relation.name === tableName)) {
+    throw new Error(`Table "${schema}.${tableName}" does not exist`);
+  }
+}
+
+// Metadata of a relation without the columns the policy hides
+async function readMetadata(pool: pg.Pool, config: ServerConfig, schema: string, tableName: string) {
+  await assertRelationExists(pool, config, schema, tableName);
+  const rules = await assertTableAccess(pool, config.policy, "read", schema, tableName);
+  const metadata = await cachedMetadata(
+    pool,
+    `metadata:${JSON.stringify([schema, tableName])}`,
+    config.schemaCacheSeconds,
+    () => getRelationMetadata(pool, schema, tableName)
+  );
+  return withoutColumns(metadata, hiddenColumns(rules));
+}
+
+async function readSchema(pool: pg.Pool, config: ServerConfig, schema: string, tableName: string, exact: boolean) {
+  const { name, ...metadata } = await readMetadata(pool, config, schema, tableName);
+  const [statistics] = await getRelationStatistics(pool, { schema, name: tableName });
+  return {
+    tableName: name,
+    ...metadata,
+    tableSize: statistics?.size ?? null,
+    rowEstimate: statistics?.rowEstimate ?? null,
+    ...(exact ? { rowCount: await countRows(pool, schema, tableName) } : {}),
+  };
+}
+
+async function readDdl(pool: pg.Pool, config: ServerConfig, schema: string, tableName: string) {
+  return buildRelationDdl(await readMetadata(pool, config, schema, tableName));
+}
+
+async function readData(pool: pg.Pool, config: ServerConfig, schema: string, tableName: string) {
+  await assertRelationExists(pool, config, schema, tableName);
+  const rules = await assertTableAccess(pool, config.policy, "read", schema, tableName);
+  const columns = await visibleColumnList(pool, schema, tableName, rules);
+  const sql = `SELECT ${columns} FROM ${qualifiedTableName(schema, tableName)} LIMIT ${DATA_ROW_LIMIT}`;
+  return withReadOnlyTransaction(pool, async (client) => {
+    const resultRules = await checkedReadRules(client, config.policy, sql, rules);
+    const result = await client.query(singleStatement(sql));
+    return applyColumnRules(result.rows, resultRules);
+  });
+}
+
+export interface ResourceRequest {
+  // Whose queries the history shows
+  history: HistoryReader;
+  audit: AuditDetails;
+  // Pool of the default database, holding the audit and saved query tables
+  defaultPool: pg.Pool;
+}
+
+export async function readResource(
+  { pool, name: database }: DatabaseConnection,
+  uri: string,
+  config: ServerConfig,
+  { history, audit, defaultPool }: ResourceRequest
+) {
+  const { schemas: allowedSchemas, policy } = config;
+  const url = new URL(uri);
+  const exact = url.searchParams.get("exact") === "true";
+  const pathComponents = url.pathname
+    .split("/")
+    .filter((component) => component !== "")
+    .map(decodeURIComponent);
+
+  // postgres://host/saved_queries/<name> takes precedence over the older form
+  // of table URIs only when the saved query exists
+  const savedQuery =
+    pathComponents.length === 2 && pathComponents[0] === SAVED_QUERIES_PATH
+      ? (await listSavedQueries(config.savedQueries, defaultPool, database)).find(
+          ({ name }) => name === pathComponents[1]
+        )
+      : undefined;
+
+  let value: unknown;
+  if (pathComponents.length === 1 && pathComponents[0] === STATS_PATH) {
+    value = await readStats(pool, config, exact);
+  } else if (pathComponents.length === 1 && pathComponents[0] === QUERY_HISTORY_PATH) {
+    value = await readQueryHistory(defaultPool, config.audit, history, database);
+  } else if (pathComponents.length === 1 && pathComponents[0] === SAVED_QUERIES_PATH) {
+    value = await listSavedQueries(config.savedQueries, defaultPool, database);
+  } else if (savedQuery) {
+    value = savedQuery;
+  } else if (pathComponents.length === 2 || pathComponents.length === 3) {
+    const [name, path] = pathComponents.slice(-2);
+    const schema = resolveSchema(
+      allowedSchemas,
+      pathComponents.length === 3 ? pathComponents[0] : undefined
+    );
+    if (path === SCHEMA_PATH) {
+      value = await readSchema(pool, config, schema, name, exact);
+    } else if (path === DDL_PATH) {
+      return [{ uri, mimeType: "text/plain", text: await readDdl(pool, config, schema, name) }];
+    } else if (path === DATA_PATH) {
+      const rows = await readData(pool, config, schema, name);
+      audit.rowCount = rows.length;
+      value = rows;
+    } else if (path === FUNCTION_PATH) {
+      assertSchemaAccess(policy, "read", schema);
+      value = await cachedMetadata(pool, `function:${JSON.stringify([schema, name])}`, config.schemaCacheSeconds, () =>
+        getFunctionMetadata(pool, schema, name)
+      );
+    } else {
+      throw new Error("Invalid resource URI");
+    }
+  } else {
+    throw new Error("Invalid resource URI");
+  }
+
+  return [{ uri, mimeType: "application/json", text: JSON.stringify(value, null, 2) }];
+}
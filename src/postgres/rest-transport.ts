@@ -0,0 +1,167 @@
+import http from "http";
+import { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
+import { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { JSONRPCMessage, JSONRPCMessageSchema } from "@modelcontextprotocol/sdk/types.js";
+import { ApiKeys, authInfoOf } from "./api-keys.js";
+import { admitRequest, readJsonBody, sendError, sendJson } from "./http-server.js";
+
+// -----------------------------------------------------------------------------
+// Transport for REST mode: every HTTP POST carries one JSON-RPC message or a
+// batch and is answered with the responses. With API keys, requests are
+// authenticated, limited and checked against the allowed origins before any
+// message reaches the server, which gets the key as the messages' authInfo.
+// Request ids are replaced with ids unique to the server while a request
+// runs, so that clients using the same ids at the same time get their own
+// responses. Cancellations name the client's id, so they are rewritten to the
+// ids of the running requests of the same key, and dropped when the key has
+// no such request.
+// -----------------------------------------------------------------------------
+
+// Time to wait for the responses of a request
+const RESPONSE_TIMEOUT_MS = 30000;
+
+export interface RestTransportOptions {
+  endpoint: string;
+  // Keys accepted, null to accept unauthenticated requests
+  apiKeys: ApiKeys | null;
+}
+
+interface PendingResponse {
+  id: string | number;
+  // Name of the API key that sent the request, null without keys
+  owner: string | null;
+  resolve: (message: JSONRPCMessage) => void;
+}
+
+export class RestTransport implements Transport {
+  onclose?: () => void;
+  onerror?: (error: Error) => void;
+  onmessage?: (message: JSONRPCMessage, extra?: { authInfo?: AuthInfo }) => void;
+
+  private pending = new Map<string, PendingResponse>();
+  private nextId = 0;
+
+  constructor(private options: RestTransportOptions) {}
+
+  async start(): Promise<void> {}
+
+  // Requests still running are answered with an error
+  async close(): Promise<void> {
+    for (const pending of this.pending.values()) {
+      pending.resolve({ jsonrpc: "2.0", id: pending.id, error: { code: -32000, message: "Server is shutting down" } });
+    }
+    this.pending.clear();
+    this.onclose?.();
+  }
+
+  async send(message: JSONRPCMessage): Promise<void> {
+    // Only responses can be delivered, as part of the HTTP response
+    if (!("id" in message) || !("result" in message || "error" in message)) {
+      return;
+    }
+    const pending = this.pending.get(String(message.id));
+    if (pending) {
+      this.pending.delete(String(message.id));
+      pending.resolve({ ...message, id: pending.id });
+    }
+  }
+
+  async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const { apiKeys, endpoint } = this.options;
+    if (new URL(req.url ?? "/", "http://localhost").pathname !== endpoint) {
+      sendError(res, 404, "Not found");
+      return;
+    }
+    const admitted = admitRequest(apiKeys, req, res, {
+      methods: ["POST"],
+      headers: ["Content-Type"],
+    });
+    if (!admitted) {
+      return;
+    }
+    res.on("close", admitted.release);
+
+    const body = await readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+    const isBatch = Array.isArray(body);
+    let messages: JSONRPCMessage[];
+    try {
+      messages = (isBatch ? body : [body]).map((message: unknown) =>
+        JSONRPCMessageSchema.parse(message)
+      );
+    } catch (error) {
+      sendJson(res, 400, {
+        jsonrpc: "2.0",
+        error: { code: -32600, message: "Invalid Request", data: String(error) },
+        id: null,
+      });
+      return;
+    }
+
+    const extra = admitted.apiKey ? { authInfo: authInfoOf(admitted.apiKey) } : undefined;
+    const owner = admitted.apiKey?.name ?? null;
+    const responses: Promise<JSONRPCMessage>[] = [];
+    for (const message of messages) {
+      if (!("method" in message)) {
+        continue;
+      }
+      if (!("id" in message)) {
+        if (message.method === "notifications/cancelled") {
+          this.cancel(message, owner, extra);
+        } else {
+          this.onmessage?.(message, extra);
+        }
+        continue;
+      }
+      const id = `${++this.nextId}`;
+      responses.push(this.response(id, message.id, owner));
+      this.onmessage?.({ ...message, id }, extra);
+    }
+
+    if (!responses.length) {
+      res.writeHead(202).end();
+      return;
+    }
+    const results = await Promise.all(responses);
+    sendJson(res, 200, isBatch ? results : results[0]);
+  }
+
+  // Forwards a cancellation for each running request of the owner with the
+  // cancelled id and answers those requests at once, as the server sends no
+  // response for a cancelled request
+  private cancel(message: JSONRPCMessage, owner: string | null, extra: { authInfo?: AuthInfo } | undefined) {
+    const params = "params" in message ? message.params : undefined;
+    const requestId = params?.requestId;
+    for (const [internalId, pending] of this.pending) {
+      if (pending.owner !== owner || pending.id !== requestId) {
+        continue;
+      }
+      this.onmessage?.({ ...message, params: { ...params, requestId: internalId } } as JSONRPCMessage, extra);
+      this.pending.delete(internalId);
+      pending.resolve({
+        jsonrpc: "2.0",
+        id: pending.id,
+        error: { code: -32800, message: `Request cancelled${params?.reason ? `: ${params.reason}` : ""}` },
+      });
+    }
+  }
+
+  private response(internalId: string, id: string | number, owner: string | null): Promise<JSONRPCMessage> {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(internalId);
+        resolve({ jsonrpc: "2.0", id, error: { code: -32001, message: "Request timed out" } });
+      }, RESPONSE_TIMEOUT_MS);
+      this.pending.set(internalId, {
+        id,
+        owner,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        },
+      });
+    });
+  }
+}
@@ -0,0 +1,349 @@
+import pg from "pg";
+
+// -----------------------------------------------------------------------------
+// Encoding of query results. Values are fetched as the text PostgreSQL prints
+// and encoded by rules for their type, so nothing is lost on the way to JSON:
+// exact numbers stay decimal strings, timestamps keep their precision and
+// offset, and binary, interval, range and array values get a structure of
+// their own. The rows can then be formatted as JSON objects or arrays, CSV or
+// a Markdown table.
+// -----------------------------------------------------------------------------
+
+// How a column's values are represented
+export const ENCODINGS = [
+  "number",
+  "decimal",
+  "boolean",
+  "string",
+  "json",
+  "base64",
+  "iso8601",
+  "interval",
+  "range",
+  "array",
+] as const;
+export type Encoding = (typeof ENCODINGS)[number];
+
+export const RESULT_FORMATS = ["objects", "arrays", "csv", "markdown"] as const;
+export type ResultFormat = (typeof RESULT_FORMATS)[number];
+
+export interface ValueEncoder {
+  encoding: Encoding;
+  // Encoding of the elements of arrays and the bounds of ranges
+  elementEncoding?: Encoding;
+  encode(text: string): unknown;
+}
+
+// Query config option returning every value as the text PostgreSQL prints
+export const RAW_TEXT_TYPES: pg.CustomTypesConfig = {
+  getTypeParser: () => String,
+};
+
+// -----------------------------------------------------------------------------
+// Function to make the text of dates, intervals and binary values independent
+// of the server's settings for the rest of the current transaction
+// -----------------------------------------------------------------------------
+export async function setOutputStyles(client: pg.PoolClient): Promise<void> {
+  await client.query(
+    `SELECT set_config('DateStyle', 'ISO, YMD', true),
+            set_config('IntervalStyle', 'postgres', true),
+            set_config('bytea_output', 'hex', true)`
+  );
+}
+
+interface TypeInfo {
+  oid: number;
+  // pg_type's typtype and typcategory
+  kind: string;
+  category: string;
+  delimiter: string;
+  element: number;
+  rangeSubtype: number | null;
+  baseType: number;
+}
+
+const BOOL = 16;
+const BYTEA = 17;
+const INT8 = 20;
+const INT2 = 21;
+const INT4 = 23;
+const OID = 26;
+const JSON_TYPE = 114;
+const FLOAT4 = 700;
+const FLOAT8 = 701;
+const DATE = 1082;
+const TIME = 1083;
+const TIMESTAMP = 1114;
+const TIMESTAMPTZ = 1184;
+const INTERVAL = 1186;
+const TIMETZ = 1266;
+const NUMERIC = 1700;
+const JSONB = 3802;
+
+// Types and the types they are made of: array elements, range subtypes and
+// the base types of domains
+async function loadTypes(client: pg.PoolClient, oids: number[]): Promise<Map<number, TypeInfo>> {
+  const types = new Map<number, TypeInfo>();
+  let missing = [...new Set(oids)];
+  while (missing.length) {
+    const result = await client.query<TypeInfo>(
+      `SELECT t.oid::int AS oid, t.typtype AS kind, t.typcategory AS category, t.typdelim AS delimiter,
+              t.typelem::int AS element, r.rngsubtype::int AS "rangeSubtype", t.typbasetype::int AS "baseType"
+       FROM pg_type t
+       LEFT JOIN pg_range r ON r.rngtypid = t.oid
+       WHERE t.oid = ANY($1)`,
+      [missing]
+    );
+    for (const type of result.rows) {
+      types.set(type.oid, type);
+    }
+    missing = [
+      ...new Set(
+        result.rows.flatMap((type) => [type.element, type.rangeSubtype ?? 0, type.baseType])
+      ),
+    ].filter((oid) => oid !== 0 && !types.has(oid));
+  }
+  return types;
+}
+
+function encodeFloat(text: string): number | string {
+  // NaN and the infinities have no JSON number
+  const value = Number(text);
+  return Number.isFinite(value) ? value : text;
+}
+
+// 2024-01-02 03:04:05.123456+05:30 as 2024-01-02T03:04:05.123456+05:30.
+// Infinite and BC timestamps keep their text.
+function encodeTimestamp(text: string): string {
+  const match = text.match(/^(\d{4,}-\d\d-\d\d) (\d\d:\d\d:\d\d(?:\.\d+)?)(?:([+-]\d\d)(:\d\d)?(:\d\d)?)?$/);
+  if (!match) {
+    return text;
+  }
+  const [, date, time, hours, minutes, seconds] = match;
+  const offset = hours ? `${hours}${minutes ?? ":00"}${seconds ?? ""}` : "";
+  return `${date}T${time}${offset}`;
+}
+
+export interface IntervalValue {
+  years: number;
+  months: number;
+  days: number;
+  hours: number;
+  minutes: number;
+  seconds: number;
+}
+
+// Intervals as PostgreSQL prints them with IntervalStyle postgres, e.g.
+// "1 year 2 mons -3 days +04:05:06.5"
+function encodeInterval(text: string): IntervalValue {
+  const interval: IntervalValue = { years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+  for (const [, amount, unit] of text.matchAll(/([+-]?\d+) (year|mon|day)s?/g)) {
+    const field = unit === "year" ? "years" : unit === "mon" ? "months" : "days";
+    interval[field] = Number(amount);
+  }
+  const time = text.match(/([+-]?)(\d+):(\d\d):(\d\d(?:\.\d+)?)/);
+  if (time) {
+    const sign = time[1] === "-" ? -1 : 1;
+    interval.hours = sign * Number(time[2]);
+    interval.minutes = sign * Number(time[3]);
+    interval.seconds = sign * Number(time[4]);
+  }
+  return interval;
+}
+
+// Removes the double quotes around an array element or range bound and the
+// escapes inside them
+function unquote(text: string): string {
+  return text.slice(1, -1).replace(/""|\\(.)/g, (escape, char) => char ?? '"');
+}
+
+export interface RangeValue {
+  empty: boolean;
+  // Null for an unbounded side
+  lower: unknown;
+  upper: unknown;
+  lowerInclusive: boolean;
+  upperInclusive: boolean;
+}
+
+function encodeRange(text: string, subtype: ValueEncoder): RangeValue {
+  if (text === "empty") {
+    return { empty: true, lower: null, upper: null, lowerInclusive: false, upperInclusive: false };
+  }
+  // Bounds are quoted when they contain a comma, so the first comma outside
+  // quotes separates them
+  let inQuotes = false;
+  let comma = -1;
+  for (let index = 1; index < text.length - 1 && comma < 0; index++) {
+    const char = text[index];
+    if (char === "\\" && inQuotes) {
+      index++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === "," && !inQuotes) {
+      comma = index;
+    }
+  }
+  const encodeBound = (bound: string) =>
+    bound === "" ? null : subtype.encode(bound.startsWith('"') ? unquote(bound) : bound);
+  return {
+    empty: false,
+    lower: encodeBound(text.slice(1, comma)),
+    upper: encodeBound(text.slice(comma + 1, -1)),
+    lowerInclusive: text.startsWith("["),
+    upperInclusive: text.endsWith("]"),
+  };
+}
+
+type ArrayText = (string | null | ArrayText)[];
+
+// Arrays as PostgreSQL prints them, e.g. {{1,2},{NULL,"a b"}}
+function parseArray(text: string, delimiter: string): ArrayText {
+  // Arrays with other lower bounds than 1 start with their dimensions
+  let position = text.startsWith("[") ? text.indexOf("=") + 1 : 0;
+
+  const parseLevel = (): ArrayText => {
+    const elements: ArrayText = [];
+    position++; // {
+    while (position < text.length && text[position] !== "}") {
+      if (text[position] === "{") {
+        elements.push(parseLevel());
+      } else if (text[position] === '"') {
+        let end = position + 1;
+        while (end < text.length && text[end] !== '"') {
+          end += text[end] === "\\" ? 2 : 1;
+        }
+        elements.push(unquote(text.slice(position, end + 1)));
+        position = end + 1;
+      } else {
+        let end = position;
+        while (end < text.length && text[end] !== delimiter && text[end] !== "}") {
+          end++;
+        }
+        const element = text.slice(position, end).trim();
+        elements.push(element.toUpperCase() === "NULL" ? null : element);
+        position = end;
+      }
+      if (text[position] === delimiter) {
+        position++;
+      }
+    }
+    position++; // }
+    return elements;
+  };
+  return parseLevel();
+}
+
+function encodeArray(text: ArrayText, element: ValueEncoder): unknown[] {
+  return text.map((value) =>
+    value === null ? null : Array.isArray(value) ? encodeArray(value, element) : element.encode(value)
+  );
+}
+
+const STRING_ENCODER: ValueEncoder = { encoding: "string", encode: (text) => text };
+
+function encoderFor(types: Map<number, TypeInfo>, oid: number): ValueEncoder {
+  const plain = (encoding: Encoding, encode: (text: string) => unknown): ValueEncoder => ({ encoding, encode });
+  switch (oid) {
+    case BOOL:
+      return plain("boolean", (text) => text === "t");
+    case INT2:
+    case INT4:
+    case OID:
+      return plain("number", Number);
+    case FLOAT4:
+    case FLOAT8:
+      return plain("number", encodeFloat);
+    case INT8:
+    case NUMERIC:
+      return plain("decimal", (text) => text);
+    case JSON_TYPE:
+    case JSONB:
+      return plain("json", (text) => JSON.parse(text));
+    case BYTEA:
+      return plain("base64", (text) => Buffer.from(text.slice(2), "hex").toString("base64"));
+    case DATE:
+    case TIME:
+    case TIMETZ:
+      return plain("iso8601", (text) => text);
+    case TIMESTAMP:
+    case TIMESTAMPTZ:
+      return plain("iso8601", encodeTimestamp);
+    case INTERVAL:
+      return plain("interval", encodeInterval);
+  }
+
+  const type = types.get(oid);
+  if (!type) {
+    return STRING_ENCODER;
+  }
+  if (type.kind === "d") {
+    return encoderFor(types, type.baseType);
+  }
+  if (type.kind === "r" && type.rangeSubtype) {
+    const bound = encoderFor(types, type.rangeSubtype);
+    return {
+      encoding: "range",
+      elementEncoding: bound.encoding,
+      encode: (text) => encodeRange(text, bound),
+    };
+  }
+  if (type.category === "A" && type.element) {
+    const element = encoderFor(types, type.element);
+    const delimiter = types.get(type.element)?.delimiter ?? ",";
+    return {
+      encoding: "array",
+      elementEncoding: element.encoding,
+      encode: (text) => encodeArray(parseArray(text, delimiter), element),
+    };
+  }
+  return STRING_ENCODER;
+}
+
+// -----------------------------------------------------------------------------
+// Function to make the encoders of result columns from their type OIDs
+// -----------------------------------------------------------------------------
+export async function valueEncoders(client: pg.PoolClient, typeOids: number[]): Promise<ValueEncoder[]> {
+  const types = await loadTypes(client, typeOids);
+  return typeOids.map((oid) => encoderFor(types, oid));
+}
+
+function cellText(value: unknown): string {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function csvField(text: string): string {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(text: string): string {
+  return text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+// -----------------------------------------------------------------------------
+// Function to format encoded rows, given as arrays in column order. JSON
+// formats return the rows, CSV and Markdown their text.
+// -----------------------------------------------------------------------------
+export function formatRows(names: string[], rows: unknown[][], format: ResultFormat): unknown[] | string {
+  switch (format) {
+    case "objects":
+      return rows.map((row) => Object.fromEntries(names.map((name, index) => [name, row[index]])));
+    case "arrays":
+      return rows;
+    case "csv":
+      return [names, ...rows.map((row) => row.map(cellText))]
+        .map((cells) => cells.map(csvField).join(","))
+        .join("\r\n");
+    case "markdown": {
+      const line = (cells: string[]) => `| ${cells.map(markdownCell).join(" | ")} |`;
+      return [
+        line(names),
+        line(names.map(() => "---")),
+        ...rows.map((row) => line(row.map((value) => (value === null ? "NULL" : cellText(value))))),
+      ].join("\n");
+    }
+  }
+}
@@ -0,0 +1,390 @@
+import { randomUUID } from "crypto";
+import pg from "pg";
+import { ColumnRule, MASKED_VALUE, Policy } from "./policy.js";
+import { QueryLimits, setTransactionLimits, watchForCancel } from "./query-limits.js";
+import { StatementCheck, checkSqlAccess, resultColumnRules } from "./query-policy.js";
+import { Encoding, RAW_TEXT_TYPES, ValueEncoder, setOutputStyles, valueEncoders } from "./result-encoding.js";
+import { splitStatements } from "./sql-statements.js";
+import { singleStatement, withReadOnlyTransaction } from "./transactions.js";
+
+// -----------------------------------------------------------------------------
+// Query results returned a page at a time. A query is declared as a cursor in
+// a READ ONLY transaction that stays open on its own connection; each page is
+// fetched from the cursor, encoded and bounded by a number of rows and a size.
+// The continuation token names the open cursor, which is closed when it has
+// been read to the end, left unread for CURSOR_TTL_MS, or its connection is
+// wanted by another caller of the pool. Only the caller that opened a cursor
+// may continue it.
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_PAGE_ROWS = 100;
+export const MAX_PAGE_ROWS = 10_000;
+export const DEFAULT_PAGE_BYTES = 64 * 1024;
+export const MAX_PAGE_BYTES = 1024 * 1024;
+
+// Time an open cursor waits for its next page
+const CURSOR_TTL_MS = 60_000;
+
+// Open cursors each hold a connection of their pool. A pool keeps fewer open
+// cursors than connections, at most MAX_OPEN_CURSORS, and opening one more
+// closes its least recently used.
+const MAX_OPEN_CURSORS = 10;
+
+const CURSOR_NAME = "mcp_result_cursor";
+
+export interface ResultColumn {
+  name: string;
+  // Type as PostgreSQL prints it, e.g. numeric(10,2)
+  type: string;
+  encoding: Encoding;
+  elementEncoding?: Encoding;
+  masked?: boolean;
+}
+
+// Result columns with what is needed to encode their values
+interface EncodedColumns {
+  columns: ResultColumn[];
+  // Positions of the visible columns in the fetched rows
+  positions: number[];
+  encoders: ValueEncoder[];
+}
+
+export interface ResultPage {
+  columns: ResultColumn[];
+  // Encoded values in the order of the columns
+  rows: unknown[][];
+  // Rows returned by the pages before this one
+  offset: number;
+  // Whether rows follow this page, and the limit that ended it
+  truncated: boolean;
+  truncatedBy: "max_rows" | "max_bytes" | null;
+  // Token fetching the next page, null when the result cannot be continued
+  nextCursor: string | null;
+}
+
+export interface PageOptions {
+  policy: Policy | null;
+  // Caller the cursor belongs to, see ToolContext.owner
+  owner: string | null;
+  limits: QueryLimits;
+  maxRows: number;
+  maxBytes: number;
+}
+
+interface OpenCursor {
+  id: string;
+  sql: string;
+  pool: pg.Pool;
+  client: pg.PoolClient;
+  owner: string | null;
+  // Policy the cursor was opened under, which its pages are masked with
+  policy: Policy | null;
+  check: StatementCheck | null;
+  // Known from the first fetch
+  columns: EncodedColumns | null;
+  // Rows fetched but not returned yet
+  pending: unknown[][];
+  offset: number;
+  exhausted: boolean;
+  busy: boolean;
+  expiresAt: number;
+}
+
+const cursors = new Map<string, OpenCursor>();
+
+async function closeCursor(cursor: OpenCursor): Promise<void> {
+  cursors.delete(cursor.id);
+  await cursor.client
+    .query("ROLLBACK")
+    .catch((error) => console.warn("Could not roll back transaction:", error));
+  cursor.client.release();
+}
+
+// Cursors not fetching a page, least recently used first
+function idleCursors(pool?: pg.Pool): OpenCursor[] {
+  return [...cursors.values()]
+    .filter((cursor) => !cursor.busy && (pool === undefined || cursor.pool === pool))
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+// Closes expired cursors, and idle ones holding a connection of a pool that
+// callers are waiting on
+async function sweepCursors(): Promise<void> {
+  const now = Date.now();
+  for (const cursor of idleCursors()) {
+    if (cursor.expiresAt <= now || cursor.pool.waitingCount > 0) {
+      await closeCursor(cursor);
+    }
+  }
+}
+
+// Cursors are swept in the background, without keeping the process alive
+setInterval(() => sweepCursors().catch(() => {}), 1_000).unref();
+
+// Function to close every open cursor, releasing their connections before the
+// pools end
+export async function closeCursors(): Promise<void> {
+  await Promise.all([...cursors.values()].map(closeCursor));
+}
+
+// Closes the least recently used cursors of a pool until one more may be
+// opened, keeping a connection free for other tools
+async function makeRoom(pool: pg.Pool): Promise<void> {
+  const limit = Math.max(1, Math.min(MAX_OPEN_CURSORS, (pool.options.max ?? 10) - 1));
+  const open = () => [...cursors.values()].filter((cursor) => cursor.pool === pool).length;
+  const idle = idleCursors(pool);
+  while (open() >= limit && idle.length) {
+    await closeCursor(idle.shift()!);
+  }
+}
+
+// Text of a single statement DECLARE accepts as the query of a cursor, null
+// for other SQL
+function cursorQuery(sql: string): string | null {
+  const statements = splitStatements(sql);
+  if (statements.length !== 1) {
+    return null;
+  }
+  const first = statements[0].tokens[0]?.value;
+  return ["SELECT", "WITH", "VALUES", "TABLE", "("].includes(first) ? statements[0].text : null;
+}
+
+async function describeColumns(
+  client: pg.PoolClient,
+  fields: pg.FieldDef[],
+  rules: Map<string, ColumnRule>
+): Promise<EncodedColumns> {
+  const types = await client.query<{ type: string }>(
+    `SELECT format_type(f.oid, f.modifier) AS type
+     FROM unnest($1::oid[], $2::int[]) WITH ORDINALITY AS f(oid, modifier, position)
+     ORDER BY f.position`,
+    [fields.map((field) => field.dataTypeID), fields.map((field) => field.dataTypeModifier)]
+  );
+  const encoders = await valueEncoders(
+    client,
+    fields.map((field) => field.dataTypeID)
+  );
+  const positions = fields
+    .map((field, index) => (rules.get(field.name) === "hide" ? -1 : index))
+    .filter((index) => index >= 0);
+  return {
+    columns: positions.map((index) => {
+      const { name } = fields[index];
+      const { encoding, elementEncoding } = encoders[index];
+      return {
+        name,
+        type: types.rows[index].type,
+        encoding,
+        ...(elementEncoding ? { elementEncoding } : {}),
+        ...(rules.get(name) === "mask" ? { masked: true } : {}),
+      };
+    }),
+    positions,
+    encoders: positions.map((index) => encoders[index]),
+  };
+}
+
+function encodeRows(rows: (string | null)[][], { columns, positions, encoders }: EncodedColumns): unknown[][] {
+  return rows.map((row) =>
+    positions.map((position, index) => {
+      const value = row[position];
+      if (value === null) {
+        return null;
+      }
+      return columns[index].masked ? MASKED_VALUE : encoders[index].encode(value);
+    })
+  );
+}
+
+// Fetched rows are arrays of the text PostgreSQL prints
+function rawRows(text: string, values: unknown[] = []): pg.QueryArrayConfig {
+  return { text, values, rowMode: "array", types: RAW_TEXT_TYPES };
+}
+
+// Splits off the rows of a page: at most maxRows, and as many as fit in
+// maxBytes of JSON, but always one so that every page makes progress
+function takePage(
+  rows: unknown[][],
+  maxRows: number,
+  maxBytes: number
+): { page: unknown[][]; truncatedBy: ResultPage["truncatedBy"] } {
+  let bytes = 2;
+  let count = 0;
+  while (count < rows.length && count < maxRows) {
+    const size = Buffer.byteLength(JSON.stringify(rows[count])) + (count ? 1 : 0);
+    if (count && bytes + size > maxBytes) {
+      break;
+    }
+    bytes += size;
+    count++;
+  }
+  const page = rows.splice(0, count);
+  if (!rows.length) {
+    return { page, truncatedBy: null };
+  }
+  return { page, truncatedBy: count === maxRows ? "max_rows" : "max_bytes" };
+}
+
+// Fetches the rows of the cursor's next page and closes it when nothing follows
+async function nextPageOf(cursor: OpenCursor, options: PageOptions): Promise<ResultPage> {
+  const stopWatching = watchForCancel(cursor.pool, cursor.client, options.limits.signal);
+  try {
+    options.limits.signal?.throwIfAborted();
+    // One row more than the page tells whether another page follows
+    const missing = options.maxRows + 1 - cursor.pending.length;
+    if (missing > 0 && !cursor.exhausted) {
+      const result = await cursor.client.query<(string | null)[]>(
+        rawRows(`FETCH FORWARD ${missing} FROM ${CURSOR_NAME}`)
+      );
+      if (!cursor.columns) {
+        const rules =
+          cursor.policy && cursor.check
+            ? await resultColumnRules(cursor.client, cursor.policy, result.fields, cursor.check)
+            : new Map<string, ColumnRule>();
+        cursor.columns = await describeColumns(cursor.client, result.fields, rules);
+      }
+      cursor.pending.push(...encodeRows(result.rows, cursor.columns));
+      cursor.exhausted = result.rows.length < missing;
+    }
+  } catch (error) {
+    await stopWatching();
+    await closeCursor(cursor);
+    throw error;
+  }
+  await stopWatching();
+
+  const offset = cursor.offset;
+  const { page, truncatedBy } = takePage(cursor.pending, options.maxRows, options.maxBytes);
+  cursor.offset += page.length;
+  const truncated = cursor.pending.length > 0 || !cursor.exhausted;
+  if (!truncated) {
+    await closeCursor(cursor);
+  }
+  return {
+    columns: cursor.columns?.columns ?? [],
+    rows: page,
+    offset,
+    truncated,
+    truncatedBy: truncated ? (truncatedBy ?? "max_rows") : null,
+    nextCursor: truncated ? cursor.id : null,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Function to run a read-only query, with params bound to its $1..$n, and
+// return its first page. Statements that cannot be declared as a cursor, such
+// as SHOW and EXPLAIN, run as they are and return their first page without a
+// continuation. Only a single statement is accepted, as a later one could end
+// the READ ONLY transaction and run outside it.
+// -----------------------------------------------------------------------------
+export async function queryFirstPage(
+  pool: pg.Pool,
+  sql: string,
+  params: unknown[],
+  options: PageOptions
+): Promise<ResultPage> {
+  const { policy, limits } = options;
+  if (splitStatements(sql).length !== 1) {
+    throw new Error("Give a single statement to query");
+  }
+  const query = cursorQuery(sql);
+  if (query === null) {
+    return withReadOnlyTransaction(
+      pool,
+      async (client) => {
+        await setOutputStyles(client);
+        const check = policy && (await checkSqlAccess(client, policy, sql, params));
+        const result = await client.query<(string | null)[]>({ ...singleStatement(sql), ...rawRows(sql, params) });
+        const fields = result.fields ?? [];
+        const rules =
+          policy && check ? await resultColumnRules(client, policy, fields, check) : new Map<string, ColumnRule>();
+        const columns = await describeColumns(client, fields, rules);
+        const rows = encodeRows(result.rows ?? [], columns);
+        const { page, truncatedBy } = takePage(rows, options.maxRows, options.maxBytes);
+        return {
+          columns: columns.columns,
+          rows: page,
+          offset: 0,
+          truncated: truncatedBy !== null,
+          truncatedBy,
+          nextCursor: null,
+        };
+      },
+      limits
+    );
+  }
+
+  await makeRoom(pool);
+  const client = await pool.connect();
+  const cursor: OpenCursor = {
+    id: randomUUID(),
+    sql,
+    pool,
+    client,
+    owner: options.owner,
+    policy,
+    check: null,
+    columns: null,
+    pending: [],
+    offset: 0,
+    exhausted: false,
+    busy: true,
+    expiresAt: Date.now() + CURSOR_TTL_MS,
+  };
+  cursors.set(cursor.id, cursor);
+  const stopWatching = watchForCancel(pool, client, limits.signal);
+  try {
+    await client.query("BEGIN TRANSACTION READ ONLY");
+    await setTransactionLimits(client, limits);
+    await setOutputStyles(client);
+    if (policy) {
+      cursor.check = await checkSqlAccess(client, policy, sql, params);
+    }
+    await client.query({
+      ...singleStatement(`DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR ${query}`),
+      values: params,
+    });
+  } catch (error) {
+    await stopWatching();
+    await closeCursor(cursor);
+    throw error;
+  }
+  await stopWatching();
+  try {
+    return await nextPageOf(cursor, options);
+  } finally {
+    cursor.busy = false;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Function to return the next page of an open cursor, with the SQL of its query
+// -----------------------------------------------------------------------------
+export async function queryNextPage(
+  pool: pg.Pool,
+  cursorId: string,
+  options: PageOptions
+): Promise<ResultPage & { sql: string }> {
+  const cursor = cursors.get(cursorId);
+  // A cursor is only continued by its caller, on its database and under its
+  // policy
+  if (
+    !cursor ||
+    cursor.expiresAt <= Date.now() ||
+    cursor.owner !== options.owner ||
+    cursor.pool !== pool ||
+    cursor.policy !== options.policy
+  ) {
+    throw new Error(`Cursor "${cursorId}" does not exist or has expired`);
+  }
+  if (cursor.busy) {
+    throw new Error(`Cursor "${cursorId}" is fetching another page`);
+  }
+  cursor.busy = true;
+  cursor.expiresAt = Date.now() + CURSOR_TTL_MS;
+  try {
+    return { ...(await nextPageOf(cursor, options)), sql: cursor.sql };
+  } finally {
+    cursor.busy = false;
+  }
+}
@@ -0,0 +1,233 @@
+import { readFile } from "fs/promises";
+import pg from "pg";
+import { z } from "zod";
+import { TableName, parseTableName, qualifiedTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import { BOOKKEEPING_SCHEMA } from "./import-batches.js";
+import { splitStatements } from "./sql-statements.js";
+
+// -----------------------------------------------------------------------------
+// Saved queries: named, documented SQL with typed parameters bound as $1..$n
+// in the order they are declared. They are read from a JSON file given with
+// --saved_queries and/or a table of the default database given with
+// --saved_queries_table, listed as resources and run with run_saved_query.
+// -----------------------------------------------------------------------------
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+const PARAMETER_TYPES = ["string", "integer", "number", "boolean"] as const;
+
+const ParameterSchema = z
+  .object({
+    name: z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, "parameter names must be identifiers"),
+    type: z.enum(PARAMETER_TYPES).default("string"),
+    description: z.string().optional(),
+    // Parameters with a default may be left out, null included
+    default: z.union([z.string(), z.number(), z.boolean(), z.null()]).optional(),
+    enum: z.array(z.union([z.string(), z.number()])).min(1).optional(),
+    minimum: z.number().optional(),
+    maximum: z.number().optional(),
+  })
+  .strict();
+
+const SavedQuerySchema = z
+  .object({
+    description: z.string().default(""),
+    sql: z
+      .string()
+      .min(1)
+      .refine((sql) => splitStatements(sql).length === 1, "must be a single statement"),
+    parameters: z
+      .array(ParameterSchema)
+      .default([])
+      .refine(
+        (parameters) => new Set(parameters.map(({ name }) => name)).size === parameters.length,
+        "parameter names must be unique"
+      ),
+    // Database the query runs on, every database when omitted
+    database: z.string().optional(),
+  })
+  .strict();
+
+const SavedQueriesFileSchema = z
+  .object({
+    queries: z
+      .record(SavedQuerySchema)
+      .refine(
+        (queries) => Object.keys(queries).every((name) => NAME_PATTERN.test(name)),
+        "names may only contain letters, digits, - and _"
+      ),
+  })
+  .strict();
+
+export type SavedQueryParameter = z.infer<typeof ParameterSchema>;
+
+export interface SavedQuery extends z.infer<typeof SavedQuerySchema> {
+  name: string;
+}
+
+export interface SavedQueryConfig {
+  // Queries of the --saved_queries file
+  queries: SavedQuery[];
+  // Table of the default database holding more queries, null when disabled
+  table: TableName | null;
+}
+
+export const NO_SAVED_QUERIES: SavedQueryConfig = { queries: [], table: null };
+
+function issuesOf(error: z.ZodError): string {
+  return error.issues
+    .map((issue) => `${issue.path.length ? `${issue.path.join(".")}: ` : ""}${issue.message}`)
+    .join("; ");
+}
+
+export async function loadSavedQueryFile(filePath: string): Promise<SavedQuery[]> {
+  let content: unknown;
+  try {
+    content = JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read saved query file ${filePath}: ${(error as Error).message}`);
+  }
+  const parsed = SavedQueriesFileSchema.safeParse(content);
+  if (!parsed.success) {
+    throw new Error(`Invalid saved query file ${filePath}: ${issuesOf(parsed.error)}`);
+  }
+  return Object.entries(parsed.data.queries).map(([name, query]) => ({ name, ...query }));
+}
+
+// Parses --saved_queries_table. The table is created in the server's
+// bookkeeping schema when not qualified.
+export function parseSavedQueryTable(value: string): TableName {
+  return parseTableName(value, BOOKKEEPING_SCHEMA);
+}
+
+const savedQueryTables = new Map<string, Promise<void>>();
+
+function ensureSavedQueryTable(pool: pg.Pool, table: TableName): Promise<void> {
+  const qualified = qualifiedTableName(table.schema, table.name);
+  let created = savedQueryTables.get(qualified);
+  if (!created) {
+    created = (async () => {
+      await pool.query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(table.schema)}`);
+      await pool.query(
+        `CREATE TABLE IF NOT EXISTS ${qualified} (
+           name text PRIMARY KEY,
+           description text NOT NULL DEFAULT '',
+           sql text NOT NULL,
+           parameters jsonb NOT NULL DEFAULT '[]',
+           database text
+         )`
+      );
+    })();
+    created.catch(() => savedQueryTables.delete(qualified));
+    savedQueryTables.set(qualified, created);
+  }
+  return created;
+}
+
+// Rows of the saved query table. Invalid rows and names taken by the file are
+// skipped with a warning rather than failing every saved query.
+async function readSavedQueryTable(pool: pg.Pool, table: TableName, taken: Set<string>): Promise<SavedQuery[]> {
+  await ensureSavedQueryTable(pool, table);
+  const result = await pool.query<{ name: string; description: string; sql: string; parameters: unknown; database: string | null }>(
+    `SELECT name, description, sql, parameters, database
+     FROM ${qualifiedTableName(table.schema, table.name)}
+     ORDER BY name`
+  );
+  const queries: SavedQuery[] = [];
+  for (const { name, database, ...row } of result.rows) {
+    const parsed = SavedQuerySchema.safeParse({ ...row, database: database ?? undefined });
+    if (!NAME_PATTERN.test(name) || taken.has(name) || !parsed.success) {
+      const reason = !parsed.success
+        ? issuesOf(parsed.error)
+        : taken.has(name)
+          ? "the name is taken by the saved query file"
+          : "names may only contain letters, digits, - and _";
+      console.warn(`Skipping saved query "${name}" of ${table.schema}.${table.name}: ${reason}`);
+      continue;
+    }
+    queries.push({ name, ...parsed.data });
+  }
+  return queries;
+}
+
+async function allSavedQueries(config: SavedQueryConfig, defaultPool: pg.Pool): Promise<SavedQuery[]> {
+  if (!config.table) {
+    return config.queries;
+  }
+  const taken = new Set(config.queries.map(({ name }) => name));
+  return [...config.queries, ...(await readSavedQueryTable(defaultPool, config.table, taken))];
+}
+
+function runsOn(query: SavedQuery, database: string): boolean {
+  return query.database === undefined || query.database === database;
+}
+
+// -----------------------------------------------------------------------------
+// Function to list the saved queries that run on a database. defaultPool is
+// the pool of the default database, which holds the saved query table.
+// -----------------------------------------------------------------------------
+export async function listSavedQueries(
+  config: SavedQueryConfig,
+  defaultPool: pg.Pool,
+  database: string
+): Promise<SavedQuery[]> {
+  return (await allSavedQueries(config, defaultPool)).filter((query) => runsOn(query, database));
+}
+
+export async function findSavedQuery(
+  config: SavedQueryConfig,
+  defaultPool: pg.Pool,
+  database: string,
+  name: string
+): Promise<SavedQuery> {
+  const query = (await allSavedQueries(config, defaultPool)).find((candidate) => candidate.name === name);
+  if (!query) {
+    throw new Error(`Unknown saved query "${name}"`);
+  }
+  if (!runsOn(query, database)) {
+    throw new Error(`Saved query "${name}" runs on database "${query.database}"`);
+  }
+  return query;
+}
+
+function parameterSchema(parameter: SavedQueryParameter): z.ZodTypeAny {
+  let schema: z.ZodTypeAny;
+  if (parameter.type === "boolean") {
+    schema = z.boolean();
+  } else if (parameter.type === "string") {
+    schema = z.string();
+  } else {
+    let number = parameter.type === "integer" ? z.number().int() : z.number();
+    if (parameter.minimum !== undefined) {
+      number = number.min(parameter.minimum);
+    }
+    if (parameter.maximum !== undefined) {
+      number = number.max(parameter.maximum);
+    }
+    schema = number;
+  }
+  const allowed = parameter.enum;
+  if (allowed) {
+    schema = schema.refine((value) => allowed.includes(value), `must be one of ${allowed.join(", ")}`);
+  }
+  if (parameter.default === null) {
+    return schema.nullable().default(null);
+  }
+  return parameter.default === undefined ? schema : schema.default(parameter.default);
+}
+
+// -----------------------------------------------------------------------------
+// Function to validate the arguments of a saved query. Returns the values to
+// bind as $1..$n.
+// -----------------------------------------------------------------------------
+export function bindArguments(query: SavedQuery, args: Record<string, unknown>): unknown[] {
+  const schema = z
+    .object(Object.fromEntries(query.parameters.map((parameter) => [parameter.name, parameterSchema(parameter)])))
+    .strict();
+  const parsed = schema.safeParse(args);
+  if (!parsed.success) {
+    throw new Error(`Invalid arguments for saved query ${query.name}: ${issuesOf(parsed.error)}`);
+  }
+  return query.parameters.map(({ name }) => parsed.data[name]);
+}
@@ -0,0 +1,122 @@
+import pg from "pg";
+
+// -----------------------------------------------------------------------------
+// Cache of catalog metadata per database. Structural metadata such as the
+// relations, their columns, constraints and indexes only changes with DDL, so
+// it is kept until a fingerprint of the system catalogs changes. The
+// fingerprint is polled when the cache is used, at most once per
+// --schema_cache_seconds, so DDL run by other clients is seen within that
+// time; the server's own tools drop the cache after running DDL. Row
+// estimates and sizes change with the data and are not cached.
+// -----------------------------------------------------------------------------
+
+export const DEFAULT_SCHEMA_CACHE_SECONDS = 5;
+
+// Catalogs whose rows describe the objects the metadata covers. Every DDL
+// statement inserts, updates or deletes rows of at least one of them, which
+// changes their row count or the sum of their rows' transaction IDs. ANALYZE
+// and VACUUM update pg_class in place and leave both unchanged.
+const FINGERPRINT_CATALOGS = [
+  "pg_namespace",
+  "pg_class",
+  "pg_attribute",
+  "pg_attrdef",
+  "pg_constraint",
+  "pg_index",
+  "pg_inherits",
+  "pg_type",
+  "pg_enum",
+  "pg_proc",
+  "pg_description",
+];
+
+interface SchemaCache {
+  fingerprint: string | null;
+  // When the fingerprint was last compared, in milliseconds
+  checkedAt: number;
+  // Pending comparison shared by concurrent reads
+  checking: Promise<void> | null;
+  entries: Map<string, Promise<unknown>>;
+}
+
+const caches = new WeakMap<pg.Pool, SchemaCache>();
+
+function cacheOf(pool: pg.Pool): SchemaCache {
+  let cache = caches.get(pool);
+  if (!cache) {
+    cache = { fingerprint: null, checkedAt: 0, checking: null, entries: new Map() };
+    caches.set(pool, cache);
+  }
+  return cache;
+}
+
+async function catalogFingerprint(pool: pg.Pool): Promise<string> {
+  const parts = FINGERPRINT_CATALOGS.map(
+    (catalog) => `(SELECT count(*) || ':' || COALESCE(sum(xmin::text::bigint), 0) FROM pg_catalog.${catalog})`
+  );
+  const result = await pool.query<{ fingerprint: string }>(
+    `SELECT concat_ws('/', ${parts.join(", ")}) AS fingerprint`
+  );
+  return result.rows[0].fingerprint;
+}
+
+// Drops the cached entries when the catalogs changed since the last check
+async function validate(pool: pg.Pool, cache: SchemaCache, maxAgeSeconds: number): Promise<void> {
+  if (Date.now() - cache.checkedAt < maxAgeSeconds * 1000 && cache.fingerprint !== null) {
+    return;
+  }
+  if (!cache.checking) {
+    cache.checking = (async () => {
+      try {
+        const fingerprint = await catalogFingerprint(pool);
+        if (fingerprint !== cache.fingerprint) {
+          cache.entries.clear();
+          cache.fingerprint = fingerprint;
+        }
+        cache.checkedAt = Date.now();
+      } finally {
+        cache.checking = null;
+      }
+    })();
+  }
+  await cache.checking;
+}
+
+// -----------------------------------------------------------------------------
+// Function to read metadata through the cache. The key names the metadata
+// within the database, e.g. relations or metadata:public.orders. Failed
+// loads are not cached.
+// -----------------------------------------------------------------------------
+export async function cachedMetadata<T>(
+  pool: pg.Pool,
+  key: string,
+  maxAgeSeconds: number,
+  load: () => Promise<T>
+): Promise<T> {
+  const cache = cacheOf(pool);
+  await validate(pool, cache, maxAgeSeconds);
+  let entry = cache.entries.get(key) as Promise<T> | undefined;
+  if (!entry) {
+    entry = load();
+    const stored = entry;
+    cache.entries.set(key, stored);
+    stored.catch(() => {
+      if (cache.entries.get(key) === stored) {
+        cache.entries.delete(key);
+      }
+    });
+  }
+  return entry;
+}
+
+// -----------------------------------------------------------------------------
+// Function to drop the cached metadata of a database, for callers that just
+// ran DDL
+// -----------------------------------------------------------------------------
+export function invalidateSchemaCache(pool: pg.Pool): void {
+  const cache = caches.get(pool);
+  if (cache) {
+    cache.entries.clear();
+    cache.fingerprint = null;
+  }
+}
@@ -0,0 +1,61 @@
+import { lstat, realpath, stat } from "fs/promises";
+import path from "path";
+
+// -----------------------------------------------------------------------------
+// Files on the server are only read from the configured import directory and
+// written to the configured export directory. Paths are resolved relative to
+// the directory and refused when they leave it, including through symlinks.
+// -----------------------------------------------------------------------------
+
+function isInside(root: string, resolved: string): boolean {
+  const relative = path.relative(root, resolved);
+  return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+export async function resolveImportPath(importDir: string, filePath: string): Promise<string> {
+  if (!importDir) {
+    throw new Error("Importing server files is disabled, start the server with --import_dir=<directory>");
+  }
+
+  const root = await realpath(importDir);
+  let resolved: string;
+  try {
+    resolved = await realpath(path.resolve(root, filePath));
+  } catch {
+    throw new Error(`File "${filePath}" does not exist in the import directory`);
+  }
+
+  if (!isInside(root, resolved)) {
+    throw new Error(`File "${filePath}" is outside the import directory`);
+  }
+  if (!(await stat(resolved)).isFile()) {
+    throw new Error(`"${filePath}" is not a file`);
+  }
+  return resolved;
+}
+
+// The file itself may not exist yet, so its parent directory must
+export async function resolveExportPath(exportDir: string, filePath: string): Promise<string> {
+  if (!exportDir) {
+    throw new Error("Exporting to server files is disabled, start the server with --export_dir=<directory>");
+  }
+
+  const root = await realpath(exportDir);
+  const target = path.resolve(root, filePath);
+  let directory: string;
+  try {
+    directory = await realpath(path.dirname(target));
+  } catch {
+    throw new Error(`Directory of "${filePath}" does not exist in the export directory`);
+  }
+
+  const resolved = path.join(directory, path.basename(target));
+  if (directory !== root && !isInside(root, directory)) {
+    throw new Error(`File "${filePath}" is outside the export directory`);
+  }
+  const existing = await lstat(resolved).catch(() => null);
+  if (existing && !existing.isFile()) {
+    throw new Error(`"${filePath}" is not a file`);
+  }
+  return resolved;
+}
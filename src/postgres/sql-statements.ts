@@ -0,0 +1,433 @@
+// -----------------------------------------------------------------------------
+// Splitting SQL text into statements and classifying them. The lexer knows
+// about comments, quoted strings and identifiers, dollar quoting and
+// BEGIN ATOMIC function bodies, so semicolons inside them do not end a
+// statement. Classification only looks at keywords outside strings.
+// -----------------------------------------------------------------------------
+
+// Statement types that can be allowed for the execute tool
+export const STATEMENT_TYPES = ["select", "dml", "ddl", "dangerous"] as const;
+export type StatementType = (typeof STATEMENT_TYPES)[number];
+
+export const DEFAULT_ALLOWED_STATEMENTS: StatementType[] = ["select", "dml"];
+
+export interface Token {
+  kind: "word" | "identifier" | "string" | "number" | "symbol";
+  // Upper-cased for words, unquoted for identifiers
+  value: string;
+  // Parenthesis nesting depth
+  depth: number;
+  start: number;
+  end: number;
+}
+
+export interface Statement {
+  // Source text from the first to the last token, without the semicolon
+  text: string;
+  tokens: Token[];
+}
+
+export interface StatementClass {
+  // Transaction control statements are never run by the execute tool
+  type: StatementType | "transaction";
+  // Leading keywords, e.g. DELETE or CREATE TABLE
+  command: string;
+  // Why a statement counts as dangerous
+  reason?: string;
+}
+
+function isWordStart(char: string): boolean {
+  return /[A-Za-z_\u0080-\uffff]/.test(char);
+}
+
+function isWordChar(char: string): boolean {
+  return /[A-Za-z0-9_$\u0080-\uffff]/.test(char);
+}
+
+// -----------------------------------------------------------------------------
+// Function to split SQL text into statements at top-level semicolons
+// -----------------------------------------------------------------------------
+export function splitStatements(sql: string): Statement[] {
+  const statements: Statement[] = [];
+  let tokens: Token[] = [];
+  let depth = 0;
+  // Nesting of BEGIN ATOMIC ... END bodies and CASE ... END inside them
+  let atomicDepth = 0;
+
+  const finishStatement = () => {
+    if (tokens.length) {
+      statements.push({
+        text: sql.slice(tokens[0].start, tokens[tokens.length - 1].end),
+        tokens,
+      });
+    }
+    tokens = [];
+    depth = 0;
+    atomicDepth = 0;
+  };
+
+  let i = 0;
+  while (i < sql.length) {
+    const char = sql[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (sql.startsWith("--", i)) {
+      const newline = sql.indexOf("\n", i);
+      i = newline === -1 ? sql.length : newline + 1;
+    } else if (sql.startsWith("/*", i)) {
+      // Block comments nest in PostgreSQL
+      let nesting = 0;
+      do {
+        if (sql.startsWith("/*", i)) {
+          nesting++;
+          i += 2;
+        } else if (sql.startsWith("*/", i)) {
+          nesting--;
+          i += 2;
+        } else {
+          i++;
+        }
+      } while (nesting > 0 && i < sql.length);
+      if (nesting > 0) {
+        throw new Error("Unterminated block comment");
+      }
+    } else if (char === "'" || (/[EeBbXxNn]/.test(char) && sql[i + 1] === "'")) {
+      // String constants, with backslash escapes in E'' strings
+      const escapes = /[Ee]/.test(char);
+      i = char === "'" ? i + 1 : i + 2;
+      let value = "";
+      for (;;) {
+        if (i >= sql.length) {
+          throw new Error("Unterminated quoted string");
+        }
+        if (escapes && sql[i] === "\\") {
+          value += sql.slice(i, i + 2);
+          i += 2;
+        } else if (sql[i] === "'" && sql[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (sql[i] === "'") {
+          i++;
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      tokens.push({ kind: "string", value, depth, start, end: i });
+    } else if (char === '"' || (/[Uu]/.test(char) && sql[i + 1] === "&" && sql[i + 2] === '"')) {
+      i = char === '"' ? i + 1 : i + 3;
+      let value = "";
+      for (;;) {
+        if (i >= sql.length) {
+          throw new Error("Unterminated quoted identifier");
+        }
+        if (sql[i] === '"' && sql[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (sql[i] === '"') {
+          i++;
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      tokens.push({ kind: "identifier", value, depth, start, end: i });
+    } else if (char === "$" && /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.test(sql.slice(i))) {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/)![0];
+      const close = sql.indexOf(tag, i + tag.length);
+      if (close === -1) {
+        throw new Error("Unterminated dollar-quoted string");
+      }
+      i = close + tag.length;
+      tokens.push({
+        kind: "string",
+        value: sql.slice(start + tag.length, close),
+        depth,
+        start,
+        end: i,
+      });
+    } else if (isWordStart(char)) {
+      while (i < sql.length && isWordChar(sql[i])) {
+        i++;
+      }
+      const value = sql.slice(start, i).toUpperCase();
+      const previous = tokens[tokens.length - 1];
+      if (value === "ATOMIC" && previous?.value === "BEGIN") {
+        atomicDepth++;
+      } else if (atomicDepth && value === "CASE") {
+        atomicDepth++;
+      } else if (atomicDepth && value === "END") {
+        atomicDepth--;
+      }
+      tokens.push({ kind: "word", value, depth, start, end: i });
+    } else if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(sql[i + 1] ?? ""))) {
+      while (i < sql.length && /[0-9A-Za-z_.]/.test(sql[i])) {
+        i++;
+      }
+      tokens.push({ kind: "number", value: sql.slice(start, i), depth, start, end: i });
+    } else if (char === ";") {
+      i++;
+      if (atomicDepth) {
+        tokens.push({ kind: "symbol", value: char, depth, start, end: i });
+      } else {
+        finishStatement();
+      }
+    } else {
+      i++;
+      if (char === "(") {
+        tokens.push({ kind: "symbol", value: char, depth: depth++, start, end: i });
+      } else if (char === ")") {
+        depth = Math.max(depth - 1, 0);
+        tokens.push({ kind: "symbol", value: char, depth, start, end: i });
+      } else {
+        tokens.push({ kind: "symbol", value: char, depth, start, end: i });
+      }
+    }
+  }
+  finishStatement();
+  return statements;
+}
+
+const TRANSACTION_COMMANDS = [
+  "BEGIN",
+  "START",
+  "COMMIT",
+  "END",
+  "ROLLBACK",
+  "ABORT",
+  "SAVEPOINT",
+  "RELEASE",
+];
+
+const DML_COMMANDS = ["INSERT", "UPDATE", "DELETE", "MERGE", "CALL", "LOCK"];
+
+const DDL_COMMANDS = [
+  "CREATE",
+  "ALTER",
+  "COMMENT",
+  "REFRESH",
+  "ANALYZE",
+  "VACUUM",
+  "CLUSTER",
+  "REINDEX",
+  "SECURITY",
+];
+
+// Objects whose creation or change reaches beyond the database's own data
+const DANGEROUS_OBJECTS = [
+  "SYSTEM",
+  "ROLE",
+  "USER",
+  "GROUP",
+  "DATABASE",
+  "TABLESPACE",
+  "EXTENSION",
+  "SERVER",
+  "SUBSCRIPTION",
+  "PUBLICATION",
+  "EVENT",
+  "FOREIGN",
+  "LANGUAGE",
+  "DEFAULT",
+];
+
+const DANGEROUS_COMMANDS: { [command: string]: string } = {
+  DROP: "drops database objects",
+  TRUNCATE: "removes every row",
+  GRANT: "changes privileges",
+  REVOKE: "changes privileges",
+  REASSIGN: "changes ownership",
+  COPY: "reads or writes server files and programs",
+  DO: "runs an anonymous code block",
+  LOAD: "loads a shared library",
+  IMPORT: "imports foreign tables",
+  SET: "changes session settings",
+  RESET: "changes session settings",
+};
+
+// Words between CREATE and the kind of object created
+const CREATE_MODIFIERS = [
+  "OR",
+  "REPLACE",
+  "TEMP",
+  "TEMPORARY",
+  "UNLOGGED",
+  "GLOBAL",
+  "LOCAL",
+  "UNIQUE",
+  "TRUSTED",
+  "PROCEDURAL",
+  "RECURSIVE",
+];
+
+function wordsAt(tokens: Token[], index: number, count: number): string {
+  return tokens
+    .slice(index, index + count)
+    .filter((token) => token.kind === "word")
+    .map((token) => token.value)
+    .join(" ");
+}
+
+function hasTopLevelWord(tokens: Token[], word: string): boolean {
+  return tokens.some((token) => token.kind === "word" && token.depth === 0 && token.value === word);
+}
+
+// SQL text with comments removed, whitespace collapsed and statements
+// separated by "; ", as written to logs
+export function normalizeSql(sql: string): string {
+  return splitStatements(sql)
+    .map(({ tokens }) =>
+      tokens
+        .map((token, index) => {
+          const source = sql.slice(token.start, token.end);
+          return index > 0 && token.start > tokens[index - 1].end ? ` ${source}` : source;
+        })
+        .join("")
+    )
+    .join("; ");
+}
+
+// The bodies of the common table expressions of a WITH statement, as
+// statements of their own, followed by its main statement
+function withStatementParts(tokens: Token[]): Token[][] {
+  const parts: Token[][] = [];
+  for (let index = 1; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.depth > 0) {
+      continue;
+    }
+    if (token.value === "(" && ["AS", "MATERIALIZED"].includes(tokens[index - 1].value)) {
+      let close = tokens.findIndex((other, position) => position > index && other.value === ")" && other.depth === 0);
+      if (close === -1) {
+        close = tokens.length;
+      }
+      parts.push(tokens.slice(index + 1, close).map((inner) => ({ ...inner, depth: inner.depth - 1 })));
+      index = close;
+    } else if (
+      token.kind === "word" &&
+      ["SELECT", "INSERT", "UPDATE", "DELETE", "MERGE", "VALUES", "TABLE"].includes(token.value)
+    ) {
+      parts.push(tokens.slice(index));
+      break;
+    }
+  }
+  return parts;
+}
+
+// -----------------------------------------------------------------------------
+// Function to classify a statement by its leading keywords. Statements that
+// are not recognised count as dangerous.
+// -----------------------------------------------------------------------------
+export function classifyStatement(statement: Statement | Token[]): StatementClass {
+  const tokens = Array.isArray(statement) ? statement : statement.tokens;
+  const first = tokens[0];
+  if (!first || first.kind !== "word") {
+    return { type: "dangerous", command: first?.value ?? "", reason: "statement not recognised" };
+  }
+  const command = first.value;
+
+  if (TRANSACTION_COMMANDS.includes(command) || wordsAt(tokens, 0, 2) === "PREPARE TRANSACTION") {
+    return { type: "transaction", command };
+  }
+
+  if (command === "EXPLAIN") {
+    // EXPLAIN ANALYZE runs the statement it explains
+    let index = 1;
+    let analyze = false;
+    if (tokens[index]?.value === "(") {
+      const close = tokens.findIndex(
+        (token, position) => position > index && token.value === ")" && token.depth === 0
+      );
+      if (close === -1) {
+        return { type: "dangerous", command, reason: "statement not recognised" };
+      }
+      const options = tokens.slice(index + 1, close);
+      analyze = options.some(
+        (token, position) =>
+          token.value === "ANALYZE" && !["FALSE", "OFF", "0"].includes(options[position + 1]?.value)
+      );
+      index = close + 1;
+    }
+    while (["ANALYZE", "ANALYSE", "VERBOSE"].includes(tokens[index]?.value)) {
+      analyze ||= tokens[index].value !== "VERBOSE";
+      index++;
+    }
+    if (!analyze) {
+      return { type: "select", command };
+    }
+    const explained = classifyStatement(tokens.slice(index));
+    return { ...explained, command: `EXPLAIN ANALYZE ${explained.command}` };
+  }
+
+  if (command === "WITH") {
+    // Classified by the most dangerous of its common table expressions and
+    // main statement, so WITH x AS (DELETE FROM t RETURNING *) SELECT ...
+    // counts as the DELETE it runs
+    const parts = withStatementParts(tokens).map(classifyStatement);
+    const worst = parts.reduce<StatementClass>(
+      (current, part) =>
+        STATEMENT_TYPES.indexOf(part.type as StatementType) > STATEMENT_TYPES.indexOf(current.type as StatementType)
+          ? part
+          : current,
+      { type: "select", command }
+    );
+    return worst.type === "select" ? { type: "select", command } : { ...worst, command: `WITH ... ${worst.command}` };
+  }
+
+  if (command === "SELECT") {
+    // SELECT INTO creates a table
+    return hasTopLevelWord(tokens, "INTO")
+      ? { type: "ddl", command: "SELECT INTO" }
+      : { type: "select", command };
+  }
+
+  if (["VALUES", "TABLE", "SHOW"].includes(command)) {
+    return { type: "select", command };
+  }
+
+  if (DML_COMMANDS.includes(command)) {
+    if ((command === "UPDATE" || command === "DELETE") && !hasTopLevelWord(tokens, "WHERE")) {
+      return { type: "dangerous", command, reason: `${command} without WHERE changes every row` };
+    }
+    return { type: "dml", command };
+  }
+
+  if (DDL_COMMANDS.includes(command)) {
+    let index = 1;
+    while (command === "CREATE" && CREATE_MODIFIERS.includes(tokens[index]?.value)) {
+      index++;
+    }
+    if (command !== "CREATE" && command !== "ALTER") {
+      return { type: "ddl", command };
+    }
+    const object = tokens[index]?.value ?? "";
+    const fullCommand = `${command} ${object}`.trim();
+    if (DANGEROUS_OBJECTS.includes(object)) {
+      return {
+        type: "dangerous",
+        command: fullCommand,
+        reason: "changes objects outside the database's own data",
+      };
+    }
+    return { type: "ddl", command: fullCommand };
+  }
+
+  const reason = DANGEROUS_COMMANDS[command];
+  return { type: "dangerous", command, reason: reason ?? "statement not recognised" };
+}
+
+// Parses a comma separated list of statement types, e.g. select,dml
+export function parseStatementTypes(value: string): StatementType[] {
+  const types = value
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter((type) => type !== "");
+  for (const type of types) {
+    if (!(STATEMENT_TYPES as readonly string[]).includes(type)) {
+      throw new Error(`Unknown statement type "${type}", expected ${STATEMENT_TYPES.join(", ")}`);
+    }
+  }
+  return types as StatementType[];
+}
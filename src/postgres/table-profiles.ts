@@ -0,0 +1,329 @@
+import pg from "pg";
+import { RelationKind, getRelationStatistics, qualifiedTableName } from "./catalog.js";
+import { quoteIdentifier } from "./column-types.js";
+import { ColumnRule } from "./policy.js";
+
+// -----------------------------------------------------------------------------
+// Column profiles: for every column its null rate, distinct count, minimum and
+// maximum, most common values, the length distribution of text and a
+// histogram of numbers, dates and times. Tables estimated to have more than
+// PROFILE_SAMPLE_ROWS rows are read through TABLESAMPLE SYSTEM, unless an
+// exact profile is asked for; their distinct counts then come from pg_stats
+// where ANALYZE collected them. Hidden columns are left out and masked
+// columns only get their null rate and distinct count.
+// -----------------------------------------------------------------------------
+
+// Rows a sampled profile reads, approximately
+export const PROFILE_SAMPLE_ROWS = 100000;
+
+const MOST_COMMON_VALUES = 5;
+const HISTOGRAM_BUCKETS = 10;
+
+// Kinds of relation TABLESAMPLE can read
+const SAMPLED_KINDS: RelationKind[] = ["table", "partitioned table", "materialized view"];
+
+export interface ValueShare {
+  value: string;
+  // Share of the profiled rows with the value
+  share: number;
+}
+
+export interface LengthDistribution {
+  min: number;
+  avg: number;
+  median: number;
+  p90: number;
+  max: number;
+}
+
+export interface HistogramBucket {
+  // Lower bound and, for the last bucket inclusive, upper bound
+  from: string | number;
+  to: string | number;
+  count: number;
+}
+
+export interface ColumnProfile {
+  name: string;
+  type: string;
+  nullRate: number;
+  // Distinct non-null values; exact when the whole table was read, from
+  // pg_stats or, without statistics, counted in the sample (a lower bound)
+  distinct: { count: number; source: "exact" | "pg_stats" | "sample" } | null;
+  min?: string | null;
+  max?: string | null;
+  // Values found more than once, most frequent first
+  mostCommon?: ValueShare[] | null;
+  lengths?: LengthDistribution | null;
+  histogram?: HistogramBucket[] | null;
+  // Values are not shown for masked columns
+  masked?: true;
+}
+
+export interface TableProfile {
+  schema: string;
+  table: string;
+  rowEstimate: number | null;
+  // Percentage of the table's blocks read, null when all rows were read
+  samplePercent: number | null;
+  rowsProfiled: number;
+  columns: ColumnProfile[];
+}
+
+interface ColumnInfo {
+  name: string;
+  type: string;
+  // pg_type.typcategory and name of the type, of the base type for domains
+  category: string;
+  base_type: string;
+}
+
+export interface ProfileOptions {
+  // Columns to profile, all visible ones when null
+  columns: string[] | null;
+  // Read every row instead of a sample
+  exact: boolean;
+}
+
+function round(value: number, digits = 2): number {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+// Error classes of queries a column's type does not support, e.g. min() of
+// json or a histogram of infinite values: undefined_function,
+// cannot_coerce and data exceptions
+function isUnsupported(error: unknown): boolean {
+  const code = (error as { code?: string }).code ?? "";
+  return code === "42883" || code === "42846" || code.startsWith("22");
+}
+
+// Runs a query of one column's statistics, returning null when the column's
+// type does not support it. The savepoint keeps the transaction usable.
+async function columnQuery<Row extends pg.QueryResultRow>(
+  client: pg.PoolClient,
+  sql: string,
+  values: unknown[] = []
+): Promise<Row[] | null> {
+  await client.query("SAVEPOINT column_profile");
+  try {
+    const result = await client.query<Row>(sql, values);
+    await client.query("RELEASE SAVEPOINT column_profile");
+    return result.rows;
+  } catch (error) {
+    await client.query("ROLLBACK TO SAVEPOINT column_profile");
+    if (isUnsupported(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function getColumns(client: pg.PoolClient, schema: string, tableName: string): Promise<ColumnInfo[]> {
+  const result = await client.query<ColumnInfo>(
+    `SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type,
+            b.typcategory AS category, format_type(b.oid, NULL) AS base_type
+     FROM pg_attribute a
+     JOIN pg_type t ON t.oid = a.atttypid
+     JOIN pg_type b ON b.oid = CASE WHEN t.typtype = 'd' THEN t.typbasetype ELSE t.oid END
+     WHERE a.attrelid = $1::regclass AND a.attnum > 0 AND NOT a.attisdropped
+     ORDER BY a.attnum`,
+    [qualifiedTableName(schema, tableName)]
+  );
+  return result.rows;
+}
+
+// Distinct counts ANALYZE estimated, negative values being a fraction of the
+// rows and 0 meaning unknown
+async function getStatsDistinct(
+  client: pg.PoolClient,
+  schema: string,
+  tableName: string
+): Promise<Map<string, number>> {
+  const result = await client.query<{ name: string; n_distinct: number }>(
+    `SELECT attname AS name, n_distinct::float8 AS n_distinct FROM pg_stats
+     WHERE schemaname = $1 AND tablename = $2
+     ORDER BY inherited DESC`,
+    [schema, tableName]
+  );
+  const distinct = new Map<string, number>();
+  for (const { name, n_distinct } of result.rows) {
+    if (!distinct.has(name)) {
+      distinct.set(name, n_distinct);
+    }
+  }
+  return distinct;
+}
+
+// Epoch seconds of date and time values, whose buckets are converted back to
+// the column's type
+function histogramValue(column: ColumnInfo, expression: string): string | null {
+  if (column.category === "N") {
+    return `${expression}::float8`;
+  }
+  if (column.category === "D") {
+    return `extract(epoch FROM ${expression})::float8`;
+  }
+  return null;
+}
+
+function histogramBound(column: ColumnInfo, expression: string): string {
+  if (column.category === "N") {
+    return expression;
+  }
+  const epoch = column.base_type.endsWith("with time zone") ? "timestamptz" : "timestamp";
+  return `('epoch'::${epoch} + (${expression}) * interval '1 second')::${column.type}::text`;
+}
+
+async function histogram(
+  client: pg.PoolClient,
+  source: string,
+  column: ColumnInfo,
+  expression: string
+): Promise<HistogramBucket[] | null> {
+  const value = histogramValue(column, expression);
+  if (!value) {
+    return null;
+  }
+  const buckets = HISTOGRAM_BUCKETS;
+  const rows = await columnQuery<HistogramBucket>(
+    client,
+    `WITH v AS (SELECT ${value} AS x FROM ${source} WHERE ${expression} IS NOT NULL),
+          r AS (SELECT min(x) AS lo, max(x) AS hi FROM v),
+          b AS (
+            SELECT CASE WHEN r.lo = r.hi THEN 1 ELSE least(width_bucket(v.x, r.lo, r.hi, ${buckets}), ${buckets}) END AS bucket,
+                   count(*) AS count
+            FROM v, r GROUP BY 1
+          )
+     SELECT ${histogramBound(column, `r.lo + (b.bucket - 1) * (r.hi - r.lo) / ${buckets}`)} AS "from",
+            ${histogramBound(column, `CASE WHEN b.bucket = ${buckets} OR r.lo = r.hi THEN r.hi ELSE r.lo + b.bucket * (r.hi - r.lo) / ${buckets} END`)} AS "to",
+            b.count::float8 AS count
+     FROM b, r ORDER BY b.bucket`
+  );
+  return rows;
+}
+
+async function profileColumn(
+  client: pg.PoolClient,
+  source: string,
+  column: ColumnInfo,
+  rows: number,
+  masked: boolean
+): Promise<Omit<ColumnProfile, "distinct"> & { sampleDistinct: number | null }> {
+  const expression = quoteIdentifier(column.name);
+  const counts = await columnQuery<{ non_null: number; distinct: number }>(
+    client,
+    `SELECT count(${expression})::float8 AS non_null, count(DISTINCT ${expression})::float8 AS distinct
+     FROM ${source}`
+  );
+  const nonNull =
+    counts?.[0].non_null ??
+    (await client.query<{ non_null: number }>(`SELECT count(${expression})::float8 AS non_null FROM ${source}`))
+      .rows[0].non_null;
+  const profile = {
+    name: column.name,
+    type: column.type,
+    nullRate: rows ? round(1 - nonNull / rows, 4) : 0,
+    sampleDistinct: counts?.[0].distinct ?? null,
+  };
+  if (masked) {
+    return { ...profile, masked: true };
+  }
+
+  const range = await columnQuery<{ min: string | null; max: string | null }>(
+    client,
+    `SELECT min(${expression})::text AS min, max(${expression})::text AS max FROM ${source}`
+  );
+  const mostCommon = await columnQuery<{ value: string; count: number }>(
+    client,
+    `SELECT ${expression}::text AS value, count(*)::float8 AS count FROM ${source}
+     WHERE ${expression} IS NOT NULL
+     GROUP BY ${expression} HAVING count(*) > 1 ORDER BY 2 DESC, 1 LIMIT $1`,
+    [MOST_COMMON_VALUES]
+  );
+  let lengths: LengthDistribution | null | undefined;
+  if (column.category === "S") {
+    const result = await columnQuery<LengthDistribution>(
+      client,
+      `SELECT min(length(${expression})) AS min, avg(length(${expression}))::float8 AS avg,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY length(${expression})) AS median,
+              percentile_cont(0.9) WITHIN GROUP (ORDER BY length(${expression})) AS p90,
+              max(length(${expression})) AS max
+       FROM ${source}`
+    );
+    const row = result?.[0];
+    lengths = !row || row.max === null ? null : { ...row, avg: round(row.avg), median: round(row.median), p90: round(row.p90) };
+  }
+  return {
+    ...profile,
+    min: range?.[0].min ?? null,
+    max: range?.[0].max ?? null,
+    mostCommon: mostCommon && mostCommon.map(({ value, count }) => ({ value, share: round(count / rows, 4) })),
+    ...(lengths !== undefined ? { lengths } : {}),
+    ...(column.category === "N" || column.category === "D"
+      ? { histogram: await histogram(client, source, column, expression) }
+      : {}),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Function to profile the columns of a relation the caller may read, given the
+// column rules of the access policy
+// -----------------------------------------------------------------------------
+export async function profileTable(
+  client: pg.PoolClient,
+  schema: string,
+  tableName: string,
+  rules: Map<string, ColumnRule>,
+  { columns: requested, exact }: ProfileOptions,
+  onColumn: (done: number, total: number, column: string) => void = () => {}
+): Promise<TableProfile> {
+  const visible = (await getColumns(client, schema, tableName)).filter(
+    (column) => rules.get(column.name) !== "hide"
+  );
+  const unknown = (requested ?? []).filter((name) => !visible.some((column) => column.name === name));
+  if (unknown.length) {
+    throw new Error(`Column "${unknown[0]}" does not exist in "${schema}.${tableName}"`);
+  }
+  const columns = requested ? visible.filter((column) => requested.includes(column.name)) : visible;
+
+  const [statistics] = await getRelationStatistics(client, { schema, name: tableName });
+  const rowEstimate = statistics?.rowEstimate ?? null;
+  const samplePercent =
+    !exact && statistics && SAMPLED_KINDS.includes(statistics.kind) && rowEstimate !== null && rowEstimate > PROFILE_SAMPLE_ROWS
+      ? round((100 * PROFILE_SAMPLE_ROWS) / rowEstimate, 4)
+      : null;
+  // REPEATABLE reads the same blocks for every column
+  const source =
+    qualifiedTableName(schema, tableName) +
+    (samplePercent === null ? "" : ` TABLESAMPLE SYSTEM (${samplePercent}) REPEATABLE (0)`);
+  const rows = Number(
+    (await client.query<{ count: string }>(`SELECT count(*) AS count FROM ${source}`)).rows[0].count
+  );
+  const statsDistinct = samplePercent === null ? new Map() : await getStatsDistinct(client, schema, tableName);
+
+  const profiles: ColumnProfile[] = [];
+  for (const [index, column] of columns.entries()) {
+    onColumn(index, columns.length, column.name);
+    const { sampleDistinct, ...profile } = await profileColumn(
+      client,
+      source,
+      column,
+      rows,
+      rules.get(column.name) === "mask"
+    );
+    const nDistinct = statsDistinct.get(column.name);
+    let distinct: ColumnProfile["distinct"] = null;
+    if (samplePercent === null && sampleDistinct !== null) {
+      distinct = { count: sampleDistinct, source: "exact" };
+    } else if (nDistinct && rowEstimate !== null) {
+      const count = nDistinct < 0 ? -nDistinct * rowEstimate : nDistinct;
+      distinct = { count: Math.round(count), source: "pg_stats" };
+    } else if (sampleDistinct !== null) {
+      distinct = { count: sampleDistinct, source: "sample" };
+    }
+    profiles.push({ ...profile, distinct });
+  }
+  onColumn(columns.length, columns.length, "");
+  return { schema, table: tableName, rowEstimate, samplePercent, rowsProfiled: rows, columns: profiles };
+}
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import AdmZip from "adm-zip";
+import { readdirSync } from "fs";
+import { tmpdir } from "os";
+import { withArchiveTables } from "../archive.js";
+
+const CSV = "id,name\n1,ann\n2,bob\n";
+
+function archive(files: Record<string, string>): Buffer {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+// Rewrites the uncompressed size in the local and central headers of the
+// archive's only entry, as a crafted archive could
+function declareSize(buffer: Buffer, size: number): Buffer {
+  const copy = Buffer.from(buffer);
+  copy.writeUInt32LE(size, 22);
+  copy.writeUInt32LE(size, copy.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+  return copy;
+}
+
+function archiveDirectories(): string[] {
+  return readdirSync(tmpdir()).filter((name) => name.startsWith("mcp-postgres-archive-"));
+}
+
+async function readAll(stream: AsyncIterable<Record<string, string>>) {
+  const records = [];
+  for await (const record of stream) {
+    records.push(record);
+  }
+  return records;
+}
+
+describe("archive tables", () => {
+  it("streams CSV files from a temporary directory removed afterwards", async () => {
+    const before = archiveDirectories();
+    const records = await withArchiveTables(archive({ "people.csv": CSV }), { maxBytes: 1024 }, async ({ tables }) => {
+      assert.equal(tables[0].tableName, "people");
+      assert.ok(tables[0].stream);
+      assert.equal(archiveDirectories().length, before.length + 1);
+      return readAll(tables[0].stream());
+    });
+    assert.deepEqual(records, [
+      { id: "1", name: "ann" },
+      { id: "2", name: "bob" },
+    ]);
+    assert.deepEqual(archiveDirectories(), before);
+  });
+
+  it("refuses archives whose files declare more than the limit before decompressing them", async () => {
+    await assert.rejects(
+      withArchiveTables(archive({ "a.csv": CSV, "b.csv": CSV }), { maxBytes: CSV.length + 1 }, async () => {
+        assert.fail("the archive should have been refused");
+      }),
+      /more than the limit/
+    );
+  });
+
+  it("stops decompressing a file larger than its header declares", async () => {
+    const crafted = declareSize(archive({ "people.csv": CSV.repeat(100) }), 10);
+    await assert.rejects(
+      withArchiveTables(crafted, { maxBytes: 1024 }, async () => assert.fail("the archive should have been refused")),
+      /larger than declared/
+    );
+  });
+
+  it("limits the manifest, which is read into memory", async () => {
+    const manifest = JSON.stringify({ tables: { "people.csv": { tableName: "x".repeat(2 * 1024 * 1024) } } });
+    await assert.rejects(
+      withArchiveTables(archive({ "manifest.json": manifest, "people.csv": CSV }), { maxBytes: 1024 }, async () => {}),
+      /manifest\.json.*more than the limit/
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ColumnValueError, coerceRecord, inferColumns, widenColumns } from "../column-types.js";
+
+function typeOf(...values: string[]) {
+  return inferColumns(["value"], values.map((value) => ({ value })))[0].type;
+}
+
+describe("column type inference", () => {
+  it("infers the narrowest type holding every sampled value", () => {
+    assert.equal(typeOf("1", "-2", ""), "INTEGER");
+    assert.equal(typeOf("1", "3000000000"), "BIGINT");
+    assert.equal(typeOf("1", "2.5"), "NUMERIC");
+    assert.equal(typeOf("yes", "f"), "BOOLEAN");
+    assert.equal(typeOf("2024-02-29"), "DATE");
+    assert.equal(typeOf("2024-02-29", "2024-03-01 10:00"), "TIMESTAMPTZ");
+    assert.equal(typeOf('{"a": 1}', "[]"), "JSONB");
+    assert.equal(typeOf("007"), "TEXT");
+    assert.equal(typeOf("", ""), "TEXT");
+  });
+
+  it("accepts timestamps with seconds, fractions and UTC offsets", () => {
+    for (const value of [
+      "2024-01-01T10:00:59Z",
+      "2024-01-01 10:00:00.123456",
+      "2024-01-01 23:59:59+02:00",
+      "2024-01-01 10:00-0530",
+      "2024-01-01 10:00:00 +15:59",
+    ]) {
+      assert.equal(typeOf(value), "TIMESTAMPTZ", value);
+    }
+  });
+
+  it("keeps invalid dates, times and offsets as text", () => {
+    for (const value of [
+      "2023-02-29",
+      "2024-01-01 24:00",
+      "2024-01-01 10:60",
+      "2024-01-01 10:00:99",
+      "2024-01-01 10:00:60",
+      "2024-01-01 10:00+16:00",
+      "2024-01-01 10:00+02:75",
+    ]) {
+      assert.equal(typeOf(value), "TEXT", value);
+    }
+  });
+
+  it("applies type overrides and refuses overrides of unknown columns", () => {
+    const [column] = inferColumns(["id"], [{ id: "1" }], { id: "text" });
+    assert.deepEqual(column, { name: "id", type: "TEXT", primaryKey: true, overridden: true });
+    assert.throws(() => inferColumns(["id"], [], { other: "TEXT" }), /unknown column "other"/);
+  });
+});
+
+describe("column widening", () => {
+  const records = [
+    { id: "1", amount: "10", day: "2024-01-01", code: "5", flag: "true" },
+    { id: "2", amount: "3000000000", day: "2024-01-02 10:00:00Z", code: "x", flag: "no" },
+    { id: "3", amount: "1.5", day: "", code: "6", flag: "maybe" },
+  ];
+
+  it("widens types inferred from a sample until every record fits", async () => {
+    const sampled = inferColumns(["id", "amount", "day", "code", "flag"], records, {}, 1);
+    assert.deepEqual(
+      sampled.map((column) => column.type),
+      ["INTEGER", "INTEGER", "DATE", "INTEGER", "BOOLEAN"]
+    );
+    assert.throws(() => coerceRecord(records[1], sampled, 2), ColumnValueError);
+
+    const widened = await widenColumns(sampled, records);
+    assert.deepEqual(
+      widened.map((column) => column.type),
+      ["INTEGER", "NUMERIC", "TIMESTAMPTZ", "TEXT", "TEXT"]
+    );
+    // Every record can be coerced to the widened types
+    records.forEach((record, index) => coerceRecord(record, widened, index + 1));
+    assert.equal(sampled[1].type, "INTEGER");
+  });
+
+  it("widens from an async stream of records", async () => {
+    async function* stream() {
+      yield* records;
+    }
+    const [amount] = await widenColumns([{ name: "amount", type: "INTEGER", primaryKey: false }], stream());
+    assert.equal(amount.type, "NUMERIC");
+  });
+
+  it("keeps overridden types, whose values are reported", async () => {
+    const columns = inferColumns(["amount"], records, { amount: "INTEGER" });
+    const [amount] = await widenColumns(columns, records);
+    assert.equal(amount.type, "INTEGER");
+    assert.throws(
+      () => coerceRecord(records[2], columns, 3),
+      (error: unknown) => error instanceof ColumnValueError && error.column === "amount"
+    );
+  });
+
+  it("widens a date column holding an invalid timestamp to text", async () => {
+    const [day] = await widenColumns([{ name: "day", type: "DATE", primaryKey: false }], [{ day: "2024-01-01 10:00:99" }]);
+    assert.equal(day.type, "TEXT");
+  });
+});
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { mkdtemp, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import pg from "pg";
+import { DEFAULT_MAX_ARCHIVE_BYTES } from "../archive.js";
+import { Databases, closeDatabases, singleDatabase } from "../databases.js";
+import { Policy, PolicySchema } from "../policy.js";
+import { NO_PROGRESS } from "../progress.js";
+import { NO_LIMITS } from "../query-limits.js";
+import { readResource } from "../resources.js";
+import { closeCursors } from "../result-pages.js";
+import { NO_SAVED_QUERIES } from "../saved-queries.js";
+import { DEFAULT_ALLOWED_STATEMENTS } from "../sql-statements.js";
+import { TOOLS } from "../tools/index.js";
+import { ServerConfig, ToolResult, callTool } from "../tools/registry.js";
+import { DEFAULT_UPLOAD_LIMITS } from "../uploads.js";
+
+// -----------------------------------------------------------------------------
+// Helpers of the tests. Tests that need PostgreSQL connect to the database of
+// TEST_DATABASE_URL and are skipped when it is not set. Each test file works
+// in schemas of its own, named with a random suffix and dropped at the end.
+// -----------------------------------------------------------------------------
+
+export const DATABASE_URL = process.env.TEST_DATABASE_URL ?? "";
+
+// Options of describe() for suites that need a database
+export const NEEDS_DATABASE = DATABASE_URL ? {} : { skip: "TEST_DATABASE_URL is not set" };
+
+export function testConfig(overrides: Partial<ServerConfig> = {}): ServerConfig {
+  return {
+    schemas: null,
+    policy: null,
+    allowedStatements: DEFAULT_ALLOWED_STATEMENTS,
+    importDir: "",
+    exportDir: "",
+    uploads: DEFAULT_UPLOAD_LIMITS,
+    maxArchiveBytes: DEFAULT_MAX_ARCHIVE_BYTES,
+    audit: { file: "", table: null },
+    readOnly: false,
+    timeouts: { statement: {}, lock: {} },
+    savedQueries: NO_SAVED_QUERIES,
+    schemaCacheSeconds: 0,
+    ...overrides,
+  };
+}
+
+export function testPolicy(policy: unknown): Policy {
+  return PolicySchema.parse(policy);
+}
+
+// Writes a file in a new temporary directory and returns its path
+export async function writeTempFile(name: string, content: string | Buffer): Promise<string> {
+  const filePath = path.join(await mkdtemp(path.join(tmpdir(), "postgres-test-")), name);
+  await writeFile(filePath, content);
+  return filePath;
+}
+
+export interface TestDatabase {
+  databases: Databases;
+  pool: pg.Pool;
+  // Name of a schema of the test file, e.g. schema("sales") is sales_1a2b3c4d
+  schema(name: string): string;
+  // Runs SQL outside of the tools, e.g. to create tables
+  sql(text: string, values?: unknown[]): Promise<pg.QueryResult>;
+  close(): Promise<void>;
+}
+
+export async function openTestDatabase(schemaNames: string[]): Promise<TestDatabase> {
+  const databases = singleDatabase(DATABASE_URL);
+  const pool = databases.default.pool;
+  const suffix = randomUUID().slice(0, 8);
+  const schema = (name: string) => `${name}_${suffix}`;
+  for (const name of schemaNames) {
+    await pool.query(`CREATE SCHEMA "${schema(name)}"`);
+  }
+  return {
+    databases,
+    pool,
+    schema,
+    sql: (text, values) => pool.query(text, values),
+    // Open query cursors hold connections until they expire, as on shutdown
+    async close() {
+      await closeCursors();
+      for (const name of schemaNames) {
+        await pool.query(`DROP SCHEMA IF EXISTS "${schema(name)}" CASCADE`);
+      }
+      await closeDatabases(databases);
+    },
+  };
+}
+
+export function runTool(
+  database: TestDatabase,
+  config: ServerConfig,
+  name: string,
+  args: Record<string, unknown>,
+  owner: string | null = null
+): Promise<ToolResult> {
+  return callTool(TOOLS, name, args, {
+    pool: database.pool,
+    databases: database.databases,
+    config,
+    audit: {},
+    limits: NO_LIMITS,
+    progress: NO_PROGRESS,
+    owner,
+  });
+}
+
+// Text of a tool result that must have succeeded
+export function resultText(result: ToolResult): string {
+  const text = result.content.map((item) => (item.type === "text" ? item.text : "")).join("\n");
+  assert.equal(result.isError, false, text);
+  return text;
+}
+
+export function resultJson(result: ToolResult): any {
+  const first = result.content[0];
+  assert.equal(result.isError, false, first?.type === "text" ? first.text : "");
+  return JSON.parse(first.type === "text" ? first.text : "");
+}
+
+export function resultError(result: ToolResult): string {
+  assert.equal(result.isError, true, "the tool call should have failed");
+  const first = result.content[0];
+  return first.type === "text" ? first.text : "";
+}
+
+export async function readJsonResource(database: TestDatabase, config: ServerConfig, path: string): Promise<any> {
+  const [content] = await readResource(database.databases.default, new URL(path, database.databases.default.resourceBaseUrl).href, config, {
+    history: { caller: null, all: false },
+    audit: {},
+    defaultPool: database.pool,
+  });
+  return JSON.parse(content.text);
+}
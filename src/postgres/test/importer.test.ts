@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import path from "path";
+import { DEFAULT_SAMPLE_SIZE } from "../column-types.js";
+import {
+  NEEDS_DATABASE,
+  TestDatabase,
+  openTestDatabase,
+  resultError,
+  resultJson,
+  runTool,
+  testConfig,
+  testPolicy,
+  writeTempFile,
+} from "./helpers.js";
+
+describe("importing files into new tables", NEEDS_DATABASE, () => {
+  let database: TestDatabase;
+  let schema: string;
+
+  before(async () => {
+    database = await openTestDatabase(["imports"]);
+    schema = database.schema("imports");
+  });
+
+  after(() => database.close());
+
+  it("widens the inferred types when records after the sample do not fit", async () => {
+    const lines = ["id,amount,day,note"];
+    for (let id = 1; id <= DEFAULT_SAMPLE_SIZE; id++) {
+      lines.push(`${id},${id},2024-01-01,${id}`);
+    }
+    lines.push(`${DEFAULT_SAMPLE_SIZE + 1},3000000000.5,2024-01-02 10:00:00+02,2024-01-01 10:00:99`);
+    const filePath = await writeTempFile("late.csv", lines.join("\n"));
+    const config = testConfig({ importDir: path.dirname(filePath) });
+
+    const result = resultJson(await runTool(database, config, "import_file", { filePath: "late.csv", schema }));
+    assert.equal(result.tables.late.created, DEFAULT_SAMPLE_SIZE + 1);
+
+    const types = await database.sql(
+      `SELECT column_name, data_type FROM information_schema.columns
+       WHERE table_schema = $1 AND table_name = 'late' ORDER BY ordinal_position`,
+      [schema]
+    );
+    assert.deepEqual(
+      types.rows.map((row) => row.data_type),
+      ["integer", "numeric", "timestamp with time zone", "text"]
+    );
+    const last = await database.sql(`SELECT amount::text, note FROM "${schema}".late WHERE id = $1`, [DEFAULT_SAMPLE_SIZE + 1]);
+    assert.deepEqual(last.rows, [{ amount: "3000000000.5", note: "2024-01-01 10:00:99" }]);
+  });
+
+  it("reverts a batch only where the import would be allowed", async () => {
+    const fileData = Buffer.from("id,name\n1,ann\n").toString("base64");
+    const imported = resultJson(
+      await runTool(database, testConfig(), "import_file", { fileName: "guarded.csv", fileData, schema })
+    );
+    const { batchId } = imported;
+
+    const otherSchemas = testConfig({ schemas: ["public"] });
+    assert.match(resultError(await runTool(database, otherSchemas, "revert_import", { batchId })), /is not available/);
+    const listed = resultJson(await runTool(database, otherSchemas, "list_imports", { limit: 100 }));
+    assert.ok(!listed.some((batch: { batchId: string }) => batch.batchId === batchId));
+
+    const readOnly = testConfig({ policy: testPolicy({ defaultAccess: ["read"] }) });
+    assert.match(resultError(await runTool(database, readOnly, "revert_import", { batchId })), /grants no import access/);
+    const guardedTable = testConfig({
+      policy: testPolicy({ defaultAccess: ["read", "import"], schemas: { [schema]: { tables: { guarded: { access: ["read"] } } } } }),
+    });
+    assert.match(resultError(await runTool(database, guardedTable, "revert_import", { batchId })), /grants no import access/);
+
+    const reverted = resultJson(await runTool(database, testConfig({ schemas: [schema] }), "revert_import", { batchId }));
+    assert.equal(reverted.tables[0].droppedTable, true);
+  });
+});
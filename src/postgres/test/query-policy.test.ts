@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import {
+  NEEDS_DATABASE,
+  TestDatabase,
+  openTestDatabase,
+  readJsonResource,
+  resultError,
+  resultJson,
+  runTool,
+  testConfig,
+  testPolicy,
+} from "./helpers.js";
+
+describe("access policy on views", NEEDS_DATABASE, () => {
+  let database: TestDatabase;
+  let config: ReturnType<typeof testConfig>;
+  let sales: string;
+  let reports: string;
+  let staging: string;
+
+  before(async () => {
+    database = await openTestDatabase(["sales", "reports", "staging"]);
+    [sales, reports, staging] = ["sales", "reports", "staging"].map(database.schema);
+    await database.sql(`
+      CREATE TABLE "${sales}".customers (id int PRIMARY KEY, email text, token text);
+      INSERT INTO "${sales}".customers VALUES (1, 'ann@example.com', 'secret');
+      CREATE TABLE "${staging}".raw (id int);
+      INSERT INTO "${staging}".raw VALUES (1);
+      CREATE VIEW "${reports}".contacts AS SELECT id, email AS contact FROM "${sales}".customers;
+      CREATE VIEW "${reports}".tokens AS SELECT id, token AS credential FROM "${sales}".customers;
+      CREATE VIEW "${reports}".raw_ids AS SELECT id FROM "${staging}".raw;
+      CREATE FUNCTION "${reports}".emails() RETURNS SETOF text LANGUAGE sql AS 'SELECT email FROM "${sales}".customers';
+      CREATE FUNCTION "${reports}".twice(value int) RETURNS int LANGUAGE sql IMMUTABLE AS 'SELECT value * 2';
+      CREATE VIEW "${reports}".email_list AS SELECT "${reports}".emails() AS email;
+    `);
+    config = testConfig({
+      schemas: [sales, reports, staging],
+      policy: testPolicy({
+        defaultAccess: ["read"],
+        schemas: {
+          [sales]: { columns: { email: "mask", token: "hide" } },
+          [staging]: { access: [] },
+        },
+        functions: [`${reports}.twice`],
+      }),
+    });
+  });
+
+  after(() => database.close());
+
+  it("masks a view's column taken from a masked column in describe_table", async () => {
+    const described = resultJson(await runTool(database, config, "describe_table", { table_name: "contacts", schema: reports }));
+    assert.deepEqual(described.sampleData, [{ id: 1, contact: "***" }]);
+  });
+
+  it("masks a view's column taken from a masked column in the data resource", async () => {
+    const rows = await readJsonResource(database, config, `${reports}/contacts/data`);
+    assert.deepEqual(rows, [{ id: 1, contact: "***" }]);
+  });
+
+  it("profiles a view's column taken from a masked column as masked", async () => {
+    const profile = resultJson(await runTool(database, config, "profile_table", { table_name: "contacts", schema: reports }));
+    const contact = profile.columns.find((column: { name: string }) => column.name === "contact");
+    assert.equal(contact.masked, true);
+    assert.equal(contact.min, undefined);
+  });
+
+  it("masks the same column in query results", async () => {
+    const page = resultJson(await runTool(database, config, "query", { sql: `SELECT * FROM "${reports}".contacts` }));
+    assert.deepEqual(page.rows, [{ id: 1, contact: "***" }]);
+  });
+
+  it("refuses a view over a hidden column", async () => {
+    const error = resultError(await runTool(database, config, "describe_table", { table_name: "tokens", schema: reports }));
+    assert.match(error, /is hidden by the access policy/);
+  });
+
+  it("refuses a view over a table the policy denies", async () => {
+    await assert.rejects(readJsonResource(database, config, `${reports}/raw_ids/data`), /grants no read access/);
+  });
+
+  it("refuses a function the policy does not list, also behind a view", async () => {
+    const direct = resultError(await runTool(database, config, "query", { sql: `SELECT "${reports}".emails()` }));
+    assert.match(direct, /function .*\.emails is not allowed/);
+    const viewed = resultError(await runTool(database, config, "query", { sql: `SELECT * FROM "${reports}".email_list` }));
+    assert.match(viewed, /function .*\.emails is not allowed/);
+  });
+
+  it("allows a function the policy lists", async () => {
+    const page = resultJson(await runTool(database, config, "query", { sql: `SELECT "${reports}".twice(id) AS doubled FROM "${reports}".contacts` }));
+    assert.deepEqual(page.rows, [{ doubled: 2 }]);
+  });
+
+  it("refuses built-in functions that read around the policy", async () => {
+    const error = resultError(await runTool(database, config, "query", { sql: `SELECT query_to_xml('SELECT 1', true, false, '')` }));
+    assert.match(error, /function pg_catalog\.query_to_xml is not allowed/);
+  });
+});
@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { createHash } from "crypto";
+import { AddressInfo } from "net";
+import { JSONRPCMessage } from "@modelcontextprotocol/sdk/types.js";
+import { loadApiKeys } from "../api-keys.js";
+import { listenHttp } from "../http-server.js";
+import { RestTransport } from "../rest-transport.js";
+import { writeTempFile } from "./helpers.js";
+
+const ALICE = "alice-key-0123456789";
+const BOB = "bob-key-0123456789ab";
+
+interface Received {
+  message: JSONRPCMessage;
+  clientId?: string;
+}
+
+interface RestServer {
+  url: string;
+  received: Received[];
+  close(): Promise<void>;
+}
+
+// Serves a REST transport with the keys on a free port. Stands in for the
+// server: requests stay unanswered, as long-running ones.
+async function startRestServer(keys: unknown): Promise<RestServer> {
+  const apiKeys = await loadApiKeys(await writeTempFile("keys.json", JSON.stringify(keys)));
+  const transport = new RestTransport({ endpoint: "/mcp", apiKeys });
+  const received: Received[] = [];
+  transport.onmessage = (message, extra) => {
+    received.push({ message, clientId: extra?.authInfo?.clientId });
+  };
+  const server = await listenHttp({ port: 0, host: "127.0.0.1" }, (req, res) => transport.handleRequest(req, res));
+  return {
+    url: `http://127.0.0.1:${(server.address() as AddressInfo).port}/mcp`,
+    received,
+    async close() {
+      await transport.close();
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+function post(url: string, headers: Record<string, string>, body: unknown): Promise<Response> {
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+const PING = { jsonrpc: "2.0", method: "notifications/initialized" };
+
+describe("REST transport cancellation", () => {
+  let rest: RestServer;
+  let received: Received[];
+
+  before(async () => {
+    rest = await startRestServer({
+      roles: { user: {} },
+      keys: [
+        { name: "alice", key: ALICE, role: "user" },
+        { name: "bob", key: BOB, role: "user" },
+      ],
+    });
+    received = rest.received;
+  });
+
+  after(() => rest.close());
+
+  function send(key: string, body: unknown): Promise<Response> {
+    return post(rest.url, { Authorization: `Bearer ${key}` }, body);
+  }
+
+  function cancellation(requestId: string | number) {
+    return { jsonrpc: "2.0", method: "notifications/cancelled", params: { requestId, reason: "stop" } };
+  }
+
+  async function untilReceived() {
+    while (!received.length) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  function forwardedCancels(): Received[] {
+    return received.filter(({ message }) => "method" in message && message.method === "notifications/cancelled");
+  }
+
+  it("rewrites the cancelled id to the running request's id and answers that request", async () => {
+    const pending = send(ALICE, { jsonrpc: "2.0", id: 7, method: "tools/call", params: { name: "query" } });
+    await untilReceived();
+    const internalId = (received[0].message as { id: string }).id;
+    assert.notEqual(internalId, 7);
+
+    assert.equal((await send(ALICE, cancellation(7))).status, 202);
+    const [cancel] = forwardedCancels();
+    assert.deepEqual((cancel.message as { params: unknown }).params, { requestId: internalId, reason: "stop" });
+    assert.equal(cancel.clientId, "alice");
+
+    const response = await (await pending).json();
+    assert.equal(response.id, 7);
+    assert.equal(response.error.code, -32800);
+  });
+
+  it("drops cancellations of requests another key sent", async () => {
+    received.length = 0;
+    const pending = send(ALICE, { jsonrpc: "2.0", id: "a", method: "tools/call", params: { name: "query" } });
+    await untilReceived();
+    assert.equal((await send(BOB, cancellation("a"))).status, 202);
+    assert.deepEqual(forwardedCancels(), []);
+
+    await send(ALICE, cancellation("a"));
+    assert.equal(forwardedCancels().length, 1);
+    assert.equal((await (await pending).json()).error.code, -32800);
+  });
+
+  it("drops cancellations of ids that are not running", async () => {
+    received.length = 0;
+    assert.equal((await send(ALICE, cancellation(12345))).status, 202);
+    assert.deepEqual(received, []);
+  });
+});
+
+describe("REST authentication and limits", () => {
+  const LIMITED = "limited-key-0123456789";
+  const SINGLE = "single-key-0123456789";
+  let rest: RestServer;
+
+  before(async () => {
+    rest = await startRestServer({
+      roles: { user: {} },
+      keys: [
+        { name: "carol", sha256: createHash("sha256").update(ALICE).digest("hex"), role: "user" },
+        { name: "limited", key: LIMITED, role: "user", requestsPerMinute: 2 },
+        { name: "single", key: SINGLE, role: "user", maxConcurrent: 1 },
+      ],
+      allowedOrigins: ["https://app.example.com"],
+    });
+  });
+
+  after(() => rest.close());
+
+  it("refuses requests without a valid key", async () => {
+    const missing = await post(rest.url, {}, PING);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get("www-authenticate"), "Bearer");
+    assert.equal((await post(rest.url, { Authorization: `Bearer ${BOB}` }, PING)).status, 401);
+    assert.equal(rest.received.length, 0);
+  });
+
+  it("accepts keys given by digest, as a bearer token or X-API-Key", async () => {
+    assert.equal((await post(rest.url, { Authorization: `Bearer ${ALICE}` }, PING)).status, 202);
+    assert.equal((await post(rest.url, { "X-API-Key": ALICE }, PING)).status, 202);
+    assert.deepEqual(
+      rest.received.map(({ clientId }) => clientId),
+      ["carol", "carol"]
+    );
+  });
+
+  it("answers preflight requests and refuses other origins and methods", async () => {
+    const preflight = await fetch(rest.url, { method: "OPTIONS", headers: { Origin: "https://app.example.com" } });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get("access-control-allow-origin"), "https://app.example.com");
+    assert.match(preflight.headers.get("access-control-allow-headers") ?? "", /X-API-Key/);
+
+    const foreign = await post(rest.url, { Authorization: `Bearer ${ALICE}`, Origin: "https://evil.example.com" }, PING);
+    assert.equal(foreign.status, 403);
+    assert.equal((await fetch(rest.url, { headers: { Authorization: `Bearer ${ALICE}` } })).status, 405);
+  });
+
+  it("limits the requests a key makes a minute", async () => {
+    const headers = { Authorization: `Bearer ${LIMITED}` };
+    assert.equal((await post(rest.url, headers, PING)).status, 202);
+    assert.equal((await post(rest.url, headers, PING)).status, 202);
+    const refused = await post(rest.url, headers, PING);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get("retry-after")) > 0);
+    // Other keys have limits of their own
+    assert.equal((await post(rest.url, { Authorization: `Bearer ${ALICE}` }, PING)).status, 202);
+  });
+
+  it("limits the requests a key runs at a time", async () => {
+    const headers = { Authorization: `Bearer ${SINGLE}` };
+    // Left running until the server closes
+    post(rest.url, headers, { jsonrpc: "2.0", id: 1, method: "tools/call" }).catch(() => null);
+    while (!rest.received.some(({ clientId }) => clientId === "single")) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    const refused = await post(rest.url, headers, PING);
+    assert.equal(refused.status, 429);
+    assert.equal(refused.headers.get("retry-after"), "1");
+  });
+});
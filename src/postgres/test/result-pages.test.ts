@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { NEEDS_DATABASE, TestDatabase, openTestDatabase, resultError, resultJson, runTool, testConfig } from "./helpers.js";
+
+describe("query result pages", NEEDS_DATABASE, () => {
+  let database: TestDatabase;
+  const config = testConfig();
+  let numbers: string;
+
+  before(async () => {
+    database = await openTestDatabase(["pages"]);
+    numbers = `"${database.schema("pages")}".numbers`;
+    await database.sql(`CREATE TABLE ${numbers} AS SELECT n FROM generate_series(1, 25) AS n`);
+  });
+
+  after(() => database.close());
+
+  function query(args: Record<string, unknown>, owner: string | null = "alice") {
+    return runTool(database, config, "query", args, owner);
+  }
+
+  it("returns every row once across the pages of a cursor", async () => {
+    const seen: number[] = [];
+    let page = resultJson(await query({ sql: `SELECT n FROM ${numbers} ORDER BY n`, max_rows: 10 }));
+    assert.equal(page.truncatedBy, "max_rows");
+    seen.push(...page.rows.map((row: { n: number }) => row.n));
+    while (page.nextCursor) {
+      page = resultJson(await query({ cursor: page.nextCursor, max_rows: 10 }));
+      seen.push(...page.rows.map((row: { n: number }) => row.n));
+    }
+    assert.deepEqual(seen, Array.from({ length: 25 }, (_, index) => index + 1));
+    assert.equal(page.truncated, false);
+  });
+
+  it("ends a page at max_bytes but returns at least one row", async () => {
+    const page = resultJson(await query({ sql: `SELECT repeat('x', 2000) AS text FROM ${numbers}`, max_bytes: 1024 }));
+    assert.equal(page.rows.length, 1);
+    assert.equal(page.truncatedBy, "max_bytes");
+  });
+
+  it("continues a cursor only for the caller that opened it", async () => {
+    const first = resultJson(await query({ sql: `SELECT n FROM ${numbers} ORDER BY n`, max_rows: 10 }));
+    assert.match(resultError(await query({ cursor: first.nextCursor }, "bob")), /does not exist or has expired/);
+    assert.match(resultError(await query({ cursor: first.nextCursor }, null)), /does not exist or has expired/);
+
+    const second = resultJson(await query({ cursor: first.nextCursor, max_rows: 10 }));
+    assert.equal(second.rows[0].n, 11);
+  });
+
+  it("forgets a cursor read to the end", async () => {
+    const first = resultJson(await query({ sql: `SELECT n FROM ${numbers} ORDER BY n`, max_rows: 20 }));
+    const last = resultJson(await query({ cursor: first.nextCursor, max_rows: 20 }));
+    assert.equal(last.nextCursor, null);
+    assert.match(resultError(await query({ cursor: first.nextCursor })), /does not exist or has expired/);
+  });
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { classifyStatement, normalizeSql, parseStatementTypes, splitStatements } from "../sql-statements.js";
+
+function classify(sql: string) {
+  const statements = splitStatements(sql);
+  assert.equal(statements.length, 1, sql);
+  return classifyStatement(statements[0]);
+}
+
+describe("splitStatements", () => {
+  it("splits at top-level semicolons only", () => {
+    const sql = `SELECT ';' AS a, "x;y" FROM t; -- ; comment
+      /* ; /* nested ; */ */ SELECT $tag$ ; $tag$, E'\\' ;', 'it''s;';;`;
+    const statements = splitStatements(sql);
+    assert.deepEqual(
+      statements.map((statement) => statement.text),
+      [`SELECT ';' AS a, "x;y" FROM t`, `SELECT $tag$ ; $tag$, E'\\' ;', 'it''s;'`]
+    );
+    assert.deepEqual(
+      statements[1].tokens.filter((token) => token.kind === "string").map((token) => token.value),
+      [" ; ", "\\' ;", "it's;"]
+    );
+  });
+
+  it("keeps the semicolons of BEGIN ATOMIC bodies inside the statement", () => {
+    const sql = `CREATE FUNCTION f() RETURNS int LANGUAGE sql BEGIN ATOMIC
+        SELECT CASE WHEN true THEN 1 END; SELECT 2;
+      END; SELECT 3`;
+    assert.equal(splitStatements(sql).length, 2);
+  });
+
+  it("tracks the parenthesis depth of tokens", () => {
+    const [{ tokens }] = splitStatements("SELECT (1 + (2)) FROM t");
+    assert.deepEqual(
+      tokens.map((token) => `${token.value}@${token.depth}`),
+      ["SELECT@0", "(@0", "1@1", "+@1", "(@1", "2@2", ")@1", ")@0", "FROM@0", "T@0"]
+    );
+  });
+
+  it("refuses unterminated strings, identifiers and comments", () => {
+    assert.throws(() => splitStatements("SELECT 'abc"), /Unterminated quoted string/);
+    assert.throws(() => splitStatements('SELECT "abc'), /Unterminated quoted identifier/);
+    assert.throws(() => splitStatements("SELECT $$abc"), /Unterminated dollar-quoted string/);
+    assert.throws(() => splitStatements("SELECT /* /* */"), /Unterminated block comment/);
+  });
+
+  it("returns no statements for comments and empty text", () => {
+    assert.deepEqual(splitStatements("  ;; -- nothing\n/* here */"), []);
+  });
+
+  it("normalizes comments and whitespace away", () => {
+    assert.equal(normalizeSql("SELECT  1 -- one\n,\n2 ; /* c */ SELECT 3"), "SELECT 1 , 2; SELECT 3");
+  });
+});
+
+describe("classifyStatement", () => {
+  it("classifies reads", () => {
+    for (const sql of ["SELECT 1", "select * from t", "VALUES (1)", "TABLE t", "SHOW search_path", "EXPLAIN DELETE FROM t"]) {
+      assert.equal(classify(sql).type, "select", sql);
+    }
+  });
+
+  it("classifies SELECT INTO as DDL", () => {
+    assert.deepEqual(classify("SELECT * INTO copy FROM t"), { type: "ddl", command: "SELECT INTO" });
+    assert.equal(classify("SELECT (SELECT 1 INTO x)").type, "select");
+  });
+
+  it("classifies data changes, and those of every row as dangerous", () => {
+    assert.deepEqual(classify("INSERT INTO t VALUES (1)"), { type: "dml", command: "INSERT" });
+    assert.deepEqual(classify("UPDATE t SET a = 1 WHERE id = 2"), { type: "dml", command: "UPDATE" });
+    assert.equal(classify("UPDATE t SET a = 1").type, "dangerous");
+    assert.equal(classify("DELETE FROM t").type, "dangerous");
+    assert.equal(classify("DELETE FROM t WHERE id IN (SELECT id FROM u)").type, "dml");
+    assert.equal(classify("DELETE FROM t USING (SELECT 1 WHERE true) u").type, "dangerous");
+  });
+
+  it("classifies WITH statements by their most dangerous part", () => {
+    assert.deepEqual(classify("WITH x AS (SELECT 1) SELECT * FROM x"), { type: "select", command: "WITH" });
+    assert.deepEqual(classify("WITH x AS (DELETE FROM t WHERE id = 1 RETURNING *) SELECT * FROM x"), {
+      type: "dml",
+      command: "WITH ... DELETE",
+    });
+    assert.equal(classify("WITH x AS MATERIALIZED (DELETE FROM t RETURNING *) SELECT * FROM x").type, "dangerous");
+    assert.deepEqual(classify("WITH x AS (SELECT 1) UPDATE t SET a = 1 WHERE id IN (SELECT * FROM x)"), {
+      type: "dml",
+      command: "WITH ... UPDATE",
+    });
+    assert.equal(classify("WITH x AS (SELECT 1 AS y) SELECT * FROM x WHERE y IN (SELECT 1 AS z)").type, "select");
+  });
+
+  it("classifies EXPLAIN ANALYZE like the statement it runs", () => {
+    assert.deepEqual(classify("EXPLAIN ANALYZE UPDATE t SET a = 1 WHERE id = 1"), {
+      type: "dml",
+      command: "EXPLAIN ANALYZE UPDATE",
+    });
+    assert.equal(classify("EXPLAIN (ANALYZE, BUFFERS) DROP TABLE t").type, "dangerous");
+    assert.equal(classify("EXPLAIN (ANALYZE false) DELETE FROM t").type, "select");
+  });
+
+  it("classifies schema changes and those outside the database's data", () => {
+    assert.deepEqual(classify("CREATE OR REPLACE TEMP VIEW v AS SELECT 1"), { type: "ddl", command: "CREATE VIEW" });
+    assert.deepEqual(classify("ALTER TABLE t ADD COLUMN c int"), { type: "ddl", command: "ALTER TABLE" });
+    assert.equal(classify("ALTER SYSTEM SET work_mem = '1GB'").type, "dangerous");
+    assert.equal(classify("CREATE ROLE admin").type, "dangerous");
+    for (const sql of ["DROP TABLE t", "TRUNCATE t", "GRANT ALL ON t TO PUBLIC", "COPY t FROM '/etc/passwd'", "DO $$ BEGIN END $$"]) {
+      assert.equal(classify(sql).type, "dangerous", sql);
+    }
+  });
+
+  it("keeps transaction control apart", () => {
+    for (const sql of ["BEGIN", "COMMIT", "ROLLBACK", "SAVEPOINT s", "PREPARE TRANSACTION 'x'"]) {
+      assert.equal(classify(sql).type, "transaction", sql);
+    }
+  });
+});
+
+describe("parseStatementTypes", () => {
+  it("parses a comma separated list and refuses unknown types", () => {
+    assert.deepEqual(parseStatementTypes(" select, DML ,"), ["select", "dml"]);
+    assert.throws(() => parseStatementTypes("select,all"), /Unknown statement type "all"/);
+  });
+});
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { spawnSync } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "index.js");
+
+// Runs the server with the arguments until it exits
+function start(args: string[]) {
+  return spawnSync(process.execPath, [SERVER, ...args], { encoding: "utf8", timeout: 10_000, input: "" });
+}
+
+describe("server startup", () => {
+  it("refuses API keys in stdio mode", () => {
+    const { status, stderr } = start(["postgresql://localhost/unused", "--api_keys=keys.json"]);
+    assert.equal(status, 1);
+    assert.match(stderr, /--api_keys applies to the REST and HTTP modes/);
+  });
+
+  it("refuses the REST mode without API keys", () => {
+    const { status, stderr } = start(["postgresql://localhost/unused", "--mode=rest"]);
+    assert.equal(status, 1);
+    assert.match(stderr, /rest mode needs API keys/);
+  });
+});
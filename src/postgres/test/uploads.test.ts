@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { abortUpload, appendUploadChunk, beginUpload, completeUpload, finishUpload } from "../uploads.js";
+
+const LIMITS = { ttlSeconds: 60, maxBytes: 10, maxSessions: 2 };
+
+describe("chunked uploads", () => {
+  it("collects the chunks of an upload up to its declared size", async () => {
+    const { uploadId } = await beginUpload("people.csv", { totalSize: 6, owner: "alice", limits: LIMITS });
+    await appendUploadChunk(uploadId, "alice", 0, Buffer.from("id\n"));
+    assert.throws(() => completeUpload(uploadId, "alice"), /has 3 of 6 bytes/);
+    await assert.rejects(appendUploadChunk(uploadId, "alice", 1, Buffer.from("1\n2\n")), /exceeds the declared size/);
+    await appendUploadChunk(uploadId, "alice", 1, Buffer.from("1\n2"));
+    const upload = completeUpload(uploadId, "alice");
+    assert.equal(upload.receivedBytes, 6);
+    await finishUpload(uploadId);
+  });
+
+  it("refuses uploads larger than the limit", async () => {
+    await assert.rejects(
+      beginUpload("big.csv", { totalSize: 11, owner: "alice", limits: LIMITS }),
+      /exceeds the limit of 10 bytes/
+    );
+  });
+
+  it("limits the uploads in progress per caller", async () => {
+    const first = await beginUpload("a.csv", { totalSize: 1, owner: "alice", limits: LIMITS });
+    const second = await beginUpload("b.csv", { totalSize: 1, owner: "alice", limits: LIMITS });
+    await assert.rejects(beginUpload("c.csv", { totalSize: 1, owner: "alice", limits: LIMITS }), /uploads are in progress/);
+
+    const other = await beginUpload("c.csv", { totalSize: 1, owner: "bob", limits: LIMITS });
+    await abortUpload(first.uploadId, "alice");
+    const third = await beginUpload("c.csv", { totalSize: 1, owner: "alice", limits: LIMITS });
+    for (const { uploadId } of [second, third]) {
+      await abortUpload(uploadId, "alice");
+    }
+    await abortUpload(other.uploadId, "bob");
+  });
+
+  it("keeps other callers from appending to, committing or aborting an upload", async () => {
+    const { uploadId } = await beginUpload("people.csv", { totalSize: 1, owner: "alice", limits: LIMITS });
+    await assert.rejects(appendUploadChunk(uploadId, "bob", 0, Buffer.from("x")), /does not exist or has expired/);
+    await assert.rejects(appendUploadChunk(uploadId, null, 0, Buffer.from("x")), /does not exist or has expired/);
+    await appendUploadChunk(uploadId, "alice", 0, Buffer.from("x"));
+    assert.throws(() => completeUpload(uploadId, "bob"), /does not exist or has expired/);
+    await assert.rejects(abortUpload(uploadId, "bob"), /does not exist or has expired/);
+    await abortUpload(uploadId, "alice");
+  });
+});
@@ -0,0 +1,37 @@
+import { z } from "zod";
+import { defineTool, jsonResult } from "./registry.js";
+
+export const listDatabasesTool = defineTool({
+  name: "list_databases",
+  description:
+    "List the databases the server connects to, with their description, whether they are read-only and whether they can be reached. Other tools take the name as their database argument",
+  inputSchema: z.object({}),
+  async handler(args, { databases }) {
+    const connections = await Promise.all(
+      databases.connections.map(async (connection) => {
+        const { pool } = connection;
+        let status = "ok";
+        let serverVersion: string | null = null;
+        try {
+          const result = await pool.query<{ server_version: string }>("SHOW server_version");
+          serverVersion = result.rows[0].server_version;
+        } catch (error) {
+          status = error instanceof Error ? error.message : String(error);
+        }
+        return {
+          name: connection.name,
+          description: connection.description,
+          default: connection === databases.default,
+          readOnly: connection.readOnly,
+          host: connection.host,
+          database: connection.database,
+          resourceUri: connection.resourceBaseUrl.href,
+          status,
+          serverVersion,
+          pool: { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount },
+        };
+      })
+    );
+    return jsonResult(connections);
+  },
+});
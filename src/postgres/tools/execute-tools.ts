@@ -0,0 +1,38 @@
+import { z } from "zod";
+import { checkStatements, executeStatements } from "../execute.js";
+import { invalidateSchemaCache } from "../schema-cache.js";
+import { splitStatements } from "../sql-statements.js";
+import { defineTool, jsonResult, textResult } from "./registry.js";
+
+export const executeTool = defineTool({
+  name: "execute",
+  description:
+    "Run SQL statements that may change data, in one transaction. Each statement is classified as select, dml, ddl or dangerous (DROP, TRUNCATE, GRANT, ...) and refused unless its type is allowed by the server. With dry_run the transaction is rolled back and sample rows before and after each INSERT, UPDATE and DELETE are returned",
+  inputSchema: z.object({
+    sql: z.string().min(1).describe("One or more SQL statements separated by semicolons"),
+    dry_run: z
+      .boolean()
+      .default(false)
+      .describe("Roll the statements back and report affected row counts and sample rows"),
+  }),
+  async handler({ sql, dry_run: dryRun }, { pool, config, audit, limits }) {
+    try {
+      const statements = checkStatements(splitStatements(sql), config.allowedStatements, config.policy);
+      const results = await executeStatements(
+        pool,
+        statements,
+        dryRun,
+        config.policy,
+        limits,
+        config.readOnly
+      );
+      if (!dryRun && statements.some(({ type }) => type !== "select" && type !== "dml")) {
+        invalidateSchemaCache(pool);
+      }
+      audit.rowCount = results.reduce((total, result) => total + (result.rowCount ?? 0), 0);
+      return jsonResult({ dryRun, committed: !dryRun, statements: results });
+    } catch (error) {
+      return textResult(`Error executing SQL: ${error instanceof Error ? error.message : error}`, true);
+    }
+  },
+});
@@ -0,0 +1,51 @@
+import { writeFile } from "fs/promises";
+import { z } from "zod";
+import { assertTableExists, qualifiedTableName, resolveSchema } from "../catalog.js";
+import { applyColumnRules } from "../policy.js";
+import { assertTableAccess, checkedReadRules, visibleColumnList } from "../query-policy.js";
+import { resolveExportPath } from "../server-paths.js";
+import { singleStatement, withReadOnlyTransaction } from "../transactions.js";
+import { SCHEMA_ARGUMENT, defineTool, jsonResult } from "./registry.js";
+
+export const exportDataTool = defineTool({
+  name: "export_data",
+  description: "Export table data to a JSON file in the server's export directory",
+  inputSchema: z.object({
+    table_name: z.string().min(1),
+    schema: SCHEMA_ARGUMENT,
+    output_path: z.string().min(1).describe("Path of the JSON file, relative to the export directory"),
+    limit: z.number().int().positive().default(10000),
+    where_clause: z.string().optional().describe("SQL condition without the WHERE keyword"),
+  }),
+  async handler(
+    { table_name: tableName, output_path, limit, where_clause, ...args },
+    { pool, config, audit, limits, progress }
+  ) {
+    const schema = resolveSchema(config.schemas, args.schema);
+    const outputPath = await resolveExportPath(config.exportDir, output_path);
+    await assertTableExists(pool, schema, tableName);
+    const rules = await assertTableAccess(pool, config.policy, "read", schema, tableName);
+    const columns = await visibleColumnList(pool, schema, tableName, rules);
+
+    const rows = await withReadOnlyTransaction(
+      pool,
+      async (client) => {
+        const where = where_clause ? ` WHERE ${where_clause}` : "";
+        const sql = `SELECT ${columns} FROM ${qualifiedTableName(schema, tableName)}${where} LIMIT ${limit}`;
+        audit.sql = sql;
+        const resultRules = await checkedReadRules(client, config.policy, sql, rules);
+        const result = await client.query(singleStatement(sql));
+        return applyColumnRules(result.rows, resultRules);
+      },
+      limits
+    );
+    audit.rowCount = rows.length;
+    // Two steps: reading the rows and writing the file
+    progress(1, 2, `Read ${rows.length} rows`, true);
+    limits.signal?.throwIfAborted();
+    await writeFile(outputPath, JSON.stringify(rows, null, 2), { signal: limits.signal });
+    progress(2, 2, `Wrote ${output_path}`, true);
+
+    return jsonResult({ schema, table: tableName, rows_exported: rows.length, output_file: output_path });
+  },
+});
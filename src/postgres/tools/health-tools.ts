@@ -0,0 +1,64 @@
+import { z } from "zod";
+import {
+  HEALTH_CHECKS,
+  QUERY_ORDERS,
+  SEVERITIES,
+  runHealthChecks,
+  topQueries,
+} from "../health-checks.js";
+import { withReadOnlyTransaction } from "../transactions.js";
+import { defineTool, jsonResult, textResult } from "./registry.js";
+
+// -----------------------------------------------------------------------------
+// Tools checking the health and performance of a database
+// -----------------------------------------------------------------------------
+
+export const healthCheckTool = defineTool({
+  name: "health_check",
+  description:
+    "Check the health of the database: slow and dominant queries (needs pg_stat_statements), unused and duplicate indexes, bloated tables with many dead rows, tables missing vacuum or analyze, and sessions blocking others with their locks. Returns findings ordered by severity (critical, warning, info), each with a suggested remediation",
+  inputSchema: z.object({
+    checks: z
+      .array(z.enum(HEALTH_CHECKS))
+      .min(1)
+      .default([...HEALTH_CHECKS])
+      .describe("Checks to run, all by default"),
+  }),
+  async handler({ checks }, { pool, config, limits }) {
+    try {
+      const findings = await withReadOnlyTransaction(
+        pool,
+        (client) => runHealthChecks(client, checks, config),
+        limits
+      );
+      const summary = Object.fromEntries(
+        SEVERITIES.map((severity) => [severity, findings.filter((finding) => finding.severity === severity).length])
+      );
+      return jsonResult({ checks, summary, findings });
+    } catch (error) {
+      return textResult(`Error checking database health: ${error instanceof Error ? error.message : error}`, true);
+    }
+  },
+});
+
+export const topQueriesTool = defineTool({
+  name: "top_queries",
+  description:
+    "List the statements of the database that took the most time in total, the most time on average or ran most often, from pg_stat_statements, with their calls, times, rows, share of the time of all statements and cache hit ratio. Under an access policy the query texts are left out",
+  inputSchema: z.object({
+    order_by: z.enum(QUERY_ORDERS).default("total_time"),
+    limit: z.number().int().min(1).max(100).default(10),
+  }),
+  async handler({ order_by: orderBy, limit }, { pool, config, limits }) {
+    try {
+      const queries = await withReadOnlyTransaction(
+        pool,
+        (client) => topQueries(client, orderBy, limit, config),
+        limits
+      );
+      return jsonResult(queries);
+    } catch (error) {
+      return textResult(`Error listing top queries: ${error instanceof Error ? error.message : error}`, true);
+    }
+  },
+});
@@ -0,0 +1,359 @@
+import path from "path";
+import { z } from "zod";
+import { MANIFEST_FILE_NAME, withArchiveTables } from "../archive.js";
+import { DEFAULT_SCHEMA, isSchemaAllowed, resolveSchema } from "../catalog.js";
+import { COLUMN_TYPES } from "../column-types.js";
+import { FILE_FORMATS, FileFormat, ParseOptions } from "../file-formats.js";
+import { getImportBatch, listImports, revertImport } from "../import-batches.js";
+import { ImportTable, importTables, previewImport, tablesFromFile, tablesFromPath } from "../importer.js";
+import { CONFLICT_MODES, ImportConflictError } from "../merge.js";
+import { assertSchemaAccess, canAccess } from "../policy.js";
+import { assertTableAccess } from "../query-policy.js";
+import { resolveImportPath } from "../server-paths.js";
+import {
+  abortUpload,
+  appendUploadChunk,
+  beginUpload,
+  completeUpload,
+  finishUpload,
+  releaseUpload,
+} from "../uploads.js";
+import {
+  SCHEMA_ARGUMENT,
+  ToolContext,
+  ToolResult,
+  defineTool,
+  jsonResult,
+  textResult,
+} from "./registry.js";
+
+// -----------------------------------------------------------------------------
+// Tools loading files into tables and undoing imports
+// -----------------------------------------------------------------------------
+
+const PARSE_OPTIONS = {
+  format: z
+    .enum(FILE_FORMATS)
+    .optional()
+    .describe("File format, detected from the file name when omitted"),
+  delimiter: z.string().optional().describe("Field delimiter for CSV and TSV files"),
+  quote: z.string().optional().describe("Quote character for CSV and TSV files"),
+  encoding: z.string().optional().describe("Text encoding such as utf-8 or latin1, defaults to utf-8"),
+  headerRow: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe("1-based row holding the column names, 0 when there is no header row; defaults to 1"),
+};
+
+const IMPORT_OPTIONS = {
+  tableName: z.string().optional().describe("Name for the database table to be created"),
+  schema: SCHEMA_ARGUMENT.describe(
+    "Schema the tables are loaded into, defaults to public or the first allowed schema"
+  ),
+  columnTypes: z
+    .record(z.string())
+    .optional()
+    .describe(
+      `Per-column type overrides for new tables, e.g. {"zip": "TEXT"}. Types: ${COLUMN_TYPES.join(", ")}`
+    ),
+  matchColumns: z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .describe(
+      "Columns used to match rows with existing ones; defaults to the table's primary key or a unique constraint"
+    ),
+  conflictMode: z
+    .enum(CONFLICT_MODES)
+    .default("upsert")
+    .describe("How rows matching existing ones are handled"),
+  preview: z
+    .boolean()
+    .default(false)
+    .describe("Return the proposed CREATE TABLE statement and sample rows without touching the database"),
+};
+
+const FileImportSchema = z.object({
+  fileName: z.string().optional().describe("Name of the file, required with fileData"),
+  fileData: z.string().optional().describe("Base64 encoded file data"),
+  filePath: z
+    .string()
+    .optional()
+    .describe("Path of a file inside the server's import directory, read instead of fileData"),
+  ...PARSE_OPTIONS,
+  ...IMPORT_OPTIONS,
+});
+
+type ImportOptions = z.infer<z.ZodObject<typeof IMPORT_OPTIONS>>;
+
+function parseOptionsOf(args: ParseOptions, defaultFormat?: FileFormat): ParseOptions {
+  const { format, delimiter, quote, encoding, headerRow } = args;
+  return { format: format ?? defaultFormat, delimiter, quote, encoding, headerRow };
+}
+
+function importErrorResult(action: string, error: unknown): ToolResult {
+  console.error(`Error ${action}:`, error);
+  if (error instanceof ImportConflictError) {
+    return {
+      content: [
+        { type: "text", text: `Error ${action}: ${error.message}` },
+        { type: "text", text: JSON.stringify({ [error.tableName]: { rejected: error.rejected } }, null, 2) },
+      ],
+      isError: true,
+    };
+  }
+  return textResult(`Error ${action}: ${error}`, true);
+}
+
+// -----------------------------------------------------------------------------
+// Function to preview or load the tables parsed from a file
+// -----------------------------------------------------------------------------
+async function importParsedTables(
+  tables: ImportTable[],
+  fileName: string,
+  options: ImportOptions,
+  { pool, config, limits, progress }: ToolContext
+): Promise<ToolResult> {
+  const { columnTypes, matchColumns, conflictMode, preview } = options;
+  const schema = resolveSchema(config.schemas, options.schema);
+  for (const table of tables) {
+    await assertTableAccess(pool, config.policy, "import", schema, table.tableName);
+    table.columnTypes = columnTypes;
+    table.matchColumns = typeof matchColumns === "string" ? [matchColumns] : matchColumns;
+  }
+
+  if (preview) {
+    return jsonResult(await previewImport(tables));
+  }
+  return jsonResult(
+    await importTables(pool, fileName, tables, { conflictMode, schema, limits, progress })
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Function to handle the uploadCsv and import_file tools. The file comes from
+// fileData or from filePath inside the import directory; the latter is
+// streamed.
+// -----------------------------------------------------------------------------
+async function importFile(
+  args: z.infer<typeof FileImportSchema>,
+  context: ToolContext,
+  defaultFormat?: FileFormat
+): Promise<ToolResult> {
+  try {
+    const { fileData, filePath, tableName } = args;
+    const parseOptions = parseOptionsOf(args, defaultFormat);
+
+    if (filePath) {
+      const resolvedPath = await resolveImportPath(context.config.importDir, filePath);
+      const fileName = args.fileName || path.basename(resolvedPath);
+      const tables = await tablesFromPath(resolvedPath, fileName, tableName, parseOptions);
+      return await importParsedTables(tables, fileName, args, context);
+    }
+
+    if (!args.fileName || !fileData) {
+      throw new Error("Missing required parameters: fileName and fileData, or filePath");
+    }
+    const tables = tablesFromFile(Buffer.from(fileData, "base64"), args.fileName, tableName, parseOptions);
+    return await importParsedTables(tables, args.fileName, args, context);
+  } catch (error) {
+    return importErrorResult("processing file", error);
+  }
+}
+
+export const uploadCsvTool = defineTool({
+  name: "uploadCsv",
+  description: "Upload and process a CSV file into database tables",
+  writes: true,
+  inputSchema: FileImportSchema.extend({
+    fileData: z.string().optional().describe("Base64 encoded CSV file data"),
+  }),
+  handler: (args, context) => importFile(args, context, "csv"),
+});
+
+export const importFileTool = defineTool({
+  name: "import_file",
+  description:
+    "Import a CSV, TSV, JSON, NDJSON or Excel file into database tables. The format is taken from the file name unless given explicitly; each sheet of a workbook is loaded into its own table",
+  writes: true,
+  inputSchema: FileImportSchema,
+  handler: (args, context) => importFile(args, context),
+});
+
+export const importArchiveTool = defineTool({
+  name: "import_archive",
+  description:
+    "Import a ZIP archive of related files into several tables in one transaction. Tables are loaded in foreign key order; a manifest can name the tables and declare new foreign keys between them",
+  writes: true,
+  inputSchema: z.object({
+    fileName: z.string(),
+    fileData: z.string().describe("Base64 encoded ZIP archive data"),
+    manifest: z
+      .record(z.unknown())
+      .optional()
+      .describe(
+        `Import manifest, read from ${MANIFEST_FILE_NAME} inside the archive when omitted. ` +
+          `Shape: {"tables": {"<file>": {"tableName", "format", "delimiter", "quote", "encoding", "headerRow", "columnTypes", "matchColumns"}}, ` +
+          `"foreignKeys": [{"table", "columns", "references": {"table", "columns"}, "name"}]}`
+      ),
+    ...PARSE_OPTIONS,
+    schema: IMPORT_OPTIONS.schema,
+    conflictMode: IMPORT_OPTIONS.conflictMode,
+    preview: IMPORT_OPTIONS.preview,
+  }),
+  async handler(args, { pool, config, limits, progress }) {
+    try {
+      const schema = resolveSchema(config.schemas, args.schema);
+      return await withArchiveTables(
+        Buffer.from(args.fileData, "base64"),
+        { parseOptions: parseOptionsOf(args), manifest: args.manifest, maxBytes: config.maxArchiveBytes },
+        async (archive) => {
+          for (const table of archive.tables) {
+            await assertTableAccess(pool, config.policy, "import", schema, table.tableName);
+          }
+
+          if (args.preview) {
+            return jsonResult({
+              tables: await previewImport(archive.tables),
+              foreignKeys: archive.foreignKeys,
+              skippedFiles: archive.skippedFiles,
+            });
+          }
+
+          const result = await importTables(pool, args.fileName, archive.tables, {
+            conflictMode: args.conflictMode,
+            foreignKeys: archive.foreignKeys,
+            schema,
+            limits,
+            progress,
+          });
+          return jsonResult({ ...result, skippedFiles: archive.skippedFiles });
+        }
+      );
+    } catch (error) {
+      return importErrorResult("processing archive", error);
+    }
+  },
+});
+
+export const beginUploadTool = defineTool({
+  name: "begin_upload",
+  description:
+    "Start a chunked upload for a file too large to send in one call. Send the chunks with append_upload_chunk and import the file with commit_upload",
+  inputSchema: z.object({
+    fileName: z.string().describe("Name of the file, used to detect its format and table name"),
+    totalSize: z.number().int().min(0).describe("Size of the whole file in bytes, checked on every chunk and on commit"),
+    sha256: z.string().optional().describe("Hex SHA-256 digest of the whole file, checked on commit"),
+  }),
+  async handler({ fileName, totalSize, sha256 }, { config, owner }) {
+    return jsonResult(await beginUpload(fileName, { totalSize, sha256, owner, limits: config.uploads }));
+  },
+});
+
+export const appendUploadChunkTool = defineTool({
+  name: "append_upload_chunk",
+  description: "Append the next chunk to an upload. Chunks are numbered from 0 and must be sent in order",
+  inputSchema: z.object({
+    uploadId: z.string(),
+    chunkIndex: z.number().int().min(0),
+    data: z.string().describe("Base64 encoded chunk data"),
+    sha256: z.string().optional().describe("Hex SHA-256 digest of the decoded chunk"),
+  }),
+  async handler({ uploadId, chunkIndex, data, sha256 }, { owner }) {
+    return jsonResult(
+      await appendUploadChunk(uploadId, owner, chunkIndex, Buffer.from(data, "base64"), sha256)
+    );
+  },
+});
+
+export const commitUploadTool = defineTool({
+  name: "commit_upload",
+  description:
+    "Check a finished upload and import it like import_file. The file is streamed into the database; a failed import keeps the upload so it can be committed again",
+  writes: true,
+  inputSchema: z.object({
+    uploadId: z.string(),
+    sha256: z.string().optional().describe("Hex SHA-256 digest of the whole file"),
+    ...PARSE_OPTIONS,
+    ...IMPORT_OPTIONS,
+  }),
+  async handler(args, context) {
+    const upload = completeUpload(args.uploadId, context.owner, args.sha256);
+    let result: ToolResult;
+    try {
+      const tables = await tablesFromPath(
+        upload.filePath,
+        upload.fileName,
+        args.tableName,
+        parseOptionsOf(args)
+      );
+      result = await importParsedTables(tables, upload.fileName, args, context);
+    } catch (error) {
+      result = importErrorResult("processing upload", error);
+    }
+
+    if (result.isError || args.preview) {
+      releaseUpload(args.uploadId);
+    } else {
+      await finishUpload(args.uploadId);
+    }
+    return result;
+  },
+});
+
+export const abortUploadTool = defineTool({
+  name: "abort_upload",
+  description: "Discard an upload and its received chunks",
+  inputSchema: z.object({
+    uploadId: z.string(),
+  }),
+  async handler({ uploadId }, { owner }) {
+    await abortUpload(uploadId, owner);
+    return textResult(`Upload ${uploadId} discarded`);
+  },
+});
+
+export const listImportsTool = defineTool({
+  name: "list_imports",
+  description: "List recent import batches with their file names, row counts and whether they were reverted",
+  inputSchema: z.object({
+    limit: z.number().int().positive().default(20).describe("Maximum number of batches to return"),
+  }),
+  async handler({ limit }, { pool, config }) {
+    const batches = await listImports(pool, limit);
+    return jsonResult(
+      batches.filter(
+        (batch) =>
+          isSchemaAllowed(config.schemas, batch.schema ?? DEFAULT_SCHEMA) &&
+          batch.tables.every((table) =>
+            canAccess(config.policy, "import", batch.schema ?? DEFAULT_SCHEMA, table.tableName)
+          )
+      )
+    );
+  },
+});
+
+export const revertImportTool = defineTool({
+  name: "revert_import",
+  description:
+    "Undo an import batch: inserted rows are removed, updated rows get their previous values back, deleted rows are restored and tables created by the import are dropped",
+  writes: true,
+  inputSchema: z.object({
+    batchId: z.string().describe("Batch id returned by the import or listed by list_imports"),
+  }),
+  async handler({ batchId }, { pool, config, limits }) {
+    // Reverting writes to every table of the batch, which needs the rights
+    // the import needed
+    const batch = await getImportBatch(pool, batchId);
+    if (!batch) {
+      return textResult(`Import batch "${batchId}" does not exist`, true);
+    }
+    const schema = resolveSchema(config.schemas, batch.schema ?? DEFAULT_SCHEMA);
+    assertSchemaAccess(config.policy, "import", schema);
+    for (const table of batch.tables) {
+      await assertTableAccess(pool, config.policy, "import", schema, table.tableName);
+    }
+    return jsonResult({ batchId, tables: await revertImport(pool, batchId, limits) });
+  },
+});
@@ -0,0 +1,50 @@
+import { listDatabasesTool } from "./database-tools.js";
+import { executeTool } from "./execute-tools.js";
+import { exportDataTool } from "./export-tools.js";
+import { healthCheckTool, topQueriesTool } from "./health-tools.js";
+import {
+  abortUploadTool,
+  appendUploadChunkTool,
+  beginUploadTool,
+  commitUploadTool,
+  importArchiveTool,
+  importFileTool,
+  listImportsTool,
+  revertImportTool,
+  uploadCsvTool,
+} from "./import-tools.js";
+import {
+  analyzeQueryTool,
+  countRowsTool,
+  describeTableTool,
+  findRelationshipsTool,
+  profileTableTool,
+  queryTool,
+  runSavedQueryTool,
+} from "./query-tools.js";
+import { ToolDefinition } from "./registry.js";
+
+// Every tool offered by the server, in the order they are listed to clients
+export const TOOLS: ToolDefinition[] = [
+  listDatabasesTool,
+  queryTool,
+  runSavedQueryTool,
+  executeTool,
+  describeTableTool,
+  countRowsTool,
+  profileTableTool,
+  findRelationshipsTool,
+  analyzeQueryTool,
+  healthCheckTool,
+  topQueriesTool,
+  exportDataTool,
+  uploadCsvTool,
+  importFileTool,
+  importArchiveTool,
+  beginUploadTool,
+  appendUploadChunkTool,
+  commitUploadTool,
+  abortUploadTool,
+  listImportsTool,
+  revertImportTool,
+];
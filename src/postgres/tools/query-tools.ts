@@ -0,0 +1,411 @@
+import { z } from "zod";
+import {
+  TableName,
+  assertTableExists,
+  countRows,
+  getForeignKeyConstraints,
+  getForeignKeys,
+  getIndexes,
+  getPrimaryKeys,
+  getRelationStatistics,
+  getTableColumns,
+  parseTableName,
+  qualifiedTableName,
+  resolveSchema,
+} from "../catalog.js";
+import { checkStatements } from "../execute.js";
+import {
+  DEFAULT_MAX_HOPS,
+  MAX_HOPS,
+  buildJoinGraph,
+  connectTables,
+  describeJoinPlan,
+  findJoinPaths,
+  tableLabel,
+} from "../join-graph.js";
+import { applyColumnRules, canAccess, columnRules } from "../policy.js";
+import { assertTableAccess, checkSqlAccess, checkedReadRules, visibleColumnList } from "../query-policy.js";
+import { explainStatement, summarizePlan } from "../query-plans.js";
+import { RESULT_FORMATS, ResultFormat, formatRows } from "../result-encoding.js";
+import {
+  DEFAULT_PAGE_BYTES,
+  DEFAULT_PAGE_ROWS,
+  MAX_PAGE_BYTES,
+  MAX_PAGE_ROWS,
+  ResultPage,
+  queryFirstPage,
+  queryNextPage,
+} from "../result-pages.js";
+import { bindArguments, findSavedQuery } from "../saved-queries.js";
+import { cachedMetadata } from "../schema-cache.js";
+import { classifyStatement, splitStatements } from "../sql-statements.js";
+import { PROFILE_SAMPLE_ROWS, profileTable } from "../table-profiles.js";
+import { singleStatement, withReadOnlyTransaction, withRolledBackTransaction } from "../transactions.js";
+import { SCHEMA_ARGUMENT, ToolResult, defineTool, jsonResult, textResult } from "./registry.js";
+
+// -----------------------------------------------------------------------------
+// Tools reading data and table structure
+// -----------------------------------------------------------------------------
+
+// Arguments of the tools returning a page of a query result
+const PAGE_ARGUMENTS = {
+  max_rows: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_PAGE_ROWS)
+    .default(DEFAULT_PAGE_ROWS)
+    .describe("Most rows in the page"),
+  max_bytes: z
+    .number()
+    .int()
+    .min(1024)
+    .max(MAX_PAGE_BYTES)
+    .default(DEFAULT_PAGE_BYTES)
+    .describe("Most bytes of the page's rows as JSON; a page holds at least one row"),
+  format: z
+    .enum(RESULT_FORMATS)
+    .default("objects")
+    .describe("Rows as JSON objects, JSON arrays in column order, CSV or a Markdown table"),
+};
+
+const PARAMETER_VALUE = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+
+const PARAMS_ARGUMENT = z
+  .array(z.union([PARAMETER_VALUE, z.array(PARAMETER_VALUE)]))
+  .default([])
+  .describe("Values bound to $1, $2, ... in sql; arrays are bound as PostgreSQL arrays");
+
+function pageResult(page: ResultPage, format: ResultFormat): ToolResult {
+  const rows = formatRows(
+    page.columns.map((column) => column.name),
+    page.rows,
+    format
+  );
+  if (typeof rows !== "string") {
+    return jsonResult({ ...page, rows });
+  }
+  // CSV and Markdown follow the page's description as text of their own
+  const { rows: _, ...description } = page;
+  return {
+    content: [
+      { type: "text", text: JSON.stringify(description, null, 2) },
+      { type: "text", text: rows },
+    ],
+    isError: false,
+  };
+}
+
+export const queryTool = defineTool({
+  name: "query",
+  description:
+    "Run a single read-only SQL statement and return a page of its rows with the result's column names, types and encodings. Pass values with params and refer to them as $1, $2, ... rather than writing them into the SQL. Exact numbers are decimal strings, timestamps ISO-8601, binary values base64, and intervals, ranges and arrays structured values. When truncated is true, pass nextCursor as cursor to fetch the next page. Under an access policy only statements reading tables the policy grants read access to are allowed, and masked columns are masked in the result",
+  inputSchema: z.object({
+    sql: z.string().min(1).optional().describe("A single SQL statement, omitted when fetching the next page with cursor"),
+    params: PARAMS_ARGUMENT,
+    cursor: z.string().min(1).optional().describe("nextCursor of the previous page"),
+    ...PAGE_ARGUMENTS,
+  }),
+  async handler(
+    { sql, params, cursor, max_rows, max_bytes, format },
+    { pool, config: { policy }, audit, limits, owner }
+  ) {
+    if ((sql === undefined) === (cursor === undefined)) {
+      return textResult("Give either sql to run a query or cursor to fetch the next page", true);
+    }
+    if (cursor !== undefined && params.length) {
+      return textResult("params are given with sql; the next page of a cursor uses the values of its query", true);
+    }
+    const options = { policy, owner, limits, maxRows: max_rows, maxBytes: max_bytes };
+    try {
+      let page;
+      if (cursor !== undefined) {
+        const { sql: cursorSql, ...nextPage } = await queryNextPage(pool, cursor, options);
+        audit.sql = cursorSql;
+        page = nextPage;
+      } else {
+        page = await queryFirstPage(pool, sql!, params, options);
+      }
+      audit.rowCount = page.rows.length;
+      return pageResult(page, format);
+    } catch (error) {
+      return textResult(`Error executing SQL query: ${error}`, true);
+    }
+  },
+});
+
+export const runSavedQueryTool = defineTool({
+  name: "run_saved_query",
+  description:
+    "Run a saved query by name with arguments for its parameters, and return a page of its rows like the query tool. The saved queries, with their SQL and parameters, are listed as the postgres://<database>/saved_queries resources. Fetch further pages with the query tool's cursor argument",
+  inputSchema: z.object({
+    name: z.string().min(1).describe("Name of the saved query"),
+    arguments: z
+      .record(z.unknown())
+      .default({})
+      .describe("Values of the query's parameters by name; parameters with a default may be left out"),
+    ...PAGE_ARGUMENTS,
+  }),
+  async handler(
+    { name, arguments: args, max_rows, max_bytes, format },
+    { pool, databases, config, audit, limits, owner }
+  ) {
+    const database = databases.connections.find((connection) => connection.pool === pool)!.name;
+    try {
+      const query = await findSavedQuery(config.savedQueries, databases.default.pool, database, name);
+      const params = bindArguments(query, args);
+      audit.sql = query.sql;
+      const page = await queryFirstPage(pool, query.sql, params, {
+        policy: config.policy,
+        owner,
+        limits,
+        maxRows: max_rows,
+        maxBytes: max_bytes,
+      });
+      audit.rowCount = page.rows.length;
+      return pageResult(page, format);
+    } catch (error) {
+      return textResult(`Error running saved query ${name}: ${error}`, true);
+    }
+  },
+});
+
+export const describeTableTool = defineTool({
+  name: "describe_table",
+  description: "Get detailed information about a table structure",
+  inputSchema: z.object({
+    table_name: z.string().min(1),
+    schema: SCHEMA_ARGUMENT,
+    exact_count: z
+      .boolean()
+      .default(false)
+      .describe("Count the rows instead of returning the planner's estimate, slow on large tables"),
+  }),
+  async handler({ table_name: tableName, exact_count: exactCount, ...args }, { pool, config }) {
+    const schema = resolveSchema(config.schemas, args.schema);
+    await assertTableExists(pool, schema, tableName);
+    const rules = await assertTableAccess(pool, config.policy, "read", schema, tableName);
+    const isVisible = (column: string) => rules.get(column) !== "hide";
+    const sampleSql = `SELECT ${await visibleColumnList(pool, schema, tableName, rules)}
+       FROM ${qualifiedTableName(schema, tableName)} LIMIT 5`;
+    const sampleData = await withReadOnlyTransaction(pool, async (client) => {
+      const sampleRules = await checkedReadRules(client, config.policy, sampleSql, rules);
+      const result = await client.query(singleStatement(sampleSql));
+      return applyColumnRules(result.rows, sampleRules);
+    });
+    const primaryKeys = await getPrimaryKeys(pool, schema, tableName);
+    const foreignKeys = await getForeignKeys(pool, config.schemas, schema, tableName);
+    const indices = await getIndexes(pool, schema, tableName);
+    const [statistics] = await getRelationStatistics(pool, { schema, name: tableName });
+    return jsonResult({
+      schema,
+      tableName,
+      rowEstimate: statistics?.rowEstimate ?? null,
+      ...(exactCount ? { rowCount: await countRows(pool, schema, tableName) } : {}),
+      tableSize: statistics?.size ?? null,
+      columns: (await getTableColumns(pool, schema, tableName)).filter((column) =>
+        isVisible(column.column_name)
+      ),
+      primaryKeys: primaryKeys.every(isVisible) ? primaryKeys : [],
+      foreignKeys: foreignKeys.filter(
+        (foreignKey) =>
+          isVisible(foreignKey.column_name) &&
+          canAccess(config.policy, "read", foreignKey.foreign_table_schema, foreignKey.foreign_table_name)
+      ),
+      indices: indices.filter(
+        (index) => !indices.some((other) => other.index_name === index.index_name && !isVisible(other.column_name))
+      ),
+      sampleData,
+    });
+  },
+});
+
+export const countRowsTool = defineTool({
+  name: "count_rows",
+  description: "Count rows in a table optionally with a WHERE condition",
+  inputSchema: z.object({
+    table_name: z.string().min(1),
+    schema: SCHEMA_ARGUMENT,
+    condition: z.string().optional().describe("SQL condition without the WHERE keyword"),
+  }),
+  async handler({ table_name: tableName, condition, ...args }, { pool, config, audit, limits }) {
+    const schema = resolveSchema(config.schemas, args.schema);
+    await assertTableExists(pool, schema, tableName);
+    await assertTableAccess(pool, config.policy, "read", schema, tableName);
+    const count = await withReadOnlyTransaction(
+      pool,
+      async (client) => {
+        const where = condition ? ` WHERE ${condition}` : "";
+        const sql = `SELECT COUNT(*) AS count FROM ${qualifiedTableName(schema, tableName)}${where}`;
+        audit.sql = sql;
+        if (config.policy && condition) {
+          await checkSqlAccess(client, config.policy, sql);
+        }
+        const result = await client.query<{ count: string }>(singleStatement(sql));
+        return Number(result.rows[0].count);
+      },
+      limits
+    );
+    return jsonResult({ schema, table: tableName, count, condition: condition || null });
+  },
+});
+
+export const profileTableTool = defineTool({
+  name: "profile_table",
+  description: `Profile the data of a table column by column: null rate, distinct count, minimum and maximum, most common values, text length distribution and a histogram of numbers, dates and times. Tables with more than about ${PROFILE_SAMPLE_ROWS} rows are sampled with TABLESAMPLE, taking distinct counts from pg_stats, unless exact is set`,
+  inputSchema: z.object({
+    table_name: z.string().min(1),
+    schema: SCHEMA_ARGUMENT,
+    columns: z.array(z.string().min(1)).min(1).optional().describe("Columns to profile, all by default"),
+    exact: z.boolean().default(false).describe("Read every row instead of a sample, slow on large tables"),
+  }),
+  async handler({ table_name: tableName, columns, exact, ...args }, { pool, config, limits, progress }) {
+    const schema = resolveSchema(config.schemas, args.schema);
+    await assertTableExists(pool, schema, tableName);
+    const rules = await assertTableAccess(pool, config.policy, "read", schema, tableName);
+    const relationSql = `SELECT ${await visibleColumnList(pool, schema, tableName, rules)}
+       FROM ${qualifiedTableName(schema, tableName)}`;
+    try {
+      const profile = await withReadOnlyTransaction(
+        pool,
+        async (client) =>
+          profileTable(
+            client,
+            schema,
+            tableName,
+            await checkedReadRules(client, config.policy, relationSql, rules),
+            { columns: columns ?? null, exact },
+            (done, total, column) => progress(done, total, column ? `Profiling ${column}` : undefined, done === total)
+          ),
+        limits
+      );
+      return jsonResult(profile);
+    } catch (error) {
+      return textResult(`Error profiling table: ${error instanceof Error ? error.message : error}`, true);
+    }
+  },
+});
+
+export const findRelationshipsTool = defineTool({
+  name: "find_relationships",
+  description:
+    "Find how tables join through their foreign keys, followed in both directions and across allowed schemas. For two tables returns the shortest paths, or with all_paths every path up to max_hops; for more tables one join tree connecting them all. Each path comes with the foreign keys it follows, composite keys with all their columns, and a ready-to-use FROM ... JOIN ... ON clause. Give a table twice to find its self joins",
+  inputSchema: z.object({
+    tables: z
+      .array(z.string().min(1))
+      .min(2)
+      .optional()
+      .describe("Tables to join, each optionally qualified by its schema, e.g. sales.orders"),
+    table1: z.string().min(1).optional().describe("First table, the older form of tables"),
+    table2: z.string().min(1).optional().describe("Second table, the older form of tables"),
+    schema: SCHEMA_ARGUMENT.describe("Schema of unqualified tables, defaults to public or the first allowed schema"),
+    all_paths: z
+      .boolean()
+      .default(false)
+      .describe("List every path between two tables up to max_hops, fewest hops first, instead of the shortest"),
+    max_hops: z.number().int().min(1).max(MAX_HOPS).default(DEFAULT_MAX_HOPS).describe("Most foreign keys in a path"),
+    limit: z.number().int().min(1).max(100).default(10).describe("Most paths returned"),
+  }),
+  async handler({ table1, table2, all_paths: all, max_hops: maxHops, limit, ...args }, { pool, config }) {
+    try {
+      const names = args.tables ?? [table1, table2].filter((name): name is string => name !== undefined);
+      if (names.length < 2) {
+        throw new Error("Give at least two tables, or table1 and table2");
+      }
+      const defaultSchema = resolveSchema(config.schemas, args.schema);
+      const tables = [];
+      for (const name of names) {
+        const table = parseTableName(name, defaultSchema);
+        resolveSchema(config.schemas, table.schema);
+        await assertTableExists(pool, table.schema, table.name);
+        await assertTableAccess(pool, config.policy, "read", table.schema, table.name);
+        tables.push(table);
+      }
+      const labels = tables.map(tableLabel);
+      if (tables.length > 2 && new Set(labels).size < labels.length) {
+        throw new Error("A table can only be given twice to find its self joins, with no other tables");
+      }
+      if (tables.length > 2 && all) {
+        throw new Error("all_paths needs exactly two tables");
+      }
+
+      const visible = (table: TableName, columns: string[]) =>
+        canAccess(config.policy, "read", table.schema, table.name) &&
+        columns.every((column) => columnRules(config.policy, table.schema, table.name).get(column) !== "hide");
+      const foreignKeys = await cachedMetadata(
+        pool,
+        `foreign-keys:${JSON.stringify(config.schemas)}`,
+        config.schemaCacheSeconds,
+        () => getForeignKeyConstraints(pool, config.schemas)
+      );
+      const graph = buildJoinGraph(
+        foreignKeys.filter(
+          ({ from, to, columns }) =>
+            visible(from, columns.map((column) => column.from)) && visible(to, columns.map((column) => column.to))
+        )
+      );
+      const plans =
+        tables.length === 2
+          ? findJoinPaths(graph, tables[0], tables[1], { maxHops, limit, all })
+          : [connectTables(graph, tables, maxHops)];
+      return jsonResult({ tables: labels, paths: plans.map(describeJoinPlan) });
+    } catch (error) {
+      return textResult(`Error finding relationships: ${error instanceof Error ? error.message : error}`, true);
+    }
+  },
+});
+
+export const analyzeQueryTool = defineTool({
+  name: "analyze_query",
+  description:
+    "Explain the execution plan of a SQL statement and summarize it: the most expensive nodes, row estimates that were far off, sequential scans of large tables and sorts spilling to disk, with candidate indexes for the filter and join predicates of those scans. By default the plan is only estimated and the statement does not run. With analyze the statement runs to measure actual rows and times, in a transaction that is always rolled back; statements changing data can only be analyzed where the execute tool could run them",
+  inputSchema: z.object({
+    sql: z.string().min(1).describe("A single statement, without EXPLAIN"),
+    params: PARAMS_ARGUMENT,
+    analyze: z
+      .boolean()
+      .default(false)
+      .describe("Run the statement and report actual rows and times; it is rolled back afterwards"),
+    include_plan: z.boolean().default(false).describe("Also return the full plan as EXPLAIN's JSON"),
+  }),
+  async handler({ sql, params, analyze, include_plan: includePlan }, { pool, config, limits }) {
+    try {
+      const statements = splitStatements(sql);
+      if (statements.length !== 1) {
+        throw new Error("Give a single statement to analyze");
+      }
+      const [statement] = statements;
+      const classified = classifyStatement(statement);
+      if (statement.tokens[0].value === "EXPLAIN") {
+        throw new Error("Give the statement without EXPLAIN, its options are chosen by analyze");
+      }
+      if (classified.type === "transaction") {
+        throw new Error(`${classified.command} statements cannot be analyzed`);
+      }
+      // Statements that may change data only run in a writable transaction,
+      // and only where execute could run them, although it is rolled back
+      const readOnly = !analyze || classified.type === "select";
+      if (!readOnly) {
+        if (config.readOnly) {
+          throw new Error(`${classified.command} statements cannot be analyzed on a read-only database`);
+        }
+        checkStatements([statement], config.allowedStatements, config.policy);
+      }
+      const summary = await (readOnly ? withReadOnlyTransaction : withRolledBackTransaction)(
+        pool,
+        async (client) => {
+          if (config.policy) {
+            await checkSqlAccess(client, config.policy, statement.text, params);
+          }
+          const explained = await explainStatement(client, statement.text, params, analyze);
+          const planSummary = await summarizePlan(client, explained, analyze);
+          return includePlan ? { ...planSummary, plan: explained } : planSummary;
+        },
+        limits
+      );
+      return jsonResult(summary);
+    } catch (error) {
+      return textResult(`Error analyzing query: ${error instanceof Error ? error.message : error}`, true);
+    }
+  },
+});
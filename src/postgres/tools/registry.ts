@@ -0,0 +1,151 @@
+import { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import pg from "pg";
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { AuditConfig, AuditDetails } from "../audit.js";
+import { Databases } from "../databases.js";
+import { Policy } from "../policy.js";
+import { ProgressReporter } from "../progress.js";
+import { QueryLimits, ToolTimeouts } from "../query-limits.js";
+import { SavedQueryConfig } from "../saved-queries.js";
+import { invalidateSchemaCache } from "../schema-cache.js";
+import { StatementType } from "../sql-statements.js";
+import { UploadLimits } from "../uploads.js";
+
+// -----------------------------------------------------------------------------
+// Tool registry. Every tool declares a zod schema for its arguments; the
+// schema is published to clients as JSON schema and validates each call
+// before the handler runs, so handlers receive typed arguments.
+// -----------------------------------------------------------------------------
+
+export interface ServerConfig {
+  // Schemas the tools and resources may use, null for every non-system schema
+  schemas: string[] | null;
+  // Access policy, null to grant every right
+  policy: Policy | null;
+  // Statement types the execute tool may run
+  allowedStatements: StatementType[];
+  // Directory that filePath arguments are resolved in, empty when disabled
+  importDir: string;
+  // Directory that export_data writes to, empty when disabled
+  exportDir: string;
+  uploads: UploadLimits;
+  // Most bytes import_archive decompresses
+  maxArchiveBytes: number;
+  audit: AuditConfig;
+  // Whether the database of the call is read-only
+  readOnly: boolean;
+  // statement_timeout and lock_timeout of the tools' transactions
+  timeouts: { statement: ToolTimeouts; lock: ToolTimeouts };
+  savedQueries: SavedQueryConfig;
+  // Seconds between checks of the catalogs for DDL by other clients before
+  // cached metadata is used
+  schemaCacheSeconds: number;
+}
+
+export interface ToolContext {
+  // Pool of the database the call runs on
+  pool: pg.Pool;
+  databases: Databases;
+  config: ServerConfig;
+  // Filled in by the tool for the call's audit record
+  audit: AuditDetails;
+  // Timeouts and cancellation of the call's transactions
+  limits: QueryLimits;
+  progress: ProgressReporter;
+  // API key or else session the call was made with, null on stdio. Cursors
+  // and uploads belong to the caller that opened them.
+  owner: string | null;
+}
+
+export type ToolResult = CallToolResult;
+
+export interface ToolDefinition<Schema extends z.ZodTypeAny = z.ZodTypeAny> {
+  name: string;
+  description: string;
+  inputSchema: Schema;
+  // Whether the tool writes to the database, refused on read-only databases.
+  // The cached metadata of the database is dropped after such a tool ran.
+  writes?: boolean;
+  handler(args: z.infer<Schema>, context: ToolContext): Promise<ToolResult>;
+}
+
+export function defineTool<Schema extends z.ZodTypeAny>(
+  tool: ToolDefinition<Schema>
+): ToolDefinition<Schema> {
+  return tool;
+}
+
+export const SCHEMA_ARGUMENT = z
+  .string()
+  .min(1)
+  .optional()
+  .describe("Schema of the table, defaults to public or the first allowed schema");
+
+export function textResult(text: string, isError = false): ToolResult {
+  return { content: [{ type: "text", text }], isError };
+}
+
+export function jsonResult(value: unknown): ToolResult {
+  return textResult(JSON.stringify(value, null, 2));
+}
+
+// Argument every tool takes to choose the database it runs on. The server
+// removes it before the tool's own arguments are validated.
+export const DATABASE_ARGUMENT = "database";
+
+export function describeTools(tools: ToolDefinition[], databases: Databases) {
+  const names = databases.connections.map(({ name }) => name);
+  return tools.map((tool) => {
+    const { $schema, ...inputSchema } = zodToJsonSchema(tool.inputSchema, {
+      $refStrategy: "none",
+    }) as { $schema?: string; type: "object"; properties?: Record<string, unknown> };
+    inputSchema.properties = {
+      ...inputSchema.properties,
+      [DATABASE_ARGUMENT]: {
+        type: "string",
+        enum: names,
+        description: `Database to use, defaults to ${databases.default.name}`,
+      },
+    };
+    return { name: tool.name, description: tool.description, inputSchema };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Function to validate the arguments of a call and run the tool. Errors are
+// returned as error results instead of failing the request.
+// -----------------------------------------------------------------------------
+export async function callTool(
+  tools: ToolDefinition[],
+  name: string,
+  args: Record<string, unknown> | undefined,
+  context: ToolContext
+): Promise<ToolResult> {
+  const tool = tools.find((candidate) => candidate.name === name);
+  if (!tool) {
+    return textResult(`Unknown tool: ${name}`, true);
+  }
+  if (tool.writes && context.config.readOnly) {
+    return textResult(`The ${name} tool cannot be used on a read-only database`, true);
+  }
+
+  const parsed = tool.inputSchema.safeParse(args ?? {});
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(
+      (issue) => `${issue.path.length ? `${issue.path.join(".")}: ` : ""}${issue.message}`
+    );
+    return textResult(`Invalid arguments for ${name}: ${issues.join("; ")}`, true);
+  }
+
+  try {
+    return await tool.handler(parsed.data, context);
+  } catch (error) {
+    console.error(`Error handling tool request ${name}:`, error);
+    return textResult(`Error handling tool request: ${error}`, true);
+  } finally {
+    if (tool.writes) {
+      invalidateSchemaCache(context.pool);
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import pg from "pg";
+import { quoteIdentifier } from "./column-types.js";
+import { NO_LIMITS, QueryLimits, cancelOnAbort, setTransactionLimits } from "./query-limits.js";
+
+// -----------------------------------------------------------------------------
+// Function to run statements in a READ ONLY transaction that is always rolled
+// back, so tools reading the database cannot change it
+// -----------------------------------------------------------------------------
+export function withReadOnlyTransaction<T>(
+  pool: pg.Pool,
+  callback: (client: pg.PoolClient) => Promise<T>,
+  limits: QueryLimits = NO_LIMITS
+): Promise<T> {
+  return withRolledBackTransaction(pool, callback, limits, true);
+}
+
+// -----------------------------------------------------------------------------
+// Function to run statements in a transaction that is always rolled back.
+// Statements may change data, but the changes are never seen by others.
+// -----------------------------------------------------------------------------
+export async function withRolledBackTransaction<T>(
+  pool: pg.Pool,
+  callback: (client: pg.PoolClient) => Promise<T>,
+  limits: QueryLimits = NO_LIMITS,
+  readOnly = false
+): Promise<T> {
+  const client = await pool.connect();
+  const release = cancelOnAbort(pool, client, limits.signal);
+  try {
+    await client.query(readOnly ? "BEGIN TRANSACTION READ ONLY" : "BEGIN TRANSACTION READ WRITE");
+    await setTransactionLimits(client, limits);
+    return await callback(client);
+  } finally {
+    await client
+      .query("ROLLBACK")
+      .catch((error) => console.warn("Could not roll back transaction:", error));
+    await release();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Query config sent with the extended protocol, which accepts exactly one
+// statement. Use it when user supplied SQL fragments are spliced into a query,
+// so that a fragment cannot end the transaction and run further statements.
+// -----------------------------------------------------------------------------
+export function singleStatement(text: string): pg.QueryConfig {
+  // queryMode is supported by pg but missing from its type definitions
+  return { text, queryMode: "extended" } as pg.QueryConfig;
+}
+
+// -----------------------------------------------------------------------------
+// Function to resolve unqualified table names in the given schema for the rest
+// of the current transaction. Temporary tables stay visible.
+// -----------------------------------------------------------------------------
+export async function useSchema(client: pg.PoolClient, schema: string): Promise<void> {
+  const result = await client.query<{ oid: string | null }>(
+    "SELECT to_regnamespace($1) AS oid",
+    [quoteIdentifier(schema)]
+  );
+  if (result.rows[0].oid === null) {
+    throw new Error(`Schema "${schema}" does not exist`);
+  }
+  await client.query("SELECT set_config('search_path', $1, true)", [quoteIdentifier(schema)]);
+}
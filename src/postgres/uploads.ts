@@ -0,0 +1,239 @@
+import { createHash, randomUUID, Hash } from "crypto";
+import { appendFile, mkdtemp, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+
+// -----------------------------------------------------------------------------
+// Chunked upload sessions for files too large to pass as one base64 argument.
+// The chunks are collected in a temporary directory until the file is imported.
+// An upload belongs to the caller that began it, who declares its size up
+// front; the size and the uploads in progress per caller are limited.
+// -----------------------------------------------------------------------------
+
+// Default lifetime of an upload session without new chunks
+export const DEFAULT_UPLOAD_TTL_SECONDS = 3600;
+// Defaults of --max_upload_bytes and --max_uploads
+export const DEFAULT_MAX_UPLOAD_BYTES = 4 * 1024 * 1024 * 1024;
+export const DEFAULT_MAX_UPLOADS = 4;
+
+export interface UploadLimits {
+  ttlSeconds: number;
+  // Most bytes of one upload
+  maxBytes: number;
+  // Most uploads in progress per caller
+  maxSessions: number;
+}
+
+export const DEFAULT_UPLOAD_LIMITS: UploadLimits = {
+  ttlSeconds: DEFAULT_UPLOAD_TTL_SECONDS,
+  maxBytes: DEFAULT_MAX_UPLOAD_BYTES,
+  maxSessions: DEFAULT_MAX_UPLOADS,
+};
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+export interface UploadSession {
+  uploadId: string;
+  fileName: string;
+  receivedBytes: number;
+  nextChunkIndex: number;
+  // Declared at the start of the upload and checked when it is committed
+  totalSize: number;
+  sha256?: string;
+  expiresAt: Date;
+}
+
+interface SessionState extends UploadSession {
+  // Temporary file collecting the chunks
+  filePath: string;
+  // Caller the upload belongs to, see ToolContext.owner
+  owner: string | null;
+  ttlSeconds: number;
+  hash: Hash;
+  lastChunkSha256?: string;
+  // Set while a chunk is written or the file is imported
+  busy: boolean;
+}
+
+const sessions = new Map<string, SessionState>();
+let uploadDirectory: Promise<string> | undefined;
+
+function describe(session: SessionState): UploadSession {
+  const { uploadId, fileName, receivedBytes, nextChunkIndex, totalSize, sha256, expiresAt } = session;
+  return { uploadId, fileName, receivedBytes, nextChunkIndex, totalSize, sha256, expiresAt };
+}
+
+function sha256Of(data: Buffer): string {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+async function removeSession(session: SessionState): Promise<void> {
+  sessions.delete(session.uploadId);
+  await rm(session.filePath, { force: true });
+}
+
+async function expireSessions(): Promise<void> {
+  const now = Date.now();
+  for (const session of [...sessions.values()]) {
+    if (session.expiresAt.getTime() <= now && !session.busy) {
+      await removeSession(session);
+    }
+  }
+}
+
+// Expired sessions are also removed in the background, without keeping the process alive
+setInterval(() => expireSessions().catch(() => {}), 60_000).unref();
+
+function getSession(uploadId: string, owner: string | null): SessionState {
+  const session = sessions.get(uploadId);
+  if (!session || session.expiresAt.getTime() <= Date.now() || session.owner !== owner) {
+    throw new Error(`Upload "${uploadId}" does not exist or has expired`);
+  }
+  return session;
+}
+
+// -----------------------------------------------------------------------------
+// Function to start an upload session
+// -----------------------------------------------------------------------------
+export async function beginUpload(
+  fileName: string,
+  options: { totalSize: number; sha256?: string; owner: string | null; limits?: UploadLimits }
+): Promise<UploadSession> {
+  const { totalSize, owner, limits = DEFAULT_UPLOAD_LIMITS } = options;
+  if (options.sha256 !== undefined && !SHA256_PATTERN.test(options.sha256)) {
+    throw new Error("sha256 must be a hex encoded SHA-256 digest");
+  }
+  if (!(Number.isInteger(totalSize) && totalSize >= 0)) {
+    throw new Error("totalSize must be a non-negative integer");
+  }
+  if (totalSize > limits.maxBytes) {
+    throw new Error(`totalSize exceeds the limit of ${limits.maxBytes} bytes per upload`);
+  }
+  await expireSessions();
+  const open = [...sessions.values()].filter((session) => session.owner === owner).length;
+  if (open >= limits.maxSessions) {
+    throw new Error(
+      `${open} uploads are in progress, the most allowed; commit or abort one before beginning another`
+    );
+  }
+
+  uploadDirectory ??= mkdtemp(path.join(os.tmpdir(), "mcp-postgres-uploads-"));
+  const uploadId = randomUUID();
+  const filePath = path.join(await uploadDirectory, uploadId);
+  await writeFile(filePath, "");
+
+  const ttlSeconds = limits.ttlSeconds;
+  const session: SessionState = {
+    uploadId,
+    fileName,
+    filePath,
+    owner,
+    receivedBytes: 0,
+    nextChunkIndex: 0,
+    totalSize,
+    sha256: options.sha256?.toLowerCase(),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    ttlSeconds,
+    hash: createHash("sha256"),
+    busy: false,
+  };
+  sessions.set(uploadId, session);
+  return describe(session);
+}
+
+// -----------------------------------------------------------------------------
+// Function to append a chunk to an upload. Chunks must arrive in order; the
+// last chunk may be sent again when its acknowledgement was lost.
+// -----------------------------------------------------------------------------
+export async function appendUploadChunk(
+  uploadId: string,
+  owner: string | null,
+  chunkIndex: number,
+  data: Buffer,
+  chunkSha256?: string
+): Promise<UploadSession> {
+  const session = getSession(uploadId, owner);
+  const digest = sha256Of(data);
+  if (chunkSha256 !== undefined && digest !== chunkSha256.toLowerCase()) {
+    throw new Error(`Checksum mismatch for chunk ${chunkIndex}, send it again`);
+  }
+
+  if (chunkIndex === session.nextChunkIndex - 1 && digest === session.lastChunkSha256) {
+    return describe(session);
+  }
+  if (chunkIndex !== session.nextChunkIndex) {
+    throw new Error(`Expected chunk ${session.nextChunkIndex} but received chunk ${chunkIndex}`);
+  }
+  if (session.busy) {
+    throw new Error(`Upload "${uploadId}" is busy writing a chunk or being imported`);
+  }
+  if (session.receivedBytes + data.length > session.totalSize) {
+    throw new Error(`Chunk ${chunkIndex} exceeds the declared size of ${session.totalSize} bytes`);
+  }
+
+  session.busy = true;
+  try {
+    await appendFile(session.filePath, data);
+  } finally {
+    session.busy = false;
+  }
+  session.hash.update(data);
+  session.receivedBytes += data.length;
+  session.nextChunkIndex++;
+  session.lastChunkSha256 = digest;
+  session.expiresAt = new Date(Date.now() + session.ttlSeconds * 1000);
+  return describe(session);
+}
+
+// -----------------------------------------------------------------------------
+// Function to check that an upload is complete before it is imported. The
+// session is not expired while the import reads the file.
+// -----------------------------------------------------------------------------
+export function completeUpload(
+  uploadId: string,
+  owner: string | null,
+  sha256?: string
+): UploadSession & { filePath: string } {
+  const session = getSession(uploadId, owner);
+  if (session.busy) {
+    throw new Error(`Upload "${uploadId}" is busy writing a chunk or being imported`);
+  }
+  if (session.receivedBytes !== session.totalSize) {
+    throw new Error(
+      `Upload "${uploadId}" has ${session.receivedBytes} of ${session.totalSize} bytes`
+    );
+  }
+
+  const expected = (sha256 ?? session.sha256)?.toLowerCase();
+  const digest = session.hash.copy().digest("hex");
+  if (expected && digest !== expected) {
+    throw new Error(`Checksum mismatch for upload "${uploadId}": received data has SHA-256 ${digest}`);
+  }
+  session.busy = true;
+  return { ...describe(session), filePath: session.filePath };
+}
+
+// Keeps the upload after a failed import, so it can be committed again
+export function releaseUpload(uploadId: string): void {
+  const session = sessions.get(uploadId);
+  if (session) {
+    session.busy = false;
+    session.expiresAt = new Date(Date.now() + session.ttlSeconds * 1000);
+  }
+}
+
+export async function abortUpload(uploadId: string, owner: string | null): Promise<void> {
+  const session = getSession(uploadId, owner);
+  if (session.busy) {
+    throw new Error(`Upload "${uploadId}" is busy writing a chunk or being imported`);
+  }
+  await removeSession(session);
+}
+
+// Removes the temporary file once its contents have been imported
+export async function finishUpload(uploadId: string): Promise<void> {
+  const session = sessions.get(uploadId);
+  if (session) {
+    await removeSession(session);
+  }
+}